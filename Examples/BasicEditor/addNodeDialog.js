@@ -64,6 +64,13 @@ export function getAddNodeRegistry() {
       kind: '2d',
       description: 'A Sprite that supports animations (sprite sheets or multi-image animations).',
     },
+    {
+      id: 'ParticleEmitter2D',
+      label: 'ParticleEmitter2D',
+      group: 'Node2D',
+      kind: '2d',
+      description: 'Emits and simulates 2D particles (bursts, emission shapes, color/scale over life), drawn in one instanced batch.',
+    },
     {
       id: 'ClickableArea',
       label: 'ClickableArea',
@@ -94,6 +101,13 @@ export function getAddNodeRegistry() {
       kind: '3d',
       description: 'A 3D scene node for rendering a primitive mesh (Cube/Sphere/etc).',
     },
+    {
+      id: 'ParticleEmitter3D',
+      label: 'ParticleEmitter3D',
+      group: 'Node3D',
+      kind: '3d',
+      description: 'GPU-simulated 3D particles drawn as billboards, velocity-stretched quads or meshes, with soft particles.',
+    },
     {
       id: 'Skybox',
       label: 'Skybox',
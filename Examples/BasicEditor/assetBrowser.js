@@ -6,6 +6,8 @@
  * navigating into folders, selecting files, and navigating up.
  */
 
+import { parseGLB } from "../../Fluxion/index.js";
+
 /**
  * @typedef {{
  *  assetUpBtn: HTMLButtonElement|null,
@@ -261,25 +263,10 @@ export function createAssetBrowser(opts) {
     };
 
     /** @param {Uint8Array} u8 */
-    const parseGlbJson = (u8) => {
-      // GLB v2: 12-byte header + chunk(s). We only need the JSON chunk.
-      if (!u8 || u8.length < 20) throw new Error('Invalid GLB (too small)');
-      const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
-      const magic = dv.getUint32(0, true);
-      if (magic !== 0x46546c67) throw new Error('Invalid GLB magic');
-      const version = dv.getUint32(4, true);
-      if (version !== 2) throw new Error(`Unsupported GLB version: ${version}`);
-      // First chunk header
-      const chunkLen = dv.getUint32(12, true);
-      const chunkType = dv.getUint32(16, true);
-      // 'JSON'
-      if (chunkType !== 0x4e4f534a) throw new Error('Missing JSON chunk');
-      const start = 20;
-      const end = start + chunkLen;
-      if (end > u8.length) throw new Error('Invalid GLB chunk length');
-      const jsonBytes = u8.slice(start, end);
-      const text = new TextDecoder('utf-8').decode(jsonBytes);
-      return text;
+    const u8ToBase64 = (u8) => {
+      let bin = '';
+      for (let i = 0; i < u8.length; i += 0x8000) bin += String.fromCharCode.apply(null, Array.from(u8.subarray(i, i + 0x8000)));
+      return btoa(bin);
     };
 
     /** @param {string} name */
@@ -288,8 +275,38 @@ export function createAssetBrowser(opts) {
       return s.replace(/[^a-zA-Z0-9_\-]+/g, '_').replace(/^_+/, '').replace(/_+$/, '') || 'Material';
     };
 
+    /** @type {Uint8Array|null} GLB binary chunk (embedded buffer + images). */
+    let glbBin = null;
+    /** @type {Map<number, Promise<string|null>>} GLB image index -> extracted file (relative to the model). */
+    const extractedImages = new Map();
+
+    /**
+     * Writes an image embedded in the GLB binary chunk next to the model so .mat files can reference it.
+     * @param {any} gltf @param {number} imageIndex
+     * @returns {Promise<string|null>}
+     */
+    const extractGlbImage = async (gltf, imageIndex) => {
+      const img = gltf.images[imageIndex];
+      const view = Array.isArray(gltf.bufferViews) ? gltf.bufferViews[img?.bufferView] : null;
+      if (!glbBin || !view || (view.buffer ?? 0) !== 0) return null;
+      if (typeof electronAPI.writeProjectBinaryFile !== 'function') return null;
+
+      const start = view.byteOffset || 0;
+      const bytes = glbBin.subarray(start, start + (view.byteLength || 0));
+      const ext = img.mimeType === 'image/jpeg' ? '.jpg' : (img.mimeType === 'image/webp' ? '.webp' : '.png');
+      const stem = safeFileStem(`${modelBase}__${img.name || `image${imageIndex}`}`);
+      const filename = await _pickUniqueName(outDirRel || '.', stem, ext);
+      const relPath = outDirRel ? `${outDirRel}/${filename}` : filename;
+      const res = await electronAPI.writeProjectBinaryFile(relPath, u8ToBase64(bytes));
+      if (!res || !res.ok) {
+        console.warn('Generate Materials: failed to extract GLB image', relPath, res && res.error);
+        return null;
+      }
+      return filename;
+    };
+
     /** @param {any} gltf @param {number} texIndex */
-    const getImageUriForTexture = (gltf, texIndex) => {
+    const getImageUriForTexture = async (gltf, texIndex) => {
       if (!gltf || !Array.isArray(gltf.textures) || !Array.isArray(gltf.images)) return null;
       const tex = gltf.textures[texIndex | 0];
       if (!tex) return null;
@@ -297,6 +314,10 @@ export function createAssetBrowser(opts) {
       const img = (typeof src === 'number') ? gltf.images[src] : null;
       if (!img) return null;
       const uri = String(img.uri || '').trim();
+      if (!uri && typeof img.bufferView === 'number') {
+        if (!extractedImages.has(src)) extractedImages.set(src, extractGlbImage(gltf, src));
+        return extractedImages.get(src);
+      }
       if (!uri) return null;
       if (/^data:/i.test(uri)) return null;
       if (/^[a-zA-Z]+:/.test(uri)) return uri;
@@ -323,8 +344,9 @@ export function createAssetBrowser(opts) {
         const res = await electronAPI.readProjectBinaryFile(rel);
         if (!res || !res.ok) throw new Error(res && res.error ? res.error : 'Failed to read GLB');
         const u8 = base64ToU8(String(res.base64 || ''));
-        const jsonText = parseGlbJson(u8);
-        gltf = JSON.parse(String(jsonText || ''));
+        const glb = parseGLB(u8.buffer);
+        gltf = glb.json;
+        glbBin = glb.bin;
       }
     } catch (e) {
       const err = /** @type {any} */ (e);
@@ -366,13 +388,13 @@ export function createAssetBrowser(opts) {
       // Textures
       const baseColorTex = pbr?.baseColorTexture?.index;
       if (typeof baseColorTex === 'number') {
-        const uri = getImageUriForTexture(gltf, baseColorTex);
+        const uri = await getImageUriForTexture(gltf, baseColorTex);
         if (uri) out.baseColorTexture = uri;
       }
 
       const mrTex = pbr?.metallicRoughnessTexture?.index;
       if (typeof mrTex === 'number') {
-        const uri = getImageUriForTexture(gltf, mrTex);
+        const uri = await getImageUriForTexture(gltf, mrTex);
         if (uri) {
           out.metallicTexture = uri;
           out.roughnessTexture = uri;
@@ -382,21 +404,21 @@ export function createAssetBrowser(opts) {
 
       const normalTex = m?.normalTexture?.index;
       if (typeof normalTex === 'number') {
-        const uri = getImageUriForTexture(gltf, normalTex);
+        const uri = await getImageUriForTexture(gltf, normalTex);
         if (uri) out.normalTexture = uri;
         if (typeof m?.normalTexture?.scale === 'number') out.normalScale = m.normalTexture.scale;
       }
 
       const aoTex = m?.occlusionTexture?.index;
       if (typeof aoTex === 'number') {
-        const uri = getImageUriForTexture(gltf, aoTex);
+        const uri = await getImageUriForTexture(gltf, aoTex);
         if (uri) out.aoTexture = uri;
         if (typeof m?.occlusionTexture?.strength === 'number') out.aoStrength = m.occlusionTexture.strength;
       }
 
       const emTex = m?.emissiveTexture?.index;
       if (typeof emTex === 'number') {
-        const uri = getImageUriForTexture(gltf, emTex);
+        const uri = await getImageUriForTexture(gltf, emTex);
         if (uri) out.emissiveTexture = uri;
       }
 
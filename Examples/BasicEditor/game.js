@@ -1,6 +1,6 @@
 // @ts-check
 
-import { Engine, SceneLoader, Vector3, Mat4, Input, Camera, Camera3D, AnimatedSprite, Sprite, Text, ClickableArea, MeshNode, DirectionalLight, PointLight, SpotLight, loadGLTF } from "../../Fluxion/index.js";
+import { Engine, SceneLoader, Vector3, Mat4, Input, Camera, Camera3D, AnimatedSprite, Sprite, Text, ClickableArea, MeshNode, Behaviour, DirectionalLight, PointLight, SpotLight, TileMap, ParticleEmitter2D, ParticleEmitter3D, parseGradient, loadGLTF } from "../../Fluxion/index.js";
 import Scene from "../../Fluxion/Core/Scene.js";
 import { createAssetBrowser } from "./assetBrowser.js";
 import { createProjectDialog } from "./createProjectDialog.js";
@@ -869,7 +869,7 @@ const game = {
 
   /**
    * Viewport drop handler for OS files.
-   * - If any `.gltf` is present: import + spawn into the scene.
+   * - If any `.gltf`/`.glb` is present: import + spawn into the scene.
    * - Otherwise: import files into the current asset folder.
    * @param {string[]} filePathsAbs
    */
@@ -924,7 +924,7 @@ const game = {
   },
 
   /**
-   * Import a dropped GLTF into the workspace and spawn it in the scene.
+   * Import a dropped GLTF/GLB into the workspace and spawn it in the scene.
    * @param {string[]} filePathsAbs
    */
   async _importDroppedGltfToScene(filePathsAbs) {
@@ -948,15 +948,12 @@ const game = {
     const pathsIn = Array.isArray(filePathsAbs) ? filePathsAbs.map((p) => String(p || '').trim()).filter(Boolean) : [];
     if (pathsIn.length === 0) return;
 
-    const gltfsIn = pathsIn.filter((p) => p.toLowerCase().endsWith('.gltf'));
-    const glbsIn = pathsIn.filter((p) => p.toLowerCase().endsWith('.glb'));
-
-    if (gltfsIn.length === 0) {
-      if (glbsIn.length > 0) {
-        alert('GLB (.glb) is not supported yet. Please drop a .gltf file.');
-      }
-      return;
-    }
+    /** @param {string} p */
+    const isModelPath = (p) => {
+      const lower = String(p || '').toLowerCase();
+      return lower.endsWith('.gltf') || lower.endsWith('.glb');
+    };
+    if (!pathsIn.some(isModelPath)) return;
 
     // Import everything dropped into the current asset folder (helps GLTF sidecars: .bin/.png/etc).
     const destDir = String(this._assetBrowserCtl?.state?.cwd || this._assetBrowser?.cwd || '.').trim() || '.';
@@ -968,12 +965,7 @@ const game = {
 
     /** @type {{ destRel?: string }[]} */
     const imported = Array.isArray(importRes.imported) ? importRes.imported : [];
-    const importedGltf = imported.find((x) => String(x?.destRel || '').toLowerCase().endsWith('.gltf'))
-      || imported
-        .map((x) => String(x?.destRel || ''))
-        .filter(Boolean)
-        .map((rel) => ({ destRel: String(rel || '') }))
-        .find((x) => String(x?.destRel || '').toLowerCase().endsWith('.gltf'));
+    const importedGltf = imported.find((x) => isModelPath(String(x?.destRel || '')));
 
     const destRelRaw = String(importedGltf?.destRel || '').trim();
     if (!destRelRaw) return;
@@ -1160,7 +1152,7 @@ const game = {
   },
 
   /**
-   * Spawn an already-imported GLTF from the asset browser into the scene.
+   * Spawn an already-imported GLTF/GLB from the asset browser into the scene.
    * (This is separate from OS file drops; no import step is needed.)
    * @param {string} pathRel
    */
@@ -1178,12 +1170,7 @@ const game = {
     const p0 = String(pathRel || '').trim().replace(/\\/g, '/');
     const clean = p0.replace(/^\.(?:\/)?/, '').replace(/^\/+/, '');
     const lower = clean.toLowerCase();
-    if (!lower.endsWith('.gltf')) {
-      if (lower.endsWith('.glb')) {
-        alert('GLB (.glb) is not supported yet. Please use a .gltf file.');
-      }
-      return;
-    }
+    if (!lower.endsWith('.gltf') && !lower.endsWith('.glb')) return;
 
     /** @type {any} */
     const sceneAny = /** @type {any} */ (scene);
@@ -2694,7 +2681,10 @@ const game = {
     /** @type {string[]} */
     const lines = [];
     const sceneName = scene.name ? String(scene.name) : 'Untitled';
-    lines.push(`<Scene name="${esc(sceneName)}">`);
+    let sceneFlags = scene.processWhilePaused === true ? ' processWhilePaused="true"' : '';
+    const renderOrder = Number(scene.renderOrder);
+    if (Number.isFinite(renderOrder) && renderOrder !== 0) sceneFlags += ` renderOrder="${renderOrder}"`;
+    lines.push(`<Scene name="${esc(sceneName)}"${sceneFlags}>`);
 
     // Cameras: serialize all authored cameras; mark primary via Active="true" when multiple exist.
     const cams2 = Array.isArray(this._sceneCameras2D) ? this._sceneCameras2D.filter(Boolean) : [];
@@ -2830,6 +2820,17 @@ const game = {
       }
     }
 
+    const physicsXml = /** @type {any} */ (sceneAny._physicsXml || null);
+    if (physicsXml) {
+      /** @type {string[]} */
+      const parts = [];
+      addAttr(parts, 'gravity', physicsXml.gravity);
+      addAttr(parts, 'iterations', physicsXml.iterations);
+      addAttr(parts, 'enabled', physicsXml.enabled);
+      lines.push(parts.length > 0 ? `    <Physics ${parts.join(' ')} />` : '    <Physics />');
+      lines.push('');
+    }
+
     // Use loader-preserved ordering when available, but never drop newly-created nodes.
     // `_sourceOrder` is only populated by the loader; the editor can add new nodes later.
     /** @type {any[]} */
@@ -2930,6 +2931,14 @@ const game = {
         addBoolAttr(parts, 'followCamera', true);
       }
 
+      if (o?.processWhilePaused === true) {
+        addBoolAttr(parts, 'processWhilePaused', true);
+      }
+
+      // Query metadata (comma-separated lists).
+      if (Array.isArray(o?.tags) && o.tags.length > 0) addAttr(parts, 'tags', o.tags.join(','));
+      if (Array.isArray(o?.groups) && o.groups.length > 0) addAttr(parts, 'groups', o.groups.join(','));
+
       // Layer
       if (Object.prototype.hasOwnProperty.call(o, 'layer')) {
         const lv = Number(o.layer);
@@ -2945,8 +2954,163 @@ const game = {
       }
     };
 
+    /** @type {Array<[string, number]>} */
+    const SCALE_SKEW_DEFAULTS = [['scaleX', 1], ['scaleY', 1], ['skewX', 0], ['skewY', 0]];
+
+    /** @param {string[]} parts @param {any} o */
+    const add2DScaleSkew = (parts, o) => {
+      for (const [k, def] of SCALE_SKEW_DEFAULTS) {
+        const v = Number(o?.[k]);
+        if (Number.isFinite(v) && v !== def) addNumAttr(parts, k, v);
+      }
+    };
+
+    /** @param {string[]} parts @param {any} o */
+    const addNineSlice = (parts, o) => {
+      const ns = o?.nineSlice;
+      if (!ns) return;
+      const v = [ns.left, ns.top, ns.right, ns.bottom].map((n) => Number(n) || 0);
+      addAttr(parts, 'nineSlice', v.every((n) => n === v[0]) ? String(v[0]) : v.join(','));
+      if (o.nineSliceCenter === 'tile') addAttr(parts, 'nineSliceCenter', 'tile');
+    };
+
     const ctor = String(obj?.constructor?.name || '');
 
+    // Prefab instance: save the reference, not the expanded subtree.
+    if (obj?.prefab && typeof obj.prefab.source === 'string' && obj.prefab.source) {
+      return this._serializeInstanceXml(obj, indentLevel);
+    }
+
+    // AnimationPlayer: clip files by reference, inline clips in full.
+    if (ctor === 'AnimationPlayer') {
+      /** @type {string[]} */
+      const parts = [];
+      addCommon(parts, obj);
+      addAttr(parts, 'root', obj.rootPath);
+      addAttr(parts, 'autoplay', obj.autoplay);
+      if (Number(obj.speed) !== 1) addNumAttr(parts, 'speed', obj.speed);
+      if (Array.isArray(obj.clipSources) && obj.clipSources.length > 0) addAttr(parts, 'clips', obj.clipSources.join(', '));
+
+      const childLines = [];
+      if (obj.clips instanceof Map) {
+        for (const clip of obj.clips.values()) {
+          if (clip && !clip.source) childLines.push(...this._serializeAnimationClipXml(clip, indentLevel + 1));
+        }
+      }
+      childLines.push(...this._serializeBehavioursXml(obj, indentLevel + 1));
+      childLines.push(...this._serializeConnectionsXml(obj, indentLevel + 1));
+      for (const ch of (Array.isArray(obj.children) ? obj.children.filter(Boolean) : [])) {
+        const b = this._serializeNodeXml(ch, indentLevel + 1);
+        if (b) childLines.push(b);
+      }
+
+      if (childLines.length === 0) {
+        return `${indent}<AnimationPlayer ${parts.join(' ')} />`;
+      }
+      return `${indent}<AnimationPlayer ${parts.join(' ')}>\n${childLines.join('\n')}\n${indent}</AnimationPlayer>`;
+    }
+
+    // TileMap: tilesets by reference, layers as base64 tile values.
+    if (ctor === 'TileMap') {
+      /** @type {string[]} */
+      const parts = [];
+      addCommon(parts, obj);
+      addNumAttr(parts, 'x', obj.x);
+      addNumAttr(parts, 'y', obj.y);
+      if (typeof obj.rotation === 'number' && Number.isFinite(obj.rotation) && obj.rotation !== 0) addNumAttr(parts, 'rotation', obj.rotation);
+      add2DScaleSkew(parts, obj);
+      addAttr(parts, 'orientation', obj.orientation);
+      addNumAttr(parts, 'columns', obj.columns);
+      addNumAttr(parts, 'rows', obj.rows);
+      addNumAttr(parts, 'tileWidth', obj.tileWidth);
+      addNumAttr(parts, 'tileHeight', obj.tileHeight);
+      if (Number(obj.chunkSize) !== 16) addNumAttr(parts, 'chunkSize', obj.chunkSize);
+
+      const childLines = [];
+      for (const ts of (Array.isArray(obj.tilesets) ? obj.tilesets : [])) {
+        /** @type {string[]} */
+        const tParts = [];
+        addAttr(tParts, 'name', ts.name);
+        addAttr(tParts, 'image', ts.imageSource ?? ts.image);
+        addNumAttr(tParts, 'tileWidth', ts.tileWidth);
+        addNumAttr(tParts, 'tileHeight', ts.tileHeight);
+        if (ts.margin) addNumAttr(tParts, 'margin', ts.margin);
+        if (ts.spacing) addNumAttr(tParts, 'spacing', ts.spacing);
+        if (ts._columns) addNumAttr(tParts, 'columns', ts._columns);
+        if (ts._tileCount) addNumAttr(tParts, 'tileCount', ts._tileCount);
+        if (ts.offsetX) addNumAttr(tParts, 'offsetX', ts.offsetX);
+        if (ts.offsetY) addNumAttr(tParts, 'offsetY', ts.offsetY);
+        addNumAttr(tParts, 'firstGid', ts.firstGid);
+        childLines.push(`${indent}    <TileSet ${tParts.join(' ')} />`);
+      }
+      for (const layer of (Array.isArray(obj.layers) ? obj.layers : [])) {
+        /** @type {string[]} */
+        const lParts = [];
+        addAttr(lParts, 'name', layer.name);
+        if (layer.visible === false) addBoolAttr(lParts, 'visible', false);
+        if (Number(layer.opacity) !== 1) addNumAttr(lParts, 'opacity', layer.opacity);
+        if (layer.offsetX) addNumAttr(lParts, 'offsetX', layer.offsetX);
+        if (layer.offsetY) addNumAttr(lParts, 'offsetY', layer.offsetY);
+        addAttr(lParts, 'encoding', 'base64');
+        childLines.push(`${indent}    <TileLayer ${lParts.join(' ')}>${TileMap.encodeTiles(layer.data)}</TileLayer>`);
+      }
+
+      childLines.push(...this._serializePhysicsXml(obj, indentLevel + 1));
+      childLines.push(...this._serializeBehavioursXml(obj, indentLevel + 1));
+      childLines.push(...this._serializeConnectionsXml(obj, indentLevel + 1));
+      for (const ch of (Array.isArray(obj.children) ? obj.children.filter(Boolean) : [])) {
+        const b = this._serializeNodeXml(ch, indentLevel + 1);
+        if (b) childLines.push(b);
+      }
+
+      if (childLines.length === 0) {
+        return `${indent}<TileMap ${parts.join(' ')} />`;
+      }
+      return `${indent}<TileMap ${parts.join(' ')}>\n${childLines.join('\n')}\n${indent}</TileMap>`;
+    }
+
+    // ParticleEmitter2D: shared emitter attributes and bursts via _serializeParticleCommonXml.
+    if (ctor === 'ParticleEmitter2D') {
+      /** @type {string[]} */
+      const parts = [];
+
+      addCommon(parts, obj);
+      addNumAttr(parts, 'x', obj.x);
+      addNumAttr(parts, 'y', obj.y);
+      if (typeof obj.rotation === 'number' && Number.isFinite(obj.rotation) && obj.rotation !== 0) addNumAttr(parts, 'rotation', obj.rotation);
+      // Width/height offset the emission origin to the node's center.
+      if (obj.width) addNumAttr(parts, 'width', obj.width);
+      if (obj.height) addNumAttr(parts, 'height', obj.height);
+      add2DScaleSkew(parts, obj);
+      addAttr(parts, 'imageSrc', obj.imageSrc);
+      const burstLines = this._serializeParticleCommonXml(obj, parts, indent);
+      if (obj.shapeWidth) addNumAttr(parts, 'shapeWidth', obj.shapeWidth);
+      if (obj.shapeHeight) addNumAttr(parts, 'shapeHeight', obj.shapeHeight);
+      addNumAttr(parts, 'direction', obj.direction);
+      if (obj.gravity && (obj.gravity.x || obj.gravity.y)) addAttr(parts, 'gravity', `${Number(obj.gravity.x) || 0},${Number(obj.gravity.y) || 0}`);
+      if (obj.particleWidth) addNumAttr(parts, 'particleWidth', obj.particleWidth);
+      if (obj.particleHeight) addNumAttr(parts, 'particleHeight', obj.particleHeight);
+      if (obj.frameWidth) addNumAttr(parts, 'frameWidth', obj.frameWidth);
+      if (obj.frameHeight) addNumAttr(parts, 'frameHeight', obj.frameHeight);
+      if (obj.frameCount) addNumAttr(parts, 'frameCount', obj.frameCount);
+      if (obj.frameRate) addNumAttr(parts, 'frameRate', obj.frameRate);
+      if (obj.randomStartFrame) addBoolAttr(parts, 'randomStartFrame', true);
+
+      const childLines = [...burstLines];
+      childLines.push(...this._serializePhysicsXml(obj, indentLevel + 1));
+      childLines.push(...this._serializeBehavioursXml(obj, indentLevel + 1));
+      childLines.push(...this._serializeConnectionsXml(obj, indentLevel + 1));
+      for (const ch of (Array.isArray(obj.children) ? obj.children.filter(Boolean) : [])) {
+        const b = this._serializeNodeXml(ch, indentLevel + 1);
+        if (b) childLines.push(b);
+      }
+
+      if (childLines.length === 0) {
+        return `${indent}<ParticleEmitter2D ${parts.join(' ')} />`;
+      }
+      return `${indent}<ParticleEmitter2D ${parts.join(' ')}>\n${childLines.join('\n')}\n${indent}</ParticleEmitter2D>`;
+    }
+
     // ClickableArea
     if (ctor === 'ClickableArea' || (obj && obj.width === null && obj.height === null && typeof obj.onClick !== 'undefined')) {
       /** @type {string[]} */
@@ -3023,6 +3187,53 @@ const game = {
       }
     }
 
+    // ParticleEmitter3D: shared emitter attributes and bursts via _serializeParticleCommonXml,
+    // vectors as "x,y,z". Must come before MeshNode, whose fallback matches any 3D-layer node.
+    if (ctor === 'ParticleEmitter3D') {
+      /** @type {string[]} */
+      const parts = [];
+      /** @param {string} k @param {any} v */
+      const addVec3 = (k, v) => {
+        if (!Array.isArray(v) || v.length < 3) return;
+        addAttr(parts, k, v.slice(0, 3).map((/** @type {any} */ c) => Number(c) || 0).join(','));
+      };
+
+      addCommon(parts, obj);
+      addNumAttr(parts, 'x', obj.x);
+      addNumAttr(parts, 'y', obj.y);
+      addNumAttr(parts, 'z', obj.z);
+      addNumAttr(parts, 'scaleX', obj.scaleX);
+      addNumAttr(parts, 'scaleY', obj.scaleY);
+      addNumAttr(parts, 'scaleZ', obj.scaleZ);
+      addNumAttr(parts, 'rotX', obj.rotX);
+      addNumAttr(parts, 'rotY', obj.rotY);
+      addNumAttr(parts, 'rotZ', obj.rotZ);
+      addAttr(parts, 'imageSrc', obj.imageSrc);
+      const burstLines = this._serializeParticleCommonXml(obj, parts, indent);
+      if (obj.simulation === 'cpu') addAttr(parts, 'simulation', 'cpu');
+      if (obj.shape === 'box') addVec3('shapeSize', obj.shapeSize);
+      addVec3('direction', obj.direction);
+      if (Array.isArray(obj.gravity) && obj.gravity.some((/** @type {any} */ c) => Number(c))) addVec3('gravity', obj.gravity);
+      if (obj.renderMode && obj.renderMode !== 'billboard') addAttr(parts, 'renderMode', obj.renderMode);
+      if (obj.renderMode === 'stretched') addNumAttr(parts, 'stretch', obj.stretch);
+      if (obj.renderMode === 'mesh') addAttr(parts, 'mesh', obj.meshSource || 'Cube');
+      if (Number(obj.frameColumns) > 1) addNumAttr(parts, 'frameColumns', obj.frameColumns);
+      if (Number(obj.frameRows) > 1) addNumAttr(parts, 'frameRows', obj.frameRows);
+      if (obj.softParticles) {
+        addBoolAttr(parts, 'softParticles', true);
+        addNumAttr(parts, 'softDistance', obj.softDistance);
+      }
+
+      const childLines = [...burstLines];
+      childLines.push(...this._serializeBehavioursXml(obj, indentLevel + 1));
+      childLines.push(...this._serializeConnectionsXml(obj, indentLevel + 1));
+
+      if (childLines.length === 0) {
+        return `${indent}<ParticleEmitter3D ${parts.join(' ')} />`;
+      }
+      return `${indent}<ParticleEmitter3D ${parts.join(' ')}>\n${childLines.join('\n')}\n${indent}</ParticleEmitter3D>`;
+    }
+
     // MeshNode
     if (ctor === 'MeshNode' || (obj && obj.renderLayer === 0 && typeof obj.draw3D === 'function')) {
       /** @type {string[]} */
@@ -3044,6 +3255,8 @@ const game = {
         ? obj.materialName
         : ((typeof obj.material === 'string' && obj.material) ? obj.material : '');
       if (matName) addAttr(parts, 'material', matName);
+      if (typeof obj.animation === 'string' && obj.animation) addAttr(parts, 'animation', obj.animation);
+      if (obj.stateMachine && obj.controllerSource) addAttr(parts, 'controller', obj.controllerSource);
 
       // Optional per-node color.
       if (Array.isArray(obj.color) && obj.color.length >= 3) {
@@ -3063,7 +3276,15 @@ const game = {
           addNumAttr(parts, k, p[k]);
         }
       }
-      return `${indent}<MeshNode ${parts.join(' ')} />`;
+      const behaviourLines = [
+        ...this._serializeInlineControllerXml(obj, indentLevel + 1),
+        ...this._serializeBehavioursXml(obj, indentLevel + 1),
+        ...this._serializeConnectionsXml(obj, indentLevel + 1),
+      ];
+      if (behaviourLines.length === 0) {
+        return `${indent}<MeshNode ${parts.join(' ')} />`;
+      }
+      return `${indent}<MeshNode ${parts.join(' ')}>\n${behaviourLines.join('\n')}\n${indent}</MeshNode>`;
     }
 
     // Text
@@ -3079,17 +3300,18 @@ const game = {
         addNumAttr(parts, 'x', obj.x);
         addNumAttr(parts, 'y', obj.y);
       }
+      add2DScaleSkew(parts, obj);
       addAttr(parts, 'text', (typeof obj.text === 'string') ? obj.text : obj.textContent);
       addNumAttr(parts, 'fontSize', obj.fontSize ?? obj._fontSize);
       addAttr(parts, 'fontFamily', obj._fontFamily || obj.fontFamily);
       addAttr(parts, 'color', obj.textColor || obj._textColor);
 
       const children = Array.isArray(obj.children) ? obj.children.filter(Boolean) : [];
-      if (children.length === 0) {
+      const childBlocks = [...this._serializePhysicsXml(obj, indentLevel + 1), ...this._serializeBehavioursXml(obj, indentLevel + 1), ...this._serializeConnectionsXml(obj, indentLevel + 1)];
+      if (children.length === 0 && childBlocks.length === 0) {
         return `${indent}<Text ${parts.join(' ')} />`;
       }
 
-      const childBlocks = [];
       for (const ch of children) {
         const b = this._serializeNodeXml(ch, indentLevel + 1);
         if (b) childBlocks.push(b);
@@ -3118,7 +3340,11 @@ const game = {
       addNumAttr(parts, 'frameWidth', obj.frameWidth);
       addNumAttr(parts, 'frameHeight', obj.frameHeight);
       if (typeof obj.rotation === 'number' && Number.isFinite(obj.rotation) && obj.rotation !== 0) addNumAttr(parts, 'rotation', obj.rotation);
+      add2DScaleSkew(parts, obj);
       addAttr(parts, 'imageSrc', obj.imageSrc ?? obj.textureKey ?? '', { allowEmpty: true });
+      addNineSlice(parts, obj);
+      if (obj.atlas && obj.atlasSource) addAttr(parts, 'atlas', obj.atlasSource);
+      if (obj.stateMachine && obj.controllerSource) addAttr(parts, 'controller', obj.controllerSource);
 
       const childLines = [];
       if (obj.animations instanceof Map) {
@@ -3127,6 +3353,37 @@ const game = {
           /** @type {string[]} */
           const aParts = [];
           addAttr(aParts, 'name', name);
+          // Per-frame duration overrides and frame events.
+          /** @type {number[]} */
+          const durations = Array.isArray(anim.durations) ? anim.durations : [];
+          const hasDurations = durations.some(d => Number(d) > 0);
+          /** @type {string[]} */
+          const eventLines = [];
+          for (const ev of (Array.isArray(anim.events) ? anim.events : [])) {
+            if (!ev || !ev.name) continue;
+            /** @type {string[]} */
+            const eParts = [];
+            addNumAttr(eParts, 'frame', ev.frame);
+            addAttr(eParts, 'name', ev.name);
+            if (ev.data !== undefined && ev.data !== null) addAttr(eParts, 'data', String(ev.data));
+            eventLines.push(`${indent}        <Event ${eParts.join(' ')} />`);
+          }
+          const pushAnimation = () => {
+            if (hasDurations) addAttr(aParts, 'durations', durations.map(d => (Number(d) > 0 ? String(d) : '0')).join(', '));
+            if (eventLines.length === 0) {
+              childLines.push(`${indent}    <Animation ${aParts.join(' ')} />`);
+            } else {
+              childLines.push(`${indent}    <Animation ${aParts.join(' ')}>`, ...eventLines, `${indent}    </Animation>`);
+            }
+          };
+
+          // Atlas animations are recreated on load; only their overrides are saved.
+          if (anim.fromAtlas && obj.atlasSource) {
+            if (anim.loop === false) addBoolAttr(aParts, 'loop', false);
+            if (anim.autoplay) addBoolAttr(aParts, 'autoplay', true);
+            if (aParts.length > 1 || hasDurations || eventLines.length > 0) pushAnimation();
+            continue;
+          }
           const frames = Array.isArray(anim._frameKeys) ? anim._frameKeys : anim.frames;
           if (Array.isArray(frames)) {
             const s = frames.map(f => String(f).trim()).filter(Boolean).join(', ');
@@ -3135,10 +3392,15 @@ const game = {
           addNumAttr(aParts, 'speed', anim.fps ?? anim.speed ?? 10);
           addBoolAttr(aParts, 'loop', (anim.loop !== false));
           addBoolAttr(aParts, 'autoplay', !!anim.autoplay);
-          childLines.push(`${indent}    <Animation ${aParts.join(' ')} />`);
+          pushAnimation();
         }
       }
 
+      childLines.push(...this._serializeInlineControllerXml(obj, indentLevel + 1));
+      childLines.push(...this._serializePhysicsXml(obj, indentLevel + 1));
+      childLines.push(...this._serializeBehavioursXml(obj, indentLevel + 1));
+      childLines.push(...this._serializeConnectionsXml(obj, indentLevel + 1));
+
       const children = Array.isArray(obj.children) ? obj.children.filter(Boolean) : [];
       for (const ch of children) {
         const b = this._serializeNodeXml(ch, indentLevel + 1);
@@ -3166,13 +3428,15 @@ const game = {
       addNumAttr(parts, 'width', obj.width);
       addNumAttr(parts, 'height', obj.height);
       if (typeof obj.rotation === 'number' && Number.isFinite(obj.rotation) && obj.rotation !== 0) addNumAttr(parts, 'rotation', obj.rotation);
+      add2DScaleSkew(parts, obj);
       addAttr(parts, 'imageSrc', obj.imageSrc ?? obj.textureKey ?? '', { allowEmpty: true });
+      addNineSlice(parts, obj);
 
       const children = Array.isArray(obj.children) ? obj.children.filter(Boolean) : [];
-      if (children.length === 0) {
+      const childBlocks = [...this._serializePhysicsXml(obj, indentLevel + 1), ...this._serializeBehavioursXml(obj, indentLevel + 1), ...this._serializeConnectionsXml(obj, indentLevel + 1)];
+      if (children.length === 0 && childBlocks.length === 0) {
         return `${indent}<Sprite ${parts.join(' ')} />`;
       }
-      const childBlocks = [];
       for (const ch of children) {
         const b = this._serializeNodeXml(ch, indentLevel + 1);
         if (b) childBlocks.push(b);
@@ -3187,6 +3451,356 @@ const game = {
     return null;
   },
 
+  /**
+   * Serialize the attributes ParticleEmitter2D and ParticleEmitter3D share into `parts`:
+   * emission, shape, "min,max" ranges, the tint, "t:value" curves and blending.
+   * 2D tints are 0..255 RGB (alpha is written as opacity by addCommon); 3D tints are 0..1 RGBA.
+   * @param {any} obj
+   * @param {string[]} parts
+   * @param {string} indent - Indentation of the emitter element.
+   * @returns {string[]} The emitter's <Burst> child lines.
+   */
+  _serializeParticleCommonXml(obj, parts, indent) {
+    /** @param {any} v */
+    const esc = (v) => this._xmlEscapeAttr(v);
+    /** @param {string} k @param {any} v */
+    const addAttr = (k, v) => parts.push(`${k}="${esc(String(v))}"`);
+    /** @param {string[]} p @param {string} k @param {any} v */
+    const addNumAttr = (p, k, v) => {
+      const n = Number(v);
+      if (!Number.isFinite(n)) return;
+      p.push(`${k}="${esc(String(n))}"`);
+    };
+    /** @param {string} k @param {any} v */
+    const addRange = (k, v) => {
+      const r = Array.isArray(v) ? v.map(Number) : [Number(v), Number(v)];
+      if (!r.every(Number.isFinite)) return;
+      addAttr(k, r[0] === r[1] ? String(r[0]) : `${r[0]},${r[1]}`);
+    };
+    /** @param {string} k @param {any} curve */
+    const addCurve = (k, curve) => {
+      if (!Array.isArray(curve) || curve.length === 0) return;
+      addAttr(k, curve.map((/** @type {any} */ key) => `${key.t}:${key.value}`).join(', '));
+    };
+    /** @param {number} c */
+    const hex2 = (c) => Math.max(0, Math.min(255, Math.round(Number(c) || 0))).toString(16).padStart(2, '0');
+    const is3D = obj?.constructor?.name === 'ParticleEmitter3D';
+
+    addNumAttr(parts, 'maxParticles', obj.maxParticles);
+    addNumAttr(parts, 'emissionRate', obj.emissionRate);
+    addNumAttr(parts, 'duration', obj.duration);
+    if (obj.looping === false) addAttr('looping', 'false');
+    if (obj.emitting === false) addAttr('emitting', 'false');
+    if (obj.shape && obj.shape !== 'point') addAttr('shape', obj.shape);
+    if (obj.shapeRadius) addNumAttr(parts, 'shapeRadius', obj.shapeRadius);
+    if (obj.emitFromEdge) addAttr('emitFromEdge', 'true');
+    if (obj.spread) addNumAttr(parts, 'spread', obj.spread);
+    addRange('lifetime', obj.lifetime);
+    addRange('speed', obj.speed);
+    addRange('gravityScale', obj.gravityScale);
+    addRange('damping', obj.damping);
+    addRange(is3D ? 'startSize' : 'startScale', is3D ? obj.startSize : obj.startScale);
+    addRange('startRotation', obj.startRotation);
+    addRange('angularVelocity', obj.angularVelocity);
+    if (obj.localSpace) addAttr('localSpace', 'true');
+
+    if (Array.isArray(obj.color)) {
+      /** @type {number[]} */
+      const color = is3D ? [0, 1, 2, 3].map((i) => (obj.color[i] ?? 1) * 255) : obj.color.slice(0, 3);
+      if (color.some((c) => Number(c) !== 255)) addAttr('color', `#${color.map(hex2).join('')}`);
+    }
+    if (Array.isArray(obj.colorOverLife) && obj.colorOverLife.length > 0) {
+      addAttr('colorOverLife', obj.colorOverLife.map((/** @type {any} */ key) => `${key.t}:#${[0, 1, 2, 3].map((i) => hex2(key.color[i] ?? 255)).join('')}`).join(', '));
+    }
+    addCurve('scaleOverLife', obj.scaleOverLife);
+    addCurve('rotationOverLife', obj.rotationOverLife);
+    if (obj.blendMode === 'additive') addAttr('blendMode', 'additive');
+
+    /** @type {string[]} */
+    const lines = [];
+    for (const b of (Array.isArray(obj.bursts) ? obj.bursts : [])) {
+      /** @type {string[]} */
+      const bParts = [];
+      addNumAttr(bParts, 'time', b.time);
+      addNumAttr(bParts, 'count', b.count);
+      if (Number(b.cycles) > 1) addNumAttr(bParts, 'cycles', b.cycles);
+      if (Number(b.interval) > 0) addNumAttr(bParts, 'interval', b.interval);
+      lines.push(`${indent}    <Burst ${bParts.join(' ')} />`);
+    }
+    return lines;
+  },
+
+  /**
+   * Serialize the physics body attached to a node as <RigidBody>/<*Collider> children.
+   * @param {any} obj
+   * @param {number} indentLevel
+   * @returns {string[]}
+   */
+  _serializePhysicsXml(obj, indentLevel) {
+    const body = obj?.body;
+    if (!body || !Array.isArray(body.shapes)) return [];
+
+    const indent = '    '.repeat(Math.max(0, indentLevel));
+    /** @param {any} v */
+    const esc = (v) => this._xmlEscapeAttr(v);
+    /** @param {string[]} parts @param {string} k @param {any} v */
+    const addNumAttr = (parts, k, v) => {
+      const n = Number(v);
+      if (!Number.isFinite(n)) return;
+      parts.push(`${k}="${esc(String(n))}"`);
+    };
+    /** @param {number} n */
+    const toHex = (n) => `0x${(Number(n) >>> 0).toString(16).toUpperCase()}`;
+
+    /** @type {string[]} */
+    const out = [];
+
+    if (!body.implicit) {
+      /** @type {string[]} */
+      const parts = [];
+      parts.push(`type="${esc(body.type || 'dynamic')}"`);
+      if (body._massOverride !== null && body._massOverride !== undefined) addNumAttr(parts, 'mass', body._massOverride);
+      if (Number(body.linearDamping) !== 0) addNumAttr(parts, 'linearDamping', body.linearDamping);
+      if (Number(body.angularDamping) !== 0) addNumAttr(parts, 'angularDamping', body.angularDamping);
+      if (Number(body.gravityScale) !== 1) addNumAttr(parts, 'gravityScale', body.gravityScale);
+      if (body.fixedRotation) parts.push('fixedRotation="true"');
+      out.push(`${indent}<RigidBody ${parts.join(' ')} />`);
+    }
+
+    for (const shape of body.shapes) {
+      if (!shape) continue;
+      /** @type {string[]} */
+      const parts = [];
+      let tag = '';
+      const ctor = String(shape?.constructor?.name || '');
+
+      if (ctor === 'BoxShape') {
+        tag = 'BoxCollider';
+        if (!shape.autoSize) {
+          addNumAttr(parts, 'width', shape.width);
+          addNumAttr(parts, 'height', shape.height);
+        }
+        if (shape.offset && Number(shape.offset.x) !== 0) addNumAttr(parts, 'offsetX', shape.offset.x);
+        if (shape.offset && Number(shape.offset.y) !== 0) addNumAttr(parts, 'offsetY', shape.offset.y);
+      } else if (shape.type === 'circle') {
+        tag = 'CircleCollider';
+        if (!shape.autoSize) addNumAttr(parts, 'radius', shape.radius);
+        if (shape.offset && Number(shape.offset.x) !== 0) addNumAttr(parts, 'offsetX', shape.offset.x);
+        if (shape.offset && Number(shape.offset.y) !== 0) addNumAttr(parts, 'offsetY', shape.offset.y);
+      } else if (shape.type === 'polygon' && Array.isArray(shape.vertices)) {
+        tag = 'PolygonCollider';
+        parts.push(`points="${esc(shape.vertices.map((/** @type {any} */ v) => `${v.x},${v.y}`).join(' '))}"`);
+      } else {
+        continue;
+      }
+
+      if (Number(shape.density) !== 1) addNumAttr(parts, 'density', shape.density);
+      if (Number(shape.friction) !== 0.4) addNumAttr(parts, 'friction', shape.friction);
+      if (Number(shape.restitution) !== 0) addNumAttr(parts, 'restitution', shape.restitution);
+      if (shape.isTrigger) parts.push('isTrigger="true"');
+      if ((shape.collisionLayer >>> 0) !== 1) parts.push(`collisionLayer="${toHex(shape.collisionLayer)}"`);
+      if ((shape.collisionMask >>> 0) !== 0xFFFFFFFF) parts.push(`collisionMask="${toHex(shape.collisionMask)}"`);
+
+      out.push(parts.length > 0 ? `${indent}<${tag} ${parts.join(' ')} />` : `${indent}<${tag} />`);
+    }
+
+    return out;
+  },
+
+  /**
+   * Serialize a prefab instance as <Instance source="..."> with its overrides.
+   * Tracked root fields (position, name, ...) edited in the editor become overrides; edits
+   * inside the instance subtree are not saved (edit the prefab file instead).
+   * @param {any} obj
+   * @param {number} indentLevel
+   * @returns {string}
+   */
+  _serializeInstanceXml(obj, indentLevel) {
+    const indent = '    '.repeat(Math.max(0, indentLevel));
+    /** @param {any} v */
+    const esc = (v) => this._xmlEscapeAttr(v);
+    const prefab = obj.prefab;
+
+    /** @type {Record<string, string>} */
+    const attrs = { ...(prefab.overrides || {}) };
+    const baseline = prefab.baseline || {};
+    for (const [key, attr] of SceneLoader.PREFAB_TRACKED_ATTRIBUTES) {
+      const v = obj[key];
+      if (v === baseline[key] || v === undefined || v === null) continue;
+      if (typeof v === 'number' && !Number.isFinite(v)) continue;
+      attrs[attr] = (typeof v === 'boolean') ? (v ? 'true' : 'false') : String(v);
+    }
+
+    const parts = [`source="${esc(prefab.source)}"`];
+    for (const [k, v] of Object.entries(attrs)) parts.push(`${k}="${esc(v)}"`);
+
+    const childXml = Array.isArray(prefab.childXml) ? prefab.childXml : [];
+    if (childXml.length === 0) {
+      return `${indent}<Instance ${parts.join(' ')} />`;
+    }
+    const childLines = childXml.map((/** @type {string} */ x) => `${indent}    ${String(x).trim()}`);
+    return `${indent}<Instance ${parts.join(' ')}>\n${childLines.join('\n')}\n${indent}</Instance>`;
+  },
+
+  /**
+   * Serialize behaviour components attached to a node as <Behaviour type="..."> children.
+   * Declared properties are written when they differ from their default; behaviours whose
+   * class is not registered in the editor keep the values they were loaded with.
+   * @param {any} obj
+   * @param {number} indentLevel
+   * @returns {string[]}
+   */
+  _serializeBehavioursXml(obj, indentLevel) {
+    const list = Array.isArray(obj?.behaviours) ? obj.behaviours : [];
+    if (list.length === 0) return [];
+
+    const indent = '    '.repeat(Math.max(0, indentLevel));
+    /** @param {any} v */
+    const esc = (v) => this._xmlEscapeAttr(v);
+    /** @param {any} v */
+    const toAttr = (v) => {
+      if (Array.isArray(v)) return v.join(',');
+      if (typeof v === 'boolean') return v ? 'true' : 'false';
+      return String(v);
+    };
+
+    /** @type {string[]} */
+    const out = [];
+    for (const b of list) {
+      if (!b || !b.type) continue;
+      /** @type {string[]} */
+      const parts = [`type="${esc(b.type)}"`];
+      if (b.enabled === false) parts.push('enabled="false"');
+
+      const declared = Behaviour.getProperties(b.constructor);
+      const keys = new Set(b.missing
+        ? Object.keys(b).filter((k) => !['type', 'node', 'scene', 'processWhilePaused', 'missing'].includes(k) && !k.startsWith('_'))
+        : Object.keys(declared));
+      // Attributes the loader read that the class doesn't declare.
+      if (Array.isArray(b._xmlAttributes)) {
+        for (const k of b._xmlAttributes) keys.add(k);
+      }
+      for (const k of keys) {
+        const v = b[k];
+        if (v === undefined || v === null || typeof v === 'function') continue;
+        const def = declared[k]?.default;
+        if (def !== undefined && toAttr(def) === toAttr(v)) continue;
+        parts.push(`${k}="${esc(toAttr(v))}"`);
+      }
+      out.push(`${indent}<Behaviour ${parts.join(' ')} />`);
+    }
+    return out;
+  },
+
+  /**
+   * Serialize XML signal wiring (<Connect signal="..." target="..." method="..." />) kept on a node.
+   * @param {any} obj
+   * @param {number} indentLevel
+   * @returns {string[]}
+   */
+  _serializeConnectionsXml(obj, indentLevel) {
+    const list = Array.isArray(obj?.connections) ? obj.connections : [];
+    const indent = '    '.repeat(Math.max(0, indentLevel));
+    /** @param {any} v */
+    const esc = (v) => this._xmlEscapeAttr(v);
+
+    /** @type {string[]} */
+    const out = [];
+    for (const c of list) {
+      if (!c || !c.signal || !c.method) continue;
+      const parts = [`signal="${esc(c.signal)}"`];
+      if (c.target) parts.push(`target="${esc(c.target)}"`);
+      if (c.behaviour) parts.push(`behaviour="${esc(c.behaviour)}"`);
+      parts.push(`method="${esc(c.method)}"`);
+      if (c.once) parts.push('once="true"');
+      out.push(`${indent}<Connect ${parts.join(' ')} />`);
+    }
+    return out;
+  },
+
+  /**
+   * Serialize an inline animation clip as <AnimationClip> with <Track>/<Key> and <Event> children.
+   * @param {any} clip
+   * @param {number} indentLevel
+   * @returns {string[]}
+   */
+  _serializeAnimationClipXml(clip, indentLevel) {
+    const indent = '    '.repeat(Math.max(0, indentLevel));
+    /** @param {any} v */
+    const esc = (v) => this._xmlEscapeAttr(v);
+    /** @param {any} v */
+    const fmt = (v) => (Array.isArray(v) ? v.join(',') : String(v));
+
+    const head = [`name="${esc(clip.name)}"`];
+    if (clip._duration !== null && clip._duration !== undefined) head.push(`duration="${esc(clip._duration)}"`);
+    if (clip.loop) head.push('loop="true"');
+
+    /** @type {string[]} */
+    const out = [`${indent}<AnimationClip ${head.join(' ')}>`];
+    for (const track of Array.isArray(clip.tracks) ? clip.tracks : []) {
+      out.push(`${indent}    <Track path="${esc(track.path)}" interpolation="${esc(track.interpolation)}">`);
+      for (const k of track.keys) {
+        const parts = [`time="${esc(k.time)}"`, `value="${esc(fmt(k.value))}"`];
+        if (k.inTangent !== undefined) parts.push(`inTangent="${esc(fmt(k.inTangent))}"`);
+        if (k.outTangent !== undefined) parts.push(`outTangent="${esc(fmt(k.outTangent))}"`);
+        out.push(`${indent}        <Key ${parts.join(' ')} />`);
+      }
+      out.push(`${indent}    </Track>`);
+    }
+    for (const ev of Array.isArray(clip.events) ? clip.events : []) {
+      const parts = [`time="${esc(ev.time)}"`, `name="${esc(ev.name)}"`];
+      if (ev.data !== undefined) parts.push(`data="${esc(fmt(ev.data))}"`);
+      out.push(`${indent}    <Event ${parts.join(' ')} />`);
+    }
+    out.push(`${indent}</AnimationClip>`);
+    return out;
+  },
+
+  /**
+   * Inline <AnimationController> of a node whose controller was not loaded from a file.
+   * @param {any} obj
+   * @param {number} indentLevel
+   * @returns {string[]}
+   */
+  _serializeInlineControllerXml(obj, indentLevel) {
+    const controller = obj?.stateMachine?.controller;
+    if (!controller || obj.controllerSource) return [];
+    const indent = '    '.repeat(Math.max(0, indentLevel));
+    /** @param {any} v */
+    const esc = (v) => this._xmlEscapeAttr(v);
+    /** @param {any} c */
+    const fmtCondition = (c) => {
+      if (c.op === '==' && typeof c.value === 'boolean') return c.value ? c.param : `!${c.param}`;
+      return `${c.param} ${c.op} ${c.value}`;
+    };
+
+    const head = [];
+    if (controller.name) head.push(`name="${esc(controller.name)}"`);
+    /** @type {string[]} */
+    const out = [`${indent}<AnimationController${head.length ? ` ${head.join(' ')}` : ''}>`];
+    for (const p of controller.parameters.values()) {
+      const parts = [`name="${esc(p.name)}"`, `type="${esc(p.type)}"`];
+      if (p.type !== 'trigger') parts.push(`default="${esc(p.defaultValue)}"`);
+      out.push(`${indent}    <Parameter ${parts.join(' ')} />`);
+    }
+    for (const st of controller.states.values()) {
+      const parts = [`name="${esc(st.name)}"`, `clip="${esc(st.clip)}"`];
+      if (st.speed !== 1) parts.push(`speed="${esc(st.speed)}"`);
+      if (st.loop !== null) parts.push(`loop="${st.loop ? 'true' : 'false'}"`);
+      if (st.name === controller.defaultState) parts.push('default="true"');
+      out.push(`${indent}    <State ${parts.join(' ')} />`);
+    }
+    for (const t of controller.transitions) {
+      const parts = [`from="${esc(t.from)}"`, `to="${esc(t.to)}"`];
+      if (t.conditions.length > 0) parts.push(`when="${esc(t.conditions.map(fmtCondition).join(' && '))}"`);
+      if (t.exitTime !== null) parts.push(`exitTime="${esc(t.exitTime)}"`);
+      if (t.fade > 0) parts.push(`fade="${esc(t.fade)}"`);
+      out.push(`${indent}    <Transition ${parts.join(' ')} />`);
+    }
+    out.push(`${indent}</AnimationController>`);
+    return out;
+  },
+
   /** @param {any} v */
   _xmlEscapeAttr(v) {
     return String(v)
@@ -3457,6 +4071,17 @@ const game = {
         created = sp;
         break;
       }
+      case 'ParticleEmitter2D': {
+        const pe = new ParticleEmitter2D(r, '', spawnX, spawnY);
+        // @ts-ignore
+        pe.name = uniqueName('ParticleEmitter2D');
+        pe.spread = Math.PI / 4;
+        pe.speed = [60, 120];
+        pe.colorOverLife = parseGradient('0:#ffffffff, 1:#ffffff00');
+        scene.add(pe);
+        created = pe;
+        break;
+      }
       case 'Text': {
         const tx = new Text(r, 'New Text', spawnX, spawnY, 32);
         // @ts-ignore
@@ -3611,6 +4236,16 @@ const game = {
         created = m;
         break;
       }
+      case 'ParticleEmitter3D': {
+        const pe = new ParticleEmitter3D(this._renderer);
+        pe.name = uniqueName('ParticleEmitter3D');
+        pe.setPosition(spawnX, spawnY, spawnZ);
+        pe.spread = Math.PI / 6;
+        pe.gravity = [0, -2, 0];
+        scene.add(pe);
+        created = pe;
+        break;
+      }
       case 'DirectionalLight': {
         const l = new DirectionalLight({ name: uniqueName('DirectionalLight') });
         scene.addLight(l);
@@ -4201,22 +4836,22 @@ const game = {
       const hasWH = (typeof o.width === 'number') && (typeof o.height === 'number');
       if (!hasXY || !hasWH) continue;
 
-      const ox = Number(o.x) || 0;
-      const oy = Number(o.y) || 0;
       const ow = Number(o.width) || 0;
       const oh = Number(o.height) || 0;
 
+      // Node2D: test in the node's local space (parent-relative, rotated, scaled).
+      // Other nodes: x/y are world coordinates.
+      let px = wx - (Number(o.x) || 0);
+      let py = wy - (Number(o.y) || 0);
+      if (typeof o.worldToLocal === 'function') {
+        const local = o.worldToLocal(wx, wy);
+        if (!local) continue;
+        px = local.x;
+        py = local.y;
+      }
+
       // Allow negative sizes (some draw paths can use negative width/height).
-      const x1 = ox;
-      const y1 = oy;
-      const x2 = ox + ow;
-      const y2 = oy + oh;
-      const minX = Math.min(x1, x2);
-      const maxX = Math.max(x1, x2);
-      const minY = Math.min(y1, y2);
-      const maxY = Math.max(y1, y2);
-
-      const hit = (wx >= minX && wx <= maxX && wy >= minY && wy <= maxY);
+      const hit = (px >= Math.min(0, ow) && px <= Math.max(0, ow) && py >= Math.min(0, oh) && py <= Math.max(0, oh));
       if (!hit) continue;
 
       const layer = (o.layer !== undefined) ? (Number(o.layer) || 0) : 0;
@@ -4661,6 +5296,11 @@ const game = {
     // Keep them on their default animation's first frame until explicitly played.
     this._freezeAnimatedSpritesOnSceneOpen();
 
+    // Editor: keep physics bodies at their authored positions (no simulation while editing).
+    if (this.currentScene && this.currentScene.physics) {
+      this.currentScene.physics.enabled = false;
+    }
+
     // Ensure viewport resolution doesn't change due to scene camera zoom or editor heuristics.
     if (renderer && typeof renderer.setRenderScale === 'function') {
       renderer.setRenderScale(1.0);
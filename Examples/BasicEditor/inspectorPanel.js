@@ -8,6 +8,8 @@ import * as InspectorFields from "./inspectorFields.js";
 import * as InspectorWidgets from "./inspectorWidgets.js";
 import { SceneLoader, Skybox, Material, loadGLTF } from "../../Fluxion/index.js";
 import { preserveUiStateDuring } from "./uiStatePreservation.js";
+import { renderSchemaUI } from "./inspectorRenderer.js";
+import { BehaviourSchemas } from "./inspectorSchema.js";
 
 // Cache last-applied values for Skybox stubs so inspector rebuilds don't
 // constantly recreate skyboxes (which can flash black while textures upload).
@@ -841,6 +843,37 @@ function _rebuildInspectorCore(host, ui) {
     if (typeof obj.frameHeight === 'number') InspectorFields.addNumber(host, ui.common, 'frameHeight', obj, 'frameHeight');
   }
 
+  // Nine-slice borders (Sprite / AnimatedSprite)
+  if (obj && typeof obj.setNineSlice === 'function' && obj.constructor?.name !== 'Text') {
+    const mode = { value: obj.nineSlice ? (obj.nineSliceCenter === 'tile' ? 'tile' : 'stretch') : 'off' };
+    InspectorFields.addSelectWith(ui.common, 'nineSlice', mode, 'value', [
+      { label: 'Off', value: 'off' },
+      { label: 'Stretch center', value: 'stretch' },
+      { label: 'Tile center', value: 'tile' },
+    ], () => {
+      if (mode.value === 'off') {
+        obj.setNineSlice();
+      } else {
+        if (!obj.nineSlice) {
+          // Start with a third of the frame on each side.
+          const dims = obj.renderer?._textureDimensions?.get(obj.texture);
+          const fw = Number(obj.frameWidth) || dims?.width || 24;
+          const fh = Number(obj.frameHeight) || dims?.height || 24;
+          obj.setNineSlice(Math.floor(fw / 3), Math.floor(fh / 3));
+        }
+        obj.nineSliceCenter = mode.value;
+      }
+      // Inset fields appear/disappear with the mode.
+      try { host._blockInspectorAutoRefresh?.(0.35); } catch {}
+      try { host.rebuildInspector?.(); } catch {}
+    });
+    if (obj.nineSlice) {
+      for (const side of ['left', 'top', 'right', 'bottom']) {
+        InspectorFields.addNumber(host, ui.common, `slice.${side}`, obj.nineSlice, side);
+      }
+    }
+  }
+
   // Text fields
   if (obj && obj.constructor?.name === 'Text') {
     InspectorFields.addString(ui.common, 'text', obj, 'text');
@@ -1711,6 +1744,16 @@ function _rebuildInspectorCore(host, ui) {
     InspectorFields.addField(ui.common, 'animations', btn);
   }
 
+  // Behaviour components: one group each, fields from inspectorSchema.js.
+  if (Array.isArray(obj.behaviours)) {
+    for (const behaviour of obj.behaviours) {
+      if (!behaviour) continue;
+      const title = behaviour.missing ? `${behaviour.type} (not registered)` : String(behaviour.type || 'Behaviour');
+      const inner = addGroup(title, true);
+      renderSchemaUI(host, inner, behaviour, BehaviourSchemas.getSchema(behaviour));
+    }
+  }
+
   // Transform fields (mode-specific)
   if (host.mode === '2d') {
     if (typeof obj.x === 'number') InspectorFields.addNumber2DPos(ui.transform, 'x', obj, 'x');
@@ -1719,6 +1762,10 @@ function _rebuildInspectorCore(host, ui) {
     if (typeof obj.width === 'number') InspectorFields.addNumber(host, ui.transform, 'width', obj, 'width');
     if (typeof obj.height === 'number') InspectorFields.addNumber(host, ui.transform, 'height', obj, 'height');
     if (typeof obj.rotation === 'number') InspectorFields.addNumber(host, ui.transform, 'rotation', obj, 'rotation');
+    if (typeof obj.scaleX === 'number') InspectorFields.addNumber(host, ui.transform, 'scaleX', obj, 'scaleX');
+    if (typeof obj.scaleY === 'number') InspectorFields.addNumber(host, ui.transform, 'scaleY', obj, 'scaleY');
+    if (typeof obj.skewX === 'number') InspectorFields.addNumber(host, ui.transform, 'skewX', obj, 'skewX');
+    if (typeof obj.skewY === 'number') InspectorFields.addNumber(host, ui.transform, 'skewY', obj, 'skewY');
     if (typeof obj.zoom === 'number') InspectorFields.addNumber(host, ui.transform, 'zoom', obj, 'zoom');
   } else {
     // Support both (x,y,z,rotX,rotY,rotZ) and vector-style (position/rotation).
@@ -310,6 +310,18 @@ function render2DTransform(host, container, obj) {
   if (typeof obj.rotation === 'number') {
     InspectorFields.addNumber(host, container, 'rotation', obj, 'rotation');
   }
+  if (typeof obj.scaleX === 'number') {
+    InspectorFields.addNumber(host, container, 'scaleX', obj, 'scaleX');
+  }
+  if (typeof obj.scaleY === 'number') {
+    InspectorFields.addNumber(host, container, 'scaleY', obj, 'scaleY');
+  }
+  if (typeof obj.skewX === 'number') {
+    InspectorFields.addNumber(host, container, 'skewX', obj, 'skewX');
+  }
+  if (typeof obj.skewY === 'number') {
+    InspectorFields.addNumber(host, container, 'skewY', obj, 'skewY');
+  }
   if (typeof obj.zoom === 'number') {
     InspectorFields.addNumber(host, container, 'zoom', obj, 'zoom');
   }
@@ -1,5 +1,7 @@
 // @ts-check
 
+import { Behaviour } from "../../Fluxion/index.js";
+
 /**
  * Property schema system for data-driven inspector UI generation.
  * Inspired by Godot's inspector system, defines component properties declaratively.
@@ -364,6 +366,68 @@ export class SchemaRegistry {
   }
 }
 
+/**
+ * Inspector schemas for behaviour components (see Fluxion Behaviour).
+ * An explicit `SchemaRegistry.register('<ClassName>', ...)` wins; otherwise the schema is
+ * derived from the class's static `properties`. Behaviours whose class the editor doesn't
+ * know are shown with plain text fields for the values they were loaded with.
+ */
+export class BehaviourSchemas {
+  /**
+   * @param {any} behaviour
+   * @returns {PropertySchema[]}
+   */
+  static getSchema(behaviour) {
+    /** @type {PropertySchema[]} */
+    const schema = [PropertyFactory.boolean('enabled', 'Enabled').build()];
+    if (!behaviour) return schema;
+
+    if (!behaviour.missing) {
+      const registered = SchemaRegistry.getSchema(behaviour);
+      if (registered) return [...schema, ...registered];
+    }
+
+    const declared = Behaviour.getProperties(behaviour.constructor);
+    for (const [key, decl] of Object.entries(declared)) {
+      schema.push(BehaviourSchemas.#toSchema(key, decl || {}));
+    }
+
+    if (behaviour.missing) {
+      for (const key of Object.keys(behaviour)) {
+        if (key.startsWith('_') || ['type', 'node', 'scene', 'processWhilePaused', 'missing'].includes(key)) continue;
+        schema.push(PropertyFactory.string(key).build());
+      }
+    }
+    return schema;
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} decl
+   * @returns {PropertySchema}
+   */
+  static #toSchema(key, decl) {
+    const label = decl.label || key;
+    switch (decl.type) {
+      case 'number': {
+        const builder = PropertyFactory.number(key, label, decl);
+        if (decl.step !== undefined) builder.step(decl.step);
+        return builder.build();
+      }
+      case 'boolean':
+        return PropertyFactory.boolean(key, label).build();
+      case 'color':
+        return PropertyFactory.color(key, label).build();
+      case 'vec2':
+        return PropertyFactory.vec2(key, label).build();
+      case 'enum':
+        return PropertyFactory.enum(key, decl.options || [], label).build();
+      default:
+        return PropertyFactory.string(key, label).build();
+    }
+  }
+}
+
 /**
  * Built-in schema definitions for common Fluxion components.
  */
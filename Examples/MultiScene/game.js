@@ -3,12 +3,8 @@ import { Engine, SceneLoader, Input } from "../../Fluxion/index.js";
 const input = new Input();
 
 const game = {
-    currentScene: null,
-    menuScene: null,
-    gameScene: null,
+    currentScene: null, // Kept in sync by the engine's SceneManager (game.sceneManager)
     renderer: null,
-    _loadingGameScene: false,
-    _loadingMenuScene: false,
     menuSceneUrl: "./menu.xml",
     gameSceneUrl: "./game.xml",
 
@@ -23,12 +19,8 @@ const game = {
         });
         
         console.log("Loading scenes...");
-        // Load Menu scene up-front; both scenes are disposable and will be reloaded on demand.
-        this.menuScene = await SceneLoader.load(this.menuSceneUrl, renderer);
-        this.menuScene.disposeOnSceneChange = true;
-        
-        // Start with Menu
-        this.switchScene(this.menuScene);
+        // Start with Menu; both scenes are disposable and will be reloaded on demand.
+        await this.startMenu({ transition: "none" });
         
         console.log("MultiScene Example Started.");
         console.log("Controls:");
@@ -36,87 +28,48 @@ const game = {
         console.log("  Game: WASD to move, ESC to return to Menu");
     },
 
-    async ensureMenuSceneLoaded() {
-        if (this.menuScene) return true;
-        if (this._loadingMenuScene) return false;
-        this._loadingMenuScene = true;
-        try {
-            this.menuScene = await SceneLoader.load(this.menuSceneUrl, this.renderer);
-            this.menuScene.disposeOnSceneChange = true;
-            return true;
-        } finally {
-            this._loadingMenuScene = false;
-        }
-    },
-
-    async ensureGameSceneLoaded() {
-        if (this.gameScene) return true;
-        if (this._loadingGameScene) return false;
-        this._loadingGameScene = true;
-        try {
-            this.gameScene = await SceneLoader.load(this.gameSceneUrl, this.renderer);
-            // Dispose game resources when switching away from it.
-            this.gameScene.disposeOnSceneChange = true;
-            return true;
-        } finally {
-            this._loadingGameScene = false;
-        }
-    },
-
     async startGame() {
-        const ready = await this.ensureGameSceneLoaded();
-        if (ready && this.gameScene) {
-            this.switchScene(this.gameScene);
-
-            // We just left the menu; it is disposable. Clear reference so it will reload next time.
-            this.menuScene = null;
-        }
+        if (this.sceneManager.isTransitioning) return;
+        await this.sceneManager.change(this.gameSceneUrl, {
+            transition: "fade",
+            duration: 0.6,
+            // Dispose game resources when switching away from it.
+            onLoaded: (scene) => { scene.disposeOnSceneChange = true; }
+        });
     },
 
-    async startMenu() {
-        const ready = await this.ensureMenuSceneLoaded();
-        if (ready && this.menuScene) {
-            this.switchScene(this.menuScene);
+    async startMenu(options = { transition: "crossfade", duration: 0.5 }) {
+        if (this.sceneManager.isTransitioning) return;
+        await this.sceneManager.change(this.menuSceneUrl, {
+            ...options,
+            onLoaded: (scene) => {
+                scene.disposeOnSceneChange = true;
+                scene.onEnter = () => this.setupMenu(scene);
+                scene.onExit = () => { document.body.style.cursor = "default"; };
+            }
+        });
 
-            // We just left the game; it is disposable. Clear reference so it will reload next time.
-            this.gameScene = null;
-        }
+        // Warm up the game scene while the player is in the menu.
+        this.sceneManager.preload(this.gameSceneUrl);
     },
 
-    switchScene(scene) {
-        this.currentScene = scene;
+    setupMenu(scene) {
+        const btnHitbox = scene.getObjectByName("StartButtonHitbox");
+        const btnSprite = scene.getObjectByName("StartButton");
         
-        // Sync engine camera with scene camera if it exists
-        if (this.currentScene.camera) {
-            const sc = this.currentScene.camera;
-            // We update the engine's camera which is injected into this object
-            if (this.camera) {
-                this.camera.x = sc.x;
-                this.camera.y = sc.y;
-                this.camera.zoom = sc.zoom;
-                this.camera.rotation = sc.rotation;
-            }
-        }
-
-        // Setup Menu Interactions if we are in Menu Scene
-        if (scene.name === "MenuScene") {
-            const btnHitbox = scene.getObjectByName("StartButtonHitbox");
-            const btnSprite = scene.getObjectByName("StartButton");
-            
-            if (btnHitbox && btnSprite) {
-                btnHitbox.onEnter = () => {
-                    document.body.style.cursor = "pointer";
-                    btnSprite.setColor(200, 200, 255); // Tint
-                };
-                btnHitbox.onExit = () => {
-                    document.body.style.cursor = "default";
-                    btnSprite.setColor(255, 255, 255); // Reset
-                };
-                btnHitbox.onClick = () => {
-                    this.startGame();
-                    document.body.style.cursor = "default";
-                };
-            }
+        if (btnHitbox && btnSprite) {
+            btnHitbox.onEnter = () => {
+                document.body.style.cursor = "pointer";
+                btnSprite.setColor(200, 200, 255); // Tint
+            };
+            btnHitbox.onExit = () => {
+                document.body.style.cursor = "default";
+                btnSprite.setColor(255, 255, 255); // Reset
+            };
+            btnHitbox.onClick = () => {
+                this.startGame();
+                document.body.style.cursor = "default";
+            };
         }
         
         console.log("Switched to scene:", scene.name);
@@ -161,16 +114,15 @@ const game = {
         }
 
         // Update current scene objects
-        this.currentScene.update(deltaTime);
+        this.sceneManager.update(deltaTime);
 
         // Update input state for next frame (required for getKeyDown/Up)
         // Input is updated by Engine each frame.
     },
 
     draw(renderer) {
-        if (this.currentScene) {
-            this.currentScene.draw(renderer);
-        }
+        // Draws the scene stack plus any running fade/crossfade.
+        this.sceneManager.draw(renderer);
     }
 };
 
@@ -1,8 +1,10 @@
 import Sprite from './Sprite.js';
+import { AnimationStateMachine } from './AnimationController.js';
 
 /**
  * Represents an animated sprite that extends the base Sprite class.
- * Supports sprite sheet animations and multi-image animations.
+ * Supports sprite sheet animations, multi-image animations and Aseprite/TexturePacker
+ * atlases (see SpriteAtlas and setAtlas).
  */
 export default class AnimatedSprite extends Sprite {
     /**
@@ -39,17 +41,55 @@ export default class AnimatedSprite extends Sprite {
         // Event callbacks
         this.onAnimationComplete = null;
         this.onFrameChange = null;
+        /** @type {Array<{index: number, fn: Function, animation: string|null}>} */
+        this._frameHooks = [];
+        /** @type {Function[]} */
+        this._completeHooks = [];
+
+        /** @type {AnimationStateMachine|null} Picks animations from an AnimationController. */
+        this.stateMachine = null;
+
+        /** @type {import('./SpriteAtlas.js').default|null} Atlas the animations were created from. */
+        this.atlas = null;
+    }
+
+    /**
+     * Adds every animation of a SpriteAtlas (Aseprite tags or TexturePacker sequences) and
+     * draws from the atlas image. Existing animations with the same names are replaced.
+     * @param {import('./SpriteAtlas.js').default} atlas
+     */
+    setAtlas(atlas) {
+        if (!atlas) return;
+        this.atlas = atlas;
+        if (!this.texture && !this.textureKey && atlas.image) this.loadTexture(atlas.image);
+        for (const [name, anim] of atlas.animations) {
+            this.addAnimation(name, anim.frames, anim.fps, anim.loop);
+            // Marks atlas-generated animations so tooling can skip them when saving.
+            this.animations.get(name).fromAtlas = true;
+        }
+    }
+
+    /**
+     * Runs an AnimationController on this sprite's animations (replaces any previous one).
+     * @param {import('./AnimationController.js').default|null} controller
+     * @returns {AnimationStateMachine|null}
+     */
+    setAnimationController(controller) {
+        this.stateMachine = controller ? new AnimationStateMachine(controller, this) : null;
+        return this.stateMachine;
     }
 
     /**
      * Add an animation sequence
      * @param {string} name - Name of the animation
-     * @param {Array} frames - Array of frame indices [0, 1, 2] or frame objects {x, y, w, h} or image paths
+     * @param {Array} frames - Array of frame indices [0, 1, 2], frame objects {x, y, w, h} (SpriteAtlas
+     *   frames add trim, rotation, pivot and a `duration` in seconds) or image paths
      * @param {number} [fps=10] - Frames per second
      * @param {boolean} [loop=true] - Whether to loop the animation
      */
     addAnimation(name, frames, fps = 10, loop = true) {
-        const anim = { frames, fps, loop };
+        // durations: per-frame overrides in seconds; events: { frame, name, data } fired on entering a frame.
+        const anim = { frames, fps, loop, durations: null, events: [] };
         
         // Check if frames are image paths (strings)
         if (frames.length > 0 && typeof frames[0] === 'string') {
@@ -92,6 +132,80 @@ export default class AnimatedSprite extends Sprite {
         this.animations.set(name, anim);
     }
 
+    /**
+     * Overrides how long each frame of an animation is shown, in seconds. Entries that are
+     * missing, null or <= 0 keep the default (the atlas frame duration, else 1 / fps).
+     * @param {string} name - Name of the animation
+     * @param {Array<number|null>|null} durations - Per-frame seconds, or null to clear
+     */
+    setFrameDurations(name, durations) {
+        const anim = this.animations.get(name);
+        if (!anim) {
+            console.warn(`Animation '${name}' not found.`);
+            return;
+        }
+        anim.durations = Array.isArray(durations) ? durations.slice() : null;
+    }
+
+    /**
+     * Adds a named event fired when the animation enters `frame`. It is emitted as the
+     * `name` signal (with `data`) and as an `event` signal with the details.
+     * @param {string} animation - Name of the animation
+     * @param {number} frame - Frame index
+     * @param {string} name - Event name, e.g. 'footstep'
+     * @param {any} [data]
+     */
+    addFrameEvent(animation, frame, name, data) {
+        const anim = this.animations.get(animation);
+        if (!anim) {
+            console.warn(`Animation '${animation}' not found.`);
+            return;
+        }
+        anim.events.push({ frame: Math.max(0, frame | 0), name: String(name), data });
+    }
+
+    /**
+     * Calls `fn(index, animationName)` whenever frame `index` is reached.
+     * @param {number} index - Frame index
+     * @param {(index: number, animation: string) => void} fn
+     * @param {string} [animation] - Only for this animation (any animation when omitted)
+     * @returns {() => void} Removes the hook.
+     */
+    onFrame(index, fn, animation) {
+        const hook = { index: index | 0, fn, animation: animation ?? null };
+        this._frameHooks.push(hook);
+        return () => {
+            const i = this._frameHooks.indexOf(hook);
+            if (i >= 0) this._frameHooks.splice(i, 1);
+        };
+    }
+
+    /**
+     * Calls `fn(animationName)` when a non-looping animation ends.
+     * @param {(animation: string) => void} fn
+     * @returns {() => void} Removes the hook.
+     */
+    onComplete(fn) {
+        this._completeHooks.push(fn);
+        return () => {
+            const i = this._completeHooks.indexOf(fn);
+            if (i >= 0) this._completeHooks.splice(i, 1);
+        };
+    }
+
+    /**
+     * Total length of an animation in seconds at its own fps.
+     * @param {string} name
+     * @returns {number}
+     */
+    getAnimationDuration(name) {
+        const anim = this.animations.get(name);
+        if (!anim || !Array.isArray(anim.frames)) return 0;
+        let total = 0;
+        for (let i = 0; i < anim.frames.length; i++) total += this._baseFrameDuration(anim, i);
+        return total;
+    }
+
     /**
      * Releases GPU resources owned by this AnimatedSprite.
      */
@@ -135,6 +249,7 @@ export default class AnimatedSprite extends Sprite {
         this.isPlaying = true;
         this.loop = this.currentAnimation.loop;
         this.fps = this.currentAnimation.fps;
+        this._fireFrame(0);
     }
 
     /**
@@ -168,31 +283,147 @@ export default class AnimatedSprite extends Sprite {
      */
     update(dt, camera) {
         super.update(dt, camera);
+        if (this.stateMachine) this.stateMachine.update(dt);
         if (!this.isPlaying || !this.currentAnimation) return;
 
         this.timer += dt;
-        const frameDuration = this.fps > 0 ? 1 / this.fps : 0;
 
-        if (frameDuration > 0 && this.timer >= frameDuration) {
+        // Several frames may pass in one update; each one still fires its hooks and events.
+        let frameDuration = this._getFrameDuration();
+        while (this.isPlaying && frameDuration > 0 && this.timer >= frameDuration) {
             this.timer -= frameDuration;
+            const anim = this.currentAnimation;
             const nextFrame = this.currentFrameIndex + 1;
 
-            if (nextFrame >= this.currentAnimation.frames.length) {
+            if (nextFrame >= anim.frames.length) {
                 if (this.loop) {
                     this.currentFrameIndex = 0;
                     if (this.onFrameChange) this.onFrameChange(this.currentFrameIndex);
+                    this._fireFrame(0);
                 } else {
-                    this.currentFrameIndex = this.currentAnimation.frames.length - 1;
+                    this.currentFrameIndex = anim.frames.length - 1;
                     this.isPlaying = false;
-                    if (this.onAnimationComplete) this.onAnimationComplete(this.currentAnimationName);
+                    this._fireComplete();
                 }
             } else {
                 this.currentFrameIndex = nextFrame;
                 if (this.onFrameChange) this.onFrameChange(this.currentFrameIndex);
+                this._fireFrame(nextFrame);
+            }
+
+            // A hook may have switched animations; its timing starts over.
+            if (this.currentAnimation !== anim) break;
+            frameDuration = this._getFrameDuration();
+        }
+    }
+
+    /**
+     * Seconds the current frame is shown for, scaled by fps relative to the animation's own
+     * fps so speed changes also apply to per-frame durations.
+     * @returns {number}
+     * @private
+     */
+    _getFrameDuration() {
+        const anim = this.currentAnimation;
+        if (!anim || !(this.fps > 0)) return 0;
+        return this._baseFrameDuration(anim, this.currentFrameIndex) * ((anim.fps || this.fps) / this.fps);
+    }
+
+    /**
+     * Unscaled duration of one frame: override, then atlas frame duration, then 1 / fps.
+     * @param {Object} anim
+     * @param {number} index
+     * @returns {number}
+     * @private
+     */
+    _baseFrameDuration(anim, index) {
+        const override = anim.durations?.[index];
+        if (override > 0) return override;
+        const frame = anim.frames?.[index];
+        if (frame && typeof frame === 'object' && frame.duration > 0) return frame.duration;
+        return anim.fps > 0 ? 1 / anim.fps : 0;
+    }
+
+    /**
+     * Runs onFrame hooks and frame events for the frame just entered.
+     * @param {number} index
+     * @private
+     */
+    _fireFrame(index) {
+        const anim = this.currentAnimation;
+        const animName = this.currentAnimationName;
+        for (const hook of this._frameHooks.slice()) {
+            if (hook.index !== index || (hook.animation !== null && hook.animation !== animName)) continue;
+            try {
+                hook.fn(index, animName);
+            } catch (e) {
+                console.error(`AnimatedSprite '${this.name}': onFrame failed:`, e);
+            }
+        }
+        if (!anim?.events?.length) return;
+        for (const ev of anim.events) {
+            if (ev.frame !== index) continue;
+            this.emit(ev.name, ev.data);
+            this.emit('event', { name: ev.name, data: ev.data, animation: animName, frame: index });
+        }
+    }
+
+    /** @private */
+    _fireComplete() {
+        const animName = this.currentAnimationName;
+        this.emit('animationFinished', { name: animName });
+        if (this.onAnimationComplete) this.onAnimationComplete(animName);
+        for (const fn of this._completeHooks.slice()) {
+            try {
+                fn(animName);
+            } catch (e) {
+                console.error(`AnimatedSprite '${this.name}': onComplete failed:`, e);
             }
         }
     }
 
+    /**
+     * Draws a SpriteAtlas frame: the trimmed rect is placed where it sat in the untrimmed
+     * source, the frame pivot is moved onto the sprite's center and rotated frames are turned
+     * back upright. The sprite's width/height map to the frame's source size.
+     * @param {Object} frame
+     * @private
+     */
+    _drawAtlasFrame(frame) {
+        const q = this.getWorldQuad(false, false);
+        const sx = (q.width / frame.sourceW) * (this.flipX ? -1 : 1);
+        const sy = (q.height / frame.sourceH) * (this.flipY ? -1 : 1);
+
+        // Trimmed rect center relative to the sprite center, in sprite-local units.
+        const ox = sx * (frame.trimX + frame.trimW * 0.5 - frame.sourceW * (frame.pivotX ?? 0.5));
+        const oy = sy * (frame.trimY + frame.trimH * 0.5 - frame.sourceH * (frame.pivotY ?? 0.5));
+        const cos = Math.cos(q.rotation);
+        const sin = Math.sin(q.rotation);
+        const lx = ox + q.shear * oy;
+        const cx = q.x + q.width * 0.5 + lx * cos - oy * sin;
+        const cy = q.y + q.height * 0.5 + lx * sin + oy * cos;
+
+        const w = sx * frame.trimW;
+        const h = sy * frame.trimH;
+        if (frame.rotated) {
+            // Stored 90 degrees clockwise: the quad's width runs up the sprite and its height
+            // runs right. Shear can't be expressed in that frame and is dropped.
+            this.renderer.drawQuad(
+                this.texture,
+                cx - h * 0.5, cy - w * 0.5, h, w,
+                frame.x, frame.y, frame.h, frame.w,
+                this.color, q.rotation - Math.PI / 2, 0
+            );
+        } else {
+            this.renderer.drawQuad(
+                this.texture,
+                cx - w * 0.5, cy - h * 0.5, w, h,
+                frame.x, frame.y, frame.w, frame.h,
+                this.color, q.rotation, q.shear
+            );
+        }
+    }
+
     draw() {
         if (!this.active) return;
         if (!this.visible) return;
@@ -204,21 +435,9 @@ export default class AnimatedSprite extends Sprite {
              // Draw using images
              const tex = this.currentAnimation.images[this.currentFrameIndex];
              if (tex) {
-                let drawX = this.x;
-                let drawY = this.y;
-                let drawW = this.width;
-                let drawH = this.height;
-
-                if (this.flipX) {
-                    drawX += drawW;
-                    drawW = -drawW;
-                }
-                if (this.flipY) {
-                    drawY += drawH;
-                    drawH = -drawH;
-                }
-
-                this.renderer.drawQuad(tex, drawX, drawY, drawW, drawH, this.color);
+                // World-space quad; flipping mirrors the geometry.
+                const q = this.getWorldQuad(this.flipX, this.flipY);
+                this.renderer.drawQuad(tex, q.x, q.y, q.width, q.height, this.color, q.rotation, q.shear);
              } else {
                  // Debug log for missing texture (throttle to avoid spam)
                  if (Math.random() < 0.01) console.log(`[AnimatedSprite] Waiting for texture for '${this.currentAnimationName}' frame ${this.currentFrameIndex}`);
@@ -231,10 +450,13 @@ export default class AnimatedSprite extends Sprite {
             let srcH = this.frameHeight || this.height;
 
             // Calculate source rectangle based on current frame
+            let atlasFrame = null;
             if (this.currentAnimation) {
                 const frame = this.currentAnimation.frames[this.currentFrameIndex];
                 
-                if (typeof frame === 'number') {
+                if (frame && typeof frame === 'object' && frame.sourceW > 0 && frame.sourceH > 0) {
+                    atlasFrame = frame;
+                } else if (typeof frame === 'number') {
                     // Grid-based calculation
                     const dims = this.renderer?._textureDimensions?.get(this.texture);
                     const texWidth = dims ? dims.width : 0;
@@ -271,28 +493,19 @@ export default class AnimatedSprite extends Sprite {
                  }
             }
 
-            let drawX = this.x;
-            let drawY = this.y;
-            let drawW = this.width;
-            let drawH = this.height;
+            if (atlasFrame) {
+                this._drawAtlasFrame(atlasFrame);
+            } else if (!this.nineSlice || !this._drawNineSlice(srcX, srcY, srcW, srcH, this.flipX, this.flipY)) {
+                // World-space quad; flipping mirrors the geometry.
+                const q = this.getWorldQuad(this.flipX, this.flipY);
 
-            // Handle flipping by modifying geometry
-            if (this.flipX) {
-                drawX += drawW;
-                drawW = -drawW;
+                this.renderer.drawQuad(
+                    this.texture, 
+                    q.x, q.y, q.width, q.height, 
+                    srcX, srcY, srcW, srcH,
+                    this.color, q.rotation, q.shear
+                );
             }
-            if (this.flipY) {
-                drawY += drawH;
-                drawH = -drawH;
-            }
-
-            // Pass color to drawQuad (requires updated Renderer)
-            this.renderer.drawQuad(
-                this.texture, 
-                drawX, drawY, drawW, drawH, 
-                srcX, srcY, srcW, srcH,
-                this.color
-            );
         }
 
         // Draw children (Sprite handles cached sorting)
@@ -0,0 +1,342 @@
+/**
+ * @typedef {{
+ *   time: number,
+ *   value: any,
+ *   inTangent?: number | number[],
+ *   outTangent?: number | number[],
+ * }} Keyframe
+ * Tangents (cubic only) are slopes in value units per second; omitted ones are derived from
+ * the neighbouring keys (Catmull-Rom).
+ */
+
+/**
+ * @typedef {{
+ *   path: string,
+ *   node: string,
+ *   property: string,
+ *   interpolation: 'step' | 'linear' | 'cubic',
+ *   keys: Keyframe[],
+ * }} AnimationTrack
+ */
+
+/**
+ * @typedef {{ time: number, name: string, data?: any }} AnimationEvent
+ */
+
+const INTERPOLATIONS = ['step', 'linear', 'cubic'];
+
+/**
+ * Keyframed property animation, played by an AnimationPlayer.
+ *
+ * Each track targets one property through a path relative to the player's root node:
+ *
+ *   'rotY'                                 property of the root itself
+ *   'Door/rotY'                            property of the child `Door`
+ *   'Light.intensity'                      same, `.` instead of the last `/`
+ *   'Door/Hinge.material.metallicFactor'   nested property of `Door/Hinge`
+ *   '.material.metallicFactor'             nested property of the root
+ *
+ * Values are numbers, booleans/strings (always stepped) or arrays (colors, `[x, y, z]` for
+ * Vector3 properties such as Camera3D.position). Events fire when the playhead crosses their time.
+ *
+ * Clip files (see AnimationClip.load) are JSON:
+ *
+ *   { "name": "open", "duration": 1, "loop": false,
+ *     "tracks": [{ "path": "Door/rotY", "interpolation": "cubic", "keys": [[0, 0], [1, 1.57]] }],
+ *     "events": [{ "time": 0.9, "name": "slam" }] }
+ *
+ * (a list of clips may be given as an array or `{ "clips": [...] }`), or XML:
+ *
+ *   <AnimationClip name="open" duration="1">
+ *       <Track path="Door/rotY" interpolation="cubic">
+ *           <Key time="0" value="0" />
+ *           <Key time="1" value="1.57" event="slam" />
+ *       </Track>
+ *       <Event time="0.5" name="creak" data="loud" />
+ *   </AnimationClip>
+ *
+ * (several clips may be wrapped in `<AnimationClips>`).
+ */
+export default class AnimationClip {
+    /**
+     * @param {string} [name='']
+     * @param {{ duration?: number, loop?: boolean }} [options] - duration defaults to the last key/event.
+     */
+    constructor(name = '', options = {}) {
+        this.name = name;
+        this.loop = !!options.loop;
+        /** File the clip was loaded from ('' for clips built in code or inline in a scene). */
+        this.source = '';
+        /** @type {AnimationTrack[]} */
+        this.tracks = [];
+        /** @type {AnimationEvent[]} Sorted by time. */
+        this.events = [];
+        this._duration = Number.isFinite(options.duration) && options.duration >= 0 ? options.duration : null;
+    }
+
+    /**
+     * Clip length in seconds (explicit, or the time of the last key/event).
+     * @type {number}
+     */
+    get duration() {
+        if (this._duration !== null) return this._duration;
+        let end = 0;
+        for (const track of this.tracks) {
+            if (track.keys.length > 0) end = Math.max(end, track.keys[track.keys.length - 1].time);
+        }
+        for (const ev of this.events) end = Math.max(end, ev.time);
+        return end;
+    }
+    set duration(v) {
+        const n = Number(v);
+        this._duration = Number.isFinite(n) && n >= 0 ? n : null;
+    }
+
+    /**
+     * @param {string} path - Node path + property (see the class docs).
+     * @param {Keyframe[]} keys
+     * @param {'step' | 'linear' | 'cubic'} [interpolation='linear']
+     * @returns {AnimationTrack}
+     */
+    addTrack(path, keys, interpolation = 'linear') {
+        if (!INTERPOLATIONS.includes(interpolation)) {
+            console.warn(`AnimationClip '${this.name}': unknown interpolation '${interpolation}' on '${path}', using linear.`);
+            interpolation = 'linear';
+        }
+        const { node, property } = AnimationClip.splitPath(path);
+        const sorted = (keys || [])
+            .filter((k) => k && Number.isFinite(k.time))
+            .sort((a, b) => a.time - b.time);
+        /** @type {AnimationTrack} */
+        const track = { path, node, property, interpolation, keys: sorted };
+        this.tracks.push(track);
+        return track;
+    }
+
+    /**
+     * @param {number} time
+     * @param {string} name
+     * @param {any} [data]
+     * @returns {AnimationEvent}
+     */
+    addEvent(time, name, data) {
+        const ev = { time: Math.max(0, Number(time) || 0), name, data };
+        this.events.push(ev);
+        this.events.sort((a, b) => a.time - b.time);
+        return ev;
+    }
+
+    /**
+     * Value of a track at `time` (clamped to its first/last key).
+     * @param {AnimationTrack} track
+     * @param {number} time
+     * @returns {any}
+     */
+    sample(track, time) {
+        const keys = track.keys;
+        const n = keys.length;
+        if (n === 0) return undefined;
+        if (n === 1 || time <= keys[0].time) return keys[0].value;
+        if (time >= keys[n - 1].time) return keys[n - 1].value;
+
+        // Last key at or before `time`.
+        let lo = 0;
+        let hi = n - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (keys[mid].time <= time) lo = mid;
+            else hi = mid;
+        }
+        const k0 = keys[lo];
+        const k1 = keys[hi];
+        const v0 = k0.value;
+        const v1 = k1.value;
+
+        const numeric = typeof v0 === 'number' || Array.isArray(v0);
+        if (track.interpolation === 'step' || !numeric || typeof v0 !== typeof v1) return v0;
+
+        const span = k1.time - k0.time;
+        const t = span > 0 ? (time - k0.time) / span : 1;
+
+        if (track.interpolation === 'linear') {
+            if (typeof v0 === 'number') return v0 + (v1 - v0) * t;
+            return v0.map((a, i) => a + ((v1[i] ?? a) - a) * t);
+        }
+
+        // Cubic Hermite.
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const h00 = 2 * t3 - 3 * t2 + 1;
+        const h10 = t3 - 2 * t2 + t;
+        const h01 = -2 * t3 + 3 * t2;
+        const h11 = t3 - t2;
+        const m0 = k0.outTangent ?? AnimationClip._autoTangent(keys, lo);
+        const m1 = k1.inTangent ?? AnimationClip._autoTangent(keys, hi);
+        const hermite = (p0, p1, s0, s1) => h00 * p0 + h10 * span * s0 + h01 * p1 + h11 * span * s1;
+
+        if (typeof v0 === 'number') return hermite(v0, v1, Number(m0) || 0, Number(m1) || 0);
+        return v0.map((a, i) => hermite(
+            a,
+            v1[i] ?? a,
+            Array.isArray(m0) ? (m0[i] || 0) : (Number(m0) || 0),
+            Array.isArray(m1) ? (m1[i] || 0) : (Number(m1) || 0),
+        ));
+    }
+
+    /**
+     * Events in (from, to] — `from` exclusive so an event is not fired twice across frames.
+     * @param {number} from
+     * @param {number} to
+     * @returns {AnimationEvent[]}
+     */
+    eventsBetween(from, to) {
+        if (this.events.length === 0 || to <= from) return [];
+        return this.events.filter((ev) => ev.time > from && ev.time <= to);
+    }
+
+    /**
+     * Splits a track path into node path and property path (see the class docs).
+     * @param {string} path
+     * @returns {{ node: string, property: string }}
+     */
+    static splitPath(path) {
+        const p = String(path || '').trim();
+        const slash = p.lastIndexOf('/');
+        const head = slash >= 0 ? p.slice(0, slash) : '';
+        const last = slash >= 0 ? p.slice(slash + 1) : p;
+        const dot = last.indexOf('.');
+        if (dot < 0) return { node: head, property: last };
+        if (slash < 0 && dot === 0) return { node: '', property: last.slice(1) };
+        const name = last.slice(0, dot);
+        return { node: head ? `${head}/${name}` : name, property: last.slice(dot + 1) };
+    }
+
+    /**
+     * Builds a clip from its JSON form. Keys may be `{time, value, inTangent, outTangent, event}`
+     * or `[time, value]`.
+     * @param {any} data
+     * @returns {AnimationClip}
+     */
+    static fromJSON(data) {
+        const clip = new AnimationClip(String(data?.name || ''), {
+            duration: data?.duration !== undefined ? Number(data.duration) : undefined,
+            loop: !!data?.loop,
+        });
+        for (const t of Array.isArray(data?.tracks) ? data.tracks : []) {
+            const keys = [];
+            for (const k of Array.isArray(t?.keys) ? t.keys : []) {
+                const key = Array.isArray(k) ? { time: Number(k[0]), value: k[1] } : { ...k, time: Number(k?.time) };
+                if (!Array.isArray(k) && k?.event) clip.addEvent(key.time, String(k.event), k.data);
+                delete key.event;
+                delete key.data;
+                keys.push(key);
+            }
+            clip.addTrack(String(t?.path || ''), keys, t?.interpolation || 'linear');
+        }
+        for (const ev of Array.isArray(data?.events) ? data.events : []) {
+            if (ev && ev.name) clip.addEvent(Number(ev.time) || 0, String(ev.name), ev.data);
+        }
+        return clip;
+    }
+
+    /**
+     * Builds a clip from an `<AnimationClip>` element.
+     * @param {Element} el
+     * @returns {AnimationClip}
+     */
+    static parseXml(el) {
+        const durationAttr = el.getAttribute('duration');
+        const clip = new AnimationClip(el.getAttribute('name') || '', {
+            duration: durationAttr !== null ? parseFloat(durationAttr) : undefined,
+            loop: el.getAttribute('loop') === 'true',
+        });
+        for (const child of Array.from(el.children)) {
+            if (child.tagName === 'Track') {
+                const keys = [];
+                for (const k of Array.from(child.children)) {
+                    if (k.tagName !== 'Key') continue;
+                    const time = parseFloat(k.getAttribute('time') || '0');
+                    /** @type {Keyframe} */
+                    const key = { time, value: AnimationClip.parseValue(k.getAttribute('value')) };
+                    if (k.hasAttribute('inTangent')) key.inTangent = AnimationClip.parseValue(k.getAttribute('inTangent'));
+                    if (k.hasAttribute('outTangent')) key.outTangent = AnimationClip.parseValue(k.getAttribute('outTangent'));
+                    keys.push(key);
+                    if (k.hasAttribute('event')) {
+                        const data = k.getAttribute('data');
+                        clip.addEvent(time, k.getAttribute('event'), data !== null ? AnimationClip.parseValue(data) : undefined);
+                    }
+                }
+                clip.addTrack(child.getAttribute('path') || '', keys, /** @type {any} */ (child.getAttribute('interpolation') || 'linear'));
+            } else if (child.tagName === 'Event') {
+                const name = child.getAttribute('name');
+                if (!name) continue;
+                const data = child.getAttribute('data');
+                clip.addEvent(parseFloat(child.getAttribute('time') || '0'), name, data !== null ? AnimationClip.parseValue(data) : undefined);
+            }
+        }
+        return clip;
+    }
+
+    /**
+     * Parses an XML attribute value: `"1.5"` → 1.5, `"1,0,0"` → [1, 0, 0], `"true"` → true, else the string.
+     * @param {string | null} raw
+     * @returns {any}
+     */
+    static parseValue(raw) {
+        if (raw === null || raw === undefined) return undefined;
+        const s = String(raw).trim();
+        if (s === 'true' || s === 'false') return s === 'true';
+        if (s.includes(',')) {
+            const parts = s.split(',').map((v) => parseFloat(v));
+            if (parts.every((v) => Number.isFinite(v))) return parts;
+        }
+        const n = Number(s);
+        return s !== '' && Number.isFinite(n) ? n : s;
+    }
+
+    /**
+     * Loads the clips of a `.json` or `.xml` clip file.
+     * @param {string} url
+     * @returns {Promise<AnimationClip[]>}
+     */
+    static async load(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const text = await response.text();
+            const trimmed = text.trimStart();
+
+            if (trimmed.startsWith('<')) {
+                const doc = new DOMParser().parseFromString(text, 'application/xml');
+                const root = doc.documentElement;
+                if (!root || root.getElementsByTagName('parsererror').length > 0) throw new Error('invalid XML');
+                const elements = root.tagName === 'AnimationClip'
+                    ? [root]
+                    : Array.from(root.children).filter((c) => c.tagName === 'AnimationClip');
+                return elements.map((el) => Object.assign(AnimationClip.parseXml(el), { source: url }));
+            }
+
+            const data = JSON.parse(text);
+            const list = Array.isArray(data) ? data : (Array.isArray(data?.clips) ? data.clips : [data]);
+            return list.map((d) => Object.assign(AnimationClip.fromJSON(d), { source: url }));
+        } catch (e) {
+            console.warn(`AnimationClip: failed to load '${url}':`, e);
+            return [];
+        }
+    }
+
+    /**
+     * Catmull-Rom slope at key `i` (one-sided at the ends).
+     * @param {Keyframe[]} keys
+     * @param {number} i
+     * @returns {number | number[]}
+     */
+    static _autoTangent(keys, i) {
+        const a = keys[Math.max(0, i - 1)];
+        const b = keys[Math.min(keys.length - 1, i + 1)];
+        const dt = b.time - a.time;
+        if (dt <= 0) return 0;
+        if (typeof a.value === 'number') return (b.value - a.value) / dt;
+        return a.value.map((v, j) => ((b.value[j] ?? v) - v) / dt);
+    }
+}
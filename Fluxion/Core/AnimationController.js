@@ -0,0 +1,523 @@
+/**
+ * @typedef {{ name: string, type: 'bool' | 'float' | 'trigger', defaultValue: boolean | number }} AnimationParameter
+ */
+
+/**
+ * @typedef {{ name: string, clip: string, speed: number, loop: boolean | null }} AnimationControllerState
+ * `loop` null keeps the clip's own setting.
+ */
+
+/**
+ * @typedef {{ param: string, op: '==' | '!=' | '>' | '<' | '>=' | '<=', value: boolean | number }} AnimationCondition
+ */
+
+/**
+ * @typedef {{
+ *   from: string,
+ *   to: string,
+ *   conditions: AnimationCondition[],
+ *   exitTime: number | null,
+ *   fade: number,
+ * }} AnimationTransition
+ * `from` '*' is any state. `exitTime` is in clip lengths (1 = the end of the first pass).
+ */
+
+const PARAMETER_TYPES = ['bool', 'float', 'trigger'];
+const CONDITION_RE = /^(!?)\s*([A-Za-z_][\w.-]*)\s*(?:(==|!=|>=|<=|>|<)\s*(.+))?$/;
+
+/**
+ * Animation state machine asset: states mapped to clips, parameters and the transitions between
+ * states. One controller can drive many nodes; each gets its own AnimationStateMachine.
+ *
+ *   <AnimatedSprite name="Hero" ... controller="Anims/hero.controller.xml" />
+ *
+ *   <AnimationController name="Hero">
+ *       <Parameter name="speed" type="float" default="0" />
+ *       <Parameter name="grounded" type="bool" default="true" />
+ *       <Parameter name="jump" type="trigger" />
+ *       <State name="Idle" clip="idle" default="true" />
+ *       <State name="Run" clip="run" speed="1.2" />
+ *       <State name="Jump" clip="jump" loop="false" />
+ *       <Transition from="Idle" to="Run" when="speed > 0.1" fade="0.2" />
+ *       <Transition from="Run" to="Idle" when="speed <= 0.1" fade="0.2" />
+ *       <Transition from="*" to="Jump" when="jump &amp;&amp; grounded" />
+ *       <Transition from="Jump" to="Idle" exitTime="1" />
+ *   </AnimationController>
+ *
+ * (inline as a child of `<AnimatedSprite>`/`<MeshNode>`, or as the root of a controller file).
+ * The JSON form mirrors it:
+ *
+ *   { "name": "Hero", "parameters": [{ "name": "speed", "type": "float", "default": 0 }],
+ *     "states": [{ "name": "Idle", "clip": "idle", "default": true }],
+ *     "transitions": [{ "from": "Idle", "to": "Run", "when": "speed > 0.1", "fade": 0.2 }] }
+ *
+ * `when` joins conditions with `&&`: `grounded`, `!grounded`, `speed > 0.1`, `jump` (trigger).
+ * A transition without conditions waits for its `exitTime` (default 1). `fade` crossfades
+ * 3D clips; sprites switch immediately.
+ */
+export default class AnimationController {
+    /**
+     * @param {string} [name='']
+     */
+    constructor(name = '') {
+        this.name = name;
+        /** File the controller was loaded from ('' for controllers built in code or inline). */
+        this.source = '';
+        /** @type {Map<string, AnimationParameter>} */
+        this.parameters = new Map();
+        /** @type {Map<string, AnimationControllerState>} */
+        this.states = new Map();
+        /** State entered first (defaults to the first state added). */
+        this.defaultState = '';
+        /** @type {AnimationTransition[]} Checked in order; any-state ('*') transitions first. */
+        this.transitions = [];
+    }
+
+    /**
+     * @param {string} name
+     * @param {'bool' | 'float' | 'trigger'} [type='float']
+     * @param {boolean | number} [defaultValue]
+     * @returns {AnimationParameter}
+     */
+    addParameter(name, type = 'float', defaultValue) {
+        if (!PARAMETER_TYPES.includes(type)) {
+            console.warn(`AnimationController '${this.name}': unknown parameter type '${type}' for '${name}', using float.`);
+            type = 'float';
+        }
+        const value = type === 'float' ? (Number(defaultValue) || 0) : (type === 'bool' ? !!defaultValue : false);
+        /** @type {AnimationParameter} */
+        const param = { name, type, defaultValue: value };
+        this.parameters.set(name, param);
+        return param;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} [clip] - Clip (sprite animation or 3D clip) name; defaults to the state name.
+     * @param {{ speed?: number, loop?: boolean, isDefault?: boolean }} [options]
+     * @returns {AnimationControllerState}
+     */
+    addState(name, clip = name, options = {}) {
+        const speed = Number(options.speed);
+        /** @type {AnimationControllerState} */
+        const state = {
+            name,
+            clip: clip || name,
+            speed: Number.isFinite(speed) && speed > 0 ? speed : 1,
+            loop: typeof options.loop === 'boolean' ? options.loop : null,
+        };
+        this.states.set(name, state);
+        if (!this.defaultState || options.isDefault) this.defaultState = name;
+        return state;
+    }
+
+    /**
+     * @param {string} from - State name, or '*' for any state.
+     * @param {string} to
+     * @param {{ when?: string, conditions?: AnimationCondition[], exitTime?: number | null, fade?: number }} [options]
+     * @returns {AnimationTransition}
+     */
+    addTransition(from, to, options = {}) {
+        const conditions = Array.isArray(options.conditions)
+            ? options.conditions.slice()
+            : AnimationController.parseConditions(options.when || '');
+        const exitTime = Number.isFinite(options.exitTime) ? Math.max(0, Number(options.exitTime)) : null;
+        /** @type {AnimationTransition} */
+        const transition = {
+            from: from || '*',
+            to,
+            conditions,
+            // Without conditions the transition would fire every frame; wait for the clip instead.
+            exitTime: exitTime === null && conditions.length === 0 ? 1 : exitTime,
+            fade: Math.max(0, Number(options.fade) || 0),
+        };
+        this.transitions.push(transition);
+        return transition;
+    }
+
+    /**
+     * Transitions that can leave `state`: any-state ones first (never back into `state`), then its own.
+     * @param {string} state
+     * @returns {AnimationTransition[]}
+     */
+    getTransitions(state) {
+        const any = this.transitions.filter((t) => t.from === '*' && t.to !== state);
+        return any.concat(this.transitions.filter((t) => t.from === state));
+    }
+
+    /**
+     * @param {any} target - AnimatedSprite or MeshNode.
+     * @returns {AnimationStateMachine}
+     */
+    createStateMachine(target) {
+        return new AnimationStateMachine(this, target);
+    }
+
+    /**
+     * Parses a `when` string: conditions joined with `&&`.
+     * @param {string} when
+     * @returns {AnimationCondition[]}
+     */
+    static parseConditions(when) {
+        /** @type {AnimationCondition[]} */
+        const out = [];
+        for (const part of String(when || '').split('&&')) {
+            const s = part.trim();
+            if (!s) continue;
+            const m = CONDITION_RE.exec(s);
+            if (!m) {
+                console.warn(`AnimationController: cannot parse condition '${s}'.`);
+                continue;
+            }
+            const [, not, param, op, raw] = m;
+            if (!op) {
+                out.push({ param, op: '==', value: !not });
+                continue;
+            }
+            const v = raw.trim();
+            const value = v === 'true' || v === 'false' ? v === 'true' : Number(v);
+            if (typeof value === 'number' && !Number.isFinite(value)) {
+                console.warn(`AnimationController: condition '${s}' needs a number or true/false.`);
+                continue;
+            }
+            out.push({ param, op: /** @type {AnimationCondition['op']} */ (op), value });
+        }
+        return out;
+    }
+
+    /**
+     * @param {any} data
+     * @returns {AnimationController}
+     */
+    static fromJSON(data) {
+        const controller = new AnimationController(String(data?.name || ''));
+        for (const p of Array.isArray(data?.parameters) ? data.parameters : []) {
+            if (p?.name) controller.addParameter(String(p.name), p.type || 'float', p.default);
+        }
+        for (const s of Array.isArray(data?.states) ? data.states : []) {
+            if (!s?.name) continue;
+            controller.addState(String(s.name), s.clip ? String(s.clip) : undefined, {
+                speed: s.speed,
+                loop: s.loop,
+                isDefault: !!s.default,
+            });
+        }
+        if (data?.defaultState && controller.states.has(data.defaultState)) controller.defaultState = data.defaultState;
+        for (const t of Array.isArray(data?.transitions) ? data.transitions : []) {
+            if (!t?.to) continue;
+            controller.addTransition(String(t.from || '*'), String(t.to), {
+                when: t.when,
+                conditions: t.conditions,
+                exitTime: t.exitTime !== undefined && t.exitTime !== null ? Number(t.exitTime) : null,
+                fade: t.fade,
+            });
+        }
+        return controller;
+    }
+
+    /**
+     * Builds a controller from an `<AnimationController>` element.
+     * @param {Element} el
+     * @returns {AnimationController}
+     */
+    static parseXml(el) {
+        const controller = new AnimationController(el.getAttribute('name') || '');
+        for (const child of Array.from(el.children)) {
+            if (child.tagName === 'Parameter') {
+                const name = child.getAttribute('name');
+                if (!name) continue;
+                const type = /** @type {any} */ (child.getAttribute('type') || 'float');
+                const raw = child.getAttribute('default');
+                controller.addParameter(name, type, type === 'bool' ? raw === 'true' : parseFloat(raw || '0'));
+            } else if (child.tagName === 'State') {
+                const name = child.getAttribute('name');
+                if (!name) continue;
+                const loop = child.getAttribute('loop');
+                controller.addState(name, child.getAttribute('clip') || name, {
+                    speed: parseFloat(child.getAttribute('speed') || '1'),
+                    loop: loop === null ? undefined : loop === 'true',
+                    isDefault: child.getAttribute('default') === 'true',
+                });
+            } else if (child.tagName === 'Transition') {
+                const to = child.getAttribute('to');
+                if (!to) continue;
+                const exitTime = child.getAttribute('exitTime');
+                controller.addTransition(child.getAttribute('from') || '*', to, {
+                    when: child.getAttribute('when') || '',
+                    exitTime: exitTime !== null ? parseFloat(exitTime) : null,
+                    fade: parseFloat(child.getAttribute('fade') || '0'),
+                });
+            }
+        }
+        const def = el.getAttribute('default');
+        if (def && controller.states.has(def)) controller.defaultState = def;
+        return controller;
+    }
+
+    /**
+     * Loads a `.json` or `.xml` controller file.
+     * @param {string} url
+     * @returns {Promise<AnimationController | null>}
+     */
+    static async load(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const text = await response.text();
+
+            let controller;
+            if (text.trimStart().startsWith('<')) {
+                const doc = new DOMParser().parseFromString(text, 'application/xml');
+                const root = doc.documentElement;
+                if (!root || root.getElementsByTagName('parsererror').length > 0) throw new Error('invalid XML');
+                if (root.tagName !== 'AnimationController') throw new Error(`expected <AnimationController>, got <${root.tagName}>`);
+                controller = AnimationController.parseXml(root);
+            } else {
+                controller = AnimationController.fromJSON(JSON.parse(text));
+            }
+            controller.source = url;
+            return controller;
+        } catch (e) {
+            console.warn(`AnimationController: failed to load '${url}':`, e);
+            return null;
+        }
+    }
+}
+
+/**
+ * Runs an AnimationController on one AnimatedSprite or MeshNode.
+ *
+ *   const sm = hero.setAnimationController(controller);
+ *   sm.setFloat('speed', Math.abs(vx));
+ *   sm.setBool('grounded', onGround);
+ *   sm.setTrigger('jump');
+ *   hero.on('stateEnter', ({ state }) => { ... });
+ *
+ * Entering and leaving a state emit `stateEnter` (`{ state, previous }`) and `stateExit`
+ * (`{ state, next }`) on the target, and call onStateEnter/onStateExit.
+ */
+export class AnimationStateMachine {
+    /**
+     * @param {AnimationController} controller
+     * @param {any} target - AnimatedSprite (uses play) or MeshNode (uses playAnimation).
+     */
+    constructor(controller, target) {
+        this.controller = controller;
+        this.target = target;
+        /** @type {Map<string, boolean | number>} */
+        this.parameters = new Map();
+        for (const p of controller.parameters.values()) this.parameters.set(p.name, p.defaultValue);
+        /** @type {string} */
+        this.currentState = '';
+        /** @type {string} */
+        this.previousState = '';
+        /** Seconds spent in the current state. */
+        this.stateTime = 0;
+        /** @type {((state: string, previous: string) => void) | null} */
+        this.onStateEnter = null;
+        /** @type {((state: string, next: string) => void) | null} */
+        this.onStateExit = null;
+
+        this._pendingFade = -1;
+        this._warned = new Set();
+    }
+
+    /**
+     * Time in the current state, in clip lengths (0 at entry, 1 at the end of the first pass).
+     * @type {number}
+     */
+    get normalizedTime() {
+        const state = this.controller.states.get(this.currentState);
+        const duration = state ? this._clipDuration(state) : 0;
+        return duration > 0 ? (this.stateTime * state.speed) / duration : 0;
+    }
+
+    /** @param {string} name @param {boolean} value */
+    setBool(name, value) {
+        this._set(name, 'bool', !!value);
+    }
+
+    /** @param {string} name @param {number} value */
+    setFloat(name, value) {
+        this._set(name, 'float', Number(value) || 0);
+    }
+
+    /**
+     * Sets a trigger; it stays set until a transition using it fires (or resetTrigger).
+     * @param {string} name
+     */
+    setTrigger(name) {
+        this._set(name, 'trigger', true);
+    }
+
+    /** @param {string} name */
+    resetTrigger(name) {
+        this._set(name, 'trigger', false);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean | number | undefined}
+     */
+    getParameter(name) {
+        return this.parameters.get(name);
+    }
+
+    /**
+     * Jumps to a state, ignoring transitions.
+     * @param {string} name
+     * @param {number} [fade=0] - Crossfade seconds (3D clips).
+     * @returns {boolean} False if the state does not exist.
+     */
+    setState(name, fade = 0) {
+        if (!this.controller.states.has(name)) {
+            console.warn(`AnimationStateMachine: unknown state '${name}'.`);
+            return false;
+        }
+        this._enter(name, fade);
+        return true;
+    }
+
+    /**
+     * Enters the default state on the first call, then advances time and takes at most one transition.
+     * @param {number} dt
+     */
+    update(dt) {
+        if (!this.currentState) {
+            if (!this.controller.defaultState) return;
+            this._enter(this.controller.defaultState, 0);
+            return;
+        }
+        // 3D targets resolve their mesh (and skeleton) after the controller is attached.
+        if (this._pendingFade >= 0) this._playCurrent(this._pendingFade);
+
+        this.stateTime += Math.max(0, dt);
+        const normalized = this.normalizedTime;
+        for (const t of this.controller.getTransitions(this.currentState)) {
+            if (t.exitTime !== null && normalized < t.exitTime) continue;
+            if (!t.conditions.every((c) => this._test(c))) continue;
+            for (const c of t.conditions) {
+                if (this.controller.parameters.get(c.param)?.type === 'trigger') this.parameters.set(c.param, false);
+            }
+            this._enter(t.to, t.fade);
+            break;
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {'bool' | 'float' | 'trigger'} type
+     * @param {boolean | number} value
+     */
+    _set(name, type, value) {
+        const param = this.controller.parameters.get(name);
+        if (!param) {
+            this._warnOnce(`param:${name}`, `AnimationStateMachine: unknown parameter '${name}'.`);
+            return;
+        }
+        if (param.type !== type) {
+            this._warnOnce(`type:${name}`, `AnimationStateMachine: parameter '${name}' is a ${param.type}, not a ${type}.`);
+            return;
+        }
+        this.parameters.set(name, value);
+    }
+
+    /**
+     * @param {AnimationCondition} c
+     * @returns {boolean}
+     */
+    _test(c) {
+        const param = this.controller.parameters.get(c.param);
+        if (!param) {
+            this._warnOnce(`param:${c.param}`, `AnimationStateMachine: unknown parameter '${c.param}'.`);
+            return false;
+        }
+        const v = this.parameters.get(c.param);
+        if (param.type === 'trigger') return v === true;
+        const a = param.type === 'bool' ? (v ? 1 : 0) : Number(v);
+        const b = typeof c.value === 'boolean' ? (c.value ? 1 : 0) : c.value;
+        switch (c.op) {
+            case '==': return a === b;
+            case '!=': return a !== b;
+            case '>': return a > b;
+            case '<': return a < b;
+            case '>=': return a >= b;
+            case '<=': return a <= b;
+            default: return false;
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {number} fade
+     */
+    _enter(name, fade) {
+        const prev = this.currentState;
+        if (prev) {
+            this.onStateExit?.(prev, name);
+            this.target?.emit?.('stateExit', { state: prev, next: name });
+        }
+        this.previousState = prev;
+        this.currentState = name;
+        this.stateTime = 0;
+        this._playCurrent(fade);
+        this.onStateEnter?.(name, prev);
+        this.target?.emit?.('stateEnter', { state: name, previous: prev });
+    }
+
+    /**
+     * Starts the current state's clip on the target (retried each update until the target can play it).
+     * @param {number} fade
+     */
+    _playCurrent(fade) {
+        const state = this.controller.states.get(this.currentState);
+        const target = this.target;
+        this._pendingFade = -1;
+        if (!state || !target) return;
+
+        if (typeof target.playAnimation === 'function') {
+            // MeshNode: wait until the glTF mesh has given it a skeleton.
+            if (!target.skeleton) {
+                this._pendingFade = fade;
+                return;
+            }
+            target.playAnimation(state.clip, { loop: state.loop ?? true, speed: state.speed, fade });
+            return;
+        }
+
+        if (typeof target.play === 'function' && target.animations instanceof Map) {
+            const anim = target.animations.get(state.clip);
+            if (!anim) {
+                this._warnOnce(`clip:${state.clip}`, `AnimationStateMachine: '${target.name}' has no animation '${state.clip}'.`);
+                return;
+            }
+            target.play(state.clip, true);
+            if (state.loop !== null) target.loop = state.loop;
+            target.fps = anim.fps * state.speed;
+        }
+    }
+
+    /**
+     * @param {AnimationControllerState} state
+     * @returns {number} Clip length in seconds at speed 1 (0 if unknown).
+     */
+    _clipDuration(state) {
+        const target = this.target;
+        const clip = target?.skeleton?.getClip?.(state.clip);
+        if (clip) return clip.duration;
+        if (typeof target?.getAnimationDuration === 'function') return target.getAnimationDuration(state.clip);
+        const anim = target?.animations instanceof Map ? target.animations.get(state.clip) : null;
+        if (anim && anim.fps > 0 && Array.isArray(anim.frames)) return anim.frames.length / anim.fps;
+        return 0;
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} message
+     */
+    _warnOnce(key, message) {
+        if (this._warned.has(key)) return;
+        this._warned.add(key);
+        console.warn(message);
+    }
+}
@@ -0,0 +1,548 @@
+import Node2D from './Node2D.js';
+import AnimationClip from './AnimationClip.js';
+import { PropertyTween } from './Tween.js';
+
+/**
+ * @typedef {import('./AnimationClip.js').AnimationEvent} AnimationEvent
+ * @typedef {import('./AnimationClip.js').AnimationTrack} AnimationTrack
+ */
+
+/**
+ * @typedef {{
+ *   fade?: number,
+ *   speed?: number,
+ *   loop?: boolean,
+ *   time?: number,
+ * }} AnimationPlayOptions
+ * `fade`: seconds to fade in (and, for play/queue, to fade the other clips out).
+ * `loop` defaults to the clip's own `loop`; `time` is the start position in seconds.
+ */
+
+/**
+ * @typedef {{
+ *   clip: AnimationClip,
+ *   time: number,
+ *   speed: number,
+ *   loop: boolean,
+ *   weight: number,
+ *   targetWeight: number,
+ *   fadeRate: number,
+ *   fresh: boolean,
+ *   finished: boolean,
+ *   holding: boolean,
+ * }} AnimationState
+ */
+
+/**
+ * Plays AnimationClips on the nodes under its root.
+ *
+ *   <AnimationPlayer name="DoorAnim" root=".." autoplay="idle" clips="Anims/door.json">
+ *       <AnimationClip name="idle" loop="true"> ... </AnimationClip>
+ *   </AnimationPlayer>
+ *
+ *   anim.play('open');
+ *   anim.crossFade('close', 0.3);
+ *   anim.queue('idle');
+ *   anim.on('slam', () => shake());     // clip events are emitted as signals
+ *
+ * Track paths resolve from `root` (a node), else `rootPath` (`.`/`..`-relative to the player,
+ * or a scene path), else the player's parent; paths not found there are looked up from the
+ * scene (`scene.getNode`). Several clips can play at once (crossFade, blend): numeric values
+ * are averaged by clip weight, other values come from the heaviest clip.
+ *
+ * Clip events emit a signal named after the event (payload: the event's data) and an `event`
+ * signal with `{ name, data, clip, time }`; a non-looping clip emits `finished` with the clip name.
+ * A finished clip stops driving its properties, so game code can move them again.
+ */
+export default class AnimationPlayer extends Node2D {
+    constructor() {
+        super();
+        this.name = 'AnimationPlayer';
+        this.active = true;
+        // Keep animating on real time while the engine is paused (UI animations).
+        this.processWhilePaused = false;
+        /** @type {Map<string, AnimationClip>} */
+        this.clips = new Map();
+        /** @type {any} Node track paths start from (overrides rootPath). */
+        this.root = null;
+        /** Root node path: `.`/`..`-relative to the player, or a scene path. Empty = the parent. */
+        this.rootPath = '';
+        /** Clip played on the first update. */
+        this.autoplay = '';
+        /** Speed multiplier for every clip. */
+        this.speed = 1;
+        this.paused = false;
+        /** @type {string[]} Clip files this player loaded (kept for saving the scene). */
+        this.clipSources = [];
+        /** @type {((event: AnimationEvent, clip: AnimationClip) => void) | null} */
+        this.onEvent = null;
+        /** @type {((clip: AnimationClip) => void) | null} */
+        this.onFinished = null;
+
+        /** @type {AnimationState[]} */
+        this._states = [];
+        /** @type {AnimationState | null} */
+        this._current = null;
+        /** @type {Array<{ name: string, options: AnimationPlayOptions }>} */
+        this._queue = [];
+        /** @type {Map<string, { target: any, key: string }>} */
+        this._bindings = new Map();
+        /** @type {Set<string>} */
+        this._warned = new Set();
+        this._autoplayed = false;
+    }
+
+    /**
+     * Name of the clip last started with play/crossFade/queue ('' if none).
+     * @returns {string}
+     */
+    get currentClip() {
+        return this._current ? this._current.clip.name : '';
+    }
+
+    /**
+     * Position of the current clip, in seconds.
+     * @returns {number}
+     */
+    get currentTime() {
+        return this._current ? this._current.time : 0;
+    }
+
+    /**
+     * @param {AnimationClip} clip
+     * @param {string} [name] - Defaults to clip.name.
+     */
+    addClip(clip, name = clip?.name) {
+        if (!clip || !name) return;
+        if (!clip.name) clip.name = name;
+        this.clips.set(name, clip);
+    }
+
+    /**
+     * @param {string} name
+     */
+    removeClip(name) {
+        const clip = this.clips.get(name);
+        if (!clip) return;
+        this.clips.delete(name);
+        this._removeStates((s) => s.clip === clip);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {AnimationClip | null}
+     */
+    getClip(name) {
+        return this.clips.get(name) || null;
+    }
+
+    /**
+     * Loads the clips of a clip file into this player.
+     * @param {string} url
+     * @returns {Promise<AnimationClip[]>}
+     */
+    async loadClips(url) {
+        const clips = await AnimationClip.load(url);
+        for (const clip of clips) this.addClip(clip);
+        return clips;
+    }
+
+    /**
+     * Plays a clip from the start, replacing (or with `fade`, fading out) the others and clearing the queue.
+     * @param {string} name
+     * @param {AnimationPlayOptions} [options]
+     * @returns {boolean} False if the clip does not exist.
+     */
+    play(name, options = {}) {
+        this._queue.length = 0;
+        return this._start(name, options, true);
+    }
+
+    /**
+     * Fades from the playing clips to another one.
+     * @param {string} name
+     * @param {number} duration - Seconds.
+     * @param {AnimationPlayOptions} [options]
+     * @returns {boolean}
+     */
+    crossFade(name, duration, options = {}) {
+        return this.play(name, { ...options, fade: duration });
+    }
+
+    /**
+     * Plays a clip on top of the others at a weight (e.g. a wave over a walk), without stopping them.
+     * Calling it again for a playing clip only changes its weight.
+     * @param {string} name
+     * @param {number} [weight=1]
+     * @param {AnimationPlayOptions} [options]
+     * @returns {boolean}
+     */
+    blend(name, weight = 1, options = {}) {
+        const clip = this._getClipOrWarn(name);
+        if (!clip) return false;
+        const w = Math.max(0, Number(weight) || 0);
+        const fade = Math.max(0, Number(options.fade) || 0);
+        let state = this._states.find((s) => s.clip === clip);
+        if (!state) {
+            state = this._createState(clip, options);
+            state.weight = fade > 0 ? 0 : w;
+            this._states.push(state);
+        }
+        state.targetWeight = w;
+        state.fadeRate = fade > 0 ? Math.abs(w - state.weight) / fade : Infinity;
+        if (w === 0 && fade === 0) this._removeStates((s) => s === state);
+        return true;
+    }
+
+    /**
+     * Plays a clip when the current one finishes (a looping current clip finishes its cycle first).
+     * Starts right away when nothing is playing.
+     * @param {string} name
+     * @param {AnimationPlayOptions} [options]
+     * @returns {boolean}
+     */
+    queue(name, options = {}) {
+        if (!this._getClipOrWarn(name)) return false;
+        if (!this._current || this._current.finished) return this._start(name, options, true);
+        this._queue.push({ name, options });
+        return true;
+    }
+
+    /**
+     * Stops one clip, or every clip (and the queue). Properties keep their current values.
+     * @param {string} [name]
+     */
+    stop(name) {
+        if (name) {
+            this._removeStates((s) => s.clip.name === name);
+            return;
+        }
+        this._states.length = 0;
+        this._queue.length = 0;
+        this._current = null;
+    }
+
+    /**
+     * @param {string} [name] - A clip name, or any clip.
+     * @returns {boolean}
+     */
+    isPlaying(name) {
+        return this._states.some((s) => !s.finished && s.targetWeight > 0 && (!name || s.clip.name === name));
+    }
+
+    /**
+     * Moves the current clip to a time (no events) and applies the pose.
+     * @param {number} time - Seconds.
+     */
+    seek(time) {
+        if (!this._current) return;
+        const d = this._current.clip.duration;
+        this._current.time = Math.max(0, Math.min(Number(time) || 0, d));
+        this._current.fresh = false;
+        this._current.finished = false;
+        this._current.holding = false;
+        this._apply();
+    }
+
+    /**
+     * Forgets resolved track targets (after changing `root` or restructuring the nodes).
+     */
+    rebind() {
+        this._bindings.clear();
+        this._warned.clear();
+    }
+
+    /**
+     * @param {number} dt
+     */
+    update(dt) {
+        if (!this.active) return;
+        if (!this._autoplayed) {
+            this._autoplayed = true;
+            if (this.autoplay && this._states.length === 0) this.play(this.autoplay);
+        }
+        if (!this.paused && this._states.length > 0) this._advance((Number(dt) || 0) * this.speed);
+
+        for (const child of this.children) {
+            if (child && typeof child.update === 'function') child.update(dt);
+        }
+    }
+
+    dispose() {
+        this.stop();
+        this._bindings.clear();
+        super.dispose();
+    }
+
+    // --- Playback ---
+
+    /**
+     * @param {string} name
+     * @param {AnimationPlayOptions} options
+     * @param {boolean} exclusive - Fade out / drop the other clips.
+     */
+    _start(name, options, exclusive) {
+        const clip = this._getClipOrWarn(name);
+        if (!clip) return false;
+        const fade = Math.max(0, Number(options.fade) || 0);
+
+        if (exclusive) {
+            for (const s of this._states) {
+                if (s.clip === clip) continue;
+                s.targetWeight = 0;
+                s.fadeRate = fade > 0 ? s.weight / fade : Infinity;
+            }
+            if (fade === 0) this._removeStates((s) => s.clip !== clip);
+        }
+
+        let state = this._states.find((s) => s.clip === clip);
+        if (state) {
+            Object.assign(state, this._createState(clip, options), { weight: state.weight });
+        } else {
+            state = this._createState(clip, options);
+            state.weight = fade > 0 ? 0 : 1;
+            this._states.push(state);
+        }
+        state.targetWeight = 1;
+        state.fadeRate = fade > 0 ? (1 - state.weight) / fade : Infinity;
+        this._current = state;
+        return true;
+    }
+
+    /**
+     * @param {AnimationClip} clip
+     * @param {AnimationPlayOptions} options
+     * @returns {AnimationState}
+     */
+    _createState(clip, options) {
+        const speed = Number(options.speed);
+        return {
+            clip,
+            time: Math.max(0, Number(options.time) || 0),
+            speed: Number.isFinite(speed) ? Math.max(0, speed) : 1,
+            loop: options.loop !== undefined ? !!options.loop : clip.loop,
+            weight: 1,
+            targetWeight: 1,
+            fadeRate: Infinity,
+            fresh: true,
+            finished: false,
+            holding: false,
+        };
+    }
+
+    /**
+     * Moves every playing clip forward, firing events, then applies the blended pose.
+     * @param {number} dt
+     */
+    _advance(dt) {
+        const finished = [];
+        for (const s of this._states.slice()) {
+            if (!s.finished) {
+                const d = s.clip.duration;
+                // A looping current clip with something queued ends at its loop point instead.
+                const loop = s.loop && !(s === this._current && this._queue.length > 0);
+                let from = s.fresh ? s.time - 1e-9 : s.time;
+                let to = s.time + dt * s.speed;
+                s.fresh = false;
+
+                if (d <= 0) {
+                    this._fireEvents(s, from, 0);
+                    to = 0;
+                    s.finished = !loop;
+                } else if (to >= d && loop) {
+                    while (to >= d) {
+                        this._fireEvents(s, from, d);
+                        from = -1e-9;
+                        to -= d;
+                    }
+                    this._fireEvents(s, from, to);
+                } else if (to >= d) {
+                    this._fireEvents(s, from, d);
+                    to = d;
+                    s.finished = true;
+                } else {
+                    this._fireEvents(s, from, to);
+                }
+                s.time = to;
+                if (s.finished) finished.push(s);
+            }
+
+            if (s.weight !== s.targetWeight) {
+                const step = Number.isFinite(s.fadeRate) ? s.fadeRate * dt : Infinity;
+                s.weight = s.weight < s.targetWeight
+                    ? Math.min(s.targetWeight, s.weight + step)
+                    : Math.max(s.targetWeight, s.weight - step);
+            }
+        }
+
+        this._apply();
+        this._removeStates((s) => s.targetWeight === 0 && s.weight <= 0);
+
+        for (const s of finished) {
+            this.emit('finished', s.clip.name);
+            if (this.onFinished) {
+                try {
+                    this.onFinished(s.clip);
+                } catch (e) {
+                    console.error(`AnimationPlayer '${this.name}': onFinished failed:`, e);
+                }
+            }
+            if (s === this._current && this._queue.length > 0) {
+                const next = this._queue.shift();
+                this._start(next.name, next.options, true);
+            }
+        }
+    }
+
+    /**
+     * @param {AnimationState} state
+     * @param {number} from - Exclusive.
+     * @param {number} to - Inclusive.
+     */
+    _fireEvents(state, from, to) {
+        for (const ev of state.clip.eventsBetween(from, to)) {
+            this.emit(ev.name, ev.data);
+            this.emit('event', { name: ev.name, data: ev.data, clip: state.clip.name, time: ev.time });
+            if (this.onEvent) {
+                try {
+                    this.onEvent(ev, state.clip);
+                } catch (e) {
+                    console.error(`AnimationPlayer '${this.name}': onEvent failed:`, e);
+                }
+            }
+        }
+    }
+
+    /**
+     * Samples the playing clips and writes the weighted values to their targets.
+     */
+    _apply() {
+        /** @type {Map<{ target: any, key: string }, { sum: any, weight: number, top: any, topWeight: number }>} */
+        const acc = new Map();
+        for (const s of this._states) {
+            // Finished clips write their last pose once, then only drive properties while fading out.
+            if (s.holding && s.weight === s.targetWeight) continue;
+            if (s.finished) s.holding = true;
+            const w = s.weight;
+            if (!(w > 0)) continue;
+            for (const track of s.clip.tracks) {
+                const binding = this._bind(track);
+                if (!binding) continue;
+                const value = s.clip.sample(track, s.time);
+                if (value === undefined) continue;
+
+                let a = acc.get(binding);
+                if (!a) {
+                    a = { sum: null, weight: 0, top: undefined, topWeight: -1 };
+                    acc.set(binding, a);
+                }
+                if (typeof value === 'number') {
+                    a.sum = (typeof a.sum === 'number' ? a.sum : 0) + value * w;
+                } else if (Array.isArray(value)) {
+                    if (!Array.isArray(a.sum)) a.sum = value.map(() => 0);
+                    for (let i = 0; i < a.sum.length; i++) a.sum[i] += (Number(value[i]) || 0) * w;
+                }
+                a.weight += w;
+                if (w > a.topWeight) {
+                    a.top = value;
+                    a.topWeight = w;
+                }
+            }
+        }
+
+        for (const [binding, a] of acc) {
+            let value = a.top;
+            if (typeof a.top === 'number' && typeof a.sum === 'number') value = a.sum / a.weight;
+            else if (Array.isArray(a.top) && Array.isArray(a.sum)) value = a.sum.map((v) => v / a.weight);
+            PropertyTween.setValue(binding.target, binding.key, value);
+            if ('_dirty' in binding.target) binding.target._dirty = true;
+        }
+    }
+
+    /**
+     * @param {(s: AnimationState) => boolean} predicate
+     */
+    _removeStates(predicate) {
+        this._states = this._states.filter((s) => !predicate(s));
+        if (this._current && !this._states.includes(this._current)) this._current = null;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {AnimationClip | null}
+     */
+    _getClipOrWarn(name) {
+        const clip = this.clips.get(name);
+        if (!clip) console.warn(`AnimationPlayer '${this.name}': no clip named '${name}'.`);
+        return clip || null;
+    }
+
+    // --- Track targets ---
+
+    /**
+     * Resolves (and caches) the object and key a track writes to.
+     * @param {AnimationTrack} track
+     * @returns {{ target: any, key: string } | null}
+     */
+    _bind(track) {
+        const id = `${track.node}|${track.property}`;
+        const cached = this._bindings.get(id);
+        if (cached) return cached;
+
+        const node = this._resolveNode(track.node);
+        const parts = track.property.split('.').filter(Boolean);
+        let target = node;
+        for (let i = 0; target && i < parts.length - 1; i++) target = target[parts[i]];
+
+        if (!target || typeof target !== 'object' || parts.length === 0) {
+            // Not cached: the node may not be in the scene yet.
+            if (!this._warned.has(id)) {
+                this._warned.add(id);
+                console.warn(`AnimationPlayer '${this.name}': cannot resolve track '${track.path}'.`);
+            }
+            return null;
+        }
+        const binding = { target, key: parts[parts.length - 1] };
+        this._bindings.set(id, binding);
+        return binding;
+    }
+
+    /**
+     * @returns {any | null}
+     */
+    _resolveRoot() {
+        if (this.root) return this.root;
+        const p = String(this.rootPath || '').trim();
+        if (!p) return this.parent || null;
+        if (p.startsWith('.')) return AnimationPlayer._walk(this, p.split('/'));
+        return this._scene ? this._scene.getNode(p) : null;
+    }
+
+    /**
+     * @param {string} path - Track node path ('' = the root).
+     * @returns {any | null}
+     */
+    _resolveNode(path) {
+        const root = this._resolveRoot();
+        if (!path) return root;
+        const found = root ? AnimationPlayer._walk(root, path.split('/')) : null;
+        if (found) return found;
+        return this._scene ? this._scene.getNode(path) : null;
+    }
+
+    /**
+     * @param {any} from
+     * @param {string[]} parts - Child names, `.` or `..`.
+     * @returns {any | null}
+     */
+    static _walk(from, parts) {
+        let node = from;
+        for (const part of parts) {
+            if (!node) return null;
+            if (part === '' || part === '.') continue;
+            if (part === '..') node = node.parent || null;
+            else node = (Array.isArray(node.children) ? node.children.find((c) => c && c.name === part) : null) || null;
+        }
+        return node;
+    }
+}
@@ -0,0 +1,343 @@
+import Time from './Time.js';
+
+/**
+ * @typedef {{
+ *   type?: 'number' | 'boolean' | 'string' | 'color' | 'enum' | 'vec2',
+ *   default?: any,
+ *   label?: string,
+ *   min?: number,
+ *   max?: number,
+ *   step?: number,
+ *   options?: Array<{label: string, value: any}>,
+ * }} BehaviourProperty
+ */
+
+/**
+ * Reusable logic attached to a scene node (sprite, mesh, text...).
+ *
+ * Subclass it, override the lifecycle methods you need and register the class so XML
+ * can refer to it by name:
+ *
+ *   class PlayerController extends Behaviour {
+ *       static properties = { speed: { type: 'number', default: 5 } };
+ *       update(dt) { this.node.x += this.speed * dt; }
+ *   }
+ *   BehaviourRegistry.register('PlayerController', PlayerController);
+ *
+ *   <Sprite name="Player" ...>
+ *       <Behaviour type="PlayerController" speed="5" />
+ *   </Sprite>
+ *
+ * Scene.update drives attached behaviours: `onEnable` + `onStart` run once before the first
+ * update, then `update(dt)` every frame and `fixedUpdate(dt)` every fixed tick. `onDestroy` runs
+ * when the behaviour or its node is removed from the scene, or when the scene is disposed.
+ * Nodes frozen by pause (see Time.isFrozen) skip their behaviours unless the node or the
+ * behaviour sets `processWhilePaused`.
+ */
+export default class Behaviour {
+    /**
+     * Declared, editable fields: defaults, XML attribute parsing and inspector fields.
+     * `vec2` values are `[x, y]` arrays (`"x,y"` in XML).
+     * @type {Record<string, BehaviourProperty>}
+     */
+    static properties = {};
+
+    /**
+     * @param {Record<string, any>} [props] - Initial values, applied over the declared defaults.
+     */
+    constructor(props = {}) {
+        /** Registry name (set by BehaviourRegistry.create, else the class name). */
+        this.type = BehaviourRegistry.nameOf(this.constructor) || this.constructor.name;
+        /** @type {any} The node this behaviour is attached to. */
+        this.node = null;
+        /** @type {import('./Scene.js').default | null} Set when the scene first runs it. */
+        this.scene = null;
+        this.processWhilePaused = false;
+        this._enabled = true;
+        this._started = false;
+        this._destroyed = false;
+
+        const declared = Behaviour.getProperties(this.constructor);
+        for (const key of Object.keys(declared)) {
+            const def = declared[key].default;
+            this[key] = (def && typeof def === 'object') ? structuredClone(def) : def;
+        }
+        Object.assign(this, props);
+    }
+
+    /**
+     * Disabled behaviours are skipped by the scene. Toggling calls onEnable/onDisable once started.
+     * @type {boolean}
+     */
+    get enabled() { return this._enabled; }
+    set enabled(v) {
+        v = !!v;
+        if (this._enabled === v) return;
+        this._enabled = v;
+        if (!this._started || this._destroyed) return;
+        if (v) this.onEnable();
+        else this.onDisable();
+    }
+
+    /** Called once, before the first update (after onEnable). */
+    onStart() {}
+
+    /** @param {number} dt - Seconds (scaled game time). */
+    update(dt) {}
+
+    /** @param {number} dt - The fixed tick length in seconds. */
+    fixedUpdate(dt) {}
+
+    /** Called when the behaviour becomes enabled (also right before onStart). */
+    onEnable() {}
+
+    /** Called when the behaviour becomes disabled (also right before onDestroy). */
+    onDisable() {}
+
+    /** Called once when the behaviour is removed or its node/scene goes away. */
+    onDestroy() {}
+
+    /**
+     * Detaches this behaviour from its node (calling onDestroy).
+     */
+    destroy() {
+        if (this.node) Behaviour.remove(this.node, this);
+        else Behaviour._destroy(this);
+    }
+
+    /**
+     * Finds another behaviour on the same node.
+     * @param {string | Function} typeOrClass
+     * @returns {Behaviour | null}
+     */
+    getBehaviour(typeOrClass) {
+        return this.node ? Behaviour.get(this.node, typeOrClass) : null;
+    }
+
+    /**
+     * Declared properties of a behaviour class, including inherited ones.
+     * @param {Function} cls
+     * @returns {Record<string, BehaviourProperty>}
+     */
+    static getProperties(cls) {
+        const chain = [];
+        for (let c = cls; c && c !== Function.prototype; c = Object.getPrototypeOf(c)) {
+            if (Object.prototype.hasOwnProperty.call(c, 'properties')) chain.unshift(c.properties);
+        }
+        return Object.assign({}, ...chain);
+    }
+
+    /**
+     * Attaches a behaviour to any node. The node keeps them in `node.behaviours`.
+     * @param {any} node
+     * @param {Behaviour} behaviour
+     * @returns {Behaviour}
+     */
+    static add(node, behaviour) {
+        if (!node || !behaviour) return behaviour;
+        if (behaviour.node && behaviour.node !== node) Behaviour.remove(behaviour.node, behaviour);
+        if (!Array.isArray(node.behaviours)) node.behaviours = [];
+        if (!node.behaviours.includes(behaviour)) node.behaviours.push(behaviour);
+        behaviour.node = node;
+        return behaviour;
+    }
+
+    /**
+     * Detaches a behaviour from a node and calls its onDestroy.
+     * @param {any} node
+     * @param {Behaviour} behaviour
+     * @returns {boolean} True if it was attached.
+     */
+    static remove(node, behaviour) {
+        const list = node?.behaviours;
+        const index = Array.isArray(list) ? list.indexOf(behaviour) : -1;
+        if (index < 0) return false;
+        list.splice(index, 1);
+        Behaviour._destroy(behaviour);
+        behaviour.node = null;
+        return true;
+    }
+
+    /**
+     * Finds the first behaviour on a node by registry name or class.
+     * @param {any} node
+     * @param {string | Function} typeOrClass
+     * @returns {Behaviour | null}
+     */
+    static get(node, typeOrClass) {
+        const list = node?.behaviours;
+        if (!Array.isArray(list)) return null;
+        for (const b of list) {
+            if (typeof typeOrClass === 'string' ? b.type === typeOrClass : b instanceof typeOrClass) return b;
+        }
+        return null;
+    }
+
+    /**
+     * Runs `update` on the behaviours of a node and its descendants (called by Scene.update).
+     * @param {any} node
+     * @param {import('./Scene.js').default} scene
+     * @param {number} dt - The scene's delta.
+     * @param {boolean} frozen - Whether the scene is paused.
+     */
+    static updateTree(node, scene, dt, frozen) {
+        if (!node || node.active === false) return;
+        const list = node.behaviours;
+        if (Array.isArray(list) && list.length > 0) {
+            const nodeFrozen = frozen && !node.processWhilePaused;
+            // Copy: behaviours may add/remove behaviours while running.
+            for (const b of list.slice()) {
+                if (!b._enabled || b._destroyed || b.node !== node) continue;
+                if (nodeFrozen && !b.processWhilePaused) continue;
+                Behaviour._start(b, scene);
+                if (!b._enabled || b.node !== node) continue;
+                b.update((b.processWhilePaused || node.processWhilePaused) ? Time.unscaledDeltaTime : dt);
+            }
+        }
+        if (Array.isArray(node.children)) {
+            for (const child of node.children.slice()) Behaviour.updateTree(child, scene, dt, frozen);
+        }
+    }
+
+    /**
+     * Runs `fixedUpdate` on the behaviours of a node and its descendants (called by Scene.fixedUpdate).
+     * @param {any} node
+     * @param {import('./Scene.js').default} scene
+     * @param {number} dt - The fixed tick length.
+     */
+    static fixedUpdateTree(node, scene, dt) {
+        if (!node || node.active === false) return;
+        const list = node.behaviours;
+        if (Array.isArray(list) && list.length > 0) {
+            for (const b of list.slice()) {
+                if (!b._enabled || b._destroyed || b.node !== node) continue;
+                Behaviour._start(b, scene);
+                if (!b._enabled || b.node !== node) continue;
+                b.fixedUpdate(dt);
+            }
+        }
+        if (Array.isArray(node.children)) {
+            for (const child of node.children.slice()) Behaviour.fixedUpdateTree(child, scene, dt);
+        }
+    }
+
+    /**
+     * Calls onDestroy on every behaviour of a node and its descendants (node removed / scene disposed).
+     * The behaviours stay attached, so a node re-added to a scene does not run them again.
+     * @param {any} node
+     */
+    static destroyTree(node) {
+        if (!node) return;
+        if (Array.isArray(node.behaviours)) {
+            for (const b of node.behaviours.slice()) Behaviour._destroy(b);
+        }
+        if (Array.isArray(node.children)) {
+            for (const child of node.children) Behaviour.destroyTree(child);
+        }
+    }
+
+    /**
+     * @param {Behaviour} b
+     * @param {import('./Scene.js').default} scene
+     */
+    static _start(b, scene) {
+        if (b._started) return;
+        b._started = true;
+        b.scene = scene;
+        try {
+            b.onEnable();
+            b.onStart();
+        } catch (e) {
+            console.error(`Behaviour '${b.type}' failed to start:`, e);
+        }
+    }
+
+    /** @param {Behaviour} b */
+    static _destroy(b) {
+        if (b._destroyed) return;
+        b._destroyed = true;
+        if (!b._started) return;
+        try {
+            if (b._enabled) b.onDisable();
+            b.onDestroy();
+        } catch (e) {
+            console.error(`Behaviour '${b.type}' failed in onDestroy:`, e);
+        }
+    }
+}
+
+/**
+ * Maps behaviour names (used by `<Behaviour type="...">`) to classes.
+ */
+export class BehaviourRegistry {
+    /** @type {Map<string, typeof Behaviour>} */
+    static #types = new Map();
+
+    /**
+     * @param {string} name
+     * @param {typeof Behaviour} cls
+     */
+    static register(name, cls) {
+        if (!name || typeof cls !== 'function') return;
+        if (BehaviourRegistry.#types.has(name) && BehaviourRegistry.#types.get(name) !== cls) {
+            console.warn(`BehaviourRegistry: replacing behaviour '${name}'.`);
+        }
+        BehaviourRegistry.#types.set(name, cls);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {typeof Behaviour | null}
+     */
+    static get(name) {
+        return BehaviourRegistry.#types.get(name) || null;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    static has(name) {
+        return BehaviourRegistry.#types.has(name);
+    }
+
+    /**
+     * Registered name of a class, or null.
+     * @param {Function} cls
+     * @returns {string | null}
+     */
+    static nameOf(cls) {
+        for (const [name, c] of BehaviourRegistry.#types) {
+            if (c === cls) return name;
+        }
+        return null;
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    static list() {
+        return Array.from(BehaviourRegistry.#types.keys());
+    }
+
+    /**
+     * Instantiates a registered behaviour. Unknown types produce a plain Behaviour that keeps
+     * the type name and values (so editors can round-trip scenes without the game's scripts).
+     * @param {string} name
+     * @param {Record<string, any>} [props]
+     * @returns {Behaviour}
+     */
+    static create(name, props = {}) {
+        const cls = BehaviourRegistry.get(name);
+        if (!cls) {
+            console.warn(`BehaviourRegistry: unknown behaviour type '${name}'. Did you forget BehaviourRegistry.register()?`);
+            const placeholder = new Behaviour(props);
+            placeholder.type = name;
+            placeholder.missing = true;
+            return placeholder;
+        }
+        const b = new cls(props);
+        b.type = name;
+        return b;
+    }
+}
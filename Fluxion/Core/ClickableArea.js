@@ -1,15 +1,19 @@
 import Input from './Input.js';
+import Node2D from './Node2D.js';
 
 /**
  * Represents a clickable area that can detect mouse interactions.
  * Can be attached to a parent object or placed independently.
+ * Hit-testing follows the parent's world transform (rotation, scale, skew).
  */
-export default class ClickableArea {
+export default class ClickableArea extends Node2D {
     /**
      * Creates an instance of ClickableArea.
      * @param {Object} renderer - The renderer instance.
      */
     constructor(renderer) {
+        super();
+
         /** @type {'2D'|'3D'} */
         this.type = '2D';
         /** @type {string} */
@@ -26,13 +30,14 @@ export default class ClickableArea {
         this.width = null;
         this.height = null;
 
-        // Radians. Currently not used for hit-testing.
+        // Radians, around the area's center.
         this.rotation = 0;
         
         this.isHovered = false;
         this.isPressed = false;
         
-        // Callbacks
+        // Callbacks (the same events are also emitted as signals: enter, exit, down, up, click;
+        // down/up/click bubble to the parent chain).
         this.onClick = null;
         this.onEnter = null;
         this.onExit = null;
@@ -40,6 +45,25 @@ export default class ClickableArea {
         this.onUp = null;
         
         this.active = true;
+        // Keep reacting to the mouse while the engine is paused (pause menu buttons).
+        this.processWhilePaused = false;
+    }
+
+    /**
+     * Null width/height fall back to the parent's size.
+     * @returns {{width:number, height:number}}
+     */
+    _getPivotSize() {
+        const p = this.parent;
+        const w = (this.width !== null && this.width !== undefined) ? this.width : (p ? p.width : 0);
+        const h = (this.height !== null && this.height !== undefined) ? this.height : (p ? p.height : 0);
+        return { width: Number(w) || 0, height: Number(h) || 0 };
+    }
+
+    _invalidateWorld() {
+        // The pivot may come from the parent's size, which changes with the parent's transform.
+        this._localDirty = true;
+        super._invalidateWorld();
     }
 
     /**
@@ -64,81 +88,44 @@ export default class ClickableArea {
         const mousePos = input.getMousePosition();
         const worldPos = this.renderer.screenToWorld(mousePos.x, mousePos.y, activeCamera);
         
-        // Check collision with parent bounds
-        // Assuming parent has x, y, width, height (centered or top-left?)
-        // Sprite.drawQuad usually assumes x,y is top-left?
-        // Let's check Sprite.js drawQuad call.
-        // this.renderer.drawQuad(..., this.x, this.y, this.width, this.height, ...)
-        // Renderer.drawQuad builds vertices: x,y (TL), x+w,y (TR), x,y+h (BL), x+w,y+h (BR).
-        // So x,y is Top-Left.
-        // Wait, in WebGL/Cartesian, Y is usually up.
-        // But drawQuad uses:
-        // x, y (TL) -> u0, v1 (Top in UV)
-        // x, y+h (BL) -> u0, v0 (Bottom in UV)
-        // So y+h is "below" y?
-        // If Y is up, y+h is above y.
-        // But UV v1 is Top (1.0), v0 is Bottom (0.0).
-        // So (x, y) maps to Top-Left UV.
-        // (x, y+h) maps to Bottom-Left UV.
-        // This implies (x, y) is the "Top" visually.
-        // If Y is up in world space, then "Top" has higher Y.
-        // So (x, y) should be the bottom-left if we want standard Cartesian?
-        // Or maybe (x, y) is top-left and Y goes down?
-        // The vertex shader does: `pos = (Rot * (pos - cam)) * zoom`.
-        // If camera is at 0,0.
-        // If I draw at 0,0 with w=1, h=1.
-        // Vertices: (0,0), (1,0), (0,1), (1,1).
-        // If Y is up, (0,1) is above (0,0).
-        // UVs: (0,0) -> v1 (Top). So (0,0) is Top?
-        // No, (0,0) vertex gets v1 (1.0).
-        // (0,1) vertex gets v0 (0.0).
-        // So (0,0) corresponds to Top of image.
-        // (0,1) corresponds to Bottom of image.
-        // This means as Y increases (0 -> 1), we go from Top to Bottom of image.
-        // So Y is DOWN in this coordinate system (or the texture is mapped upside down relative to Y-up).
-        // Usually 2D games use Y-down (screen coords).
-        // If Y is down, then y < mouse.y < y+h checks out.
-        
-        // Let's assume standard AABB check:
-        // x <= mouse.x <= x + width
-        // y <= mouse.y <= y + height
-        
-        const p = this.parent;
-
-        const boundsX = p ? (p.x + (this.x || 0)) : (this.x || 0);
-        const boundsY = p ? (p.y + (this.y || 0)) : (this.y || 0);
-        const boundsW = (this.width !== null && this.width !== undefined) ? this.width : (p ? p.width : 0);
-        const boundsH = (this.height !== null && this.height !== undefined) ? this.height : (p ? p.height : 0);
-
-        const hit = (
-            worldPos.x >= boundsX &&
-            worldPos.x <= boundsX + boundsW &&
-            worldPos.y >= boundsY &&
-            worldPos.y <= boundsY + boundsH
+        // Hit-test in the area's own local space (0,0 = top-left), so parent
+        // rotation/scale/skew are respected.
+        const size = this._getPivotSize();
+        const local = this.worldToLocal(worldPos.x, worldPos.y);
+        const hit = !!local && (
+            local.x >= 0 &&
+            local.x <= size.width &&
+            local.y >= 0 &&
+            local.y <= size.height
         );
 
         if (hit) {
             if (!this.isHovered) {
                 this.isHovered = true;
                 if (this.onEnter) this.onEnter();
+                this.emit('enter');
             }
             
             if (input.getMouseButtonDown(0)) { // Left click
                 this.isPressed = true;
                 if (this.onDown) this.onDown();
+                this.emit('down', null, { bubbles: true });
             }
             
             if (input.getMouseButtonUp(0)) {
                 if (this.isPressed) {
                     if (this.onClick) this.onClick();
+                    this.emit('click', null, { bubbles: true });
                 }
                 this.isPressed = false;
                 if (this.onUp) this.onUp();
+                this.emit('up', null, { bubbles: true });
             }
         } else {
             if (this.isHovered) {
                 this.isHovered = false;
                 if (this.onExit) this.onExit();
+                this.emit('exit');
             }
             this.isPressed = false; // Reset pressed if we leave area
         }
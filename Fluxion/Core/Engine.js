@@ -3,6 +3,10 @@ import Camera from "./Camera.js";
 import Window from "./Window.js";
 import SplashScreen from "./SplashScreen.js";
 import Input from "./Input.js";
+import Time from "./Time.js";
+import SceneManager from "./SceneManager.js";
+import Timers from "./Timers.js";
+import Tween from "./Tween.js";
 
 /**
  * The main Engine class that manages the game loop, renderer, camera, and window.
@@ -28,8 +32,21 @@ export default class Engine {
     *     respectCssSize?: boolean
      *   },
      *   splashScreen?: any,
-     *   input?: any
+     *   input?: any,
+     *   fixedTimestep?: number,
+     *   maxFixedSteps?: number,
+     *   timeScale?: number
      * }=} options
+     *
+     * Fixed-timestep mode (opt-in): pass `options.fixedTimestep` (seconds, e.g. 1/60).
+     * Each frame the loop then runs `game.fixedUpdate(step)` zero or more times from an
+     * accumulator (or `sceneManager.fixedUpdate(step)` when the game has no fixedUpdate),
+     * before the usual `game.update(dt)`. `game.draw(renderer, alpha)` receives the
+     * interpolation alpha (0..1) between the last two fixed ticks.
+     *
+     * Game time: `game.update(dt)` receives the delta scaled by `engine.timeScale`, and 0 while
+     * `engine.pause()` is in effect. Nodes/scenes with `processWhilePaused = true` keep running
+     * on real time (see Time.js).
      */
     constructor(canvasId, game, targetWidth = 1920, targetHeight = 1080, maintainAspectRatio = true, enablePostProcessing = false, options = {}) {
         // Initialize Renderer with aspect ratio settings, post-processing, and WebGL version selection.
@@ -43,7 +60,13 @@ export default class Engine {
         this.game.window = this.window;
         
         this.lastTime = 0;
-        this.previousScene = null; // Track previous scene for audio management
+
+        // Scene stack, transitions and scene audio/dispose bookkeeping.
+        this.sceneManager = new SceneManager(this.renderer, this.game);
+        this.game.sceneManager = this.sceneManager;
+
+        // Game-time timers used by wait()/nextFrame() when no scene is loaded.
+        this.timers = new Timers();
         
         // Performance monitoring
         this.fps = 0;
@@ -52,6 +75,25 @@ export default class Engine {
         this.deltaTimeAccumulator = 0;
         this.showStats = false; // Toggle with F9
 
+        // Fixed-timestep simulation (0 = disabled, variable update only).
+        const fixedStep = Number(options && typeof options === 'object' ? options.fixedTimestep : 0);
+        /** @type {number} Seconds per fixed tick. */
+        this.fixedTimestep = (Number.isFinite(fixedStep) && fixedStep > 0) ? fixedStep : 0;
+        // Spiral-of-death guard: at most this many fixed ticks per frame; extra backlog is dropped.
+        const maxSteps = Number(options && typeof options === 'object' ? options.maxFixedSteps : NaN);
+        this.maxFixedSteps = Number.isFinite(maxSteps) ? Math.max(1, maxSteps | 0) : 5;
+        /** Number of fixed ticks simulated since start (deterministic tick counter). */
+        this.fixedTick = 0;
+        /** Fraction (0..1) of a fixed tick left in the accumulator; use to interpolate rendering. */
+        this.interpolationAlpha = 1;
+        this._fixedAccumulator = 0;
+
+        // Game time control: slow motion, pause and single-frame stepping.
+        const ts = Number(options && typeof options === 'object' ? options.timeScale : NaN);
+        this.timeScale = (Number.isFinite(ts) && ts >= 0) ? ts : 1;
+        this.paused = false;
+        this._pendingFrameSteps = 0;
+
         // Splash screen
         this.splashScreen = new SplashScreen();
         const splashCfg = options && typeof options === 'object' ? (options.splashScreen || {}) : {};
@@ -406,28 +448,43 @@ export default class Engine {
         // Cap delta time to prevent huge jumps (e.g., when tab is inactive)
         const cappedDeltaTime = Math.min(deltaTime, 0.1);
 
-        // Automatic scene audio management
-        const currentScene = this.game.currentScene;
-        if (currentScene && currentScene !== this.previousScene) {
-            // Stop audio from previous scene
-            if (this.previousScene && typeof this.previousScene.stopAudio === 'function') {
-                this.previousScene.stopAudio();
-            }
-            // Optional: dispose previous scene resources (textures, etc.)
-            if (this.previousScene && this.previousScene.disposeOnSceneChange && typeof this.previousScene.dispose === 'function') {
-                this.previousScene.dispose();
+        // Scaled game time; frozen while paused unless a single-frame step was requested.
+        let gameDeltaTime = cappedDeltaTime * this.timeScale;
+        let stepping = false;
+        if (this.paused) {
+            if (this._pendingFrameSteps > 0) {
+                this._pendingFrameSteps--;
+                stepping = true;
+                gameDeltaTime = this.fixedTimestep > 0 ? this.fixedTimestep : cappedDeltaTime;
+            } else {
+                gameDeltaTime = 0;
             }
-            // Play audio for new scene
-            if (typeof currentScene.playAutoplayAudio === 'function') {
-                currentScene.playAutoplayAudio();
-            }
-            this.previousScene = currentScene;
         }
+        Time.timeScale = this.timeScale;
+        Time.paused = this.paused && !stepping;
+        Time.deltaTime = gameDeltaTime;
+        Time.unscaledDeltaTime = cappedDeltaTime;
+        Time.fixedTimestep = this.fixedTimestep;
+        Time.time += gameDeltaTime;
+        Time.unscaledTime += cappedDeltaTime;
+        Time.frame++;
+
+        // Scene changes (audio stop/autoplay, disposeOnSceneChange, onEnter/onExit) and transitions.
+        this.sceneManager.syncWithGame();
+        this.sceneManager.tick(cappedDeltaTime);
         
+        // Fixed-step simulation ticks (opt-in)
+        if (this.fixedTimestep > 0) {
+            this._runFixedSteps(gameDeltaTime);
+        }
+
         // Update the game logic
         if (this.game.update) {
-            this.game.update(cappedDeltaTime);
+            this.game.update(gameDeltaTime);
         }
+        // Engine timers (wait/nextFrame without a scene) and tweens, on game time.
+        if (!Time.paused) this.timers.update(gameDeltaTime);
+        Tween.update(gameDeltaTime);
 
         // Tick input state once per frame (edge detection).
         if (this._autoUpdateInput && Input.instance) {
@@ -465,9 +522,14 @@ export default class Engine {
         
         this.renderer.applyTransform(activeCamera);
         
+        // Smooth fixed-step bodies between ticks before drawing.
+        if (this.fixedTimestep > 0) {
+            this.sceneManager.interpolate(this.interpolationAlpha);
+        }
+
         // Draw the game elements
         if (this.game.draw) {
-            this.game.draw(this.renderer);
+            this.game.draw(this.renderer, this.interpolationAlpha);
         }
         
         // Finish the frame (apply post-processing if enabled)
@@ -477,6 +539,131 @@ export default class Engine {
         requestAnimationFrame(this.loop.bind(this));
     }
 
+    /**
+     * Sets the game time multiplier (1 = normal, 0.25 = slow motion, 0 = frozen).
+     * @param {number} scale
+     */
+    setTimeScale(scale) {
+        const n = Number(scale);
+        this.timeScale = (Number.isFinite(n) && n >= 0) ? n : 1;
+    }
+
+    /**
+     * Pauses game time. `game.update` keeps being called with dt = 0 so pause menus work.
+     */
+    pause() {
+        this.paused = true;
+        this._pendingFrameSteps = 0;
+    }
+
+    /**
+     * Resumes game time after pause().
+     */
+    resume() {
+        this.paused = false;
+        this._pendingFrameSteps = 0;
+    }
+
+    /**
+     * Toggles between paused and running.
+     * @returns {boolean} The new paused state.
+     */
+    togglePause() {
+        if (this.paused) this.resume(); else this.pause();
+        return this.paused;
+    }
+
+    /**
+     * Advances a paused game by a number of frames (debugging).
+     * Each step uses one fixed tick when fixedTimestep is enabled, else the real frame delta.
+     * @param {number} [frames=1]
+     */
+    stepFrame(frames = 1) {
+        if (!this.paused) this.pause();
+        this._pendingFrameSteps += Math.max(1, frames | 0);
+    }
+
+    /**
+     * Resolves after `seconds` of game time (scaled, frozen while paused).
+     * Runs on the current scene's timers, so the wait is cancelled (never resolves) if that
+     * scene is disposed first; without a scene it uses the engine's own timers.
+     *
+     *   await engine.wait(0.5);
+     *
+     * @param {number} seconds
+     * @param {import('./Scene.js').default} [scene] - Scene to bind the wait to (default: current).
+     * @returns {Promise<void>}
+     */
+    wait(seconds, scene) {
+        return this._timersFor(scene).wait(seconds);
+    }
+
+    /**
+     * Resolves on the next game update, with its delta (same scene binding as wait()).
+     * @param {import('./Scene.js').default} [scene]
+     * @returns {Promise<number>}
+     */
+    nextFrame(scene) {
+        return this._timersFor(scene).nextFrame();
+    }
+
+    /**
+     * @param {import('./Scene.js').default} [scene]
+     * @returns {Timers}
+     */
+    _timersFor(scene) {
+        const target = scene || this.sceneManager.current || this.game.currentScene;
+        return (target && target.timers) ? target.timers : this.timers;
+    }
+
+    /**
+     * Enables or disables fixed-timestep mode at runtime.
+     * @param {number} step - Seconds per tick (e.g. 1/60); 0 disables.
+     */
+    setFixedTimestep(step) {
+        const n = Number(step);
+        this.fixedTimestep = (Number.isFinite(n) && n > 0) ? n : 0;
+        Time.fixedTimestep = this.fixedTimestep;
+        this._fixedAccumulator = 0;
+        this.interpolationAlpha = 1;
+    }
+
+    /**
+     * Consumes frame time in fixed ticks.
+     * @param {number} dt - Frame delta (already capped).
+     */
+    _runFixedSteps(dt) {
+        const step = this.fixedTimestep;
+        this._fixedAccumulator += dt;
+
+        let steps = 0;
+        while (this._fixedAccumulator >= step) {
+            if (steps >= this.maxFixedSteps) {
+                // Too far behind: drop the backlog rather than simulate ever more ticks per frame.
+                this._fixedAccumulator %= step;
+                break;
+            }
+            this._fixedUpdate(step);
+            this._fixedAccumulator -= step;
+            steps++;
+        }
+
+        this.interpolationAlpha = Math.min(1, Math.max(0, this._fixedAccumulator / step));
+    }
+
+    /**
+     * Runs one fixed tick.
+     * @param {number} step
+     */
+    _fixedUpdate(step) {
+        if (typeof this.game.fixedUpdate === 'function') {
+            this.game.fixedUpdate(step);
+        } else {
+            this.sceneManager.fixedUpdate(step);
+        }
+        this.fixedTick++;
+    }
+
     /**
      * Dumps the current scene data to a file or console.
      * Triggered by pressing F8.
@@ -1,6 +1,6 @@
 /**
  * GLTF loader integration for Fluxion-Js.
- * Converts GLTF models to Fluxion Mesh objects.
+ * Converts GLTF models (.gltf or binary .glb) to Fluxion Mesh objects.
  * 
  * Requires: minimal-gltf-loader.js from 3rdParty folder
  */
@@ -8,22 +8,19 @@
 import Mesh from './Mesh.js';
 import Material from './Material.js';
 import MeshNode from './MeshNode.js';
+import { SkeletonClip } from './Skeleton.js';
 import { Mat4, Vector3 } from './Math3D.js';
 
 /**
  * Load a GLTF file and convert it to Fluxion meshes.
- * @param {string} url - URL to the .gltf file
+ * @param {string} url - URL to the .gltf or .glb file
  * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
  * @param {Object} renderer - Renderer instance (for texture loading)
- * @returns {Promise<{meshes: Map<string, Mesh>, materials: Map<string, Material>, nodes: Array}>}
+ * @returns {Promise<{meshes: Map<string, Mesh>, materials: Map<string, Material>, nodes: Array, skins: Array<import('./Skeleton.js').SkeletonData>, animations: SkeletonClip[]}>}
  */
 export async function loadGLTF(url, gl, renderer) {
     return new Promise(async (resolve, reject) => {
         try {
-            if (typeof url === 'string' && url.toLowerCase().endsWith('.glb')) {
-                reject(new Error('GLB (.glb) is not supported by the current minimal-gltf-loader integration. Please export as .gltf (JSON) + .bin + images, or switch to a GLB-capable loader.'));
-                return;
-            }
             let glTFLoader;
             
             // Check if loader is already available globally
@@ -70,6 +67,20 @@ export async function loadGLTF(url, gl, renderer) {
                 }
             }
             
+            if (_isGLBUrl(resolvedUrl)) {
+                const glb = await _prepareGLB(resolvedUrl);
+                try {
+                    resolve(await new Promise((res, rej) => {
+                        _loadGLTF(glTFLoader, glb.jsonUrl, gl, renderer, res, rej, { sourceUrl: resolvedUrl });
+                    }));
+                } catch (err) {
+                    reject(err);
+                } finally {
+                    for (const objectUrl of glb.objectUrls) URL.revokeObjectURL(objectUrl);
+                }
+                return;
+            }
+
             _loadGLTF(glTFLoader, resolvedUrl, gl, renderer, resolve, reject);
         } catch (err) {
             reject(new Error(`Failed to load GLTF: ${err.message}`));
@@ -77,15 +88,25 @@ export async function loadGLTF(url, gl, renderer) {
     });
 }
 
-function _loadGLTF(glTFLoader, url, gl, renderer, resolve, reject) {
+/**
+ * @param {Object} glTFLoader
+ * @param {string} url - URL handed to minimal-gltf-loader.
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+ * @param {Object} renderer
+ * @param {Function} resolve
+ * @param {Function} reject
+ * @param {{sourceUrl?: string}} [glb] - Set for .glb files: the original file URL.
+ */
+function _loadGLTF(glTFLoader, url, gl, renderer, resolve, reject, glb = null) {
     // Add error handling for buffer loading failures
     const originalOnload = glTFLoader.onload;
+    const sourceUrl = glb?.sourceUrl || url;
     glTFLoader.loadGLTF(url, (glTF) => {
         try {
             // Attach source URL so texture cache keys can be namespaced per model.
             // (Otherwise multiple models with texture index 0 collide.)
             try {
-                glTF.__fluxionSourceUrl = url;
+                glTF.__fluxionSourceUrl = sourceUrl;
             } catch {
                 // ignore
             }
@@ -99,7 +120,7 @@ function _loadGLTF(glTFLoader, url, gl, renderer, resolve, reject) {
             // Optional: emit a metadata file in Electron builds.
             // Uses the existing preload IPC hook (saved under Electron userData/Debug).
             try {
-                _maybeWriteGLTFMetadataFile(url, glTF, result);
+                _maybeWriteGLTFMetadataFile(sourceUrl, glTF, result);
             } catch (e) {
                 console.warn('GLTF: Failed to write metadata file', e);
             }
@@ -113,6 +134,122 @@ function _loadGLTF(glTFLoader, url, gl, renderer, resolve, reject) {
     // Note: The minimal-gltf-loader handles .bin file loading automatically
     // It extracts the base URI from the GLTF file path and loads all buffers
     // referenced in the JSON. No additional code needed here.
+
+    // GLB JSON comes from an object URL and every resource URI is already absolute, so the
+    // base URI derived from the blob URL must not be prepended (JSON loading is async, so
+    // resetting it here happens before any resource is requested).
+    if (glb) glTFLoader.baseUri = '';
+}
+
+/** @param {string} url */
+function _isGLBUrl(url) {
+    const lower = String(url || '').toLowerCase().split(/[?#]/)[0];
+    return lower.endsWith('.glb');
+}
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4E4F534A; // 'JSON'
+const GLB_CHUNK_BIN = 0x004E4942; // 'BIN\0'
+/** 1x1 white PNG standing in for images that cannot be extracted. */
+const GLB_BLANK_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAAC0lEQVR42mP4DwQACfsD/Wj6HMwAAAAASUVORK5CYII=';
+
+/**
+ * Splits a binary glTF container into its JSON document and optional BIN chunk.
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {{json: Object, bin: Uint8Array | null}}
+ */
+export function parseGLB(arrayBuffer) {
+    if (!arrayBuffer || arrayBuffer.byteLength < 20) throw new Error('GLB: File is too small');
+    const view = new DataView(arrayBuffer);
+    if (view.getUint32(0, true) !== GLB_MAGIC) throw new Error('GLB: Invalid magic (not a binary glTF file)');
+    const version = view.getUint32(4, true);
+    if (version !== 2) throw new Error(`GLB: Unsupported container version ${version} (only glTF 2.0 is supported)`);
+    const length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+
+    let json = null;
+    let bin = null;
+    let offset = 12;
+    while (offset + 8 <= length) {
+        const chunkLength = view.getUint32(offset, true);
+        const chunkType = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+        if (start + chunkLength > length) throw new Error('GLB: Chunk extends past the end of the file');
+        if (chunkType === GLB_CHUNK_JSON && !json) {
+            json = JSON.parse(new TextDecoder('utf-8').decode(new Uint8Array(arrayBuffer, start, chunkLength)));
+        } else if (chunkType === GLB_CHUNK_BIN && !bin) {
+            bin = new Uint8Array(arrayBuffer, start, chunkLength);
+        }
+        // Unknown chunk types must be ignored.
+        offset = start + chunkLength;
+    }
+    if (!json) throw new Error('GLB: Missing JSON chunk');
+    return { json, bin };
+}
+
+/**
+ * Downloads a .glb and rewrites it as a .gltf that minimal-gltf-loader can read: the BIN chunk
+ * and bufferView images become object URLs, external URIs are resolved against the .glb URL.
+ * @param {string} url - Absolute .glb URL
+ * @returns {Promise<{jsonUrl: string, objectUrls: string[]}>}
+ */
+async function _prepareGLB(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`GLB: Failed to fetch ${url} (${response.status})`);
+    const { json, bin } = parseGLB(await response.arrayBuffer());
+
+    /** @type {string[]} Revoked by loadGLTF once loading is done (or here if preparing fails). */
+    const objectUrls = [];
+    let binUrl = null;
+    const toObjectUrl = (data, type) => {
+        const objectUrl = URL.createObjectURL(new Blob([data], { type }));
+        objectUrls.push(objectUrl);
+        return objectUrl;
+    };
+    const resolveUri = (uri) => {
+        if (uri.startsWith('data:')) return uri;
+        try {
+            return new URL(uri, url).href;
+        } catch {
+            return uri;
+        }
+    };
+
+    try {
+        (json.buffers || []).forEach((buffer, i) => {
+            if (buffer.uri) {
+                buffer.uri = resolveUri(buffer.uri);
+            } else if (i === 0 && bin) {
+                // The first buffer without a URI is the embedded BIN chunk.
+                binUrl = toObjectUrl(bin, 'application/octet-stream');
+                buffer.uri = binUrl;
+            } else {
+                throw new Error(`GLB: Buffer ${i} has no URI and no BIN chunk backs it`);
+            }
+        });
+
+        (json.images || []).forEach((image, i) => {
+            if (image.uri) {
+                image.uri = resolveUri(image.uri);
+                return;
+            }
+            const bufferView = json.bufferViews?.[image.bufferView];
+            if (!bufferView || (bufferView.buffer ?? 0) !== 0 || !binUrl) {
+                // minimal-gltf-loader waits for every image, so keep a placeholder in its slot.
+                console.warn(`GLB: Image ${i} references an unsupported bufferView, using a blank texture`);
+                image.uri = GLB_BLANK_IMAGE;
+                return;
+            }
+            const start = bufferView.byteOffset || 0;
+            const bytes = bin.subarray(start, start + bufferView.byteLength);
+            image.uri = toObjectUrl(bytes, image.mimeType || 'image/png');
+        });
+
+        const jsonUrl = toObjectUrl(JSON.stringify(json), 'application/json');
+        return { jsonUrl, objectUrls };
+    } catch (err) {
+        for (const objectUrl of objectUrls) URL.revokeObjectURL(objectUrl);
+        throw err;
+    }
 }
 
 function _getGLTFTextureCacheNamespace(glTF) {
@@ -229,6 +366,8 @@ function _buildGLTFMetadata(sourceUrl, glTF, converted) {
             bufferCount: Array.isArray(glTF?.buffers) ? glTF.buffers.length : 0,
             bufferViewCount: Array.isArray(glTF?.bufferViews) ? glTF.bufferViews.length : 0,
             accessorCount: Array.isArray(glTF?.accessors) ? glTF.accessors.length : 0,
+            skinCount: Array.isArray(glTF?.skins) ? glTF.skins.length : 0,
+            animationCount: Array.isArray(glTF?.animations) ? glTF.animations.length : 0,
         },
 
         fluxion: {
@@ -239,6 +378,9 @@ function _buildGLTFMetadata(sourceUrl, glTF, converted) {
             totalIndices: totalIdx,
             meshes: meshList,
             materials: materialList,
+            animations: Array.isArray(converted?.animations)
+                ? converted.animations.map((clip) => ({ name: clip.name, duration: _safeNumber(clip.duration, 0), channels: clip.channels.length }))
+                : [],
         },
     };
 }
@@ -318,10 +460,13 @@ export function convertGLTFToFluxion(glTF, gl, renderer) {
     }
 
     // Convert meshes
+    /** @type {Mesh[][]} Fluxion meshes per glTF mesh index (for skin assignment). */
+    const meshesByIndex = [];
     if (glTF.meshes) {
         for (let i = 0; i < glTF.meshes.length; i++) {
             const gltfMesh = glTF.meshes[i];
             const fluxionMeshes = convertGLTFMesh(gltfMesh, glTF, gl);
+            meshesByIndex[i] = fluxionMeshes;
             const baseName = gltfMesh.name || `Mesh_${i}`;
 
             // Record default material per primitive mesh key so scene mesh resources can auto-assign.
@@ -391,7 +536,170 @@ export function convertGLTFToFluxion(glTF, gl, renderer) {
         }
     }
 
-    return { meshes, materials, nodes, meshMaterials };
+    // Skins and animations. Animated meshes carry their SkeletonData so every MeshNode using
+    // them gets its own Skeleton (see MeshNode.setMeshDefinition).
+    const animations = _convertGLTFAnimations(glTF);
+    const skins = _convertGLTFSkins(glTF, animations);
+    if (Array.isArray(glTF.nodes)) {
+        for (let n = 0; n < glTF.nodes.length; n++) {
+            const node = glTF.nodes[n];
+            if (!node?.mesh) continue;
+            const skinIndex = _getGLTFSkinIndex(glTF, node);
+            for (const mesh of meshesByIndex[node.mesh.meshID] || []) {
+                if (skins[skinIndex] && mesh.attributes.joints && mesh.attributes.weights) mesh.skeletonData = skins[skinIndex];
+                // Morph weights follow the first node instancing the mesh (node weights override mesh weights).
+                if (mesh.morph && mesh.morph.node < 0) {
+                    mesh.morph.node = n;
+                    if (Array.isArray(node.weights) || ArrayBuffer.isView(node.weights)) {
+                        for (let t = 0; t < mesh.morph.count && t < node.weights.length; t++) mesh.morph.weights[t] = Number(node.weights[t]) || 0;
+                    }
+                }
+            }
+        }
+    }
+
+    // Morphed meshes without a skin still need a SkeletonData when clips animate their weights.
+    const morphClips = animations.filter((clip) => clip.channels.some((ch) => ch.path === 'weights'));
+    if (morphClips.length > 0) {
+        const morphData = { name: 'Morphs', nodes: _buildSkeletonNodes(glTF), joints: [], inverseBindMatrices: new Float32Array(0), clips: morphClips };
+        for (const list of meshesByIndex) {
+            for (const mesh of list || []) {
+                if (mesh.morph && !mesh.skeletonData) mesh.skeletonData = morphData;
+            }
+        }
+    }
+
+    return { meshes, materials, nodes, meshMaterials, skins, animations };
+}
+
+/**
+ * @param {Object} glTF
+ * @param {Object} node - glTF node (minimal-gltf-loader hooks `skin` up to the skin object).
+ * @returns {number}
+ */
+function _getGLTFSkinIndex(glTF, node) {
+    const skin = node?.skin;
+    if (skin === null || skin === undefined) return -1;
+    if (typeof skin === 'number') return skin;
+    return Array.isArray(glTF.skins) ? glTF.skins.indexOf(skin) : -1;
+}
+
+/**
+ * @param {Object} glTF
+ * @param {Object|number} nodeRef - Node object or index.
+ * @returns {number}
+ */
+function _getGLTFNodeIndex(glTF, nodeRef) {
+    if (typeof nodeRef === 'number') return nodeRef;
+    if (nodeRef && Number.isInteger(nodeRef.nodeID)) return nodeRef.nodeID;
+    return Array.isArray(glTF.nodes) ? glTF.nodes.indexOf(nodeRef) : -1;
+}
+
+/**
+ * Rest pose and parent links of every glTF node (joints may sit anywhere in the hierarchy).
+ * @param {Object} glTF
+ * @returns {import('./Skeleton.js').SkeletonNode[]}
+ */
+function _buildSkeletonNodes(glTF) {
+    const gltfNodes = Array.isArray(glTF.nodes) ? glTF.nodes : [];
+    const vec = (v, n, fallback) => (v && v.length >= n) ? Array.from(v).slice(0, n).map(Number) : fallback.slice();
+    const out = gltfNodes.map((node, i) => ({
+        name: node?.name || `Node_${i}`,
+        parent: -1,
+        translation: vec(node?.translation, 3, [0, 0, 0]),
+        rotation: vec(node?.rotation, 4, [0, 0, 0, 1]),
+        scale: vec(node?.scale, 3, [1, 1, 1]),
+    }));
+    gltfNodes.forEach((node, i) => {
+        for (const child of node?.children || []) {
+            const c = _getGLTFNodeIndex(glTF, child);
+            if (c >= 0 && c < out.length) out[c].parent = i;
+        }
+    });
+    return out;
+}
+
+/**
+ * @param {Object} glTF
+ * @param {SkeletonClip[]} clips
+ * @returns {Array<import('./Skeleton.js').SkeletonData>}
+ */
+function _convertGLTFSkins(glTF, clips) {
+    if (!Array.isArray(glTF.skins) || glTF.skins.length === 0) return [];
+    const nodes = _buildSkeletonNodes(glTF);
+
+    return glTF.skins.map((skin, i) => {
+        const joints = (skin?.joints || []).map((j) => _getGLTFNodeIndex(glTF, j));
+        let inverseBindMatrices = skin?.inverseBindMatrices ? _extractAccessorData(skin.inverseBindMatrices) : null;
+        if (!inverseBindMatrices || inverseBindMatrices.length < joints.length * 16) {
+            // Spec default: identity inverse bind matrices.
+            inverseBindMatrices = new Float32Array(joints.length * 16);
+            for (let j = 0; j < joints.length; j++) {
+                inverseBindMatrices[j * 16] = 1;
+                inverseBindMatrices[j * 16 + 5] = 1;
+                inverseBindMatrices[j * 16 + 10] = 1;
+                inverseBindMatrices[j * 16 + 15] = 1;
+            }
+        }
+        return {
+            name: skin?.name || `Skin_${i}`,
+            nodes,
+            joints,
+            inverseBindMatrices: Float32Array.from(inverseBindMatrices),
+            clips,
+        };
+    });
+}
+
+/**
+ * Converts glTF animations to SkeletonClips (translation/rotation/scale and morph weight channels).
+ * @param {Object} glTF
+ * @returns {SkeletonClip[]}
+ */
+function _convertGLTFAnimations(glTF) {
+    if (!Array.isArray(glTF.animations)) return [];
+    const sizes = { translation: 3, rotation: 4, scale: 3 };
+    const clips = [];
+
+    glTF.animations.forEach((anim, i) => {
+        if (!anim) return;
+        const channels = [];
+        for (const ch of anim.channels || []) {
+            const path = ch?.target?.path;
+            const node = ch?.target?.nodeID ?? ch?.target?.node;
+            if ((!sizes[path] && path !== 'weights') || !Number.isInteger(node)) continue;
+
+            const sampler = ch.sampler;
+            const times = sampler?.input ? _extractAccessorData(sampler.input) : null;
+            const values = sampler?.output ? _normalizeAccessorData(sampler.output, _extractAccessorData(sampler.output)) : null;
+            if (!times || !values || times.length === 0) continue;
+
+            let interpolation = sampler.interpolation || 'LINEAR';
+            if (interpolation !== 'LINEAR' && interpolation !== 'STEP' && interpolation !== 'CUBICSPLINE') {
+                console.warn(`GLTF: Unsupported interpolation "${interpolation}" in animation "${anim.name || i}", using LINEAR`);
+                interpolation = 'LINEAR';
+            }
+            const tangents = interpolation === 'CUBICSPLINE' ? 3 : 1;
+            // Weight channels output one value per morph target for every key.
+            const size = path === 'weights' ? Math.floor(values.length / (times.length * tangents)) : sizes[path];
+            if (size < 1 || values.length < times.length * size * tangents) {
+                console.warn(`GLTF: Animation "${anim.name || i}" channel has too few output values, skipping`);
+                continue;
+            }
+            const channel = {
+                node,
+                path,
+                interpolation,
+                times: Float32Array.from(times),
+                values: Float32Array.from(values),
+            };
+            if (path === 'weights') channel.size = size;
+            channels.push(channel);
+        }
+        if (channels.length > 0) clips.push(new SkeletonClip(anim.name || `Animation_${i}`, channels));
+    });
+
+    return clips;
 }
 
 function _clamp(x, a, b) { return Math.min(b, Math.max(a, x)); }
@@ -519,7 +827,10 @@ function _convertGLTFNodeRecursive(gltfNode, glTF, meshes, materials, parentWorl
             const baseName = gltfMesh.name || `Mesh_${gltfNode.mesh.meshID}`;
             const meshKeys = Array.from(meshes.keys()).filter(k => k === baseName || k.startsWith(`${baseName}_Primitive_`));
 
-            const trs = _decomposeMat4TRSEuler(world);
+            // glTF ignores the transform of a skinned mesh's node: joint matrices place its vertices.
+            const trs = _getGLTFSkinIndex(glTF, gltfNode) >= 0
+                ? { position: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1] }
+                : _decomposeMat4TRSEuler(world);
             for (const meshKey of meshKeys) {
                 const meshObj = meshes.get(meshKey);
                 if (!meshObj) continue;
@@ -639,7 +950,7 @@ function convertGLTFMesh(gltfMesh, glTF, gl) {
         const colorData = colorAccessor ? _extractAccessorData(colorAccessor) : null;
         const texCoordData = texCoordAccessor ? _extractAccessorData(texCoordAccessor) : null;
         const jointsData = jointsAccessor ? _extractAccessorData(jointsAccessor) : null;
-        const weightsData = weightsAccessor ? _extractAccessorData(weightsAccessor) : null;
+        const weightsData = weightsAccessor ? _normalizeAccessorData(weightsAccessor, _extractAccessorData(weightsAccessor)) : null;
         const indicesData = indicesAccessor ? _extractAccessorData(indicesAccessor) : null;
         
         // Get vertex count to document fallbacks
@@ -807,6 +1118,7 @@ function convertGLTFMesh(gltfMesh, glTF, gl) {
             weights: !!weightsData
         };
         const mesh = new Mesh(gl, vertices, indices, meshAttributes);
+        _applyGLTFMorphTargets(mesh, primitive, gltfMesh, glTF);
         console.log(`GLTF: Created mesh "${gltfMesh.name || 'unnamed'}" with ${vertexCount} vertices, ${indices ? indices.length : 0} indices`, {
             hasNormals: !!normalData,
             hasTangents: !!tangentData,
@@ -826,6 +1138,38 @@ function convertGLTFMesh(gltfMesh, glTF, gl) {
     return fluxionMeshes;
 }
 
+/**
+ * Uploads a primitive's morph targets (POSITION/NORMAL/TANGENT deltas) to the mesh.
+ * minimal-gltf-loader leaves `primitive.targets` as raw accessor indices.
+ * @param {Mesh} mesh
+ * @param {Object} primitive
+ * @param {Object} gltfMesh
+ * @param {Object} glTF
+ */
+function _applyGLTFMorphTargets(mesh, primitive, gltfMesh, glTF) {
+    const targets = primitive?.targets;
+    if (!Array.isArray(targets) || targets.length === 0) return;
+
+    const read = (ref) => {
+        const accessor = (typeof ref === 'number') ? glTF?.accessors?.[ref] : ref;
+        if (!accessor) return null;
+        const data = _normalizeAccessorData(accessor, _extractAccessorData(accessor));
+        return data && data.length > 0 ? data : null;
+    };
+    // Tangent deltas are vec3 (no handedness), like positions and normals.
+    const positions = targets.map((t) => read(t?.POSITION));
+    const normals = targets.map((t) => read(t?.NORMAL));
+    const tangents = targets.map((t) => read(t?.TANGENT));
+
+    mesh.setMorphTargets({
+        positions,
+        normals,
+        tangents,
+        names: Array.isArray(gltfMesh?.extras?.targetNames) ? gltfMesh.extras.targetNames : undefined,
+        weights: gltfMesh?.weights,
+    });
+}
+
 /**
  * Convert a GLTF node to Fluxion MeshNodes.
  * @param {Object} gltfNode - GLTF node object
@@ -1100,7 +1444,10 @@ function _extractAccessorData(accessor) {
         'SCALAR': 1,
         'VEC2': 2,
         'VEC3': 3,
-        'VEC4': 4
+        'VEC4': 4,
+        'MAT2': 4,
+        'MAT3': 9,
+        'MAT4': 16
     };
     const componentsPerElement = Type2NumOfComponent[type] || 1;
     const totalComponents = count * componentsPerElement;
@@ -1180,6 +1527,27 @@ function _extractAccessorData(accessor) {
     return new Float32Array(result);
 }
 
+/**
+ * Maps `normalized` integer accessors (quantized weights/rotations) to their float range.
+ * @param {Object} accessor
+ * @param {ArrayLike<number>|null} data
+ * @returns {ArrayLike<number>|null}
+ */
+function _normalizeAccessorData(accessor, data) {
+    if (!data || !accessor?.normalized) return data;
+    const divisors = {
+        5120: 127,   // BYTE
+        5121: 255,   // UNSIGNED_BYTE
+        5122: 32767, // SHORT
+        5123: 65535  // UNSIGNED_SHORT
+    };
+    const d = divisors[accessor.componentType];
+    if (!d) return data;
+    const out = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) out[i] = Math.max(-1, data[i] / d);
+    return out;
+}
+
 function _getComponentSize(componentType) {
     const sizes = {
         5120: 1, // BYTE
@@ -2,7 +2,32 @@
  * Minimal GPU mesh for the 3D pass.
  * PBR Layout: position (vec3) + normal (vec3) + uv (vec2) interleaved.
  * Extended layout may include: tangent (vec4), color (vec4), joints (vec4), weights (vec4)
+ * Morph targets (glTF blend shapes) live in a float texture, see setMorphTargets.
  */
+
+/**
+ * Morph weights uploaded per draw as MAX_MORPH_TARGETS / 4 vec4 uniforms; must match
+ * MAX_MORPH_TARGETS in the 3D vertex shaders. Raising it spends vertex uniform vectors
+ * (WebGL2 only guarantees 256 for the whole stage).
+ */
+export const MAX_MORPH_TARGETS = 64;
+
+/** Width of the morph target texture (WebGL2 guarantees 2048). */
+const MORPH_TEXTURE_WIDTH = 2048;
+
+/**
+ * @typedef {{
+ *   count: number,
+ *   names: string[],
+ *   weights: Float32Array,
+ *   slots: number,
+ *   normalSlot: number,
+ *   tangentSlot: number,
+ *   node: number,
+ *   texture: WebGLTexture | null,
+ * }} MorphTargets
+ */
+
 export default class Mesh {
   /**
    * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
@@ -41,9 +66,106 @@ export default class Mesh {
     this.indexCount = 0;
     this.vertexCount = 0;
 
+    /** @type {MorphTargets | null} */
+    this.morph = null;
+
     this._upload();
   }
 
+  /**
+   * Uploads morph target deltas. Texel layout per vertex: for each target, position delta then
+   * the optional normal and tangent deltas; the vertex shaders fetch them with gl_VertexID.
+   * @param {{
+   *   positions: Array<ArrayLike<number> | null>,
+   *   normals?: Array<ArrayLike<number> | null>,
+   *   tangents?: Array<ArrayLike<number> | null>,
+   *   names?: string[],
+   *   weights?: ArrayLike<number>,
+   *   node?: number,
+   * }} targets - One delta array (3 floats per vertex) per target and attribute.
+   * @returns {boolean}
+   */
+  setMorphTargets(targets) {
+    const gl = this.gl;
+    this._disposeMorph();
+
+    const count = targets?.positions?.length | 0;
+    if (count === 0) return false;
+    if (typeof gl.texStorage2D !== 'function') {
+      console.warn('Mesh: morph targets need WebGL2, ignoring them.');
+      return false;
+    }
+
+    const normals = targets.normals || [];
+    const tangents = targets.tangents || [];
+    const hasNormals = normals.some((n) => !!n);
+    const hasTangents = tangents.some((t) => !!t);
+    const normalSlot = hasNormals ? 1 : -1;
+    const tangentSlot = hasTangents ? (hasNormals ? 2 : 1) : -1;
+    const slots = 1 + (hasNormals ? 1 : 0) + (hasTangents ? 1 : 0);
+
+    const verts = this.vertexCount;
+    const texels = verts * count * slots;
+    const width = Math.min(MORPH_TEXTURE_WIDTH, Math.max(1, texels));
+    const height = Math.max(1, Math.ceil(texels / width));
+    const data = new Float32Array(width * height * 4);
+
+    /**
+     * @param {ArrayLike<number> | null | undefined} src
+     * @param {number} t
+     * @param {number} slot
+     */
+    const write = (src, t, slot) => {
+      if (!src) return;
+      for (let v = 0; v < verts; v++) {
+        const o = ((v * count + t) * slots + slot) * 4;
+        data[o] = src[v * 3] || 0;
+        data[o + 1] = src[v * 3 + 1] || 0;
+        data[o + 2] = src[v * 3 + 2] || 0;
+      }
+    };
+    for (let t = 0; t < count; t++) {
+      write(targets.positions[t], t, 0);
+      if (hasNormals) write(normals[t], t, normalSlot);
+      if (hasTangents) write(tangents[t], t, tangentSlot);
+    }
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA32F, width, height);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, data);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    if (count > MAX_MORPH_TARGETS) {
+      console.warn(`Mesh: ${count} morph targets, only the first ${MAX_MORPH_TARGETS} are applied.`);
+    }
+
+    const weights = new Float32Array(count);
+    if (targets.weights) {
+      for (let t = 0; t < count; t++) weights[t] = Number(targets.weights[t]) || 0;
+    }
+    this.morph = {
+      count,
+      names: Array.from({ length: count }, (_, t) => String(targets.names?.[t] ?? `target${t}`)),
+      weights,
+      slots,
+      normalSlot,
+      tangentSlot,
+      node: Number.isInteger(targets.node) ? Number(targets.node) : -1,
+      texture,
+    };
+    return true;
+  }
+
+  _disposeMorph() {
+    if (this.morph?.texture) this.gl.deleteTexture(this.morph.texture);
+    this.morph = null;
+  }
+
   _upload() {
     const gl = this.gl;
 
@@ -180,6 +302,7 @@ export default class Mesh {
         if (vao) gl.deleteVertexArray(vao);
       }
     }
+    this._disposeMorph();
     if (this.ibo) gl.deleteBuffer(this.ibo);
     if (this.vbo) gl.deleteBuffer(this.vbo);
     this.vao = null;
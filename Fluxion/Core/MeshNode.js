@@ -1,11 +1,19 @@
 /**
  * 3D scene node for rendering a primitive mesh.
  * Render layer: 0 (3D base pass).
+ *
+ * Skinned glTF meshes get a Skeleton; play their clips with playAnimation/crossFadeAnimation.
+ * Morph targets (blend shapes) are weighted per node with setMorphWeight.
  */
 
 import Mesh from './Mesh.js';
 import { Mat4 } from './Math3D.js';
 import Material from './Material.js';
+import Behaviour from './Behaviour.js';
+import SceneIndex from './SceneIndex.js';
+import Signals from './Signals.js';
+import Skeleton from './Skeleton.js';
+import { AnimationStateMachine } from './AnimationController.js';
 
 export default class MeshNode {
   constructor() {
@@ -19,6 +27,14 @@ export default class MeshNode {
 
     /** @type {any[]} */
     this.children = [];
+    /** @type {Behaviour[]} */
+    this.behaviours = [];
+    /** @type {string[]} Use addTag/removeTag so scene queries stay indexed. */
+    this.tags = [];
+    /** @type {string[]} Use addToGroup/removeFromGroup so scene queries stay indexed. */
+    this.groups = [];
+    // Scene whose index holds this node (set by SceneIndex).
+    this._scene = null;
 
     // Mark as 3D base layer.
     this.renderLayer = 0;
@@ -58,6 +74,18 @@ export default class MeshNode {
     this._mesh = null;
     this._meshKey = '';
 
+    /** @type {Skeleton | null} Pose of a skinned glTF mesh (see playAnimation). */
+    this.skeleton = null;
+    // Nodes sharing a skeleton (glTF primitives split into children) leave updating to its owner.
+    this._ownsSkeleton = false;
+    /** Clip to start looping once a skeleton is available (XML `animation` attribute). */
+    this.animation = '';
+    this._autoplayed = false;
+    /** @type {AnimationStateMachine | null} Drives playAnimation from an AnimationController. */
+    this.stateMachine = null;
+    /** @type {Float32Array | null} Morph target weights of a glTF mesh with blend shapes. */
+    this.morphWeights = null;
+
     // Scratch matrices to avoid per-frame allocations.
     this._mS = Mat4.identity();
     this._mRx = Mat4.identity();
@@ -75,6 +103,7 @@ export default class MeshNode {
     if (!child) return;
     child.parent = this;
     this.children.push(child);
+    if (this._scene) this._scene._onChildAttached(child);
   }
 
   /** @param {any} child */
@@ -83,9 +112,108 @@ export default class MeshNode {
     if (idx >= 0) {
       this.children.splice(idx, 1);
       if (child) child.parent = null;
+      if (this._scene) this._scene._onChildDetached(child);
     }
   }
 
+  /** @param {string} tag */
+  addTag(tag) {
+    SceneIndex.setMembership(this, 'tags', tag, true);
+  }
+
+  /** @param {string} tag */
+  removeTag(tag) {
+    SceneIndex.setMembership(this, 'tags', tag, false);
+  }
+
+  /** @param {string} tag */
+  hasTag(tag) {
+    return this.tags.includes(tag);
+  }
+
+  /** @param {string} group */
+  addToGroup(group) {
+    SceneIndex.setMembership(this, 'groups', group, true);
+  }
+
+  /** @param {string} group */
+  removeFromGroup(group) {
+    SceneIndex.setMembership(this, 'groups', group, false);
+  }
+
+  /** @param {string} group */
+  isInGroup(group) {
+    return this.groups.includes(group);
+  }
+
+  /**
+   * @param {Behaviour} behaviour
+   * @returns {Behaviour}
+   */
+  addBehaviour(behaviour) {
+    return Behaviour.add(this, behaviour);
+  }
+
+  /**
+   * @param {string | Function} typeOrClass - Registry name or class.
+   * @returns {Behaviour | null}
+   */
+  getBehaviour(typeOrClass) {
+    return Behaviour.get(this, typeOrClass);
+  }
+
+  /** @param {Behaviour} behaviour */
+  removeBehaviour(behaviour) {
+    return Behaviour.remove(this, behaviour);
+  }
+
+  /**
+   * Connects a listener to a signal of this node (see Signals).
+   * @param {string} name
+   * @param {import('./Signals.js').SignalListener} fn
+   * @param {any} [owner] - Listening node; disposing it disconnects the listener.
+   * @returns {() => void}
+   */
+  on(name, fn, owner) {
+    return Signals.connect(this, name, fn, { owner });
+  }
+
+  /**
+   * @param {string} name
+   * @param {import('./Signals.js').SignalListener} fn
+   * @param {any} [owner]
+   * @returns {() => void}
+   */
+  once(name, fn, owner) {
+    return Signals.connect(this, name, fn, { once: true, owner });
+  }
+
+  /**
+   * @param {string} name
+   * @param {import('./Signals.js').SignalListener} [fn]
+   */
+  off(name, fn) {
+    Signals.disconnect(this, name, fn);
+  }
+
+  /**
+   * @param {string} name
+   * @param {any} [payload]
+   * @param {{ bubbles?: boolean }} [options]
+   * @returns {boolean}
+   */
+  emit(name, payload, options) {
+    return Signals.emit(this, name, payload, options);
+  }
+
+  disconnectAll() {
+    Signals.disconnectAll(this);
+  }
+
+  dispose() {
+    this.disconnectAll();
+  }
+
   setPosition(x, y, z) {
     this.x = x;
     this.y = y;
@@ -114,6 +242,7 @@ export default class MeshNode {
     this.meshDefinition = null;
     this._mesh = null;
     this._meshKey = '';
+    if (this._ownsSkeleton) this.setSkeleton(null);
   }
 
   /** @param {any} def */
@@ -122,6 +251,156 @@ export default class MeshNode {
     // Force rebuild
     this._mesh = null;
     this._meshKey = '';
+
+    const morph = def?.mesh?.morph || null;
+    this.morphWeights = morph ? Float32Array.from(morph.weights) : null;
+
+    const data = def?.mesh?.skeletonData || null;
+    if (!data) {
+      if (this._ownsSkeleton) this.setSkeleton(null);
+    } else if (this.skeleton?.data !== data || this.skeleton.morphNode !== (morph ? morph.node : -1)) {
+      this.setSkeleton(new Skeleton(data, morph ? { node: morph.node, count: morph.count, weights: morph.weights } : null));
+    }
+  }
+
+  /**
+   * @param {Skeleton | null} skeleton
+   * @param {boolean} [owned] - Owners advance the skeleton in update(); pass false when sharing one.
+   */
+  setSkeleton(skeleton, owned = true) {
+    if (this.skeleton && this._ownsSkeleton) this.skeleton.onFinished = null;
+    this.skeleton = skeleton || null;
+    this._ownsSkeleton = !!skeleton && owned;
+    this._autoplayed = false;
+    // Share the skeleton's base weights so setMorphWeight and weight animations agree.
+    if (this.morphWeights && this.skeleton && this.skeleton.morphCount === this.morphWeights.length) {
+      this.morphWeights = this.skeleton.baseMorphWeights;
+    }
+    if (this.skeleton && this._ownsSkeleton) {
+      this.skeleton.onFinished = (name) => this.emit('animationFinished', { name });
+    }
+  }
+
+  /** @returns {string[]} Morph target names (glTF `extras.targetNames`), searching child parts too. */
+  getMorphTargetNames() {
+    const own = this.meshDefinition?.mesh?.morph?.names;
+    if (own) return own.slice();
+    for (const child of this.children) {
+      if (child instanceof MeshNode) {
+        const names = child.getMorphTargetNames();
+        if (names.length > 0) return names;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Sets a morph target weight on this node and its glTF primitive parts.
+   * @param {string | number} target - Target name or index.
+   * @param {number} weight - Usually 0..1.
+   * @returns {boolean} False when no such target exists.
+   */
+  setMorphWeight(target, weight) {
+    const found = this._setMorphWeight(target, Number(weight) || 0);
+    if (!found) console.warn(`MeshNode "${this.name}": no morph target "${target}".`);
+    return found;
+  }
+
+  /**
+   * @param {string | number} target
+   * @returns {number}
+   */
+  getMorphWeight(target) {
+    const i = this._morphIndex(target);
+    if (i >= 0) return this._getMorphWeights()?.[i] ?? this.morphWeights[i];
+    for (const child of this.children) {
+      if (child instanceof MeshNode && child._morphIndex(target) >= 0) return child.getMorphWeight(target);
+    }
+    return 0;
+  }
+
+  /**
+   * @param {string | number} target
+   * @returns {number} Index into morphWeights, or -1.
+   */
+  _morphIndex(target) {
+    if (!this.morphWeights) return -1;
+    const i = typeof target === 'number'
+      ? target
+      : (this.meshDefinition?.mesh?.morph?.names || []).indexOf(String(target));
+    return (Number.isInteger(i) && i >= 0 && i < this.morphWeights.length) ? i : -1;
+  }
+
+  /**
+   * @param {string | number} target
+   * @param {number} weight
+   * @returns {boolean}
+   */
+  _setMorphWeight(target, weight) {
+    let found = false;
+    const i = this._morphIndex(target);
+    if (i >= 0) {
+      this.morphWeights[i] = weight;
+      found = true;
+    }
+    for (const child of this.children) {
+      if (child instanceof MeshNode && child._setMorphWeight(target, weight)) found = true;
+    }
+    return found;
+  }
+
+  /** @returns {string[]} Clip names of the animated mesh (empty when it has none). */
+  getAnimationNames() {
+    return this.skeleton ? this.skeleton.clipNames : [];
+  }
+
+  /**
+   * Plays a skeletal clip by name (loops by default). Emits 'animationFinished' when a
+   * non-looping clip ends.
+   * @param {string} name
+   * @param {{ loop?: boolean, speed?: number, fade?: number, time?: number }} [options]
+   * @returns {boolean}
+   */
+  playAnimation(name, options) {
+    if (!this.skeleton) {
+      console.warn(`MeshNode "${this.name}": playAnimation("${name}") needs an animated glTF mesh.`);
+      return false;
+    }
+    this._autoplayed = true;
+    return this.skeleton.play(name, options);
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} duration - Seconds.
+   * @param {{ loop?: boolean, speed?: number, time?: number }} [options]
+   * @returns {boolean}
+   */
+  crossFadeAnimation(name, duration, options) {
+    return this.playAnimation(name, { ...options, fade: duration });
+  }
+
+  /** @param {number} [fade] - Seconds to blend back to the rest pose. */
+  stopAnimation(fade = 0) {
+    this.skeleton?.stop(fade);
+  }
+
+  /**
+   * @param {string} [name]
+   * @returns {boolean}
+   */
+  isAnimationPlaying(name) {
+    return !!this.skeleton && this.skeleton.isPlaying(name);
+  }
+
+  /**
+   * Runs an AnimationController on this node's clips (replaces any previous one).
+   * @param {import('./AnimationController.js').default | null} controller
+   * @returns {AnimationStateMachine | null}
+   */
+  setAnimationController(controller) {
+    this.stateMachine = controller ? new AnimationStateMachine(controller, this) : null;
+    return this.stateMachine;
   }
 
   /** @param {any} materialDef */
@@ -136,6 +415,14 @@ export default class MeshNode {
    */
   update(dt, _camera) {
     if (!this.active) return;
+    this.stateMachine?.update(dt);
+    if (this.skeleton && this._ownsSkeleton) {
+      if (!this._autoplayed && this.animation) {
+        this._autoplayed = true;
+        this.skeleton.play(this.animation);
+      }
+      this.skeleton.update(dt);
+    }
     for (const child of this.children) {
       if (child && typeof child.update === 'function') child.update(dt, _camera);
     }
@@ -338,6 +625,20 @@ export default class MeshNode {
     return this._model;
   }
 
+  /** @returns {Float32Array | null} */
+  _getJointMatrices() {
+    const attrs = this._mesh?.attributes;
+    if (!this.skeleton || this.skeleton.jointCount === 0 || !attrs?.joints || !attrs?.weights) return null;
+    return this.skeleton.jointMatrices;
+  }
+
+  /** @returns {Float32Array | null} Animated weights while clips play, else this node's. */
+  _getMorphWeights() {
+    const sk = this.skeleton;
+    if (sk && sk.morphCount > 0 && sk.isAnimating) return sk.morphWeights;
+    return this.morphWeights;
+  }
+
   /**
    * Called by Scene during 3D pass.
    * @param {import('./Renderer.js').default} renderer
@@ -357,7 +658,7 @@ export default class MeshNode {
         matToUse = this._defaultMaterial;
       }
 
-      renderer.drawMesh(this._mesh, this._getModelMatrix(), matToUse);
+      renderer.drawMesh(this._mesh, this._getModelMatrix(), matToUse, this._getJointMatrices(), this._getMorphWeights());
     }
 
     // Draw child 3D nodes (if any)
@@ -377,7 +678,7 @@ export default class MeshNode {
     this._ensureMesh(renderer);
 
     if (this._mesh) {
-      renderer.drawMeshShadow(this._mesh, this._getModelMatrix());
+      renderer.drawMeshShadow(this._mesh, this._getModelMatrix(), this._getJointMatrices(), this._getMorphWeights());
     }
 
     for (const child of this.children) {
@@ -0,0 +1,472 @@
+import Transform from './Transform.js';
+import Behaviour from './Behaviour.js';
+import SceneIndex from './SceneIndex.js';
+import Signals from './Signals.js';
+
+/**
+ * Base class for 2D scene nodes (Sprite, Text, AnimatedSprite, ClickableArea).
+ *
+ * `x`/`y` are the top-left of the node in its parent's local space (world space for
+ * top-level nodes). Rotation, scale and skew are applied around the node's center.
+ * A child is placed relative to its parent's top-left, so moving, rotating or scaling
+ * a parent carries the whole subtree.
+ *
+ * World matrices are cached and only rebuilt after a transform change on the node or one
+ * of its ancestors. Mutating `node.transform` directly requires `markTransformDirty()`.
+ */
+export default class Node2D {
+    constructor() {
+        this.transform = new Transform();
+        this._width = 0;
+        this._height = 0;
+        this._parent = null;
+
+        this.children = [];
+        this.layer = 0;
+        /** @type {Behaviour[]} */
+        this.behaviours = [];
+        /** @type {string[]} Use addTag/removeTag so scene queries stay indexed. */
+        this.tags = [];
+        /** @type {string[]} Use addToGroup/removeFromGroup so scene queries stay indexed. */
+        this.groups = [];
+        // Scene whose index holds this node (set by SceneIndex).
+        this._scene = null;
+
+        this._localMatrix = Transform.identity();
+        this._worldMatrix = Transform.identity();
+        this._invWorldMatrix = Transform.identity();
+        this._localDirty = true;
+        this._worldDirty = true;
+        this._invWorldDirty = true;
+        this._invValid = true;
+        this._quad = { x: 0, y: 0, width: 0, height: 0, rotation: 0, shear: 0 };
+    }
+
+    get x() { return this.transform.position.x; }
+    set x(v) {
+        if (this.transform.position.x === v) return;
+        this.transform.position.x = v;
+        this.markTransformDirty();
+    }
+
+    get y() { return this.transform.position.y; }
+    set y(v) {
+        if (this.transform.position.y === v) return;
+        this.transform.position.y = v;
+        this.markTransformDirty();
+    }
+
+    /** Radians, around the node's center. */
+    get rotation() { return this.transform.rotation; }
+    set rotation(v) {
+        if (this.transform.rotation === v) return;
+        this.transform.rotation = v;
+        this.markTransformDirty();
+    }
+
+    get scaleX() { return this.transform.scale.x; }
+    set scaleX(v) {
+        if (this.transform.scale.x === v) return;
+        this.transform.scale.x = v;
+        this.markTransformDirty();
+    }
+
+    get scaleY() { return this.transform.scale.y; }
+    set scaleY(v) {
+        if (this.transform.scale.y === v) return;
+        this.transform.scale.y = v;
+        this.markTransformDirty();
+    }
+
+    /** Radians. */
+    get skewX() { return this.transform.skew.x; }
+    set skewX(v) {
+        if (this.transform.skew.x === v) return;
+        this.transform.skew.x = v;
+        this.markTransformDirty();
+    }
+
+    /** Radians. */
+    get skewY() { return this.transform.skew.y; }
+    set skewY(v) {
+        if (this.transform.skew.y === v) return;
+        this.transform.skew.y = v;
+        this.markTransformDirty();
+    }
+
+    // Size moves the pivot (center), so it is part of the transform.
+    get width() { return this._width; }
+    set width(v) {
+        if (this._width === v) return;
+        this._width = v;
+        this.markTransformDirty();
+    }
+
+    get height() { return this._height; }
+    set height(v) {
+        if (this._height === v) return;
+        this._height = v;
+        this.markTransformDirty();
+    }
+
+    get parent() { return this._parent; }
+    set parent(p) {
+        if (this._parent === p) return;
+        this._parent = p;
+        this.markTransformDirty();
+    }
+
+    /**
+     * Sets the uniform or per-axis scale.
+     * @param {number} sx
+     * @param {number} [sy=sx]
+     */
+    setScale(sx, sy = sx) {
+        this.scaleX = sx;
+        this.scaleY = sy;
+    }
+
+    /**
+     * Sets the rendering layer of the node.
+     * @param {number} layer - The layer index.
+     */
+    setLayer(layer) {
+        if (this.layer !== layer) {
+            this.layer = layer;
+            if (this.parent) {
+                this.parent._childrenDirty = true;
+            }
+        }
+    }
+
+    /**
+     * Adds a child node. Its x/y are interpreted relative to this node's top-left.
+     * @param {Object} child - The child object to add.
+     */
+    addChild(child) {
+        if (child.parent && child.parent !== this && typeof child.parent.removeChild === 'function') {
+            child.parent.removeChild(child);
+        }
+        child.parent = this;
+        this.children.push(child);
+        this._childrenDirty = true;
+        if (this._scene) this._scene._onChildAttached(child);
+    }
+
+    /**
+     * Removes a child node.
+     * @param {Object} child - The child object to remove.
+     */
+    removeChild(child) {
+        const index = this.children.indexOf(child);
+        if (index > -1) {
+            this.children.splice(index, 1);
+            child.parent = null;
+            this._childrenDirty = true;
+            if (this._scene) this._scene._onChildDetached(child);
+        }
+    }
+
+    /** @param {string} tag */
+    addTag(tag) {
+        SceneIndex.setMembership(this, 'tags', tag, true);
+    }
+
+    /** @param {string} tag */
+    removeTag(tag) {
+        SceneIndex.setMembership(this, 'tags', tag, false);
+    }
+
+    /**
+     * @param {string} tag
+     * @returns {boolean}
+     */
+    hasTag(tag) {
+        return this.tags.includes(tag);
+    }
+
+    /** @param {string} group */
+    addToGroup(group) {
+        SceneIndex.setMembership(this, 'groups', group, true);
+    }
+
+    /** @param {string} group */
+    removeFromGroup(group) {
+        SceneIndex.setMembership(this, 'groups', group, false);
+    }
+
+    /**
+     * @param {string} group
+     * @returns {boolean}
+     */
+    isInGroup(group) {
+        return this.groups.includes(group);
+    }
+
+    /**
+     * Attaches a behaviour component; the scene starts and updates it.
+     * @param {Behaviour} behaviour
+     * @returns {Behaviour}
+     */
+    addBehaviour(behaviour) {
+        return Behaviour.add(this, behaviour);
+    }
+
+    /**
+     * @param {string | Function} typeOrClass - Registry name or class.
+     * @returns {Behaviour | null}
+     */
+    getBehaviour(typeOrClass) {
+        return Behaviour.get(this, typeOrClass);
+    }
+
+    /**
+     * Detaches a behaviour (calls its onDestroy).
+     * @param {Behaviour} behaviour
+     * @returns {boolean}
+     */
+    removeBehaviour(behaviour) {
+        return Behaviour.remove(this, behaviour);
+    }
+
+    /**
+     * Connects a listener to a signal of this node.
+     * @param {string} name
+     * @param {import('./Signals.js').SignalListener} fn - Called with (payload, event).
+     * @param {any} [owner] - Listening node; disposing it disconnects the listener.
+     * @returns {() => void} Disconnects the listener.
+     */
+    on(name, fn, owner) {
+        return Signals.connect(this, name, fn, { owner });
+    }
+
+    /**
+     * Like `on`, but the listener disconnects after its first call.
+     * @param {string} name
+     * @param {import('./Signals.js').SignalListener} fn
+     * @param {any} [owner]
+     * @returns {() => void}
+     */
+    once(name, fn, owner) {
+        return Signals.connect(this, name, fn, { once: true, owner });
+    }
+
+    /**
+     * Removes one listener, or all listeners of the signal when `fn` is omitted.
+     * @param {string} name
+     * @param {import('./Signals.js').SignalListener} [fn]
+     */
+    off(name, fn) {
+        Signals.disconnect(this, name, fn);
+    }
+
+    /**
+     * Emits a signal. With `{ bubbles: true }` the parents' listeners run too.
+     * @param {string} name
+     * @param {any} [payload]
+     * @param {{ bubbles?: boolean }} [options]
+     * @returns {boolean} True if a listener ran.
+     */
+    emit(name, payload, options) {
+        return Signals.emit(this, name, payload, options);
+    }
+
+    /**
+     * Drops all signal connections to and from this node.
+     */
+    disconnectAll() {
+        Signals.disconnectAll(this);
+    }
+
+    /**
+     * Releases the node. Subclasses holding GPU resources override this and call disconnectAll().
+     */
+    dispose() {
+        this.disconnectAll();
+    }
+
+    /**
+     * Marks this node's local/world matrices (and its subtree's world matrices) as stale.
+     */
+    markTransformDirty() {
+        this._localDirty = true;
+        this._invalidateWorld();
+    }
+
+    _invalidateWorld() {
+        // A dirty node's descendants are already dirty (they were invalidated together).
+        if (this._worldDirty && this._invWorldDirty) return;
+        this._worldDirty = true;
+        this._invWorldDirty = true;
+        const children = this.children;
+        if (!children) return;
+        for (let i = 0; i < children.length; i++) {
+            const c = children[i];
+            if (c && typeof c._invalidateWorld === 'function') c._invalidateWorld();
+        }
+    }
+
+    /**
+     * Size used as the rotation/scale pivot (center). Subclasses may override.
+     * @returns {{width:number, height:number}}
+     */
+    _getPivotSize() {
+        return { width: Number(this._width) || 0, height: Number(this._height) || 0 };
+    }
+
+    /**
+     * @returns {number[]} Matrix from this node's local space to its parent's space.
+     */
+    getLocalMatrix() {
+        if (this._localDirty) {
+            const size = this._getPivotSize();
+            this.transform.toMatrix(this._localMatrix, size.width * 0.5, size.height * 0.5);
+            this._localDirty = false;
+        }
+        return this._localMatrix;
+    }
+
+    /**
+     * @returns {number[]} Matrix from this node's local space to world space (cached).
+     */
+    getWorldMatrix() {
+        const local = this.getLocalMatrix();
+        const p = this._parent;
+        if (!p || typeof p.getWorldMatrix !== 'function') {
+            // Top-level: world == local. Keep the flag clean so children cache correctly.
+            if (this._worldDirty) {
+                const w = this._worldMatrix;
+                w[0] = local[0]; w[1] = local[1]; w[2] = local[2]; w[3] = local[3]; w[4] = local[4]; w[5] = local[5];
+                this._worldDirty = false;
+            }
+            return this._worldMatrix;
+        }
+        if (this._worldDirty) {
+            Transform.multiply(this._worldMatrix, p.getWorldMatrix(), local);
+            this._worldDirty = false;
+        }
+        return this._worldMatrix;
+    }
+
+    /**
+     * @returns {number[] | null} Inverse world matrix, or null when degenerate (zero scale).
+     */
+    getInverseWorldMatrix() {
+        const world = this.getWorldMatrix();
+        if (this._invWorldDirty) {
+            this._invValid = Transform.invert(this._invWorldMatrix, world) !== null;
+            this._invWorldDirty = false;
+        }
+        return this._invValid ? this._invWorldMatrix : null;
+    }
+
+    /**
+     * Converts a point from this node's local space (0,0 = top-left) to world space.
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x:number, y:number}}
+     */
+    localToWorld(x, y) {
+        return Transform.apply(this.getWorldMatrix(), x, y);
+    }
+
+    /**
+     * Converts a world point into this node's local space. Returns null for zero-scale nodes.
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x:number, y:number} | null}
+     */
+    worldToLocal(x, y) {
+        const inv = this.getInverseWorldMatrix();
+        return inv ? Transform.apply(inv, x, y) : null;
+    }
+
+    /**
+     * @returns {{x:number, y:number}} World position of the node's center.
+     */
+    getWorldCenter() {
+        const size = this._getPivotSize();
+        return this.localToWorld(size.width * 0.5, size.height * 0.5);
+    }
+
+    /**
+     * Moves the node so its center lands on a world point.
+     * @param {number} x
+     * @param {number} y
+     */
+    setWorldCenter(x, y) {
+        const size = this._getPivotSize();
+        const p = this._parent;
+        let lx = x, ly = y;
+        if (p && typeof p.worldToLocal === 'function') {
+            const local = p.worldToLocal(x, y);
+            if (!local) return;
+            lx = local.x;
+            ly = local.y;
+        }
+        // The pivot is the center, so the center in parent space is position + size/2.
+        this.x = lx - size.width * 0.5;
+        this.y = ly - size.height * 0.5;
+    }
+
+    /**
+     * @returns {number} World rotation in radians (ignores skew).
+     */
+    getWorldRotation() {
+        const m = this.getWorldMatrix();
+        return Math.atan2(m[1], m[0]);
+    }
+
+    /**
+     * Sets the local rotation so the world rotation matches.
+     * @param {number} rotation - Radians.
+     */
+    setWorldRotation(rotation) {
+        const p = this._parent;
+        const parentRot = (p && typeof p.getWorldRotation === 'function') ? p.getWorldRotation() : 0;
+        this.rotation = rotation - parentRot;
+    }
+
+    /**
+     * Whether the node draws exactly at its own x/y/width/height/rotation (no parent
+     * transform, scale or skew), so drawing can skip matrix work.
+     * @returns {boolean}
+     */
+    _isSimpleTransform() {
+        const p = this._parent;
+        return (!p || typeof p.getWorldMatrix !== 'function') && this.transform.isTranslationRotationOnly();
+    }
+
+    /**
+     * World-space quad parameters for Renderer.drawQuad.
+     * @param {boolean} [flipX=false]
+     * @param {boolean} [flipY=false]
+     * @returns {{x:number, y:number, width:number, height:number, rotation:number, shear:number}}
+     */
+    getWorldQuad(flipX = false, flipY = false) {
+        const q = this._quad;
+        const w = Number(this._width) || 0;
+        const h = Number(this._height) || 0;
+
+        if (this._isSimpleTransform()) {
+            q.x = this.x;
+            q.y = this.y;
+            q.width = w;
+            q.height = h;
+            q.rotation = Number(this.rotation) || 0;
+            q.shear = 0;
+        } else {
+            Transform.toQuad(this.getWorldMatrix(), w, h, q);
+        }
+
+        if (flipX) {
+            q.x += q.width;
+            q.width = -q.width;
+        }
+        if (flipY) {
+            q.y += q.height;
+            q.height = -q.height;
+        }
+        return q;
+    }
+}
@@ -0,0 +1,629 @@
+import Node2D from './Node2D.js';
+import { QUAD_BATCH_FLOATS } from './Renderer.js';
+
+/**
+ * Samples a piecewise-linear curve. Keys are `{t, value}` with t in 0..1, sorted by t;
+ * values before the first / after the last key are held.
+ * @param {Array<{t: number, value: number}>|null} keys
+ * @param {number} t
+ * @param {number} [def=1] - Value of an empty curve.
+ * @returns {number}
+ */
+export function sampleCurve(keys, t, def = 1) {
+    if (!keys || keys.length === 0) return def;
+    if (t <= keys[0].t) return keys[0].value;
+    for (let i = 1; i < keys.length; i++) {
+        const b = keys[i];
+        if (t <= b.t) {
+            const a = keys[i - 1];
+            const span = b.t - a.t;
+            return span > 0 ? a.value + (b.value - a.value) * ((t - a.t) / span) : b.value;
+        }
+    }
+    return keys[keys.length - 1].value;
+}
+
+/**
+ * Samples a color gradient. Keys are `{t, color: [r, g, b, a]}` (0..255), sorted by t.
+ * @param {Array<{t: number, color: number[]}>|null} keys
+ * @param {number} t
+ * @param {number[]} out - Receives [r, g, b, a]; left untouched for an empty gradient.
+ * @returns {number[]} out
+ */
+export function sampleGradient(keys, t, out) {
+    if (!keys || keys.length === 0) return out;
+    let a = keys[0], b = keys[0], f = 0;
+    if (t > a.t) {
+        b = keys[keys.length - 1];
+        a = b;
+        for (let i = 1; i < keys.length; i++) {
+            if (t <= keys[i].t) {
+                a = keys[i - 1];
+                b = keys[i];
+                const span = b.t - a.t;
+                f = span > 0 ? (t - a.t) / span : 1;
+                break;
+            }
+        }
+    }
+    for (let c = 0; c < 4; c++) {
+        const ca = a.color[c] ?? 255, cb = b.color[c] ?? 255;
+        out[c] = ca + (cb - ca) * f;
+    }
+    return out;
+}
+
+/**
+ * Parses "t:value, t:value" (e.g. "0:0.5, 0.2:1, 1:0") into curve keys.
+ * @param {string} text
+ * @returns {Array<{t: number, value: number}>}
+ */
+export function parseCurve(text) {
+    return String(text || '').split(',').map((pair) => {
+        const [t, v] = pair.split(':').map((s) => parseFloat(s));
+        return { t, value: v };
+    }).filter((k) => Number.isFinite(k.t) && Number.isFinite(k.value)).sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Parses "t:#RRGGBB[AA], ..." (e.g. "0:#ffcc00ff, 1:#ff000000") into gradient keys (0..255).
+ * @param {string} text
+ * @returns {Array<{t: number, color: number[]}>}
+ */
+export function parseGradient(text) {
+    const keys = [];
+    for (const pair of String(text || '').split(',')) {
+        const [ts, cs] = pair.split(':').map((s) => s.trim());
+        const t = parseFloat(ts);
+        const m = /^#?([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(cs || '');
+        if (!Number.isFinite(t) || !m) continue;
+        const n = parseInt(m[1], 16);
+        keys.push({ t, color: [(n >> 16) & 255, (n >> 8) & 255, n & 255, m[2] ? parseInt(m[2], 16) : 255] });
+    }
+    return keys.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Advances an emitter's emission cycle by dt seconds and calls `spawn(count)` for the particles
+ * due from `emissionRate` and `bursts`. Shared by the 2D and 3D emitters: reads their `emitting`,
+ * `looping`, `duration`, `emissionRate` and `bursts`, and keeps its state in `_time` and
+ * `_emitAccumulator`. A non-looping emitter stops emitting at the end of its cycle.
+ * @param {Object} emitter
+ * @param {number} dt
+ * @param {(count: number) => void} spawn
+ */
+export function advanceEmission(emitter, dt, spawn) {
+    let remaining = dt;
+    // A zero duration would never advance the cycle.
+    const duration = Math.max(1e-3, Number(emitter.duration) || 0);
+    while (remaining > 0 && emitter.emitting) {
+        const start = emitter._time;
+        const end = Math.min(duration, start + remaining);
+        const step = end - start;
+        // A rounding remainder too small to move the cycle time.
+        if (step <= 0) break;
+
+        emitter._emitAccumulator += Math.max(0, Number(emitter.emissionRate) || 0) * step;
+        const n = Math.floor(emitter._emitAccumulator);
+        emitter._emitAccumulator -= n;
+        if (n > 0) spawn(n);
+
+        for (const b of emitter.bursts) {
+            const cycles = Math.max(1, b.cycles | 0 || 1);
+            const interval = Math.max(0, Number(b.interval) || 0);
+            for (let k = 0; k < cycles; k++) {
+                const at = (Number(b.time) || 0) + k * interval;
+                if (at >= start && at < end) spawn(b.count);
+            }
+        }
+
+        remaining -= step;
+        emitter._time = end;
+        if (end >= duration) {
+            if (emitter.looping) emitter._time = 0;
+            else emitter.emitting = false;
+        }
+    }
+}
+
+/** Per-particle attributes, stored as one Float32Array each. */
+const ATTRIBUTES = ['px', 'py', 'vx', 'vy', 'age', 'life', 'rot', 'spin', 'scale', 'damping', 'gravity', 'frame'];
+
+/**
+ * A 2D particle system. Particles are plain numbers in typed arrays (no node per particle)
+ * and are drawn with one Renderer.drawQuadBatch call, so thousands stay cheap.
+ *
+ * Ranges are `[min, max]` (or a single number) and are sampled once per particle.
+ * Angles are radians; `direction` 0 points along +x, -PI/2 is up.
+ *
+ * - Emission: `emissionRate` particles per second plus `bursts` ({time, count, cycles,
+ *   interval} within each `duration`-long cycle); `burst(count)` emits from code.
+ * - Shapes: 'point', 'circle' (shapeRadius), 'rect' (shapeWidth x shapeHeight) and 'edge'
+ *   (a shapeWidth-long line along local x); `emitFromEdge` uses the outline of circle/rect.
+ * - Over life: `colorOverLife` (gradient), `scaleOverLife` and `rotationOverLife` (curves,
+ *   the latter added to the particle rotation).
+ * - Spritesheets: frameWidth/frameHeight cells of `texture`, played at `frameRate` fps
+ *   (0 spreads `frameCount` frames over each particle's life).
+ * - `localSpace` particles move with the node; world-space particles (default) stay where
+ *   they were emitted. Gravity is in the simulation space.
+ *
+ * Emits `finished` when a non-looping emitter has finished its cycle and its last particle died.
+ *
+ * Example:
+ *   const sparks = new ParticleEmitter2D(renderer, 'Particles/spark.png');
+ *   sparks.shape = 'circle';
+ *   sparks.shapeRadius = 8;
+ *   sparks.speed = [80, 160];
+ *   sparks.colorOverLife = parseGradient('0:#ffee88ff, 1:#ff330000');
+ *   sparks.blendMode = 'additive';
+ *   scene.add(sparks);
+ */
+export default class ParticleEmitter2D extends Node2D {
+    /**
+     * @param {Object} renderer
+     * @param {string} [imageSrc] - Particle texture; white squares when omitted.
+     * @param {number} [x=0]
+     * @param {number} [y=0]
+     */
+    constructor(renderer, imageSrc = '', x = 0, y = 0) {
+        super();
+
+        /** @type {'2D'|'3D'} */
+        this.type = '2D';
+        /** @type {string} */
+        this.category = 'visual';
+        this.name = 'ParticleEmitter2D';
+        this.renderer = renderer;
+        this.x = x;
+        this.y = y;
+
+        this.visible = true;
+        this.active = true;
+        this.processWhilePaused = false;
+        this.transparency = 255;
+        /** Tint multiplied with colorOverLife (0..255). */
+        this.color = [255, 255, 255, 255];
+        /** @type {'alpha'|'additive'} */
+        this.blendMode = 'alpha';
+
+        // Emission
+        this.emitting = true;
+        this.looping = true;
+        /** Length of one emission cycle in seconds (bursts are timed within it). */
+        this.duration = 1;
+        /** Particles per second. */
+        this.emissionRate = 20;
+        /** @type {Array<{time: number, count: number, cycles?: number, interval?: number}>} */
+        this.bursts = [];
+        this.maxParticles = 1000;
+
+        // Shape
+        /** @type {'point'|'circle'|'rect'|'edge'} */
+        this.shape = 'point';
+        this.shapeRadius = 0;
+        this.shapeWidth = 0;
+        this.shapeHeight = 0;
+        this.emitFromEdge = false;
+        this.direction = -Math.PI / 2;
+        /** Full cone angle around `direction`. */
+        this.spread = 0;
+
+        // Per-particle ranges
+        this.lifetime = [1, 1];
+        this.speed = [50, 50];
+        /** Acceleration in pixels/s^2. */
+        this.gravity = { x: 0, y: 0 };
+        /** Multiplier of `gravity` per particle. */
+        this.gravityScale = [1, 1];
+        /** Velocity damping per second (0 = none). */
+        this.damping = [0, 0];
+        this.startRotation = [0, 0];
+        /** Radians per second. */
+        this.angularVelocity = [0, 0];
+        this.startScale = [1, 1];
+        /** Size of a particle at scale 1, in pixels (0 uses the frame or image size). */
+        this.particleWidth = 0;
+        this.particleHeight = 0;
+        this.localSpace = false;
+
+        // Over life
+        /** @type {Array<{t: number, color: number[]}>|null} */
+        this.colorOverLife = null;
+        /** @type {Array<{t: number, value: number}>|null} */
+        this.scaleOverLife = null;
+        /** @type {Array<{t: number, value: number}>|null} */
+        this.rotationOverLife = null;
+
+        // Spritesheet
+        this.frameWidth = 0;
+        this.frameHeight = 0;
+        /** Frames used from the sheet (0 = all). */
+        this.frameCount = 0;
+        /** Frames per second; 0 spreads the frames over each particle's life. */
+        this.frameRate = 0;
+        this.randomStartFrame = false;
+
+        this.texture = null;
+        this.textureKey = null;
+        this.imageSrc = '';
+
+        this._count = 0;
+        this._capacity = 0;
+        /** @type {Record<string, Float32Array>} */
+        this._p = {};
+        this._batch = null;
+        this._time = 0;
+        this._emitAccumulator = 0;
+        this._finished = false;
+        this._disposed = false;
+        this._tmpColor = [255, 255, 255, 255];
+
+        if (imageSrc) this.loadTexture(imageSrc);
+    }
+
+    /** Number of live particles. */
+    get particleCount() {
+        return this._count;
+    }
+
+    /**
+     * Loads (or acquires from the renderer cache) the particle texture.
+     * @param {string} src
+     * @returns {Promise<boolean>}
+     */
+    loadTexture(src) {
+        this._releaseTexture();
+        this.imageSrc = src || '';
+        if (!src || !this.renderer) return Promise.resolve(false);
+        this.textureKey = src;
+
+        if (this.renderer.hasCachedTexture?.(src)) {
+            this.texture = this.renderer.acquireTexture?.(src) || this.renderer.getCachedTexture(src);
+            return Promise.resolve(true);
+        }
+
+        const img = new Image();
+        const loadPromise = new Promise((resolve) => {
+            img.onload = () => {
+                if (this.textureKey !== src || this._disposed) {
+                    resolve(false);
+                    return;
+                }
+                this.texture = this.renderer.createAndAcquireTexture?.(img, src) || this.renderer.createTexture(img, src);
+                resolve(true);
+            };
+            img.onerror = () => {
+                console.warn(`ParticleEmitter2D: failed to load image '${src}'.`);
+                resolve(false);
+            };
+        });
+        this.renderer.trackAssetPromise?.(loadPromise);
+        img.src = src;
+        return loadPromise;
+    }
+
+    /**
+     * Sets the tint alpha (0-255).
+     * @param {number} alpha
+     */
+    setTransparency(alpha) {
+        this.transparency = Math.max(0, Math.min(255, alpha));
+        this.color[3] = this.transparency;
+    }
+
+    /** Starts (or resumes) emitting from the beginning of a cycle. */
+    play() {
+        this.emitting = true;
+        this._finished = false;
+        this._time = 0;
+        this._emitAccumulator = 0;
+    }
+
+    /**
+     * Stops emitting; live particles finish their life unless `clear` is set.
+     * @param {boolean} [clear=false]
+     */
+    stop(clear = false) {
+        this.emitting = false;
+        if (clear) this.clear();
+    }
+
+    /** Kills every particle and restarts emission. */
+    restart() {
+        this.clear();
+        this.play();
+    }
+
+    /** Kills every particle. */
+    clear() {
+        this._count = 0;
+    }
+
+    /**
+     * Emits particles right away (ignores `emitting`).
+     * @param {number} count
+     */
+    burst(count) {
+        this._finished = false;
+        const n = Math.max(0, count | 0);
+        for (let i = 0; i < n; i++) this._spawn();
+    }
+
+    /**
+     * Emits, moves and ages the particles, then updates children.
+     * @param {number} dt
+     * @param {Object} camera
+     */
+    update(dt, camera) {
+        if (!this.active) return;
+        dt = Math.max(0, Number(dt) || 0);
+
+        if (this.emitting) advanceEmission(this, dt, (n) => this.burst(n));
+        this._simulate(dt);
+
+        if (!this.looping && !this.emitting && this._count === 0 && !this._finished) {
+            this._finished = true;
+            this.emit('finished');
+        }
+
+        for (const child of this.children) {
+            if (child.update) child.update(dt, camera);
+        }
+    }
+
+    draw() {
+        if (!this.active || !this.visible || !this.renderer) return;
+
+        if (this._count > 0) {
+            const texture = this.texture || this.renderer.getWhiteTexture?.();
+            if (texture) {
+                const n = this._fillBatch(texture);
+                if (this.blendMode === 'additive') this.renderer.setBlendMode2D?.('additive');
+                this.renderer.drawQuadBatch(texture, this._batch, n);
+                if (this.blendMode === 'additive') this.renderer.setBlendMode2D?.('alpha');
+            }
+        }
+
+        if (this.children.length === 0) return;
+        if (!this._sortedChildren || this._childrenDirty) {
+            this._sortedChildren = [...this.children].sort((a, b) => {
+                const layerA = a.layer !== undefined ? a.layer : 0;
+                const layerB = b.layer !== undefined ? b.layer : 0;
+                return layerA - layerB;
+            });
+            this._childrenDirty = false;
+        }
+        for (const child of this._sortedChildren) {
+            if (child.draw) child.draw(this.renderer);
+        }
+    }
+
+    /**
+     * Releases the texture and the children.
+     */
+    dispose() {
+        if (this._disposed) return;
+        this._disposed = true;
+        this.disconnectAll();
+        for (const child of this.children) {
+            if (child && typeof child.dispose === 'function') child.dispose();
+        }
+        this._releaseTexture();
+        this._count = 0;
+    }
+
+    _releaseTexture() {
+        if (this.textureKey && this.texture && this.renderer?.releaseTexture) {
+            this.renderer.releaseTexture(this.textureKey);
+        }
+        this.texture = null;
+        this.textureKey = null;
+    }
+
+    _simulate(dt) {
+        const p = this._p;
+        const gx = Number(this.gravity?.x) || 0, gy = Number(this.gravity?.y) || 0;
+        let i = 0;
+        while (i < this._count) {
+            const age = p.age[i] + dt;
+            if (age >= p.life[i]) {
+                this._kill(i);
+                continue;
+            }
+            p.age[i] = age;
+            const g = p.gravity[i];
+            let vx = p.vx[i] + gx * g * dt;
+            let vy = p.vy[i] + gy * g * dt;
+            if (p.damping[i] > 0) {
+                const k = Math.exp(-p.damping[i] * dt);
+                vx *= k;
+                vy *= k;
+            }
+            p.vx[i] = vx;
+            p.vy[i] = vy;
+            p.px[i] += vx * dt;
+            p.py[i] += vy * dt;
+            p.rot[i] += p.spin[i] * dt;
+            i++;
+        }
+    }
+
+    /** Swap-removes particle i. */
+    _kill(i) {
+        const last = --this._count;
+        if (i === last) return;
+        for (const name of ATTRIBUTES) {
+            const arr = this._p[name];
+            arr[i] = arr[last];
+        }
+    }
+
+    _ensureCapacity() {
+        const cap = Math.max(0, this.maxParticles | 0);
+        if (cap === this._capacity) return;
+        const old = this._p;
+        this._p = {};
+        for (const name of ATTRIBUTES) {
+            const arr = new Float32Array(cap);
+            if (old[name]) arr.set(old[name].subarray(0, Math.min(this._count, cap)));
+            this._p[name] = arr;
+        }
+        this._batch = new Float32Array(cap * QUAD_BATCH_FLOATS);
+        this._capacity = cap;
+        this._count = Math.min(this._count, cap);
+    }
+
+    _spawn() {
+        this._ensureCapacity();
+        if (this._count >= this._capacity) return;
+        const i = this._count++;
+        const p = this._p;
+
+        // Position and velocity in the node's local space, around its center.
+        let lx = this.width * 0.5, ly = this.height * 0.5;
+        const r = this.shapeRadius, w = this.shapeWidth, h = this.shapeHeight;
+        switch (this.shape) {
+            case 'circle': {
+                const a = Math.random() * Math.PI * 2;
+                const d = this.emitFromEdge ? r : r * Math.sqrt(Math.random());
+                lx += Math.cos(a) * d;
+                ly += Math.sin(a) * d;
+                break;
+            }
+            case 'rect':
+                if (this.emitFromEdge && w + h > 0) {
+                    // Uniform along the perimeter.
+                    let s = Math.random() * 2 * (w + h);
+                    if (s < w) { lx += s - w / 2; ly -= h / 2; }
+                    else if ((s -= w) < h) { lx += w / 2; ly += s - h / 2; }
+                    else if ((s -= h) < w) { lx += w / 2 - s; ly += h / 2; }
+                    else { s -= w; lx -= w / 2; ly += h / 2 - s; }
+                } else {
+                    lx += (Math.random() - 0.5) * w;
+                    ly += (Math.random() - 0.5) * h;
+                }
+                break;
+            case 'edge':
+                lx += (Math.random() - 0.5) * w;
+                break;
+        }
+        const angle = this.direction + (Math.random() - 0.5) * this.spread;
+        const speed = this._range(this.speed);
+        let vx = Math.cos(angle) * speed, vy = Math.sin(angle) * speed;
+        let rot = this._range(this.startRotation);
+        let scale = this._range(this.startScale);
+
+        if (!this.localSpace) {
+            const m = this.getWorldMatrix();
+            const wx = m[0] * lx + m[2] * ly + m[4];
+            const wy = m[1] * lx + m[3] * ly + m[5];
+            const tvx = m[0] * vx + m[2] * vy;
+            const tvy = m[1] * vx + m[3] * vy;
+            lx = wx; ly = wy; vx = tvx; vy = tvy;
+            rot += Math.atan2(m[1], m[0]);
+            scale *= Math.hypot(m[0], m[1]);
+        }
+
+        p.px[i] = lx;
+        p.py[i] = ly;
+        p.vx[i] = vx;
+        p.vy[i] = vy;
+        p.age[i] = 0;
+        p.life[i] = Math.max(1e-3, this._range(this.lifetime));
+        p.rot[i] = rot;
+        p.spin[i] = this._range(this.angularVelocity);
+        p.scale[i] = scale;
+        p.damping[i] = Math.max(0, this._range(this.damping));
+        p.gravity[i] = this._range(this.gravityScale);
+        p.frame[i] = this.randomStartFrame ? Math.floor(Math.random() * Math.max(1, this._frameTotal())) : 0;
+    }
+
+    _range(r) {
+        if (Array.isArray(r)) {
+            const a = Number(r[0]) || 0;
+            const b = r.length > 1 ? Number(r[1]) || 0 : a;
+            return a + (b - a) * Math.random();
+        }
+        return Number(r) || 0;
+    }
+
+    _frameTotal() {
+        const dims = this.texture ? this.renderer?._textureDimensions?.get(this.texture) : null;
+        if (!dims || !(this.frameWidth > 0) || !(this.frameHeight > 0)) return 1;
+        const all = Math.max(1, Math.floor(dims.width / this.frameWidth)) * Math.max(1, Math.floor(dims.height / this.frameHeight));
+        return this.frameCount > 0 ? Math.min(this.frameCount, all) : all;
+    }
+
+    /**
+     * Writes the live particles as world-space quads into the batch buffer.
+     * @returns {number} Quads written.
+     */
+    _fillBatch(texture) {
+        const p = this._p;
+        const out = this._batch;
+        const F = QUAD_BATCH_FLOATS;
+        const dims = this.renderer._textureDimensions?.get(texture) || { width: 1, height: 1 };
+        const sheet = texture === this.texture && this.frameWidth > 0 && this.frameHeight > 0;
+        const cols = sheet ? Math.max(1, Math.floor(dims.width / this.frameWidth)) : 1;
+        const frames = sheet ? this._frameTotal() : 1;
+        const fu = sheet ? this.frameWidth / dims.width : 1;
+        const fv = sheet ? this.frameHeight / dims.height : 1;
+        const baseW = this.particleWidth > 0 ? this.particleWidth : (sheet ? this.frameWidth : (this.texture ? dims.width : 8));
+        const baseH = this.particleHeight > 0 ? this.particleHeight : (sheet ? this.frameHeight : (this.texture ? dims.height : 8));
+
+        // Local-space particles follow the node transform (shear is ignored).
+        let m = null, sx = 1, sy = 1, nodeRot = 0;
+        if (this.localSpace) {
+            m = this.getWorldMatrix();
+            sx = Math.hypot(m[0], m[1]);
+            sy = Math.hypot(m[2], m[3]);
+            nodeRot = Math.atan2(m[1], m[0]);
+        }
+
+        const tint = this.color;
+        const tr = tint[0] / 255, tg = tint[1] / 255, tb = tint[2] / 255, ta = tint[3] / 255;
+        const c = this._tmpColor;
+
+        for (let i = 0; i < this._count; i++) {
+            const t = p.age[i] / p.life[i];
+            c[0] = 255; c[1] = 255; c[2] = 255; c[3] = 255;
+            sampleGradient(this.colorOverLife, t, c);
+            const scale = p.scale[i] * sampleCurve(this.scaleOverLife, t, 1);
+            const rot = p.rot[i] + sampleCurve(this.rotationOverLife, t, 0) + nodeRot;
+
+            let cx = p.px[i], cy = p.py[i];
+            if (m) {
+                const lx = cx, ly = cy;
+                cx = m[0] * lx + m[2] * ly + m[4];
+                cy = m[1] * lx + m[3] * ly + m[5];
+            }
+            const w = baseW * scale * sx, h = baseH * scale * sy;
+
+            let u0 = 0, v0 = 0;
+            if (sheet) {
+                const frame = this.frameRate > 0
+                    ? (p.frame[i] + Math.floor(p.age[i] * this.frameRate)) % frames
+                    : (p.frame[i] + Math.min(frames - 1, Math.floor(t * frames))) % frames;
+                u0 = (frame % cols) * fu;
+                v0 = Math.floor(frame / cols) * fv;
+            }
+
+            const o = i * F;
+            out[o] = cx - w * 0.5;
+            out[o + 1] = cy - h * 0.5;
+            out[o + 2] = w;
+            out[o + 3] = h;
+            out[o + 4] = u0;
+            out[o + 5] = v0;
+            out[o + 6] = u0 + fu;
+            out[o + 7] = v0 + fv;
+            out[o + 8] = (c[0] / 255) * tr;
+            out[o + 9] = (c[1] / 255) * tg;
+            out[o + 10] = (c[2] / 255) * tb;
+            out[o + 11] = (c[3] / 255) * ta;
+            out[o + 12] = rot;
+            out[o + 13] = 0;
+        }
+        return this._count;
+    }
+}
@@ -0,0 +1,678 @@
+/**
+ * 3D particle system node. Render layer: 0 (drawn at the end of the 3D pass, over opaque meshes).
+ *
+ * Particles live in GPU buffers and are simulated with WebGL2 transform feedback; when the
+ * update program is unavailable (or `simulation` is 'cpu') the same state is simulated here and
+ * uploaded every frame. New particles are always initialized on the CPU and written into a ring
+ * of `maxParticles` slots, so the oldest particle is recycled when the ring is full.
+ *
+ * - Emission: `emissionRate` per second plus `bursts` within each `duration`-long cycle, as in
+ *   ParticleEmitter2D; `burst(count)` emits from code.
+ * - Shapes: 'point', 'sphere' (shapeRadius), 'box' (shapeSize) and 'disc' (shapeRadius, local XZ
+ *   plane); `emitFromEdge` uses the sphere surface / disc rim. Velocities point along `direction`
+ *   within a cone of `spread` radians.
+ * - Render modes: 'billboard' (camera-facing quads), 'stretched' (quads stretched along the
+ *   velocity by `stretch` seconds) and 'mesh' (a unit-size `meshSource` primitive or `mesh`,
+ *   tumbling around a random axis and lit by the main directional light).
+ * - `colorOverLife` (gradient, 0..255 keys) and `scaleOverLife` use the ParticleEmitter2D curve
+ *   formats; `color` is a 0..1 tint. `frameColumns` x `frameRows` flipbooks play over each life.
+ * - `softParticles` fade out within `softDistance` world units of the opaque scene, using the
+ *   renderer's scene depth prepass (enabled automatically from the frame after they appear).
+ * - `blendMode` 'alpha' or 'additive'.
+ *
+ * Emits `finished` when a non-looping emitter has finished its cycle and its last particle died.
+ *
+ * Example:
+ *   const smoke = new ParticleEmitter3D(renderer, 'Particles/smoke.png');
+ *   smoke.setPosition(0, 0.5, 0);
+ *   smoke.shape = 'disc';
+ *   smoke.shapeRadius = 0.3;
+ *   smoke.speed = [0.5, 1.2];
+ *   smoke.startSize = [0.4, 0.8];
+ *   smoke.scaleOverLife = parseCurve('0:0.5, 1:2');
+ *   smoke.colorOverLife = parseGradient('0:#80808000, 0.2:#808080c0, 1:#40404000');
+ *   smoke.softParticles = true;
+ *   scene.add(smoke);
+ */
+
+import Mesh from './Mesh.js';
+import { Mat4 } from './Math3D.js';
+import Behaviour from './Behaviour.js';
+import SceneIndex from './SceneIndex.js';
+import Signals from './Signals.js';
+import { PARTICLE_STATE_FLOATS } from './Renderer.js';
+import { advanceEmission, sampleCurve, sampleGradient } from './ParticleEmitter2D.js';
+
+/** Samples baked per draw for colorOverLife / scaleOverLife (matches LUT_SIZE in the shader). */
+const CURVE_LUT_SIZE = 16;
+
+export default class ParticleEmitter3D {
+  /**
+   * @param {import('./Renderer.js').default|null} [renderer] - Needed to load `imageSrc`; set on first draw otherwise.
+   * @param {string} [imageSrc] - Particle texture; soft round dots (or plain meshes) when omitted.
+   */
+  constructor(renderer = null, imageSrc = '') {
+    this.name = 'ParticleEmitter3D';
+    this.active = true;
+    this.visible = true;
+
+    /** @type {'2D'|'3D'} */
+    this.type = '3D';
+    /** @type {string} */
+    this.category = 'visual';
+
+    /** @type {any[]} */
+    this.children = [];
+    /** @type {Behaviour[]} */
+    this.behaviours = [];
+    /** @type {string[]} Use addTag/removeTag so scene queries stay indexed. */
+    this.tags = [];
+    /** @type {string[]} Use addToGroup/removeFromGroup so scene queries stay indexed. */
+    this.groups = [];
+    // Scene whose index holds this node (set by SceneIndex).
+    this._scene = null;
+
+    // Mark as 3D base layer.
+    this.renderLayer = 0;
+
+    // Transform (units: world units; rotation in radians)
+    this.x = 0;
+    this.y = 0;
+    this.z = 0;
+    this.scaleX = 1;
+    this.scaleY = 1;
+    this.scaleZ = 1;
+    this.rotX = 0;
+    this.rotY = 0;
+    this.rotZ = 0;
+
+    this.renderer = renderer;
+    this.imageSrc = imageSrc || '';
+    this.texture = null;
+    this.textureKey = null;
+
+    // Emission
+    this.emitting = true;
+    this.looping = true;
+    /** Length of one emission cycle in seconds (bursts are timed within it). */
+    this.duration = 1;
+    /** Particles per second. */
+    this.emissionRate = 20;
+    /** @type {Array<{time: number, count: number, cycles?: number, interval?: number}>} */
+    this.bursts = [];
+    this.maxParticles = 1000;
+
+    // Shape
+    /** @type {'point'|'sphere'|'box'|'disc'} */
+    this.shape = 'point';
+    this.shapeRadius = 0;
+    /** Box size [x, y, z]. */
+    this.shapeSize = [1, 1, 1];
+    this.emitFromEdge = false;
+    /** Emission direction [x, y, z] (local space). */
+    this.direction = [0, 1, 0];
+    /** Full cone angle around `direction` (PI = hemisphere, 2*PI = all directions). */
+    this.spread = 0;
+
+    // Per-particle ranges ([min, max] or a number)
+    this.lifetime = [1, 1];
+    this.speed = [1, 1];
+    /** Acceleration [x, y, z] in units/s^2. */
+    this.gravity = [0, 0, 0];
+    this.gravityScale = [1, 1];
+    /** Velocity damping per second (0 = none). */
+    this.damping = [0, 0];
+    /** Particle size in world units at scale 1. */
+    this.startSize = [0.25, 0.25];
+    this.startRotation = [0, 0];
+    /** Radians per second. */
+    this.angularVelocity = [0, 0];
+    this.localSpace = false;
+
+    // Appearance
+    /** Tint [r, g, b, a] (0..1). */
+    this.color = [1, 1, 1, 1];
+    /** @type {Array<{t: number, color: number[]}>|null} */
+    this.colorOverLife = null;
+    /** @type {Array<{t: number, value: number}>|null} */
+    this.scaleOverLife = null;
+    /** @type {'billboard'|'stretched'|'mesh'} */
+    this.renderMode = 'billboard';
+    /** Velocity-stretched length added per unit of speed. */
+    this.stretch = 0.1;
+    /** Primitive used by 'mesh' mode: 'Cube', 'Sphere', 'Cone', 'Quad' or 'Triangle'. */
+    this.meshSource = 'Cube';
+    /** @type {import('./Mesh.js').default | null} Explicit mesh for 'mesh' mode (overrides meshSource). */
+    this.mesh = null;
+    this.frameColumns = 1;
+    this.frameRows = 1;
+    /** @type {'alpha'|'additive'} */
+    this.blendMode = 'alpha';
+    this.softParticles = false;
+    this.softDistance = 0.5;
+    /** @type {'auto'|'cpu'} 'auto' uses transform feedback when available. */
+    this.simulation = 'auto';
+
+    // Particle state: PARTICLE_STATE_FLOATS per slot, mirrored in the renderer's buffers.
+    this._capacity = 0;
+    this._state = new Float32Array(0);
+    /** Scene time at which each slot's particle dies. */
+    this._death = new Float64Array(0);
+    this._head = 0;
+    this._clock = 0;
+    // Renderer hand-off: slots spawned since the last upload, and time not yet simulated on the GPU.
+    this._dirtyFrom = 0;
+    this._dirtyCount = 0;
+    this._pendingDt = 0;
+    this._cpuDirty = false;
+    /** @type {'gpu'|'cpu'|null} Chosen by the renderer when the buffers are created. */
+    this._simMode = null;
+    /** GPU buffers owned by the renderer (see Renderer.disposeParticles3D). */
+    this._gpu = null;
+
+    this._time = 0;
+    this._emitAccumulator = 0;
+    this._finished = false;
+    this._disposed = false;
+    this._ownMesh = null;
+    this._ownMeshKey = '';
+    this._tmpColor = [255, 255, 255, 255];
+
+    // Scratch matrices to avoid per-frame allocations.
+    this._mS = Mat4.identity();
+    this._mRx = Mat4.identity();
+    this._mRy = Mat4.identity();
+    this._mRz = Mat4.identity();
+    this._mT = Mat4.identity();
+    this._tmp0 = Mat4.identity();
+    this._tmp1 = Mat4.identity();
+    this._tmp2 = Mat4.identity();
+    this._model = Mat4.identity();
+
+    if (this.imageSrc && renderer) this.loadTexture(this.imageSrc);
+  }
+
+  /** @param {any} child */
+  addChild(child) {
+    if (!child) return;
+    child.parent = this;
+    this.children.push(child);
+    if (this._scene) this._scene._onChildAttached(child);
+  }
+
+  /** @param {any} child */
+  removeChild(child) {
+    const idx = this.children.indexOf(child);
+    if (idx >= 0) {
+      this.children.splice(idx, 1);
+      if (child) child.parent = null;
+      if (this._scene) this._scene._onChildDetached(child);
+    }
+  }
+
+  /** @param {string} tag */
+  addTag(tag) {
+    SceneIndex.setMembership(this, 'tags', tag, true);
+  }
+
+  /** @param {string} tag */
+  removeTag(tag) {
+    SceneIndex.setMembership(this, 'tags', tag, false);
+  }
+
+  /** @param {string} tag */
+  hasTag(tag) {
+    return this.tags.includes(tag);
+  }
+
+  /** @param {string} group */
+  addToGroup(group) {
+    SceneIndex.setMembership(this, 'groups', group, true);
+  }
+
+  /** @param {string} group */
+  removeFromGroup(group) {
+    SceneIndex.setMembership(this, 'groups', group, false);
+  }
+
+  /** @param {string} group */
+  isInGroup(group) {
+    return this.groups.includes(group);
+  }
+
+  /**
+   * @param {Behaviour} behaviour
+   * @returns {Behaviour}
+   */
+  addBehaviour(behaviour) {
+    return Behaviour.add(this, behaviour);
+  }
+
+  /**
+   * @param {string | Function} typeOrClass - Registry name or class.
+   * @returns {Behaviour | null}
+   */
+  getBehaviour(typeOrClass) {
+    return Behaviour.get(this, typeOrClass);
+  }
+
+  /** @param {Behaviour} behaviour */
+  removeBehaviour(behaviour) {
+    return Behaviour.remove(this, behaviour);
+  }
+
+  /**
+   * Connects a listener to a signal of this node (see Signals).
+   * @param {string} name
+   * @param {import('./Signals.js').SignalListener} fn
+   * @param {any} [owner] - Listening node; disposing it disconnects the listener.
+   * @returns {() => void}
+   */
+  on(name, fn, owner) {
+    return Signals.connect(this, name, fn, { owner });
+  }
+
+  /**
+   * @param {string} name
+   * @param {import('./Signals.js').SignalListener} fn
+   * @param {any} [owner]
+   * @returns {() => void}
+   */
+  once(name, fn, owner) {
+    return Signals.connect(this, name, fn, { once: true, owner });
+  }
+
+  /**
+   * @param {string} name
+   * @param {import('./Signals.js').SignalListener} [fn]
+   */
+  off(name, fn) {
+    Signals.disconnect(this, name, fn);
+  }
+
+  /**
+   * @param {string} name
+   * @param {any} [payload]
+   * @param {{ bubbles?: boolean }} [options]
+   * @returns {boolean}
+   */
+  emit(name, payload, options) {
+    return Signals.emit(this, name, payload, options);
+  }
+
+  disconnectAll() {
+    Signals.disconnectAll(this);
+  }
+
+  setPosition(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  }
+
+  setScale(x, y, z) {
+    this.scaleX = x;
+    this.scaleY = y;
+    this.scaleZ = z;
+  }
+
+  setRotation(x, y, z) {
+    this.rotX = x;
+    this.rotY = y;
+    this.rotZ = z;
+  }
+
+  /** Number of live particles. */
+  get particleCount() {
+    let n = 0;
+    for (let i = 0; i < this._capacity; i++) {
+      if (this._death[i] > this._clock) n++;
+    }
+    return n;
+  }
+
+  /**
+   * Loads (or acquires from the renderer cache) the particle texture.
+   * @param {string} src
+   * @returns {Promise<boolean>}
+   */
+  loadTexture(src) {
+    this._releaseTexture();
+    this.imageSrc = src || '';
+    const renderer = this.renderer;
+    if (!src || !renderer) return Promise.resolve(false);
+    this.textureKey = src;
+
+    if (renderer.hasCachedTexture?.(src)) {
+      this.texture = renderer.acquireTexture?.(src) || renderer.getCachedTexture(src);
+      return Promise.resolve(true);
+    }
+
+    const img = new Image();
+    const loadPromise = new Promise((resolve) => {
+      img.onload = () => {
+        if (this.textureKey !== src || this._disposed) {
+          resolve(false);
+          return;
+        }
+        this.texture = renderer.createAndAcquireTexture?.(img, src) || renderer.createTexture(img, src);
+        resolve(true);
+      };
+      img.onerror = () => {
+        console.warn(`ParticleEmitter3D: failed to load image '${src}'.`);
+        resolve(false);
+      };
+    });
+    renderer.trackAssetPromise?.(loadPromise);
+    img.src = src;
+    return loadPromise;
+  }
+
+  /** Starts (or resumes) emitting from the beginning of a cycle. */
+  play() {
+    this.emitting = true;
+    this._finished = false;
+    this._time = 0;
+    this._emitAccumulator = 0;
+  }
+
+  /**
+   * Stops emitting; live particles finish their life unless `clear` is set.
+   * @param {boolean} [clear=false]
+   */
+  stop(clear = false) {
+    this.emitting = false;
+    if (clear) this.clear();
+  }
+
+  /** Kills every particle and restarts emission. */
+  restart() {
+    this.clear();
+    this.play();
+  }
+
+  /** Kills every particle. */
+  clear() {
+    this._state.fill(0);
+    this._death.fill(0);
+    this._head = 0;
+    this._dirtyCount = 0;
+    this._pendingDt = 0;
+    // Makes the renderer upload the whole (empty) state again.
+    this._simMode = null;
+  }
+
+  /**
+   * Emits particles right away (ignores `emitting`).
+   * @param {number} count
+   */
+  burst(count) {
+    this._ensureCapacity();
+    this._finished = false;
+    const n = Math.max(0, count | 0);
+    for (let i = 0; i < n; i++) this._spawn();
+  }
+
+  /**
+   * Emits and (on the CPU path) simulates the particles, then updates children.
+   * @param {number} dt
+   * @param {any} [_camera]
+   */
+  update(dt, _camera) {
+    if (!this.active) return;
+    dt = Math.max(0, Number(dt) || 0);
+    this._ensureCapacity();
+
+    if (this.emitting) advanceEmission(this, dt, (n) => this.burst(n));
+    this._clock += dt;
+    if (this._simMode === 'gpu') this._pendingDt += dt;
+    else this._simulateCpu(dt);
+
+    if (!this.looping && !this.emitting && !this._finished && this.particleCount === 0) {
+      this._finished = true;
+      this.emit('finished');
+    }
+
+    for (const child of this.children) {
+      if (child && typeof child.update === 'function') child.update(dt, _camera);
+    }
+  }
+
+  /**
+   * Called by Scene during 3D pass; the renderer draws the particles in end3D().
+   * @param {import('./Renderer.js').default} renderer
+   */
+  draw3D(renderer) {
+    if (!this.active) return;
+    if (!this.renderer) {
+      this.renderer = renderer;
+      if (this.imageSrc && !this.textureKey) this.loadTexture(this.imageSrc);
+    }
+    if (this.visible && this._capacity > 0) renderer.drawParticles3D?.(this);
+
+    for (const child of this.children) {
+      if (child && typeof child.draw3D === 'function') child.draw3D(renderer);
+    }
+  }
+
+  dispose() {
+    if (this._disposed) return;
+    this._disposed = true;
+    this.disconnectAll();
+    for (const child of this.children) {
+      if (child && typeof child.dispose === 'function') child.dispose();
+    }
+    this.renderer?.disposeParticles3D?.(this);
+    this._releaseTexture();
+    if (this._ownMesh) this._ownMesh.dispose();
+    this._ownMesh = null;
+  }
+
+  _releaseTexture() {
+    if (this.textureKey && this.texture && this.renderer?.releaseTexture) {
+      this.renderer.releaseTexture(this.textureKey);
+    }
+    this.texture = null;
+    this.textureKey = null;
+  }
+
+  /** @returns {Float32Array} */
+  _getModelMatrix() {
+    // Model = T * Rz * Ry * Rx * S
+    Mat4.scaling(this.scaleX, this.scaleY, this.scaleZ, this._mS);
+    Mat4.rotationX(this.rotX, this._mRx);
+    Mat4.rotationY(this.rotY, this._mRy);
+    Mat4.rotationZ(this.rotZ, this._mRz);
+    Mat4.translation(this.x, this.y, this.z, this._mT);
+
+    Mat4.multiply(this._mRx, this._mS, this._tmp0);
+    Mat4.multiply(this._mRy, this._tmp0, this._tmp1);
+    Mat4.multiply(this._mRz, this._tmp1, this._tmp2);
+    Mat4.multiply(this._mT, this._tmp2, this._model);
+
+    return this._model;
+  }
+
+  /**
+   * Mesh drawn per particle in 'mesh' mode (unit-size primitives are created per emitter).
+   * @param {WebGL2RenderingContext} gl
+   * @returns {import('./Mesh.js').default}
+   */
+  _getMesh(gl) {
+    if (this.mesh) return this.mesh;
+    const key = String(this.meshSource || 'Cube').toLowerCase();
+    if (this._ownMesh && this._ownMeshKey === key && this._ownMesh.gl === gl) return this._ownMesh;
+    if (this._ownMesh) this._ownMesh.dispose();
+
+    if (key === 'sphere') this._ownMesh = Mesh.createSphere(gl, 0.5, 12, 8);
+    else if (key === 'cone') this._ownMesh = Mesh.createCone(gl, 0.5, 1, 12);
+    else if (key === 'quad') this._ownMesh = Mesh.createQuad(gl, 1, 1);
+    else if (key === 'triangle') this._ownMesh = Mesh.createTriangle(gl, 1);
+    else {
+      if (key !== 'cube') console.warn(`ParticleEmitter3D: unknown meshSource '${this.meshSource}', using a cube.`);
+      this._ownMesh = Mesh.createCube(gl, 1, 1, 1);
+    }
+    this._ownMeshKey = key;
+    return this._ownMesh;
+  }
+
+  /**
+   * Samples colorOverLife (0..1) and scaleOverLife for the shader lookup tables.
+   * @param {Float32Array} colorOut - CURVE_LUT_SIZE * 4 floats.
+   * @param {Float32Array} scaleOut - CURVE_LUT_SIZE floats.
+   */
+  _bakeCurves(colorOut, scaleOut) {
+    const c = this._tmpColor;
+    for (let i = 0; i < CURVE_LUT_SIZE; i++) {
+      const t = i / (CURVE_LUT_SIZE - 1);
+      c[0] = 255; c[1] = 255; c[2] = 255; c[3] = 255;
+      sampleGradient(this.colorOverLife, t, c);
+      for (let k = 0; k < 4; k++) colorOut[i * 4 + k] = c[k] / 255;
+      scaleOut[i] = sampleCurve(this.scaleOverLife, t, 1);
+    }
+  }
+
+  /**
+   * Resizes the particle ring to `maxParticles` (dropping live particles when it changes).
+   * @returns {Float32Array} The state array.
+   */
+  _ensureCapacity() {
+    const cap = Math.max(1, this.maxParticles | 0);
+    if (cap !== this._capacity) {
+      this._state = new Float32Array(cap * PARTICLE_STATE_FLOATS);
+      this._death = new Float64Array(cap);
+      this._capacity = cap;
+      this._head = 0;
+      this._dirtyCount = 0;
+    }
+    return this._state;
+  }
+
+  _spawn() {
+    const cap = this._capacity;
+    const i = this._head;
+    this._head = (i + 1) % cap;
+    if (this._dirtyCount === 0) this._dirtyFrom = i;
+    this._dirtyCount = Math.min(cap, this._dirtyCount + 1);
+    this._cpuDirty = true;
+
+    // Position in local space.
+    let px = 0, py = 0, pz = 0;
+    const r = Number(this.shapeRadius) || 0;
+    switch (this.shape) {
+      case 'sphere': {
+        const d = this._randomDirection([0, 1, 0], Math.PI * 2);
+        const dist = this.emitFromEdge ? r : r * Math.cbrt(Math.random());
+        px = d[0] * dist; py = d[1] * dist; pz = d[2] * dist;
+        break;
+      }
+      case 'box': {
+        const s = this.shapeSize || [1, 1, 1];
+        px = (Math.random() - 0.5) * (Number(s[0]) || 0);
+        py = (Math.random() - 0.5) * (Number(s[1]) || 0);
+        pz = (Math.random() - 0.5) * (Number(s[2]) || 0);
+        break;
+      }
+      case 'disc': {
+        const a = Math.random() * Math.PI * 2;
+        const dist = this.emitFromEdge ? r : r * Math.sqrt(Math.random());
+        px = Math.cos(a) * dist;
+        pz = Math.sin(a) * dist;
+        break;
+      }
+    }
+    const dir = this._randomDirection(this.direction, Number(this.spread) || 0);
+    const speed = this._range(this.speed);
+    let vx = dir[0] * speed, vy = dir[1] * speed, vz = dir[2] * speed;
+    let size = this._range(this.startSize);
+
+    if (!this.localSpace) {
+      const m = this._getModelMatrix();
+      const wx = m[0] * px + m[4] * py + m[8] * pz + m[12];
+      const wy = m[1] * px + m[5] * py + m[9] * pz + m[13];
+      const wz = m[2] * px + m[6] * py + m[10] * pz + m[14];
+      const tvx = m[0] * vx + m[4] * vy + m[8] * vz;
+      const tvy = m[1] * vx + m[5] * vy + m[9] * vz;
+      const tvz = m[2] * vx + m[6] * vy + m[10] * vz;
+      px = wx; py = wy; pz = wz;
+      vx = tvx; vy = tvy; vz = tvz;
+      size *= (Math.abs(this.scaleX) + Math.abs(this.scaleY) + Math.abs(this.scaleZ)) / 3;
+    }
+
+    const life = Math.max(1e-3, this._range(this.lifetime));
+    const s = this._state;
+    const o = i * PARTICLE_STATE_FLOATS;
+    s[o] = px; s[o + 1] = py; s[o + 2] = pz;
+    s[o + 3] = vx; s[o + 4] = vy; s[o + 5] = vz;
+    s[o + 6] = 0;
+    s[o + 7] = life;
+    s[o + 8] = this._range(this.startRotation);
+    s[o + 9] = this._range(this.angularVelocity);
+    s[o + 10] = size;
+    s[o + 11] = Math.random() * 100;
+    s[o + 12] = Math.max(0, this._range(this.damping));
+    s[o + 13] = this._range(this.gravityScale);
+    this._death[i] = this._clock + life;
+  }
+
+  /** CPU fallback; the same integration as particle_update_vertex_300es.glsl. */
+  _simulateCpu(dt) {
+    if (!(dt > 0)) return;
+    const s = this._state;
+    const F = PARTICLE_STATE_FLOATS;
+    const g = this.gravity || [0, 0, 0];
+    const gx = Number(g[0]) || 0, gy = Number(g[1]) || 0, gz = Number(g[2]) || 0;
+    for (let i = 0; i < this._capacity; i++) {
+      const o = i * F;
+      if (!(s[o + 7] > 0) || s[o + 6] >= s[o + 7]) continue;
+      const gs = s[o + 13] * dt;
+      const k = Math.exp(-s[o + 12] * dt);
+      const vx = (s[o + 3] + gx * gs) * k;
+      const vy = (s[o + 4] + gy * gs) * k;
+      const vz = (s[o + 5] + gz * gs) * k;
+      s[o + 3] = vx; s[o + 4] = vy; s[o + 5] = vz;
+      s[o] += vx * dt;
+      s[o + 1] += vy * dt;
+      s[o + 2] += vz * dt;
+      s[o + 6] += dt;
+      s[o + 8] += s[o + 9] * dt;
+    }
+    this._cpuDirty = true;
+  }
+
+  /**
+   * Uniform random unit vector within a cone of full angle `spread` around `dir`.
+   * @param {number[]} dir
+   * @param {number} spread
+   * @returns {number[]}
+   */
+  _randomDirection(dir, spread) {
+    let dx = Number(dir?.[0]) || 0, dy = Number(dir?.[1]) || 0, dz = Number(dir?.[2]) || 0;
+    const len = Math.hypot(dx, dy, dz);
+    if (len < 1e-6) { dx = 0; dy = 1; dz = 0; } else { dx /= len; dy /= len; dz /= len; }
+
+    const half = Math.min(Math.PI, Math.max(0, spread) * 0.5);
+    const cosT = 1 - Math.random() * (1 - Math.cos(half));
+    const sinT = Math.sqrt(Math.max(0, 1 - cosT * cosT));
+    const phi = Math.random() * Math.PI * 2;
+
+    // Orthonormal basis (t, b) around the direction.
+    const ax = Math.abs(dx) < 0.9 ? 1 : 0, ay = ax ? 0 : 1;
+    let tx = dy * 0 - dz * ay, ty = dz * ax - dx * 0, tz = dx * ay - dy * ax;
+    const tl = Math.hypot(tx, ty, tz) || 1;
+    tx /= tl; ty /= tl; tz /= tl;
+    const bx = dy * tz - dz * ty, by = dz * tx - dx * tz, bz = dx * ty - dy * tx;
+
+    const c = Math.cos(phi) * sinT, s = Math.sin(phi) * sinT;
+    return [dx * cosT + tx * c + bx * s, dy * cosT + ty * c + by * s, dz * cosT + tz * c + bz * s];
+  }
+
+  _range(r) {
+    if (Array.isArray(r)) {
+      const a = Number(r[0]) || 0;
+      const b = r.length > 1 ? Number(r[1]) || 0 : a;
+      return a + (b - a) * Math.random();
+    }
+    return Number(r) || 0;
+  }
+}
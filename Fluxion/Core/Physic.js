@@ -1 +1,1312 @@
-//  TODO : CSINÁLD MEG
\ No newline at end of file
+import { Vector2, AABB } from './Math.js';
+
+/**
+ * 2D rigid-body physics.
+ *
+ * Coordinate system matches the 2D renderer: 1 world unit = 1 pixel, +Y points down.
+ * Body positions are shape centers; when a body is attached to a Sprite-like node the
+ * node's top-left x/y is derived from the body center and the node's width/height.
+ *
+ * @example
+ * const world = scene.enablePhysics({ gravity: { x: 0, y: 980 } });
+ * const crate = world.createBody({ type: 'dynamic', shape: new BoxShape(64, 64), node: crateSprite });
+ * world.createBody({ type: 'static', shape: new BoxShape(1920, 40), x: 960, y: 1060 });
+ */
+
+/** Body simulation modes. */
+export const BodyType = Object.freeze({
+    Static: 'static',
+    Kinematic: 'kinematic',
+    Dynamic: 'dynamic',
+});
+
+/** Collision shape kinds. */
+export const ShapeType = Object.freeze({
+    Circle: 'circle',
+    Polygon: 'polygon',
+});
+
+const EPSILON = 1e-6;
+
+let _nextShapeId = 1;
+let _nextBodyId = 1;
+
+/**
+ * Common collider settings shared by all shape types.
+ */
+class Shape {
+    /**
+     * @param {string} type
+     */
+    constructor(type) {
+        this.type = type;
+        this.id = _nextShapeId++;
+
+        /** @type {RigidBody|null} */
+        this.body = null;
+
+        // Mass per square world unit.
+        this.density = 1;
+        // Coulomb friction coefficient (mixed with the other shape via sqrt(a*b)).
+        this.friction = 0.4;
+        // Bounciness (mixed with the other shape via max(a,b)).
+        this.restitution = 0;
+        // Triggers report overlaps but never generate a collision response.
+        this.isTrigger = false;
+
+        // Bit filtering: two shapes collide when each one's layer is in the other's mask.
+        this.collisionLayer = 1;
+        this.collisionMask = 0xFFFFFFFF;
+
+        // Box/circle only: size follows the attached node's width/height on every sync.
+        this.autoSize = false;
+
+        // World-space cache (refreshed once per step).
+        this.aabb = new AABB(0, 0, 0, 0);
+    }
+
+    /**
+     * Applies shared collider options.
+     * @param {{density?: number, friction?: number, restitution?: number, isTrigger?: boolean, collisionLayer?: number, collisionMask?: number}=} opts
+     */
+    _applyOptions(opts = {}) {
+        if (!opts) return;
+        if (Number.isFinite(opts.density)) this.density = Math.max(0, opts.density);
+        if (Number.isFinite(opts.friction)) this.friction = Math.max(0, opts.friction);
+        if (Number.isFinite(opts.restitution)) this.restitution = Math.max(0, opts.restitution);
+        if (opts.isTrigger !== undefined) this.isTrigger = !!opts.isTrigger;
+        if (Number.isFinite(opts.collisionLayer)) this.collisionLayer = opts.collisionLayer >>> 0;
+        if (Number.isFinite(opts.collisionMask)) this.collisionMask = opts.collisionMask >>> 0;
+    }
+
+    /**
+     * @param {Shape} other
+     * @returns {boolean}
+     */
+    canCollideWith(other) {
+        return (this.collisionLayer & other.collisionMask) !== 0 && (other.collisionLayer & this.collisionMask) !== 0;
+    }
+}
+
+/**
+ * Circle collider.
+ */
+export class CircleShape extends Shape {
+    /**
+     * @param {number} [radius=16] - Radius in world units.
+     * @param {number} [offsetX=0] - Local offset from the body center.
+     * @param {number} [offsetY=0] - Local offset from the body center.
+     * @param {Object=} opts - Shared collider options (density, friction, restitution, isTrigger, collisionLayer, collisionMask).
+     */
+    constructor(radius = 16, offsetX = 0, offsetY = 0, opts = {}) {
+        super(ShapeType.Circle);
+        this.radius = Math.max(EPSILON, Number(radius) || 0);
+        this.offset = new Vector2(offsetX, offsetY);
+        this._applyOptions(opts);
+
+        this._worldCenter = new Vector2(0, 0);
+    }
+
+    /**
+     * Changes the radius and refreshes the owning body's mass data.
+     * @param {number} radius
+     * @returns {boolean} Whether the radius changed.
+     */
+    setRadius(radius) {
+        const r = Math.max(EPSILON, Number(radius) || 0);
+        if (r === this.radius) return false;
+        this.radius = r;
+        if (this.body) {
+            this.body.updateMassData();
+            this._updateWorld(this.body);
+        }
+        return true;
+    }
+
+    /** @returns {{mass: number, inertia: number}} */
+    computeMass() {
+        const r2 = this.radius * this.radius;
+        const mass = this.density * Math.PI * r2;
+        const d2 = this.offset.x * this.offset.x + this.offset.y * this.offset.y;
+        return { mass, inertia: mass * (0.5 * r2 + d2) };
+    }
+
+    /** @param {RigidBody} body */
+    _updateWorld(body) {
+        const c = body._cos;
+        const s = body._sin;
+        this._worldCenter.x = body.position.x + (this.offset.x * c - this.offset.y * s);
+        this._worldCenter.y = body.position.y + (this.offset.x * s + this.offset.y * c);
+        this.aabb.x = this._worldCenter.x - this.radius;
+        this.aabb.y = this._worldCenter.y - this.radius;
+        this.aabb.width = this.radius * 2;
+        this.aabb.height = this.radius * 2;
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    containsPoint(x, y) {
+        const dx = x - this._worldCenter.x;
+        const dy = y - this._worldCenter.y;
+        return dx * dx + dy * dy <= this.radius * this.radius;
+    }
+}
+
+/**
+ * Convex polygon collider. Vertices are local to the body center.
+ */
+export class PolygonShape extends Shape {
+    /**
+     * @param {Array<{x:number,y:number}|number[]>} vertices - Convex outline (any winding).
+     * @param {Object=} opts - Shared collider options (density, friction, restitution, isTrigger, collisionLayer, collisionMask).
+     */
+    constructor(vertices, opts = {}) {
+        super(ShapeType.Polygon);
+        this._applyOptions(opts);
+
+        const pts = (Array.isArray(vertices) ? vertices : [])
+            .map((v) => Array.isArray(v) ? new Vector2(Number(v[0]) || 0, Number(v[1]) || 0) : new Vector2(Number(v?.x) || 0, Number(v?.y) || 0));
+        if (pts.length < 3) {
+            throw new Error('PolygonShape requires at least 3 vertices.');
+        }
+
+        // Normalize winding so that (dy, -dx) is the outward edge normal.
+        let area2 = 0;
+        for (let i = 0; i < pts.length; i++) {
+            const a = pts[i];
+            const b = pts[(i + 1) % pts.length];
+            area2 += a.x * b.y - a.y * b.x;
+        }
+        if (area2 < 0) pts.reverse();
+
+        /** @type {Vector2[]} */
+        this.vertices = pts;
+        /** @type {Vector2[]} */
+        this.normals = pts.map((a, i) => {
+            const b = pts[(i + 1) % pts.length];
+            return new Vector2(b.y - a.y, -(b.x - a.x)).normalize();
+        });
+
+        /** @type {Vector2[]} */
+        this._worldVertices = pts.map(() => new Vector2(0, 0));
+        /** @type {Vector2[]} */
+        this._worldNormals = pts.map(() => new Vector2(0, 0));
+    }
+
+    /** @returns {{mass: number, inertia: number}} */
+    computeMass() {
+        // Triangle fan around the body origin; inertia is taken about that origin.
+        let area = 0;
+        let inertia = 0;
+        const n = this.vertices.length;
+        for (let i = 0; i < n; i++) {
+            const p1 = this.vertices[i];
+            const p2 = this.vertices[(i + 1) % n];
+            const cross = p1.x * p2.y - p1.y * p2.x;
+            area += cross * 0.5;
+            const intx2 = p1.x * p1.x + p2.x * p1.x + p2.x * p2.x;
+            const inty2 = p1.y * p1.y + p2.y * p1.y + p2.y * p2.y;
+            inertia += (cross / 12) * (intx2 + inty2);
+        }
+        return { mass: this.density * area, inertia: this.density * inertia };
+    }
+
+    /** @param {RigidBody} body */
+    _updateWorld(body) {
+        const c = body._cos;
+        const s = body._sin;
+        const px = body.position.x;
+        const py = body.position.y;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let i = 0; i < this.vertices.length; i++) {
+            const v = this.vertices[i];
+            const w = this._worldVertices[i];
+            w.x = px + (v.x * c - v.y * s);
+            w.y = py + (v.x * s + v.y * c);
+            if (w.x < minX) minX = w.x;
+            if (w.y < minY) minY = w.y;
+            if (w.x > maxX) maxX = w.x;
+            if (w.y > maxY) maxY = w.y;
+
+            const nrm = this.normals[i];
+            const wn = this._worldNormals[i];
+            wn.x = nrm.x * c - nrm.y * s;
+            wn.y = nrm.x * s + nrm.y * c;
+        }
+        this.aabb.x = minX;
+        this.aabb.y = minY;
+        this.aabb.width = maxX - minX;
+        this.aabb.height = maxY - minY;
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    containsPoint(x, y) {
+        for (let i = 0; i < this._worldVertices.length; i++) {
+            const v = this._worldVertices[i];
+            const n = this._worldNormals[i];
+            if ((x - v.x) * n.x + (y - v.y) * n.y > 0) return false;
+        }
+        return true;
+    }
+}
+
+/**
+ * Axis-aligned (in local space) box collider.
+ */
+export class BoxShape extends PolygonShape {
+    /**
+     * @param {number} [width=32]
+     * @param {number} [height=32]
+     * @param {number} [offsetX=0] - Local offset from the body center.
+     * @param {number} [offsetY=0] - Local offset from the body center.
+     * @param {Object=} opts - Shared collider options.
+     */
+    constructor(width = 32, height = 32, offsetX = 0, offsetY = 0, opts = {}) {
+        const hw = Math.max(EPSILON, Number(width) || 0) * 0.5;
+        const hh = Math.max(EPSILON, Number(height) || 0) * 0.5;
+        super([
+            { x: offsetX - hw, y: offsetY - hh },
+            { x: offsetX + hw, y: offsetY - hh },
+            { x: offsetX + hw, y: offsetY + hh },
+            { x: offsetX - hw, y: offsetY + hh },
+        ], opts);
+        this.width = hw * 2;
+        this.height = hh * 2;
+        this.offset = new Vector2(offsetX, offsetY);
+    }
+
+    /**
+     * Resizes the box around its offset and refreshes the owning body's mass data.
+     * @param {number} width
+     * @param {number} height
+     * @returns {boolean} Whether the size changed.
+     */
+    setSize(width, height) {
+        const hw = Math.max(EPSILON, Number(width) || 0) * 0.5;
+        const hh = Math.max(EPSILON, Number(height) || 0) * 0.5;
+        if (hw * 2 === this.width && hh * 2 === this.height) return false;
+        const o = this.offset;
+        const v = this.vertices;
+        v[0].x = o.x - hw; v[0].y = o.y - hh;
+        v[1].x = o.x + hw; v[1].y = o.y - hh;
+        v[2].x = o.x + hw; v[2].y = o.y + hh;
+        v[3].x = o.x - hw; v[3].y = o.y + hh;
+        this.width = hw * 2;
+        this.height = hh * 2;
+        if (this.body) {
+            this.body.updateMassData();
+            this._updateWorld(this.body);
+        }
+        return true;
+    }
+}
+
+/**
+ * A simulated body. Owns one or more shapes and optionally drives a scene node.
+ */
+export class RigidBody {
+    /**
+     * @param {{
+     *   type?: 'static'|'kinematic'|'dynamic',
+     *   x?: number, y?: number, rotation?: number,
+     *   shape?: Shape, shapes?: Shape[],
+     *   mass?: number,
+     *   linearDamping?: number, angularDamping?: number,
+     *   gravityScale?: number, fixedRotation?: boolean,
+     *   node?: any
+     * }=} opts
+     */
+    constructor(opts = {}) {
+        this.id = _nextBodyId++;
+        /** @type {'static'|'kinematic'|'dynamic'} */
+        this.type = Object.values(BodyType).includes(opts.type) ? opts.type : BodyType.Dynamic;
+
+        this.position = new Vector2(Number(opts.x) || 0, Number(opts.y) || 0);
+        this.velocity = new Vector2(0, 0);
+        // Radians, matching Sprite.rotation.
+        this.rotation = Number(opts.rotation) || 0;
+        this.angularVelocity = 0;
+
+        this.force = new Vector2(0, 0);
+        this.torque = 0;
+
+        this.linearDamping = Number.isFinite(opts.linearDamping) ? opts.linearDamping : 0;
+        this.angularDamping = Number.isFinite(opts.angularDamping) ? opts.angularDamping : 0;
+        this.gravityScale = Number.isFinite(opts.gravityScale) ? opts.gravityScale : 1;
+        this.fixedRotation = !!opts.fixedRotation;
+
+        // Explicit mass override (otherwise derived from shape density * area).
+        this._massOverride = Number.isFinite(opts.mass) && opts.mass > 0 ? opts.mass : null;
+        this.mass = 0;
+        this.invMass = 0;
+        this.inertia = 0;
+        this.invInertia = 0;
+
+        /** @type {Shape[]} */
+        this.shapes = [];
+
+        /** @type {PhysicsWorld|null} */
+        this.world = null;
+        /** @type {any} */
+        this.node = null;
+        this.active = true;
+
+        // Callbacks: (otherBody, contact) for collisions, (otherBody) for triggers.
+        this.onCollisionEnter = null;
+        this.onCollisionExit = null;
+        this.onTriggerEnter = null;
+        this.onTriggerExit = null;
+
+        this._cos = Math.cos(this.rotation);
+        this._sin = Math.sin(this.rotation);
+        // Transform at the start of the last step (for render interpolation).
+        this._prevX = this.position.x;
+        this._prevY = this.position.y;
+        this._prevRotation = this.rotation;
+        this._syncedNodeX = NaN;
+        this._syncedNodeY = NaN;
+        this._syncedNodeRotation = NaN;
+        this._syncedNodeWidth = NaN;
+        this._syncedNodeHeight = NaN;
+
+        const shapes = Array.isArray(opts.shapes) ? opts.shapes : (opts.shape ? [opts.shape] : []);
+        for (const s of shapes) this.addShape(s);
+        if (opts.node) this.attach(opts.node);
+    }
+
+    /** @returns {boolean} */
+    get isStatic() { return this.type === BodyType.Static; }
+    /** @returns {boolean} */
+    get isKinematic() { return this.type === BodyType.Kinematic; }
+    /** @returns {boolean} */
+    get isDynamic() { return this.type === BodyType.Dynamic; }
+
+    /**
+     * Adds a collision shape to the body and recomputes mass data.
+     * @param {Shape} shape
+     * @returns {Shape}
+     */
+    addShape(shape) {
+        if (!shape || this.shapes.includes(shape)) return shape;
+        if (shape.body && shape.body !== this) shape.body.removeShape(shape);
+        shape.body = this;
+        this.shapes.push(shape);
+        this.updateMassData();
+        shape._updateWorld(this);
+        return shape;
+    }
+
+    /**
+     * @param {Shape} shape
+     */
+    removeShape(shape) {
+        const idx = this.shapes.indexOf(shape);
+        if (idx < 0) return;
+        this.shapes.splice(idx, 1);
+        shape.body = null;
+        this.updateMassData();
+    }
+
+    /**
+     * Changes the simulation mode.
+     * @param {'static'|'kinematic'|'dynamic'} type
+     */
+    setType(type) {
+        if (!Object.values(BodyType).includes(type)) return;
+        this.type = type;
+        if (type !== BodyType.Dynamic) {
+            this.velocity.x = 0;
+            this.velocity.y = 0;
+            this.angularVelocity = 0;
+        }
+        this.updateMassData();
+    }
+
+    /**
+     * Overrides the total mass (inertia is scaled to match). Pass null to derive from density again.
+     * @param {number|null} mass
+     */
+    setMass(mass) {
+        this._massOverride = Number.isFinite(mass) && mass > 0 ? mass : null;
+        this.updateMassData();
+    }
+
+    /** Recomputes mass and rotational inertia from the attached shapes. */
+    updateMassData() {
+        let mass = 0;
+        let inertia = 0;
+        for (const s of this.shapes) {
+            const md = s.computeMass();
+            mass += md.mass;
+            inertia += md.inertia;
+        }
+
+        if (this._massOverride !== null) {
+            inertia = mass > EPSILON ? inertia * (this._massOverride / mass) : 0;
+            mass = this._massOverride;
+        }
+
+        if (this.type !== BodyType.Dynamic || mass <= EPSILON) {
+            this.mass = this.type === BodyType.Dynamic ? 1 : 0;
+            this.invMass = this.type === BodyType.Dynamic ? 1 : 0;
+            this.inertia = 0;
+            this.invInertia = 0;
+            return;
+        }
+
+        this.mass = mass;
+        this.invMass = 1 / mass;
+        this.inertia = this.fixedRotation ? 0 : inertia;
+        this.invInertia = (this.fixedRotation || inertia <= EPSILON) ? 0 : 1 / inertia;
+    }
+
+    /**
+     * Teleports the body (center position, in world units).
+     * @param {number} x
+     * @param {number} y
+     */
+    setPosition(x, y) {
+        this.position.x = x;
+        this.position.y = y;
+        this._updateShapes();
+    }
+
+    /** @param {number} rotation - Radians. */
+    setRotation(rotation) {
+        this.rotation = rotation;
+        this._updateShapes();
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    setVelocity(x, y) {
+        this.velocity.x = x;
+        this.velocity.y = y;
+    }
+
+    /**
+     * Applies a continuous force (cleared after each step).
+     * @param {number} fx
+     * @param {number} fy
+     */
+    applyForce(fx, fy) {
+        if (!this.isDynamic) return;
+        this.force.x += fx;
+        this.force.y += fy;
+    }
+
+    /** @param {number} torque */
+    applyTorque(torque) {
+        if (!this.isDynamic) return;
+        this.torque += torque;
+    }
+
+    /**
+     * Applies an instantaneous impulse, optionally at a world point (adds spin).
+     * @param {number} ix
+     * @param {number} iy
+     * @param {number} [worldX] - Defaults to the body center.
+     * @param {number} [worldY]
+     */
+    applyImpulse(ix, iy, worldX = this.position.x, worldY = this.position.y) {
+        if (!this.isDynamic) return;
+        this.velocity.x += ix * this.invMass;
+        this.velocity.y += iy * this.invMass;
+        const rx = worldX - this.position.x;
+        const ry = worldY - this.position.y;
+        this.angularVelocity += (rx * iy - ry * ix) * this.invInertia;
+    }
+
+    /**
+     * Binds this body to a scene node. The body adopts the node's current center/rotation
+     * and from then on drives the node's x/y/rotation after every step.
+     * @param {any} node - Sprite, AnimatedSprite or any object with x/y (and optional width/height/rotation).
+     */
+    attach(node) {
+        if (!node) return;
+        if (this.node && this.node !== node && this.node.body === this) this.node.body = null;
+        this.node = node;
+        node.body = this;
+        this.syncFromNode();
+    }
+
+    /** Unbinds the node (the body keeps simulating). */
+    detach() {
+        if (this.node && this.node.body === this) this.node.body = null;
+        this.node = null;
+    }
+
+    /** Reads the node's transform (and the size of autoSize shapes) into the body (teleport). */
+    syncFromNode() {
+        const n = this.node;
+        if (!n) return;
+        this._fitAutoSizedShapes();
+        if (isNestedNode(n)) {
+            // Child nodes are parent-relative; the body lives in world space.
+            const c = n.getWorldCenter();
+            this.position.x = c.x;
+            this.position.y = c.y;
+            this.rotation = n.getWorldRotation();
+            this._updateShapes();
+            this._rememberNodeTransform();
+            return;
+        }
+        const hw = (Number(n.width) || 0) * 0.5;
+        const hh = (Number(n.height) || 0) * 0.5;
+        this.position.x = (Number(n.x) || 0) + hw;
+        this.position.y = (Number(n.y) || 0) + hh;
+        if (Number.isFinite(n.rotation)) this.rotation = n.rotation;
+        this._updateShapes();
+        this._rememberNodeTransform();
+    }
+
+    /**
+     * Writes the body transform into the node.
+     * @param {number} [alpha=1] - Blend between the previous step (0) and the current one (1).
+     */
+    syncToNode(alpha = 1) {
+        const n = this.node;
+        if (!n) return;
+        const hw = (Number(n.width) || 0) * 0.5;
+        const hh = (Number(n.height) || 0) * 0.5;
+        let x = this.position.x;
+        let y = this.position.y;
+        let rot = this.rotation;
+        if (alpha < 1) {
+            x = this._prevX + (x - this._prevX) * alpha;
+            y = this._prevY + (y - this._prevY) * alpha;
+            rot = this._prevRotation + (rot - this._prevRotation) * alpha;
+        }
+        if (isNestedNode(n)) {
+            if (!this.fixedRotation) n.setWorldRotation(rot);
+            n.setWorldCenter(x, y);
+        } else {
+            n.x = x - hw;
+            n.y = y - hh;
+            if (!this.fixedRotation && 'rotation' in n) n.rotation = rot;
+        }
+        this._rememberNodeTransform();
+    }
+
+    _rememberNodeTransform() {
+        const n = this.node;
+        this._syncedNodeX = n.x;
+        this._syncedNodeY = n.y;
+        this._syncedNodeRotation = n.rotation;
+        this._syncedNodeWidth = n.width;
+        this._syncedNodeHeight = n.height;
+    }
+
+    /** Resizes autoSize box/circle shapes to the node's width/height. */
+    _fitAutoSizedShapes() {
+        const n = this.node;
+        const w = Number(n.width) || 0;
+        const h = Number(n.height) || 0;
+        for (const s of this.shapes) {
+            if (!s.autoSize) continue;
+            if (s instanceof BoxShape) s.setSize(w, h);
+            else if (s instanceof CircleShape) s.setRadius(Math.min(w, h) * 0.5);
+        }
+    }
+
+    /**
+     * If game code moved (or resized) the node since the last sync, treat it as a teleport.
+     * @returns {boolean}
+     */
+    _pullNodeIfMoved() {
+        const n = this.node;
+        if (!n) return false;
+        if (n.x === this._syncedNodeX && n.y === this._syncedNodeY && (n.rotation === this._syncedNodeRotation || !Number.isFinite(n.rotation))
+            && n.width === this._syncedNodeWidth && n.height === this._syncedNodeHeight) {
+            return false;
+        }
+        this.syncFromNode();
+        return true;
+    }
+
+    _updateShapes() {
+        this._cos = Math.cos(this.rotation);
+        this._sin = Math.sin(this.rotation);
+        for (const s of this.shapes) s._updateWorld(this);
+    }
+}
+
+/**
+ * Whether a node sits under a transformed parent (Node2D child), so its x/y are not world space.
+ * @param {any} n
+ * @returns {boolean}
+ */
+function isNestedNode(n) {
+    const p = n.parent;
+    return !!p && typeof p.getWorldMatrix === 'function' && typeof n.getWorldCenter === 'function';
+}
+
+/**
+ * Contact manifold between two shapes (normal points from A to B).
+ */
+class Manifold {
+    /**
+     * @param {Shape} a
+     * @param {Shape} b
+     */
+    constructor(a, b) {
+        this.shapeA = a;
+        this.shapeB = b;
+        this.bodyA = a.body;
+        this.bodyB = b.body;
+        this.normal = new Vector2(0, 0);
+        this.penetration = 0;
+        /** @type {Vector2[]} */
+        this.contacts = [];
+        this.friction = Math.sqrt(a.friction * b.friction);
+        this.restitution = Math.max(a.restitution, b.restitution);
+    }
+}
+
+/**
+ * @param {Manifold} m
+ * @param {CircleShape} a
+ * @param {CircleShape} b
+ * @returns {boolean}
+ */
+function collideCircles(m, a, b) {
+    const dx = b._worldCenter.x - a._worldCenter.x;
+    const dy = b._worldCenter.y - a._worldCenter.y;
+    const r = a.radius + b.radius;
+    const d2 = dx * dx + dy * dy;
+    if (d2 >= r * r) return false;
+
+    const d = Math.sqrt(d2);
+    if (d > EPSILON) {
+        m.normal.x = dx / d;
+        m.normal.y = dy / d;
+    } else {
+        m.normal.x = 1;
+        m.normal.y = 0;
+    }
+    m.penetration = r - d;
+    m.contacts.push(new Vector2(a._worldCenter.x + m.normal.x * a.radius, a._worldCenter.y + m.normal.y * a.radius));
+    return true;
+}
+
+/**
+ * @param {Manifold} m
+ * @param {PolygonShape} a
+ * @param {CircleShape} b
+ * @returns {boolean}
+ */
+function collidePolygonCircle(m, a, b) {
+    const c = b._worldCenter;
+    const verts = a._worldVertices;
+    const normals = a._worldNormals;
+    const n = verts.length;
+
+    // Face of minimum penetration.
+    let separation = -Infinity;
+    let face = 0;
+    for (let i = 0; i < n; i++) {
+        const s = normals[i].x * (c.x - verts[i].x) + normals[i].y * (c.y - verts[i].y);
+        if (s > b.radius) return false;
+        if (s > separation) {
+            separation = s;
+            face = i;
+        }
+    }
+
+    const v1 = verts[face];
+    const v2 = verts[(face + 1) % n];
+
+    // Center inside the polygon.
+    if (separation < EPSILON) {
+        m.normal.x = normals[face].x;
+        m.normal.y = normals[face].y;
+        m.penetration = b.radius - separation;
+        m.contacts.push(new Vector2(c.x - m.normal.x * b.radius, c.y - m.normal.y * b.radius));
+        return true;
+    }
+
+    const dot1 = (c.x - v1.x) * (v2.x - v1.x) + (c.y - v1.y) * (v2.y - v1.y);
+    const dot2 = (c.x - v2.x) * (v1.x - v2.x) + (c.y - v2.y) * (v1.y - v2.y);
+
+    if (dot1 <= 0 || dot2 <= 0) {
+        // Closest to a vertex.
+        const v = dot1 <= 0 ? v1 : v2;
+        const dx = c.x - v.x;
+        const dy = c.y - v.y;
+        const d2 = dx * dx + dy * dy;
+        if (d2 > b.radius * b.radius) return false;
+        const d = Math.sqrt(d2) || EPSILON;
+        m.normal.x = dx / d;
+        m.normal.y = dy / d;
+        m.penetration = b.radius - d;
+        m.contacts.push(new Vector2(v.x, v.y));
+        return true;
+    }
+
+    // Closest to the face.
+    m.normal.x = normals[face].x;
+    m.normal.y = normals[face].y;
+    m.penetration = b.radius - separation;
+    m.contacts.push(new Vector2(c.x - m.normal.x * b.radius, c.y - m.normal.y * b.radius));
+    return true;
+}
+
+/**
+ * @param {PolygonShape} a
+ * @param {PolygonShape} b
+ * @returns {{separation: number, face: number}}
+ */
+function findAxisLeastPenetration(a, b) {
+    let best = -Infinity;
+    let face = 0;
+    const av = a._worldVertices;
+    const an = a._worldNormals;
+    const bv = b._worldVertices;
+    for (let i = 0; i < av.length; i++) {
+        const nx = an[i].x;
+        const ny = an[i].y;
+
+        // Support point of B along -n.
+        let minDot = Infinity;
+        let sx = 0, sy = 0;
+        for (let j = 0; j < bv.length; j++) {
+            const d = bv[j].x * nx + bv[j].y * ny;
+            if (d < minDot) {
+                minDot = d;
+                sx = bv[j].x;
+                sy = bv[j].y;
+            }
+        }
+
+        const s = nx * (sx - av[i].x) + ny * (sy - av[i].y);
+        if (s > best) {
+            best = s;
+            face = i;
+        }
+    }
+    return { separation: best, face };
+}
+
+/**
+ * Clips a segment against the half-space dot(n, p) <= c.
+ * @param {number} nx
+ * @param {number} ny
+ * @param {number} c
+ * @param {Vector2[]} seg - Two points, modified in place.
+ * @returns {number} Number of points kept.
+ */
+function clipSegment(nx, ny, c, seg) {
+    const p0 = seg[0];
+    const p1 = seg[1];
+    const d0 = nx * p0.x + ny * p0.y - c;
+    const d1 = nx * p1.x + ny * p1.y - c;
+    const out = [];
+    if (d0 <= 0) out.push(new Vector2(p0.x, p0.y));
+    if (d1 <= 0) out.push(new Vector2(p1.x, p1.y));
+    if (d0 * d1 < 0) {
+        const t = d0 / (d0 - d1);
+        out.push(new Vector2(p0.x + t * (p1.x - p0.x), p0.y + t * (p1.y - p0.y)));
+    }
+    if (out.length >= 2) {
+        seg[0] = out[0];
+        seg[1] = out[1];
+    }
+    return out.length;
+}
+
+/**
+ * @param {Manifold} m
+ * @param {PolygonShape} a
+ * @param {PolygonShape} b
+ * @returns {boolean}
+ */
+function collidePolygons(m, a, b) {
+    const penA = findAxisLeastPenetration(a, b);
+    if (penA.separation >= 0) return false;
+    const penB = findAxisLeastPenetration(b, a);
+    if (penB.separation >= 0) return false;
+
+    // Prefer A as the reference polygon unless B is clearly better (keeps contacts stable).
+    let ref = a, inc = b, refFace = penA.face, flip = false;
+    if (!(penA.separation >= penB.separation * 0.95 + penA.separation * 0.01)) {
+        ref = b;
+        inc = a;
+        refFace = penB.face;
+        flip = true;
+    }
+
+    // Incident face: the face on `inc` most anti-parallel to the reference normal.
+    const rn = ref._worldNormals[refFace];
+    let incFace = 0;
+    let minDot = Infinity;
+    for (let i = 0; i < inc._worldNormals.length; i++) {
+        const d = rn.x * inc._worldNormals[i].x + rn.y * inc._worldNormals[i].y;
+        if (d < minDot) {
+            minDot = d;
+            incFace = i;
+        }
+    }
+    const incCount = inc._worldVertices.length;
+    const seg = [
+        new Vector2(inc._worldVertices[incFace].x, inc._worldVertices[incFace].y),
+        new Vector2(inc._worldVertices[(incFace + 1) % incCount].x, inc._worldVertices[(incFace + 1) % incCount].y),
+    ];
+
+    const refCount = ref._worldVertices.length;
+    const v1 = ref._worldVertices[refFace];
+    const v2 = ref._worldVertices[(refFace + 1) % refCount];
+
+    let tx = v2.x - v1.x;
+    let ty = v2.y - v1.y;
+    const tl = Math.hypot(tx, ty) || 1;
+    tx /= tl;
+    ty /= tl;
+    const nx = ty;
+    const ny = -tx;
+
+    const refC = nx * v1.x + ny * v1.y;
+    const negSide = -(tx * v1.x + ty * v1.y);
+    const posSide = tx * v2.x + ty * v2.y;
+
+    if (clipSegment(-tx, -ty, negSide, seg) < 2) return false;
+    if (clipSegment(tx, ty, posSide, seg) < 2) return false;
+
+    m.normal.x = flip ? -nx : nx;
+    m.normal.y = flip ? -ny : ny;
+
+    let pen = 0;
+    for (const p of seg) {
+        const sep = nx * p.x + ny * p.y - refC;
+        if (sep <= 0) {
+            m.contacts.push(p);
+            pen += -sep;
+        }
+    }
+    if (m.contacts.length === 0) return false;
+    m.penetration = pen / m.contacts.length;
+    return true;
+}
+
+/**
+ * Runs narrow-phase collision for a shape pair.
+ * @param {Manifold} m
+ * @returns {boolean}
+ */
+function collide(m) {
+    const a = m.shapeA;
+    const b = m.shapeB;
+    if (a.type === ShapeType.Circle && b.type === ShapeType.Circle) {
+        return collideCircles(m, /** @type {CircleShape} */ (a), /** @type {CircleShape} */ (b));
+    }
+    if (a.type === ShapeType.Polygon && b.type === ShapeType.Polygon) {
+        return collidePolygons(m, /** @type {PolygonShape} */ (a), /** @type {PolygonShape} */ (b));
+    }
+    if (a.type === ShapeType.Polygon) {
+        return collidePolygonCircle(m, /** @type {PolygonShape} */ (a), /** @type {CircleShape} */ (b));
+    }
+    // Circle vs polygon: solve as polygon vs circle and flip the normal.
+    const hit = collidePolygonCircle(m, /** @type {PolygonShape} */ (b), /** @type {CircleShape} */ (a));
+    m.normal.x = -m.normal.x;
+    m.normal.y = -m.normal.y;
+    return hit;
+}
+
+/**
+ * The physics world: owns bodies, integrates them and resolves collisions.
+ */
+export class PhysicsWorld {
+    /**
+     * @param {{
+     *   gravity?: {x:number, y:number},
+     *   velocityIterations?: number,
+     *   positionCorrection?: number,
+     *   penetrationSlop?: number
+     * }=} opts
+     */
+    constructor(opts = {}) {
+        const g = opts.gravity || { x: 0, y: 980 };
+        this.gravity = new Vector2(Number(g.x) || 0, Number(g.y) || 0);
+        this.velocityIterations = Number.isFinite(opts.velocityIterations) ? Math.max(1, opts.velocityIterations | 0) : 8;
+        // Fraction of penetration resolved per step (Baumgarte-style).
+        this.positionCorrection = Number.isFinite(opts.positionCorrection) ? opts.positionCorrection : 0.4;
+        // Allowed penetration (world units) before positional correction kicks in.
+        this.penetrationSlop = Number.isFinite(opts.penetrationSlop) ? opts.penetrationSlop : 0.5;
+
+        /** @type {RigidBody[]} */
+        this.bodies = [];
+        /** @type {Manifold[]} */
+        this.contacts = [];
+
+        this.enabled = true;
+
+        // Active pair keys from the previous step, for enter/exit callbacks.
+        /** @type {Map<string, {a: Shape, b: Shape, trigger: boolean}>} */
+        this._activePairs = new Map();
+    }
+
+    /**
+     * Creates and adds a body.
+     * @param {ConstructorParameters<typeof RigidBody>[0]} opts
+     * @returns {RigidBody}
+     */
+    createBody(opts = {}) {
+        const body = new RigidBody(opts);
+        this.addBody(body);
+        return body;
+    }
+
+    /** @param {RigidBody} body */
+    addBody(body) {
+        if (!body || this.bodies.includes(body)) return;
+        if (body.world && body.world !== this) body.world.removeBody(body);
+        body.world = this;
+        this.bodies.push(body);
+    }
+
+    /** @param {RigidBody} body */
+    removeBody(body) {
+        const idx = this.bodies.indexOf(body);
+        if (idx < 0) return;
+        this.bodies.splice(idx, 1);
+        body.world = null;
+        for (const [key, pair] of this._activePairs) {
+            if (pair.a.body === body || pair.b.body === body || !pair.a.body || !pair.b.body) {
+                this._activePairs.delete(key);
+            }
+        }
+    }
+
+    /** Removes every body (nodes stay in the scene). */
+    clear() {
+        for (const b of this.bodies) {
+            b.world = null;
+            b.detach();
+        }
+        this.bodies.length = 0;
+        this.contacts.length = 0;
+        this._activePairs.clear();
+    }
+
+    /**
+     * Advances the simulation.
+     * @param {number} dt - Seconds.
+     */
+    step(dt) {
+        if (!this.enabled || !(dt > 0)) return;
+
+        const bodies = this.bodies;
+
+        // Pick up manual node moves and refresh world-space shape data.
+        for (const b of bodies) {
+            if (!b.active) continue;
+            b._pullNodeIfMoved();
+            b._updateShapes();
+            b._prevX = b.position.x;
+            b._prevY = b.position.y;
+            b._prevRotation = b.rotation;
+        }
+
+        // Integrate forces into velocities.
+        for (const b of bodies) {
+            if (!b.active || !b.isDynamic) continue;
+            b.velocity.x += (this.gravity.x * b.gravityScale + b.force.x * b.invMass) * dt;
+            b.velocity.y += (this.gravity.y * b.gravityScale + b.force.y * b.invMass) * dt;
+            b.angularVelocity += b.torque * b.invInertia * dt;
+            if (b.linearDamping > 0) {
+                const k = 1 / (1 + dt * b.linearDamping);
+                b.velocity.x *= k;
+                b.velocity.y *= k;
+            }
+            if (b.angularDamping > 0) {
+                b.angularVelocity *= 1 / (1 + dt * b.angularDamping);
+            }
+        }
+
+        this._findContacts();
+
+        // Resting contacts should not bounce from gravity alone.
+        const restingSpeedSq = (this.gravity.x * this.gravity.x + this.gravity.y * this.gravity.y) * dt * dt + EPSILON;
+        const solids = this.contacts.filter((m) => !m.shapeA.isTrigger && !m.shapeB.isTrigger);
+        for (let it = 0; it < this.velocityIterations; it++) {
+            for (const m of solids) this._resolveVelocity(m, it === 0 ? restingSpeedSq : -1);
+        }
+
+        // Integrate velocities into positions.
+        for (const b of bodies) {
+            if (!b.active || b.isStatic) continue;
+            b.position.x += b.velocity.x * dt;
+            b.position.y += b.velocity.y * dt;
+            if (!b.fixedRotation) b.rotation += b.angularVelocity * dt;
+            b.force.x = 0;
+            b.force.y = 0;
+            b.torque = 0;
+        }
+
+        for (const m of solids) this._correctPositions(m);
+
+        for (const b of bodies) {
+            if (!b.active) continue;
+            b._updateShapes();
+            if (!b.isStatic) b.syncToNode();
+        }
+
+        this._dispatchEvents();
+    }
+
+    /**
+     * Writes transforms blended between the last two steps into attached nodes.
+     * Used with fixed-timestep stepping so rendering stays smooth at any frame rate.
+     * @param {number} alpha - 0..1
+     */
+    interpolate(alpha) {
+        const a = Math.min(1, Math.max(0, Number(alpha) || 0));
+        for (const b of this.bodies) {
+            if (!b.active || b.isStatic || !b.node) continue;
+            // Moves made by game code since the last tick win over the blended pose (teleport).
+            if (b._pullNodeIfMoved()) {
+                b._prevX = b.position.x;
+                b._prevY = b.position.y;
+                b._prevRotation = b.rotation;
+                continue;
+            }
+            b.syncToNode(a);
+        }
+    }
+
+    _findContacts() {
+        /** @type {Shape[]} */
+        const shapes = [];
+        for (const b of this.bodies) {
+            if (!b.active) continue;
+            for (const s of b.shapes) shapes.push(s);
+        }
+
+        // Sweep-and-prune along X.
+        shapes.sort((s1, s2) => s1.aabb.x - s2.aabb.x);
+
+        this.contacts.length = 0;
+        for (let i = 0; i < shapes.length; i++) {
+            const a = shapes[i];
+            const aMaxX = a.aabb.x + a.aabb.width;
+            for (let j = i + 1; j < shapes.length; j++) {
+                const b = shapes[j];
+                if (b.aabb.x > aMaxX) break;
+                if (a.body === b.body) continue;
+                if (a.body.invMass === 0 && b.body.invMass === 0 && !a.isTrigger && !b.isTrigger) continue;
+                if (!a.canCollideWith(b)) continue;
+                if (!a.aabb.intersects(b.aabb)) continue;
+
+                // Stable ordering so pair keys and normals are consistent between steps.
+                const [sa, sb] = a.id < b.id ? [a, b] : [b, a];
+                const m = new Manifold(sa, sb);
+                if (collide(m)) this.contacts.push(m);
+            }
+        }
+    }
+
+    /**
+     * @param {Manifold} m
+     * @param {number} restingSpeedSq - Relative speed^2 below which restitution is ignored; <0 disables restitution.
+     */
+    _resolveVelocity(m, restingSpeedSq) {
+        const A = m.bodyA;
+        const B = m.bodyB;
+        const invMassSum0 = A.invMass + B.invMass;
+        if (invMassSum0 === 0) return;
+
+        const n = m.normal;
+        const count = m.contacts.length;
+        for (const c of m.contacts) {
+            const rax = c.x - A.position.x, ray = c.y - A.position.y;
+            const rbx = c.x - B.position.x, rby = c.y - B.position.y;
+
+            // Relative velocity at the contact (cross(w, r) = (-w*r.y, w*r.x)).
+            let rvx = (B.velocity.x - B.angularVelocity * rby) - (A.velocity.x - A.angularVelocity * ray);
+            let rvy = (B.velocity.y + B.angularVelocity * rbx) - (A.velocity.y + A.angularVelocity * rax);
+
+            const contactVel = rvx * n.x + rvy * n.y;
+            if (contactVel > 0) continue;
+
+            const raCrossN = rax * n.y - ray * n.x;
+            const rbCrossN = rbx * n.y - rby * n.x;
+            const invMassSum = invMassSum0 + raCrossN * raCrossN * A.invInertia + rbCrossN * rbCrossN * B.invInertia;
+
+            let e = m.restitution;
+            if (restingSpeedSq < 0 || (rvx * rvx + rvy * rvy) < restingSpeedSq) e = 0;
+
+            const j = -(1 + e) * contactVel / invMassSum / count;
+            this._applyContactImpulse(A, B, n.x * j, n.y * j, rax, ray, rbx, rby);
+
+            // Friction along the contact tangent.
+            rvx = (B.velocity.x - B.angularVelocity * rby) - (A.velocity.x - A.angularVelocity * ray);
+            rvy = (B.velocity.y + B.angularVelocity * rbx) - (A.velocity.y + A.angularVelocity * rax);
+            const vn = rvx * n.x + rvy * n.y;
+            let tx = rvx - n.x * vn;
+            let ty = rvy - n.y * vn;
+            const tLen = Math.hypot(tx, ty);
+            if (tLen < EPSILON) continue;
+            tx /= tLen;
+            ty /= tLen;
+
+            const raCrossT = rax * ty - ray * tx;
+            const rbCrossT = rbx * ty - rby * tx;
+            const invMassSumT = invMassSum0 + raCrossT * raCrossT * A.invInertia + rbCrossT * rbCrossT * B.invInertia;
+            let jt = -(rvx * tx + rvy * ty) / invMassSumT / count;
+
+            // Coulomb's law: |jt| <= mu * j.
+            const maxFriction = j * m.friction;
+            if (jt > maxFriction) jt = maxFriction;
+            else if (jt < -maxFriction) jt = -maxFriction;
+            if (Math.abs(jt) < EPSILON) continue;
+
+            this._applyContactImpulse(A, B, tx * jt, ty * jt, rax, ray, rbx, rby);
+        }
+    }
+
+    /**
+     * @param {RigidBody} A
+     * @param {RigidBody} B
+     * @param {number} ix
+     * @param {number} iy
+     * @param {number} rax
+     * @param {number} ray
+     * @param {number} rbx
+     * @param {number} rby
+     */
+    _applyContactImpulse(A, B, ix, iy, rax, ray, rbx, rby) {
+        A.velocity.x -= ix * A.invMass;
+        A.velocity.y -= iy * A.invMass;
+        A.angularVelocity -= (rax * iy - ray * ix) * A.invInertia;
+        B.velocity.x += ix * B.invMass;
+        B.velocity.y += iy * B.invMass;
+        B.angularVelocity += (rbx * iy - rby * ix) * B.invInertia;
+    }
+
+    /** @param {Manifold} m */
+    _correctPositions(m) {
+        const A = m.bodyA;
+        const B = m.bodyB;
+        const invMassSum = A.invMass + B.invMass;
+        if (invMassSum === 0) return;
+        const depth = Math.max(m.penetration - this.penetrationSlop, 0);
+        if (depth === 0) return;
+        const k = (depth / invMassSum) * this.positionCorrection;
+        A.position.x -= m.normal.x * k * A.invMass;
+        A.position.y -= m.normal.y * k * A.invMass;
+        B.position.x += m.normal.x * k * B.invMass;
+        B.position.y += m.normal.y * k * B.invMass;
+    }
+
+    _dispatchEvents() {
+        /** @type {Map<string, {a: Shape, b: Shape, trigger: boolean}>} */
+        const current = new Map();
+        for (const m of this.contacts) {
+            const key = `${m.shapeA.id}:${m.shapeB.id}`;
+            const trigger = m.shapeA.isTrigger || m.shapeB.isTrigger;
+            current.set(key, { a: m.shapeA, b: m.shapeB, trigger });
+            if (this._activePairs.has(key)) continue;
+
+            const A = m.bodyA;
+            const B = m.bodyB;
+            if (trigger) {
+                if (A.onTriggerEnter) A.onTriggerEnter(B);
+                if (B.onTriggerEnter) B.onTriggerEnter(A);
+            } else {
+                if (A.onCollisionEnter) A.onCollisionEnter(B, m);
+                if (B.onCollisionEnter) B.onCollisionEnter(A, m);
+            }
+        }
+
+        for (const [key, pair] of this._activePairs) {
+            if (current.has(key)) continue;
+            const A = pair.a.body;
+            const B = pair.b.body;
+            if (!A || !B) continue;
+            if (pair.trigger) {
+                if (A.onTriggerExit) A.onTriggerExit(B);
+                if (B.onTriggerExit) B.onTriggerExit(A);
+            } else {
+                if (A.onCollisionExit) A.onCollisionExit(B);
+                if (B.onCollisionExit) B.onCollisionExit(A);
+            }
+        }
+
+        this._activePairs = current;
+    }
+
+    /**
+     * Returns all bodies whose shapes contain the point.
+     * @param {number} x
+     * @param {number} y
+     * @returns {RigidBody[]}
+     */
+    queryPoint(x, y) {
+        const out = [];
+        for (const b of this.bodies) {
+            if (!b.active) continue;
+            for (const s of b.shapes) {
+                if (s.aabb.contains({ x, y }) && s.containsPoint(x, y)) {
+                    out.push(b);
+                    break;
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Returns all bodies whose shape bounds overlap the rectangle.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     * @returns {RigidBody[]}
+     */
+    queryRect(x, y, width, height) {
+        const rect = new AABB(x, y, width, height);
+        const out = [];
+        for (const b of this.bodies) {
+            if (!b.active) continue;
+            if (b.shapes.some((s) => s.aabb.intersects(rect))) out.push(b);
+        }
+        return out;
+    }
+
+    /**
+     * Draws collider outlines through the DebugRenderer.
+     * @param {import('./DebugRenderer.js').default} debug
+     */
+    debugDraw(debug) {
+        if (!debug) return;
+        for (const b of this.bodies) {
+            if (!b.active) continue;
+            const color = b.isStatic ? [80, 200, 80, 255] : (b.isKinematic ? [80, 160, 255, 255] : [255, 200, 60, 255]);
+            for (const s of b.shapes) {
+                const col = s.isTrigger ? [255, 80, 255, 255] : color;
+                if (s.type === ShapeType.Circle) {
+                    const c = /** @type {CircleShape} */ (s);
+                    debug.drawCircle(c._worldCenter.x, c._worldCenter.y, c.radius, col, 1);
+                    debug.drawLine(c._worldCenter.x, c._worldCenter.y, c._worldCenter.x + b._cos * c.radius, c._worldCenter.y + b._sin * c.radius, col, 1);
+                } else {
+                    const v = /** @type {PolygonShape} */ (s)._worldVertices;
+                    for (let i = 0; i < v.length; i++) {
+                        const p = v[i];
+                        const q = v[(i + 1) % v.length];
+                        debug.drawLine(p.x, p.y, q.x, q.y, col, 1);
+                    }
+                }
+            }
+        }
+    }
+}
+
+export default PhysicsWorld;
@@ -2,9 +2,20 @@ import PostProcessing from './PostProcessing.js';
 import Camera3D from './Camera3D.js';
 import { Mat4 } from './Math3D.js';
 import DebugRenderer from './DebugRenderer.js';
+import { MAX_MORPH_TARGETS } from './Mesh.js';
+import { MAX_SKIN_JOINTS } from './Skeleton.js';
 import { LightType } from './Lights.js';
 import { Vector3 } from './Math3D.js';
 
+/** Floats per quad in Renderer.drawQuadBatch data (matches the 2D instance layout). */
+export const QUAD_BATCH_FLOATS = 14;
+
+/**
+ * Floats per particle in the ParticleEmitter3D state buffers: position (3), velocity (3),
+ * age, lifetime, rotation, angular velocity, size, seed, damping, gravity scale.
+ */
+export const PARTICLE_STATE_FLOATS = 14;
+
 /**
  * Handles WebGL rendering, including shader management, resizing, and post-processing.
  */
@@ -71,6 +82,9 @@ export default class Renderer {
     /** @type {Record<number, boolean>} */
     this._renderLayerEnabled = { 0: true, 1: true };
 
+    // Multiplier applied to the alpha of every 2D quad (used by scene transitions).
+    this.globalAlpha = 1.0;
+
     // 3D pass (layer 0) groundwork
     this._in3DPass = false;
     this._defaultCamera3D = new Camera3D();
@@ -131,6 +145,21 @@ export default class Renderer {
     this.sceneNormalTexture = null;
     this._sceneDepthW = 0;
     this._sceneDepthH = 0;
+    // Skinning joint matrices for the 3D programs (see _setSkinningUniforms).
+    this._jointTexture = null;
+    // 3D particles (ParticleEmitter3D). The update program is null without transform
+    // feedback support; emitters then simulate on the CPU.
+    this.particleProgram = null;
+    this._particleUniforms = null;
+    this.particleUpdateProgram = null;
+    this._particleUpdateUniforms = null;
+    this._particleQuadVbo = null;
+    /** @type {any[]} Emitters queued by drawParticles3D during the current 3D pass. */
+    this._particleQueue3D = [];
+    // Set when soft particles were drawn, so the next frame renders the scene depth prepass.
+    this._softParticlesRequested = false;
+    this._particleColorLut = new Float32Array(16 * 4);
+    this._particleScaleLut = new Float32Array(16);
     // Screen-space shadows (post process)
     this.screenSpaceShadowsEnabled = false;
     this.screenSpaceShadowStrength = 0.25;
@@ -1131,6 +1160,11 @@ export default class Renderer {
     this.gl.clearColor(0, 0, 0, 1);
     this.gl.enable(this.gl.BLEND);
     this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+    this._blendMode2D = 'alpha';
+    // Recreated on demand (e.g. after a context restore).
+    this._whiteTexture = null;
+    this._jointTexture = null;
+    this._particleQuadVbo = null;
 
     // Load shaders from files.
     // Use dedicated GLSL 3.00 ES sources for WebGL2 and keep GLSL 1.00 sources for WebGL1 fallback.
@@ -1152,6 +1186,10 @@ export default class Renderer {
     const depthPrepassFragmentShaderPath = '../../Fluxion/Shaders/depth_prepass_fragment_300es.glsl';
     const normalPrepassVertexShaderPath = '../../Fluxion/Shaders/normal_prepass_vertex_300es.glsl';
     const normalPrepassFragmentShaderPath = '../../Fluxion/Shaders/normal_prepass_fragment_300es.glsl';
+    const particleVertexShaderPath = '../../Fluxion/Shaders/particle_vertex_300es.glsl';
+    const particleFragmentShaderPath = '../../Fluxion/Shaders/particle_fragment_300es.glsl';
+    const particleUpdateVertexShaderPath = '../../Fluxion/Shaders/particle_update_vertex_300es.glsl';
+    const particleUpdateFragmentShaderPath = '../../Fluxion/Shaders/particle_update_fragment_300es.glsl';
 
     const vertexShaderSource = await this.loadShaderFile(vertexShaderPath);
     const fragmentShaderSource = await this.loadShaderFile(fragmentShaderPath);
@@ -1210,6 +1248,8 @@ export default class Renderer {
               position: this.gl.getAttribLocation(this.program3D, 'a_position'),
               normal: this.gl.getAttribLocation(this.program3D, 'a_normal'),
               uv: this.gl.getAttribLocation(this.program3D, 'a_uv'),
+              joints: this.gl.getAttribLocation(this.program3D, 'a_joints'),
+              weights: this.gl.getAttribLocation(this.program3D, 'a_weights'),
             };
 
             // PBR uniforms
@@ -1217,6 +1257,16 @@ export default class Renderer {
               viewProj: this.gl.getUniformLocation(this.program3D, 'u_viewProj'),
               model: this.gl.getUniformLocation(this.program3D, 'u_model'),
               normalMatrix: this.gl.getUniformLocation(this.program3D, 'u_normalMatrix'),
+              // GPU skinning (see Skeleton.js)
+              skinned: this.gl.getUniformLocation(this.program3D, 'u_skinned'),
+              jointTexture: this.gl.getUniformLocation(this.program3D, 'u_jointTexture'),
+              // Morph targets (see Mesh.setMorphTargets)
+              morphTargetCount: this.gl.getUniformLocation(this.program3D, 'u_morphTargetCount'),
+              morphSlots: this.gl.getUniformLocation(this.program3D, 'u_morphSlots'),
+              morphStride: this.gl.getUniformLocation(this.program3D, 'u_morphStride'),
+              morphNormalSlot: this.gl.getUniformLocation(this.program3D, 'u_morphNormalSlot'),
+              morphWeights: this.gl.getUniformLocation(this.program3D, 'u_morphWeights[0]'),
+              morphTargets: this.gl.getUniformLocation(this.program3D, 'u_morphTargets'),
 
               cameraPos: this.gl.getUniformLocation(this.program3D, 'u_cameraPos'),
               // Light arrays
@@ -1367,9 +1417,19 @@ export default class Renderer {
               position: this.gl.getAttribLocation(this.shadowProgram, 'a_position'),
               normal: this.gl.getAttribLocation(this.shadowProgram, 'a_normal'),
               uv: this.gl.getAttribLocation(this.shadowProgram, 'a_uv'),
+              joints: this.gl.getAttribLocation(this.shadowProgram, 'a_joints'),
+              weights: this.gl.getAttribLocation(this.shadowProgram, 'a_weights'),
             };
             this._shadowUniforms = {
               model: this.gl.getUniformLocation(this.shadowProgram, 'u_model'),
+              skinned: this.gl.getUniformLocation(this.shadowProgram, 'u_skinned'),
+              jointTexture: this.gl.getUniformLocation(this.shadowProgram, 'u_jointTexture'),
+              morphTargetCount: this.gl.getUniformLocation(this.shadowProgram, 'u_morphTargetCount'),
+              morphSlots: this.gl.getUniformLocation(this.shadowProgram, 'u_morphSlots'),
+              morphStride: this.gl.getUniformLocation(this.shadowProgram, 'u_morphStride'),
+              morphNormalSlot: this.gl.getUniformLocation(this.shadowProgram, 'u_morphNormalSlot'),
+              morphWeights: this.gl.getUniformLocation(this.shadowProgram, 'u_morphWeights[0]'),
+              morphTargets: this.gl.getUniformLocation(this.shadowProgram, 'u_morphTargets'),
               lightViewProj: this.gl.getUniformLocation(this.shadowProgram, 'u_lightViewProj'),
               shadowNearFar: this.gl.getUniformLocation(this.shadowProgram, 'u_shadowNearFar'),
               shadowIsOrtho: this.gl.getUniformLocation(this.shadowProgram, 'u_shadowIsOrtho'),
@@ -1394,10 +1454,20 @@ export default class Renderer {
               position: this.gl.getAttribLocation(this.depthPrepassProgram, 'a_position'),
               normal: this.gl.getAttribLocation(this.depthPrepassProgram, 'a_normal'),
               uv: this.gl.getAttribLocation(this.depthPrepassProgram, 'a_uv'),
+              joints: this.gl.getAttribLocation(this.depthPrepassProgram, 'a_joints'),
+              weights: this.gl.getAttribLocation(this.depthPrepassProgram, 'a_weights'),
             };
             this._depthPrepassUniforms = {
               viewProj: this.gl.getUniformLocation(this.depthPrepassProgram, 'u_viewProj'),
               model: this.gl.getUniformLocation(this.depthPrepassProgram, 'u_model'),
+              skinned: this.gl.getUniformLocation(this.depthPrepassProgram, 'u_skinned'),
+              jointTexture: this.gl.getUniformLocation(this.depthPrepassProgram, 'u_jointTexture'),
+              morphTargetCount: this.gl.getUniformLocation(this.depthPrepassProgram, 'u_morphTargetCount'),
+              morphSlots: this.gl.getUniformLocation(this.depthPrepassProgram, 'u_morphSlots'),
+              morphStride: this.gl.getUniformLocation(this.depthPrepassProgram, 'u_morphStride'),
+              morphNormalSlot: this.gl.getUniformLocation(this.depthPrepassProgram, 'u_morphNormalSlot'),
+              morphWeights: this.gl.getUniformLocation(this.depthPrepassProgram, 'u_morphWeights[0]'),
+              morphTargets: this.gl.getUniformLocation(this.depthPrepassProgram, 'u_morphTargets'),
             };
           }
         }
@@ -1418,11 +1488,21 @@ export default class Renderer {
               position: this.gl.getAttribLocation(this.normalPrepassProgram, 'a_position'),
               normal: this.gl.getAttribLocation(this.normalPrepassProgram, 'a_normal'),
               uv: this.gl.getAttribLocation(this.normalPrepassProgram, 'a_uv'),
+              joints: this.gl.getAttribLocation(this.normalPrepassProgram, 'a_joints'),
+              weights: this.gl.getAttribLocation(this.normalPrepassProgram, 'a_weights'),
             };
             this._normalPrepassUniforms = {
               viewProj: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_viewProj'),
               model: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_model'),
               normalMatrix: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_normalMatrix'),
+              skinned: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_skinned'),
+              jointTexture: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_jointTexture'),
+              morphTargetCount: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_morphTargetCount'),
+              morphSlots: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_morphSlots'),
+              morphStride: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_morphStride'),
+              morphNormalSlot: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_morphNormalSlot'),
+              morphWeights: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_morphWeights[0]'),
+              morphTargets: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_morphTargets'),
               // Shadow atlas + CSM (for primary visibility in alpha; used by SS shadows)
               shadowAtlas: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_shadowAtlas'),
               shadowAtlasSize: this.gl.getUniformLocation(this.normalPrepassProgram, 'u_shadowAtlasSize'),
@@ -1478,6 +1558,59 @@ export default class Renderer {
         console.warn('Failed to load skybox shaders:', e);
         this.skyboxProgram = null;
       }
+
+      // 3D particle programs (ParticleEmitter3D): instanced drawing + transform feedback update.
+      try {
+        const vsP = this.createShader(this.gl.VERTEX_SHADER, await this.loadShaderFile(particleVertexShaderPath));
+        const fsP = this.createShader(this.gl.FRAGMENT_SHADER, await this.loadShaderFile(particleFragmentShaderPath));
+        if (vsP && fsP) {
+          this.particleProgram = this.createProgram(vsP, fsP);
+          if (this.particleProgram) {
+            const loc = (name) => this.gl.getUniformLocation(this.particleProgram, name);
+            this._particleUniforms = {
+              viewProj: loc('u_viewProj'),
+              model: loc('u_model'),
+              cameraPos: loc('u_cameraPos'),
+              cameraRight: loc('u_cameraRight'),
+              cameraUp: loc('u_cameraUp'),
+              renderMode: loc('u_renderMode'),
+              stretch: loc('u_stretch'),
+              tint: loc('u_tint'),
+              colorLut: loc('u_colorLut[0]'),
+              scaleLut: loc('u_scaleLut[0]'),
+              frameGrid: loc('u_frameGrid'),
+              texture: loc('u_texture'),
+              hasTexture: loc('u_hasTexture'),
+              lightDir: loc('u_lightDir'),
+              additive: loc('u_additive'),
+              softParticles: loc('u_softParticles'),
+              sceneDepthTex: loc('u_sceneDepthTex'),
+              sceneViewportUv: loc('u_sceneViewportUv'),
+              nearFar: loc('u_nearFar'),
+              softDistance: loc('u_softDistance'),
+            };
+            this.gl.useProgram(this.particleProgram);
+            if (this._particleUniforms.texture) this.gl.uniform1i(this._particleUniforms.texture, 0);
+            if (this._particleUniforms.sceneDepthTex) this.gl.uniform1i(this._particleUniforms.sceneDepthTex, 1);
+          }
+        }
+
+        const vsU = this.createShader(this.gl.VERTEX_SHADER, await this.loadShaderFile(particleUpdateVertexShaderPath));
+        const fsU = this.createShader(this.gl.FRAGMENT_SHADER, await this.loadShaderFile(particleUpdateFragmentShaderPath));
+        if (this.particleProgram && vsU && fsU) {
+          this.particleUpdateProgram = this.createProgram(vsU, fsU, ['v_position', 'v_velocity', 'v_life', 'v_extra']);
+          if (this.particleUpdateProgram) {
+            this._particleUpdateUniforms = {
+              dt: this.gl.getUniformLocation(this.particleUpdateProgram, 'u_dt'),
+              gravity: this.gl.getUniformLocation(this.particleUpdateProgram, 'u_gravity'),
+            };
+          }
+        }
+      } catch (e) {
+        console.warn('Failed to load particle shaders:', e);
+        this.particleProgram = null;
+        this.particleUpdateProgram = null;
+      }
     }
 
     // --- PBR default textures (1x1) ---
@@ -1690,6 +1823,7 @@ export default class Renderer {
         iUv: this.gl.getAttribLocation(this.instancedProgram, 'a_i_uv'),
         iColor: this.gl.getAttribLocation(this.instancedProgram, 'a_i_color'),
         iRot: this.gl.getAttribLocation(this.instancedProgram, 'a_i_rot'),
+        iShear: this.gl.getAttribLocation(this.instancedProgram, 'a_i_shear'),
       };
       this._instancedUniforms = {
         texture: this.gl.getUniformLocation(this.instancedProgram, 'u_texture'),
@@ -1716,8 +1850,8 @@ export default class Renderer {
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.baseQuadBuffer);
       this.gl.bufferData(this.gl.ARRAY_BUFFER, baseQuad, this.gl.STATIC_DRAW);
 
-      // Per-instance layout: pos(2), size(2), uv(4), color(4), rot(1) = 13 floats
-      this._instanceFloats = 13;
+      // Per-instance layout: pos(2), size(2), uv(4), color(4), rot(1), shear(1) = 14 floats
+      this._instanceFloats = QUAD_BATCH_FLOATS;
       this._instanceStride = this._instanceFloats * 4;
       this.instanceData = new Float32Array(this.MAX_QUADS * this._instanceFloats);
 
@@ -1758,6 +1892,12 @@ export default class Renderer {
       this.gl.vertexAttribPointer(this._instancedAttribs.iRot, 1, this.gl.FLOAT, false, this._instanceStride, 48);
       this.gl.vertexAttribDivisor(this._instancedAttribs.iRot, 1);
 
+      if (this._instancedAttribs.iShear >= 0) {
+        this.gl.enableVertexAttribArray(this._instancedAttribs.iShear);
+        this.gl.vertexAttribPointer(this._instancedAttribs.iShear, 1, this.gl.FLOAT, false, this._instanceStride, 52);
+        this.gl.vertexAttribDivisor(this._instancedAttribs.iShear, 1);
+      }
+
       this.gl.bindVertexArray(null);
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, null);
     }
@@ -1805,12 +1945,16 @@ export default class Renderer {
    * Creates and links a WebGL program.
    * @param {WebGLShader} vertexShader - The compiled vertex shader.
    * @param {WebGLShader} fragmentShader - The compiled fragment shader.
+   * @param {string[]|null} [feedbackVaryings] - WebGL2: vertex outputs captured (interleaved) by transform feedback.
    * @returns {WebGLProgram|null} The linked program, or null if linking failed.
    */
-  createProgram(vertexShader, fragmentShader) {
+  createProgram(vertexShader, fragmentShader, feedbackVaryings = null) {
     const program = this.gl.createProgram();
     this.gl.attachShader(program, vertexShader);
     this.gl.attachShader(program, fragmentShader);
+    if (feedbackVaryings && feedbackVaryings.length > 0) {
+      this.gl.transformFeedbackVaryings(program, feedbackVaryings, this.gl.INTERLEAVED_ATTRIBS);
+    }
     this.gl.linkProgram(program);
     if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
       console.error("Program linking error:", this.gl.getProgramInfoLog(program));
@@ -2672,8 +2816,11 @@ export default class Renderer {
    * Draw a mesh during the 3D pass.
    * @param {import('./Mesh.js').default} mesh
    * @param {Float32Array|null|undefined} modelMatrix
+   * @param {any} [material]
+   * @param {Float32Array|null} [jointMatrices] - Skinning matrices (see Skeleton.js); mesh needs joints + weights.
+   * @param {ArrayLike<number>|null} [morphWeights] - Morph target weights; defaults to `mesh.morph.weights`.
    */
-  drawMesh(mesh, modelMatrix, material) {
+  drawMesh(mesh, modelMatrix, material, jointMatrices = null, morphWeights = null) {
     if (!this._in3DPass) {
       // Caller must begin3D() explicitly so we preserve predictable layering.
       return false;
@@ -2686,7 +2833,8 @@ export default class Renderer {
     const model = modelMatrix || this._identityModel3D;
 
     // Bind mesh VAO/layout (cached on mesh side)
-    mesh.bindLayout(this._program3DAttribs.position, this._program3DAttribs.normal, this._program3DAttribs.uv);
+    const a3 = this._program3DAttribs;
+    mesh.bindLayout(a3.position, a3.normal, a3.uv, -1, -1, a3.joints ?? -1, a3.weights ?? -1);
 
     if (mesh.vao && typeof gl.bindVertexArray === 'function') {
       gl.bindVertexArray(mesh.vao);
@@ -2709,6 +2857,8 @@ export default class Renderer {
 
     // Model + normal matrix
     if (u?.model) gl.uniformMatrix4fv(u.model, false, model);
+    this._setSkinningUniforms(u, mesh, jointMatrices);
+    this._setMorphUniforms(u, mesh, morphWeights);
     if (u?.normalMatrix) {
       // normalMatrix = transpose(inverse(model)) upper-left 3x3
       const inv = Mat4.invert(model, this._tmpInvModel);
@@ -3049,7 +3199,7 @@ export default class Renderer {
    */
   renderContactDepth(camera3D, drawCasters) {
     if (!this.isReady) return false;
-    if (!this.isWebGL2 || (!this.contactShadowsEnabled && !this.screenSpaceShadowsEnabled)) return false;
+    if (!this.isWebGL2 || (!this.contactShadowsEnabled && !this.screenSpaceShadowsEnabled && !this._softParticlesRequested)) return false;
     if (!this.normalPrepassProgram || !this._normalPrepassUniforms) return false;
     if (typeof drawCasters !== 'function') return false;
 
@@ -3885,7 +4035,13 @@ export default class Renderer {
     return true;
   }
 
-  drawMeshShadow(mesh, modelMatrix) {
+  /**
+   * @param {import('./Mesh.js').default} mesh
+   * @param {Float32Array|null|undefined} modelMatrix
+   * @param {Float32Array|null} [jointMatrices] - Same skinning matrices as drawMesh.
+   * @param {ArrayLike<number>|null} [morphWeights] - Same morph weights as drawMesh.
+   */
+  drawMeshShadow(mesh, modelMatrix, jointMatrices = null, morphWeights = null) {
     // This function is reused by multiple depth-only passes:
     // - shadow map pass (CSM / single)
     // - camera depth prepass for contact shadows
@@ -3904,7 +4060,7 @@ export default class Renderer {
     gl.useProgram(prog);
 
     // Bind mesh VAO/layout for the active depth program.
-    mesh.bindLayout(a.position ?? 0, a.normal ?? -1, a.uv ?? -1);
+    mesh.bindLayout(a.position ?? 0, a.normal ?? -1, a.uv ?? -1, -1, -1, a.joints ?? -1, a.weights ?? -1);
 
     if (mesh.vao && typeof gl.bindVertexArray === 'function') gl.bindVertexArray(mesh.vao);
     else {
@@ -3918,6 +4074,8 @@ export default class Renderer {
     }
 
     if (u?.model) gl.uniformMatrix4fv(u.model, false, model);
+    this._setSkinningUniforms(u, mesh, jointMatrices);
+    this._setMorphUniforms(u, mesh, morphWeights);
     if (isContact && u?.normalMatrix) {
       // normalMatrix = transpose(inverse(model)) upper-left 3x3
       const inv = Mat4.invert(model, this._tmpInvModel);
@@ -3933,6 +4091,80 @@ export default class Renderer {
     return true;
   }
 
+  /**
+   * Toggles GPU skinning for the next draw of the bound program and uploads the joint
+   * matrices into the shared joint texture (unit 16, one row of 4 texels per joint).
+   * @param {any} u - Uniform locations with `skinned` / `jointTexture`.
+   * @param {import('./Mesh.js').default} mesh
+   * @param {Float32Array|null|undefined} jointMatrices
+   */
+  _setSkinningUniforms(u, mesh, jointMatrices) {
+    if (!u?.skinned) return;
+    const gl = this.gl;
+    const skinned = !!(jointMatrices && jointMatrices.length >= 16 && mesh?.attributes?.joints && mesh?.attributes?.weights);
+    gl.uniform1i(u.skinned, skinned ? 1 : 0);
+    if (!skinned || !u.jointTexture) return;
+
+    const rows = Math.min(MAX_SKIN_JOINTS, Math.floor(jointMatrices.length / 16));
+    gl.uniform1i(u.jointTexture, 16);
+    gl.activeTexture(gl.TEXTURE16);
+    gl.bindTexture(gl.TEXTURE_2D, this._getJointTexture());
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 4, rows, gl.RGBA, gl.FLOAT, jointMatrices, 0);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  /**
+   * RGBA32F texture holding up to MAX_SKIN_JOINTS joint matrices (created on first use).
+   * @returns {WebGLTexture}
+   */
+  _getJointTexture() {
+    if (this._jointTexture) return this._jointTexture;
+    const gl = this.gl;
+    const t = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, t);
+    gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA32F, 4, MAX_SKIN_JOINTS);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    this._jointTexture = t;
+    return t;
+  }
+
+  /**
+   * Uploads morph weights and binds the mesh's morph target texture (unit 15) for the next draw.
+   * @param {any} u - Uniform locations with the `morph*` entries.
+   * @param {import('./Mesh.js').default} mesh
+   * @param {ArrayLike<number>|null|undefined} weights
+   */
+  _setMorphUniforms(u, mesh, weights) {
+    if (!u?.morphTargetCount) return;
+    const gl = this.gl;
+    const morph = mesh?.morph;
+    if (!morph?.texture) {
+      gl.uniform1i(u.morphTargetCount, 0);
+      return;
+    }
+    const count = Math.min(morph.count, MAX_MORPH_TARGETS);
+    const src = weights || morph.weights;
+    const packed = this._morphWeightsScratch || (this._morphWeightsScratch = new Float32Array(MAX_MORPH_TARGETS));
+    packed.fill(0);
+    for (let i = 0; i < count && i < src.length; i++) packed[i] = Number(src[i]) || 0;
+
+    gl.uniform1i(u.morphTargetCount, count);
+    // Targets are interleaved per vertex, so the full count (not the clamped one) sets the stride.
+    if (u.morphStride) gl.uniform1i(u.morphStride, morph.slots * morph.count);
+    if (u.morphSlots) gl.uniform1i(u.morphSlots, morph.slots);
+    if (u.morphNormalSlot) gl.uniform1i(u.morphNormalSlot, morph.normalSlot);
+    if (u.morphWeights) gl.uniform4fv(u.morphWeights, packed);
+    if (u.morphTargets) gl.uniform1i(u.morphTargets, 15);
+    gl.activeTexture(gl.TEXTURE15);
+    gl.bindTexture(gl.TEXTURE_2D, morph.texture);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
   endShadowPass() {
     if (!this._inShadowPass) return;
     const gl = this.gl;
@@ -3946,11 +4178,302 @@ export default class Renderer {
     this._inShadowPass = false;
   }
 
+  /**
+   * Queues a ParticleEmitter3D for the current 3D pass. Its particles are simulated and drawn
+   * in end3D(), after the opaque meshes, with depth testing but no depth writes.
+   * @param {import('./ParticleEmitter3D.js').default} emitter
+   * @returns {boolean} False outside a 3D pass or without particle shaders.
+   */
+  drawParticles3D(emitter) {
+    if (!this._in3DPass || !emitter || !this.particleProgram) return false;
+    this._particleQueue3D.push(emitter);
+    return true;
+  }
+
+  /**
+   * Releases the GPU buffers of an emitter (see ParticleEmitter3D.dispose).
+   * @param {any} emitter
+   */
+  disposeParticles3D(emitter) {
+    const g = emitter?._gpu;
+    if (!g) return;
+    const gl = g.gl;
+    for (const vao of [...g.updateVaos, ...g.renderVaos]) {
+      if (vao) gl.deleteVertexArray(vao);
+    }
+    for (const b of g.buffers) gl.deleteBuffer(b);
+    emitter._gpu = null;
+    emitter._simMode = null;
+  }
+
+  /**
+   * Simulates and draws the emitters queued by drawParticles3D.
+   * @param {Camera3D} cam
+   */
+  _renderParticles3D(cam) {
+    const gl = this.gl;
+    const queue = this._particleQueue3D;
+
+    // Farthest emitters first so overlapping systems blend in order.
+    if (queue.length > 1) {
+      const dist = (e) => (e.x - cam.position.x) ** 2 + (e.y - cam.position.y) ** 2 + (e.z - cam.position.z) ** 2;
+      queue.sort((a, b) => dist(b) - dist(a));
+    }
+
+    const view = cam.getViewMatrix();
+    const rays = this._getMainDirectionalLightDir(this._sceneLights);
+    const canSoft = !!this.sceneDepthTexture;
+    let wantsSoft = false;
+
+    for (const emitter of queue) {
+      try {
+        const g = this._ensureParticleBuffers3D(emitter);
+        this._simulateParticles3D(emitter, g);
+
+        const soft = !!emitter.softParticles && Number(emitter.softDistance) > 0;
+        wantsSoft = wantsSoft || soft;
+
+        const u = this._particleUniforms;
+        gl.useProgram(this.particleProgram);
+        gl.enable(gl.DEPTH_TEST);
+        gl.depthFunc(gl.LEQUAL);
+        gl.depthMask(false);
+        gl.enable(gl.BLEND);
+        // Premultiplied output; additive emitters write alpha 0.
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        gl.uniformMatrix4fv(u.viewProj, false, cam.getViewProjectionMatrix());
+        gl.uniformMatrix4fv(u.model, false, emitter.localSpace ? emitter._getModelMatrix() : this._identityModel3D);
+        gl.uniform3f(u.cameraPos, cam.position.x, cam.position.y, cam.position.z);
+        gl.uniform3f(u.cameraRight, view[0], view[4], view[8]);
+        gl.uniform3f(u.cameraUp, view[1], view[5], view[9]);
+        const mode = emitter.renderMode === 'mesh' ? 2 : (emitter.renderMode === 'stretched' ? 1 : 0);
+        gl.uniform1i(u.renderMode, mode);
+        gl.uniform1f(u.stretch, Math.max(0, Number(emitter.stretch) || 0));
+        const tint = emitter.color || [1, 1, 1, 1];
+        gl.uniform4f(u.tint, tint[0] ?? 1, tint[1] ?? 1, tint[2] ?? 1, tint[3] ?? 1);
+        emitter._bakeCurves(this._particleColorLut, this._particleScaleLut);
+        gl.uniform4fv(u.colorLut, this._particleColorLut);
+        gl.uniform1fv(u.scaleLut, this._particleScaleLut);
+        gl.uniform2f(u.frameGrid, Math.max(1, emitter.frameColumns | 0), Math.max(1, emitter.frameRows | 0));
+        gl.uniform3f(u.lightDir, -rays[0], -rays[1], -rays[2]);
+        gl.uniform1i(u.additive, emitter.blendMode === 'additive' ? 1 : 0);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, emitter.texture || null);
+        gl.uniform1i(u.hasTexture, emitter.texture ? 1 : 0);
+
+        gl.uniform1i(u.softParticles, (soft && canSoft) ? 1 : 0);
+        if (soft && canSoft) {
+          const cw = Math.max(1, this.canvas.width | 0);
+          const ch = Math.max(1, this.canvas.height | 0);
+          gl.uniform4f(u.sceneViewportUv, (this.viewport.x || 0) / cw, (this.viewport.y || 0) / ch, (this.viewport.width || cw) / cw, (this.viewport.height || ch) / ch);
+          gl.uniform2f(u.nearFar, cam.near, cam.far);
+          gl.uniform1f(u.softDistance, Number(emitter.softDistance));
+          gl.activeTexture(gl.TEXTURE1);
+          gl.bindTexture(gl.TEXTURE_2D, this.sceneDepthTexture);
+        }
+
+        const mesh = mode === 2 ? emitter._getMesh(gl) : null;
+        gl.bindVertexArray(this._getParticleRenderVao3D(g, mesh));
+        if (mesh && mesh.ibo && mesh.indices) {
+          gl.drawElementsInstanced(gl.TRIANGLES, mesh.indexCount, mesh.indexType, 0, g.capacity);
+        } else {
+          gl.drawArraysInstanced(gl.TRIANGLES, 0, mesh ? mesh.vertexCount : 6, g.capacity);
+        }
+      } catch (e) {
+        console.warn(`Renderer: particle emitter '${emitter?.name}' failed to render:`, e);
+      }
+    }
+
+    gl.bindVertexArray(null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.depthMask(true);
+    gl.disable(gl.BLEND);
+    gl.useProgram(this.program3D);
+    queue.length = 0;
+    this._softParticlesRequested = wantsSoft;
+  }
+
+  /**
+   * (Re)creates the two state buffers of an emitter (ping-pong for transform feedback) and
+   * picks GPU or CPU simulation.
+   * @param {any} emitter
+   */
+  _ensureParticleBuffers3D(emitter) {
+    const gl = this.gl;
+    const state = emitter._ensureCapacity();
+    const mode = (this.particleUpdateProgram && emitter.simulation !== 'cpu') ? 'gpu' : 'cpu';
+    let g = emitter._gpu;
+    if (g && (g.gl !== gl || g.capacity !== emitter._capacity)) {
+      this.disposeParticles3D(emitter);
+      g = null;
+    }
+
+    if (!g) {
+      g = { gl, capacity: emitter._capacity, buffers: [], updateVaos: [], renderVaos: [null, null], geometry: null, src: 0 };
+      for (let i = 0; i < 2; i++) {
+        const b = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, b);
+        gl.bufferData(gl.ARRAY_BUFFER, state, gl.DYNAMIC_COPY);
+        g.buffers.push(b);
+
+        const vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
+        this._bindParticleStateAttribs3D(b, 0);
+        g.updateVaos.push(vao);
+      }
+      gl.bindVertexArray(null);
+      gl.bindBuffer(gl.ARRAY_BUFFER, null);
+      emitter._gpu = g;
+      emitter._simMode = null;
+    }
+
+    if (emitter._simMode !== mode) {
+      // The CPU copy is authoritative when switching (a fresh buffer or CPU -> GPU).
+      gl.bindBuffer(gl.ARRAY_BUFFER, g.buffers[g.src]);
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, state);
+      gl.bindBuffer(gl.ARRAY_BUFFER, null);
+      emitter._simMode = mode;
+      emitter._dirtyCount = 0;
+      emitter._pendingDt = 0;
+      emitter._cpuDirty = false;
+    }
+    return g;
+  }
+
+  /**
+   * Brings the current state buffer up to date: uploads new particles and runs the transform
+   * feedback step (GPU), or uploads the CPU-simulated state.
+   * @param {any} emitter
+   * @param {any} g
+   */
+  _simulateParticles3D(emitter, g) {
+    const gl = this.gl;
+    const F = PARTICLE_STATE_FLOATS;
+
+    if (emitter._simMode !== 'gpu') {
+      if (emitter._cpuDirty) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, g.buffers[g.src]);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, emitter._state);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        emitter._cpuDirty = false;
+      }
+      emitter._dirtyCount = 0;
+      return;
+    }
+
+    // Slots spawned since the last step form one ring range (split in two when it wraps).
+    if (emitter._dirtyCount > 0) {
+      const cap = g.capacity;
+      const from = emitter._dirtyFrom;
+      const first = Math.min(emitter._dirtyCount, cap - from);
+      gl.bindBuffer(gl.ARRAY_BUFFER, g.buffers[g.src]);
+      gl.bufferSubData(gl.ARRAY_BUFFER, from * F * 4, emitter._state, from * F, first * F);
+      if (emitter._dirtyCount > first) {
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, emitter._state, 0, (emitter._dirtyCount - first) * F);
+      }
+      gl.bindBuffer(gl.ARRAY_BUFFER, null);
+      emitter._dirtyCount = 0;
+    }
+
+    const dt = emitter._pendingDt;
+    if (!(dt > 0)) return;
+    emitter._pendingDt = 0;
+
+    const dst = 1 - g.src;
+    const grav = emitter.gravity || [0, 0, 0];
+    gl.useProgram(this.particleUpdateProgram);
+    gl.uniform1f(this._particleUpdateUniforms.dt, dt);
+    gl.uniform3f(this._particleUpdateUniforms.gravity, Number(grav[0]) || 0, Number(grav[1]) || 0, Number(grav[2]) || 0);
+    gl.bindVertexArray(g.updateVaos[g.src]);
+    gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, g.buffers[dst]);
+    gl.enable(gl.RASTERIZER_DISCARD);
+    gl.beginTransformFeedback(gl.POINTS);
+    gl.drawArrays(gl.POINTS, 0, g.capacity);
+    gl.endTransformFeedback();
+    gl.disable(gl.RASTERIZER_DISCARD);
+    gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, null);
+    gl.bindVertexArray(null);
+    g.src = dst;
+  }
+
+  /**
+   * Points attributes 0..3 at a particle state buffer (see PARTICLE_STATE_FLOATS).
+   * @param {WebGLBuffer} buffer
+   * @param {number} divisor - 0 for the update pass, 1 for instanced drawing.
+   */
+  _bindParticleStateAttribs3D(buffer, divisor) {
+    const gl = this.gl;
+    const stride = PARTICLE_STATE_FLOATS * 4;
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    const layout = [[0, 3, 0], [1, 3, 12], [2, 4, 24], [3, 4, 40]];
+    for (const [loc, size, offset] of layout) {
+      gl.enableVertexAttribArray(loc);
+      gl.vertexAttribPointer(loc, size, gl.FLOAT, false, stride, offset);
+      gl.vertexAttribDivisor(loc, divisor);
+    }
+  }
+
+  /**
+   * Render VAO for the current state buffer: particle attributes per instance plus the quad
+   * or mesh vertices. Rebuilt when the geometry changes.
+   * @param {any} g
+   * @param {import('./Mesh.js').default|null} mesh
+   */
+  _getParticleRenderVao3D(g, mesh) {
+    const gl = this.gl;
+    const geometry = mesh || 'quad';
+    if (g.geometry !== geometry) {
+      for (let i = 0; i < 2; i++) {
+        if (g.renderVaos[i]) gl.deleteVertexArray(g.renderVaos[i]);
+        g.renderVaos[i] = null;
+      }
+      g.geometry = geometry;
+    }
+    if (g.renderVaos[g.src]) return g.renderVaos[g.src];
+
+    if (!mesh && !this._particleQuadVbo) {
+      // Two triangles in Mesh.js layout (position, normal, uv); v = 0 is the image top.
+      const v = (x, y) => [x, y, 0, 0, 0, 1, x + 0.5, 0.5 - y];
+      this._particleQuadVbo = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, this._particleQuadVbo);
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+        ...v(-0.5, -0.5), ...v(0.5, -0.5), ...v(0.5, 0.5),
+        ...v(-0.5, -0.5), ...v(0.5, 0.5), ...v(-0.5, 0.5),
+      ]), gl.STATIC_DRAW);
+    }
+
+    const vao = gl.createVertexArray();
+    gl.bindVertexArray(vao);
+    this._bindParticleStateAttribs3D(g.buffers[g.src], 1);
+    const stride = (mesh ? mesh.vertexStride : 8) * 4;
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh ? mesh.vbo : this._particleQuadVbo);
+    for (const [loc, size, offset] of [[4, 3, 0], [5, 3, 12], [6, 2, 24]]) {
+      gl.enableVertexAttribArray(loc);
+      gl.vertexAttribPointer(loc, size, gl.FLOAT, false, stride, offset);
+      gl.vertexAttribDivisor(loc, 0);
+    }
+    if (mesh && mesh.ibo) gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.ibo);
+    gl.bindVertexArray(null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    g.renderVaos[g.src] = vao;
+    return vao;
+  }
+
   /** End 3D rendering and restore 2D state. */
   end3D() {
     if (!this._in3DPass) return;
     const gl = this.gl;
 
+    // Particles blend over the opaque meshes drawn during the pass.
+    this._softParticlesRequested = false;
+    if (this._particleQueue3D.length > 0) {
+      this._renderParticles3D(this._last3DCamera || this._defaultCamera3D);
+    }
+
     // Render queued 3D debug primitives at the end of the 3D pass.
     // This mirrors how 2D debug is rendered automatically in endFrame().
     if (this.debug && typeof this.debug.render3D === 'function') {
@@ -3964,6 +4487,7 @@ export default class Renderer {
     gl.disable(gl.DEPTH_TEST);
     gl.enable(gl.BLEND);
     gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    this._blendMode2D = 'alpha';
     // Restore the active 2D program (instanced vs legacy).
     if (this._isInstancingEnabled()) {
       gl.useProgram(this.instancedProgram);
@@ -4136,7 +4660,16 @@ export default class Renderer {
     this.gl.uniform2f(this.resolutionLocation, this.targetWidth, this.targetHeight);
   }
 
-  drawQuad(texture, x, y, width, height, srcX, srcY, srcWidth, srcHeight, color = [255, 255, 255, 255], rotation = 0) {
+  /**
+   * Queues a textured quad. (x, y) is the top-left of the unrotated quad; rotation (radians)
+   * and shear (x offset per unit of local y, from Node2D skew/parent transforms) act around
+   * its center. Negative width/height mirror the image.
+   *
+   * Overloads:
+   * - drawQuad(tex, x, y, w, h, srcX, srcY, srcW, srcH, color?, rotation?, shear?)
+   * - drawQuad(tex, x, y, w, h, colorArray, rotation?, shear?)
+   */
+  drawQuad(texture, x, y, width, height, srcX, srcY, srcWidth, srcHeight, color = [255, 255, 255, 255], rotation = 0, shear = 0) {
     if (!this.isReady) return;
 
     this._spritesThisFrame++;
@@ -4150,6 +4683,7 @@ export default class Renderer {
     
     let finalColor = color;
     let rot = Number(rotation) || 0;
+    let shx = Number(shear) || 0;
     let u0 = 0, v0 = 0, u1 = 1, v1 = 1;
 
     // Handle overloaded arguments
@@ -4159,6 +4693,7 @@ export default class Renderer {
       if (typeof srcY === 'number') {
         rot = Number(srcY) || 0;
       }
+      shx = (typeof srcWidth === 'number') ? (Number(srcWidth) || 0) : 0;
     }
     // Case 2: drawQuad(tex, x, y, w, h, srcX, srcY, srcW, srcH, [color])
     else if (typeof srcX === 'number') {
@@ -4191,7 +4726,7 @@ export default class Renderer {
     const r = finalColor[0] * 0.00392156862745098; // 1/255
     const g = finalColor[1] * 0.00392156862745098;
     const b = finalColor[2] * 0.00392156862745098;
-    const a = finalColor[3] * 0.00392156862745098;
+    const a = finalColor[3] * 0.00392156862745098 * this.globalAlpha;
 
     // WebGL2 instanced path: one instance per sprite (no per-vertex expansion)
     if (this._isInstancingEnabled()) {
@@ -4210,10 +4745,110 @@ export default class Renderer {
       this.instanceData[i++] = b;
       this.instanceData[i++] = a;
       this.instanceData[i++] = rot;
+      this.instanceData[i++] = shx;
       this.quadCount++;
       return;
     }
 
+    this._pushQuadVertices(x, y, width, height, u0, v0, u1, v1, r, g, b, a, rot, shx);
+  }
+
+  /**
+   * Queues pre-packed quads sharing one texture. Each quad is QUAD_BATCH_FLOATS floats in the
+   * instanced layout: x, y, w, h, u0, v0, u1, v1, r, g, b, a (0..1), rotation, shear.
+   * Callers that cache this data (e.g. TileMap chunks) skip per-quad UV and color work;
+   * with instancing it is copied straight into the instance buffer.
+   * @param {WebGLTexture} texture
+   * @param {Float32Array} data
+   * @param {number} [count] - Number of quads (defaults to all of `data`).
+   */
+  drawQuadBatch(texture, data, count = Math.floor(data.length / QUAD_BATCH_FLOATS)) {
+    if (!this.isReady || !texture || count <= 0) return;
+
+    this._spritesThisFrame += count;
+
+    const key = this._textureToCacheKey.get(texture);
+    if (key) {
+      const entry = this.textureCache.get(key);
+      if (entry) entry.lastUsedFrame = this._frameId;
+    }
+
+    if (this.currentTexture !== texture) {
+      this.flush();
+      this.currentTexture = texture;
+    }
+
+    const F = QUAD_BATCH_FLOATS;
+    const alpha = this.globalAlpha;
+
+    if (this._isInstancingEnabled()) {
+      this._usedInstancingThisFrame = true;
+      let src = 0;
+      while (src < count) {
+        if (this.quadCount >= this.MAX_QUADS) this.flush();
+        const n = Math.min(count - src, this.MAX_QUADS - this.quadCount);
+        const dst = this.quadCount * F;
+        this.instanceData.set(data.subarray(src * F, (src + n) * F), dst);
+        if (alpha !== 1) {
+          for (let i = 0; i < n; i++) this.instanceData[dst + i * F + 11] *= alpha;
+        }
+        this.quadCount += n;
+        src += n;
+      }
+      return;
+    }
+
+    for (let q = 0; q < count; q++) {
+      if (this.quadCount >= this.MAX_QUADS) this.flush();
+      const i = q * F;
+      this._pushQuadVertices(
+        data[i], data[i + 1], data[i + 2], data[i + 3],
+        data[i + 4], data[i + 5], data[i + 6], data[i + 7],
+        data[i + 8], data[i + 9], data[i + 10], data[i + 11] * alpha,
+        data[i + 12], data[i + 13]
+      );
+    }
+  }
+
+  /**
+   * Blending used by the following 2D quads. Quads already queued are flushed with the
+   * previous mode, so switch back to 'alpha' once the additive quads are queued.
+   * @param {'alpha'|'additive'} mode
+   */
+  setBlendMode2D(mode) {
+    const next = mode === 'additive' ? 'additive' : 'alpha';
+    if (!this.gl || next === (this._blendMode2D || 'alpha')) return;
+    this.flush();
+    this._blendMode2D = next;
+    const gl = this.gl;
+    if (next === 'additive') gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+    else gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  }
+
+  /**
+   * Shared 1x1 white texture, for untextured quads colored by their tint.
+   * @returns {WebGLTexture|null}
+   */
+  getWhiteTexture() {
+    if (this._whiteTexture || !this.gl) return this._whiteTexture || null;
+    const gl = this.gl;
+    const t = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, t);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 255, 255, 255]));
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    this._textureDimensions.set(t, { width: 1, height: 1 });
+    this._whiteTexture = t;
+    return t;
+  }
+
+  /**
+   * Legacy (non-instanced) path: appends the 4 vertices of one quad to the batch.
+   */
+  _pushQuadVertices(x, y, width, height, u0, v0, u1, v1, r, g, b, a, rot, shx) {
     // Append to vertex data
     let offset = this.quadCount * 4 * this.VERTEX_SIZE;
 
@@ -4222,15 +4857,15 @@ export default class Renderer {
     let trx = x + width, try_ = y;
     let brx = x + width, bry = y + height;
     let blx = x, bly = y + height;
-    if (rot !== 0) {
+    if (rot !== 0 || shx !== 0) {
       const cx = x + width * 0.5;
       const cy = y + height * 0.5;
       const cosO = Math.cos(rot);
       const sinO = Math.sin(rot);
 
       const rotPoint = (px, py) => {
-        const lx = px - cx;
         const ly = py - cy;
+        const lx = px - cx + shx * ly;
         return {
           x: cx + (lx * cosO - ly * sinO),
           y: cy + (lx * sinO + ly * cosO),
@@ -4288,7 +4923,7 @@ export default class Renderer {
     this.vertexData[offset++] = a;
 
     this.quadCount++;
-}
+  }
 
   _isInstancingEnabled() {
     return !!(
@@ -1,3 +1,10 @@
+import PhysicsWorld from './Physic.js';
+import Time from './Time.js';
+import Behaviour from './Behaviour.js';
+import SceneIndex from './SceneIndex.js';
+import Timers from './Timers.js';
+import Tween from './Tween.js';
+
 /** @typedef {import('./Camera.js').default} Camera */
 
 /**
@@ -31,8 +38,26 @@ export default class Scene {
         this.audio = [];
         /** @type {any[]} */
         this.lights = [];
+        /** @type {PhysicsWorld | null} */
+        this.physics = null;
         this.disposeOnSceneChange = false;
         this._disposed = false;
+        // Set once fixedUpdate drives the scene; physics then only steps on fixed ticks
+        // (cleared again when the engine turns fixed stepping off).
+        this._fixedStepDriven = false;
+        // Keep updating on real time while the engine is paused (pause menus, HUD scenes).
+        this.processWhilePaused = false;
+        // Position among additive scenes drawn together (higher draws on top, e.g. HUD).
+        this.renderOrder = 0;
+        // Lifecycle hooks called by SceneManager: (scene, manager) => void
+        /** @type {((scene: Scene, manager: any) => void) | null} */
+        this.onEnter = null;
+        /** @type {((scene: Scene, manager: any) => void) | null} */
+        this.onExit = null;
+        // Tag/group/type lookup tables, kept in sync by add/remove and node addChild/removeChild.
+        this._index = new SceneIndex(this);
+        // after/every/wait on this scene's game time; cancelled when the scene is disposed.
+        this.timers = new Timers();
     }
 
     /**
@@ -75,12 +100,15 @@ export default class Scene {
     }
 
     /**
-     * Adds an object to the scene.
+     * Adds an object to the scene. Rigid bodies attached to it or its descendants that are not
+     * in a physics world yet are added to this scene's world (enabling physics on first use).
      * @param {Object} object - The object to add.
      */
     add(object) {
         this.objects.push(object);
         this._objectsDirty = true;
+        this._index.addTree(object);
+        this._addPhysicsBodies(object);
     }
 
     /**
@@ -89,6 +117,7 @@ export default class Scene {
      */
     addAudio(audio) {
         this.audio.push(audio);
+        this._index.add(audio);
     }
 
     /**
@@ -98,6 +127,7 @@ export default class Scene {
     addLight(light) {
         if (!light) return;
         this.lights.push(light);
+        this._index.add(light);
     }
 
     /**
@@ -106,7 +136,23 @@ export default class Scene {
      */
     removeLight(light) {
         const idx = this.lights.indexOf(light);
-        if (idx >= 0) this.lights.splice(idx, 1);
+        if (idx >= 0) {
+            this.lights.splice(idx, 1);
+            this._index.remove(light);
+        }
+    }
+
+    /**
+     * Creates the scene's 2D physics world (or returns the existing one).
+     * Once enabled, the world is stepped by Scene.update.
+     * @param {ConstructorParameters<typeof PhysicsWorld>[0]=} options
+     * @returns {PhysicsWorld}
+     */
+    enablePhysics(options = {}) {
+        if (!this.physics) {
+            this.physics = new PhysicsWorld(options);
+        }
+        return this.physics;
     }
 
     /**
@@ -132,6 +178,7 @@ export default class Scene {
         if (!camera) return;
         if (!Array.isArray(this.cameras)) this.cameras = [];
         if (!this.cameras.includes(camera)) this.cameras.push(camera);
+        this._index.add(camera);
 
         // Explicit primary overrides fallback.
         if (camera.active === true) {
@@ -158,6 +205,7 @@ export default class Scene {
         if (!camera) return;
         if (!Array.isArray(this.cameras3D)) this.cameras3D = [];
         if (!this.cameras3D.includes(camera)) this.cameras3D.push(camera);
+        this._index.add(camera);
 
         if (camera.active === true) {
             this._hasExplicitPrimary3D = true;
@@ -181,6 +229,7 @@ export default class Scene {
         if (!camera) return;
         if (!Array.isArray(this.cameras)) this.cameras = [];
         if (!this.cameras.includes(camera)) this.cameras.push(camera);
+        this._index.add(camera);
         this._hasExplicitPrimary2D = true;
         for (const c of this.cameras) {
             if (!c) continue;
@@ -197,6 +246,7 @@ export default class Scene {
         if (!camera) return;
         if (!Array.isArray(this.cameras3D)) this.cameras3D = [];
         if (!this.cameras3D.includes(camera)) this.cameras3D.push(camera);
+        this._index.add(camera);
         this._hasExplicitPrimary3D = true;
         for (const c of this.cameras3D) {
             if (!c) continue;
@@ -260,6 +310,121 @@ export default class Scene {
             this.objects.splice(index, 1);
             this._objectsDirty = true;
         }
+        this._removePhysicsBodies(object);
+        if (index > -1) {
+            this._index.removeTree(object);
+            Behaviour.destroyTree(object);
+        }
+    }
+
+    /**
+     * Adds the bodies of `object` and its descendants that are in no world yet to the physics
+     * world, placed at their node's (world) transform.
+     * @param {any} object
+     */
+    _addPhysicsBodies(object) {
+        if (!object) return;
+        const body = object.body;
+        if (body && !body.world && typeof body.syncFromNode === 'function') {
+            body.syncFromNode();
+            this.enablePhysics().addBody(body);
+        }
+        if (Array.isArray(object.children)) {
+            for (const child of object.children) this._addPhysicsBodies(child);
+        }
+    }
+
+    /**
+     * Removes the bodies of `object` and its descendants from the physics world.
+     * @param {any} object
+     */
+    _removePhysicsBodies(object) {
+        if (!this.physics || !object) return;
+        if (object.body && object.body.world === this.physics) {
+            this.physics.removeBody(object.body);
+        }
+        if (Array.isArray(object.children)) {
+            for (const child of object.children) this._removePhysicsBodies(child);
+        }
+    }
+
+    /**
+     * Finds every node matching all given criteria (objects and their children, lights,
+     * cameras and audio). Tag, group and string type lookups are indexed.
+     *
+     *   scene.findAll({ tag: 'enemy' });
+     *   scene.findAll({ type: 'Sprite', group: 'pickups' });
+     *   scene.findAll({ type: MeshNode, category: 'mesh' }); // class: instanceof match
+     *
+     * @param {Parameters<SceneIndex['query']>[0]} [query]
+     * @returns {any[]}
+     */
+    findAll(query = {}) {
+        return this._index.query(query);
+    }
+
+    /**
+     * First node matching the query, or null.
+     * @param {Parameters<SceneIndex['query']>[0]} [query]
+     * @returns {any | null}
+     */
+    findFirst(query = {}) {
+        return this._index.query(query)[0] || null;
+    }
+
+    /**
+     * Nodes in a group (`groups="enemies"` in XML, or node.addToGroup('enemies')).
+     * @param {string} group
+     * @returns {any[]}
+     */
+    getGroup(group) {
+        const set = this._index.byGroup.get(group);
+        return set ? Array.from(set) : [];
+    }
+
+    /**
+     * Looks a node up by a `/`-separated path of names, e.g. `scene.getNode('UI/Score')`.
+     * The first segment names a top-level node (object, camera, light or audio).
+     * @param {string} path
+     * @returns {any | null}
+     */
+    getNode(path) {
+        const parts = String(path || '').split('/').map((p) => p.trim()).filter(Boolean);
+        if (parts.length === 0) return null;
+
+        const roots = [...this.objects, ...this.cameras, ...this.cameras3D, ...this.lights, ...this.audio];
+        let node = roots.find((o) => o && o.name === parts[0]) || null;
+        for (let i = 1; node && i < parts.length; i++) {
+            const children = Array.isArray(node.children) ? node.children : [];
+            node = children.find((c) => c && c.name === parts[i]) || null;
+        }
+        return node;
+    }
+
+    /**
+     * Refreshes a node's tag/group entries after its `tags`/`groups` arrays were edited directly.
+     * @param {any} node
+     */
+    reindex(node) {
+        this._index.reindex(node);
+    }
+
+    /**
+     * Called by nodes when a child is attached to a node in this scene.
+     * @param {any} child
+     */
+    _onChildAttached(child) {
+        this._index.addTree(child);
+        this._addPhysicsBodies(child);
+    }
+
+    /**
+     * Called by nodes when a child is detached from a node in this scene.
+     * @param {any} child
+     */
+    _onChildDetached(child) {
+        this._index.removeTree(child);
+        this._removePhysicsBodies(child);
     }
 
     /**
@@ -287,14 +452,79 @@ export default class Scene {
     }
 
     /**
-     * Updates all objects in the scene.
+     * Updates all objects in the scene their behaviours and timers.
      * @param {number} dt - The delta time since the last frame.
      */
     update(dt) {
+        const frozen = Time.isFrozen(this);
+        const sceneDt = Time.deltaFor(this, dt);
+
+        if (!(Time.fixedTimestep > 0)) this._fixedStepDriven = false;
+        if (this.physics && !this._fixedStepDriven && !frozen) {
+            this.physics.step(sceneDt);
+        }
+
+        if (!frozen) this.timers.update(sceneDt);
+
+        // Behaviours first, so node updates (animation, follow camera) see this frame's changes.
+        for (const obj of this.objects.slice()) {
+            Behaviour.updateTree(obj, this, sceneDt, frozen);
+        }
+
         for (const obj of this.objects) {
-            if (obj.update) {
-                obj.update(dt, this.camera);
+            // While paused, only nodes flagged processWhilePaused run (on unscaled time).
+            if (frozen) {
+                this._updatePausedTree(obj);
+                continue;
             }
+            if (!obj.update) continue;
+            obj.update(Time.deltaFor(obj, sceneDt), this.camera);
+        }
+    }
+
+    /**
+     * Runs the topmost processWhilePaused nodes of a subtree on unscaled time (their own
+     * update handles their children), e.g. a button inside an unflagged pause-menu panel.
+     * @param {any} obj
+     */
+    _updatePausedTree(obj) {
+        if (!obj || obj.active === false) return;
+        if (obj.processWhilePaused) {
+            if (obj.update) obj.update(Time.unscaledDeltaTime, this.camera);
+            return;
+        }
+        if (Array.isArray(obj.children)) {
+            for (const child of obj.children.slice()) this._updatePausedTree(child);
+        }
+    }
+
+    /**
+     * Runs one fixed simulation tick: steps physics and calls `fixedUpdate(dt)` on objects.
+     * Called by Engine when `fixedTimestep` is enabled (or by the game's own fixedUpdate).
+     * @param {number} dt - The fixed tick length in seconds.
+     */
+    fixedUpdate(dt) {
+        this._fixedStepDriven = true;
+        if (this.physics) {
+            this.physics.step(dt);
+        }
+
+        for (const obj of this.objects.slice()) {
+            if (!obj) continue;
+            Behaviour.fixedUpdateTree(obj, this, dt);
+            if (obj.fixedUpdate) {
+                obj.fixedUpdate(dt);
+            }
+        }
+    }
+
+    /**
+     * Interpolates fixed-step physics bodies between the last two ticks for rendering.
+     * @param {number} alpha - 0..1 (Engine.interpolationAlpha).
+     */
+    interpolate(alpha) {
+        if (this.physics && this._fixedStepDriven) {
+            this.physics.interpolate(alpha);
         }
     }
 
@@ -307,93 +537,172 @@ export default class Scene {
         // - Render layer 0: 3D (base)
         // - Render layer 1: 2D (existing sprite pipeline), using obj.layer for sub-layer sorting
         // Existing content that only uses obj.layer keeps working (defaults to 2D).
+        this._refreshDrawLists();
 
-        if (!this._sortedObjects || this._objectsDirty) {
-            // Optimize: only create arrays if we have objects
-            if (this.objects.length === 0) {
-                this._sorted3DObjects = [];
-                this._sortedObjects = [];
-                this._objectsDirty = false;
-                return;
-            }
+        const layer3DEnabled = renderer?.isRenderLayerEnabled ? renderer.isRenderLayerEnabled(0) : true;
+        const layer2DEnabled = renderer?.isRenderLayerEnabled ? renderer.isRenderLayerEnabled(1) : true;
 
-            const objects = this.objects;
-            const sorted3D = [];
-            const sorted2D = [];
-
-            // Single pass: categorize and sort 2D objects
-            for (let i = 0; i < objects.length; i++) {
-                const o = objects[i];
-                if (!o) continue;
-                
-                if (o.renderLayer === 0 || typeof o.draw3D === 'function') {
-                    sorted3D.push(o);
-                } else {
-                    sorted2D.push(o);
-                }
-            }
+        // 3D base pass
+        if (layer3DEnabled && this._sorted3DObjects.length > 0) {
+            Scene._draw3DPass(renderer, this._sorted3DObjects, this.lights, this.camera3D);
+        }
 
-            // Sort 2D objects by layer
-            if (sorted2D.length > 1) {
-                sorted2D.sort((a, b) => {
-                    const layerA = a?.layer !== undefined ? a.layer : 0;
-                    const layerB = b?.layer !== undefined ? b.layer : 0;
-                    return layerA - layerB;
-                });
+        // 2D pass (existing behavior)
+        if (layer2DEnabled) {
+            for (const obj of this._sortedObjects) {
+                if (obj && obj.draw) {
+                    obj.draw(renderer);
+                }
             }
+        }
+    }
 
-            this._sorted3DObjects = sorted3D;
-            this._sortedObjects = sorted2D;
-            this._objectsDirty = false;
+    /**
+     * Draws several active scenes as one frame (additive scenes: HUD, streamed chunks, overlays).
+     *
+     * - 3D: one shared pass over every scene's 3D objects, lit by the merged lights of all
+     *   scenes and viewed through the first camera3D found in entry order (list the primary scene first).
+     * - 2D: objects from all scenes sorted by (scene.renderOrder, obj.layer); ties keep scene order.
+     *   Each scene's objects are drawn with that scene's 2D camera.
+     *
+     * @param {Object} renderer - The renderer instance.
+     * @param {Array<Scene | { scene: Scene, alpha?: number }>} entries - Scenes in draw order.
+     * @param {Camera | null} [fallbackCamera=null] - 2D camera for scenes without their own.
+     */
+    static drawComposite(renderer, entries, fallbackCamera = null) {
+        /** @type {{ scene: Scene, alpha: number }[]} */
+        const layers = [];
+        for (const e of entries || []) {
+            const scene = (e instanceof Scene) ? e : e?.scene;
+            if (!scene || scene._disposed) continue;
+            const alpha = (e instanceof Scene) ? 1 : (typeof e.alpha === 'number' ? e.alpha : 1);
+            if (alpha <= 0) continue;
+            scene._refreshDrawLists();
+            layers.push({ scene, alpha });
         }
+        if (layers.length === 0) return;
 
         const layer3DEnabled = renderer?.isRenderLayerEnabled ? renderer.isRenderLayerEnabled(0) : true;
         const layer2DEnabled = renderer?.isRenderLayerEnabled ? renderer.isRenderLayerEnabled(1) : true;
+        const prevAlpha = (typeof renderer?.globalAlpha === 'number') ? renderer.globalAlpha : 1;
+
+        if (layer3DEnabled) {
+            const objects3D = [];
+            const lights = [];
+            let camera3D = null;
+            for (const { scene } of layers) {
+                if (scene._sorted3DObjects.length > 0) objects3D.push(...scene._sorted3DObjects);
+                if (Array.isArray(scene.lights)) lights.push(...scene.lights);
+                if (!camera3D && scene.camera3D) camera3D = scene.camera3D;
+            }
+            if (objects3D.length > 0) {
+                Scene._draw3DPass(renderer, objects3D, lights, camera3D);
+            }
+        }
 
-        // 3D base pass
-        if (layer3DEnabled && this._sorted3DObjects && this._sorted3DObjects.length > 0) {
-            // Push scene lights into the renderer before beginning the 3D pass.
-            if (renderer?.setSceneLights) renderer.setSceneLights(this.lights);
-            else if (renderer?.setLights) renderer.setLights(this.lights);
-
-            // Shadow pass (directional light depth map) - must run before the main 3D shading pass.
-            const drawCasters = () => {
-                for (const obj of this._sorted3DObjects) {
-                    if (obj && typeof obj.drawShadow === 'function') obj.drawShadow(renderer);
+        if (layer2DEnabled) {
+            const items = [];
+            for (const layer of layers) {
+                const order = Number(layer.scene.renderOrder) || 0;
+                for (const obj of layer.scene._sortedObjects) {
+                    if (obj && obj.draw) items.push({ obj, layer, order, z: obj.layer !== undefined ? obj.layer : 0 });
                 }
-            };
-
-            // Depth+normal prepass (camera depth + world normals). Needed for:
-            // - contact shadows (PBR shader)
-            // - screen-space shadows (post-process)
-            if (typeof renderer?.renderContactDepth === 'function') {
-                renderer.renderContactDepth(this.camera3D, drawCasters);
             }
+            // Array.prototype.sort is stable: equal keys keep scene order, then in-scene order.
+            items.sort((a, b) => (a.order - b.order) || (a.z - b.z));
+
+            let currentLayer = null;
+            for (const item of items) {
+                if (item.layer !== currentLayer) {
+                    currentLayer = item.layer;
+                    const cam = currentLayer.scene.camera || fallbackCamera;
+                    if (cam && renderer?.activeCamera !== cam && typeof renderer?.applyTransform === 'function') {
+                        renderer.applyTransform(cam);
+                    }
+                    if (renderer) renderer.globalAlpha = prevAlpha * currentLayer.alpha;
+                }
+                item.obj.draw(renderer);
+            }
+            if (renderer) renderer.globalAlpha = prevAlpha;
+        }
+    }
 
-            if (typeof renderer?.renderShadowMaps === 'function') {
-                renderer.renderShadowMaps(this.camera3D, this.lights, drawCasters);
-            } else if (renderer?.beginShadowPass?.(this.camera3D, this.lights)) {
-                drawCasters();
-                renderer.endShadowPass?.();
+    /**
+     * Rebuilds the cached 3D/2D draw lists when objects or layers changed.
+     */
+    _refreshDrawLists() {
+        if (this._sortedObjects && !this._objectsDirty) return;
+
+        const objects = this.objects;
+        const sorted3D = [];
+        const sorted2D = [];
+
+        // Single pass: categorize and sort 2D objects
+        for (let i = 0; i < objects.length; i++) {
+            const o = objects[i];
+            if (!o) continue;
+            
+            if (o.renderLayer === 0 || typeof o.draw3D === 'function') {
+                sorted3D.push(o);
+            } else {
+                sorted2D.push(o);
             }
+        }
 
-            if (renderer?.begin3D?.(this.camera3D)) {
-                for (const obj of this._sorted3DObjects) {
-                    if (typeof obj.draw3D === 'function') {
-                        obj.draw3D(renderer);
-                    }
-                }
-                renderer.end3D?.();
+        // Sort 2D objects by layer
+        if (sorted2D.length > 1) {
+            sorted2D.sort((a, b) => {
+                const layerA = a?.layer !== undefined ? a.layer : 0;
+                const layerB = b?.layer !== undefined ? b.layer : 0;
+                return layerA - layerB;
+            });
+        }
+
+        this._sorted3DObjects = sorted3D;
+        this._sortedObjects = sorted2D;
+        this._objectsDirty = false;
+    }
+
+    /**
+     * Runs the 3D base pass: contact depth, shadow maps and the shaded pass.
+     * @param {Object} renderer
+     * @param {any[]} objects3D
+     * @param {any[]} lights
+     * @param {import('./Camera3D.js').default | null} camera3D
+     */
+    static _draw3DPass(renderer, objects3D, lights, camera3D) {
+        // Push scene lights into the renderer before beginning the 3D pass.
+        if (renderer?.setSceneLights) renderer.setSceneLights(lights);
+        else if (renderer?.setLights) renderer.setLights(lights);
+
+        // Shadow pass (directional light depth map) - must run before the main 3D shading pass.
+        const drawCasters = () => {
+            for (const obj of objects3D) {
+                if (obj && typeof obj.drawShadow === 'function') obj.drawShadow(renderer);
             }
+        };
+
+        // Depth+normal prepass (camera depth + world normals). Needed for:
+        // - contact shadows (PBR shader)
+        // - screen-space shadows (post-process)
+        if (typeof renderer?.renderContactDepth === 'function') {
+            renderer.renderContactDepth(camera3D, drawCasters);
         }
 
-        // 2D pass (existing behavior)
-        if (layer2DEnabled) {
-            for (const obj of this._sortedObjects) {
-                if (obj && obj.draw) {
-                    obj.draw(renderer);
+        if (typeof renderer?.renderShadowMaps === 'function') {
+            renderer.renderShadowMaps(camera3D, lights, drawCasters);
+        } else if (renderer?.beginShadowPass?.(camera3D, lights)) {
+            drawCasters();
+            renderer.endShadowPass?.();
+        }
+
+        if (renderer?.begin3D?.(camera3D)) {
+            for (const obj of objects3D) {
+                if (typeof obj.draw3D === 'function') {
+                    obj.draw3D(renderer);
                 }
             }
+            renderer.end3D?.();
         }
     }
 
@@ -408,11 +717,22 @@ export default class Scene {
         // Stop audio.
         this.stopAudio();
 
+        // Pending waits never resolve, so coroutines of this scene stop here.
+        this.timers.cancelAll();
+
+        if (this.physics) {
+            this.physics.clear();
+            this.physics = null;
+        }
+
+        for (const obj of this.objects) Behaviour.destroyTree(obj);
+
         const disposeRecursive = (obj) => {
             if (!obj) return;
             if (obj.children && obj.children.length > 0) {
                 for (const child of obj.children) disposeRecursive(child);
             }
+            Tween.killTweensOf(obj);
             if (typeof obj.dispose === 'function') obj.dispose();
         };
 
@@ -422,6 +742,7 @@ export default class Scene {
         this.objects.length = 0;
         this.audio.length = 0;
         this.lights.length = 0;
+        this._index.clear();
         this._sortedObjects = null;
         this._sorted3DObjects = null;
         this._objectsDirty = true;
@@ -0,0 +1,198 @@
+/**
+ * Incremental lookup tables for a scene's nodes: by tag, group and type (constructor name).
+ *
+ * Scene keeps it in sync from add/remove (and addLight/addAudio/registerCamera); nodes report
+ * addChild/removeChild through their `_scene` back-reference. Tags and groups must be changed
+ * through `SceneIndex.setMembership` (what Node2D/MeshNode addTag/addToGroup call), or the
+ * node re-indexed with `scene.reindex(node)` after editing `node.tags`/`node.groups` directly.
+ */
+export default class SceneIndex {
+    /**
+     * @param {import('./Scene.js').default} scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        /** @type {Set<any>} */
+        this.all = new Set();
+        /** @type {Map<string, Set<any>>} */
+        this.byTag = new Map();
+        /** @type {Map<string, Set<any>>} */
+        this.byGroup = new Map();
+        /** @type {Map<string, Set<any>>} */
+        this.byType = new Map();
+    }
+
+    /**
+     * Indexes a node and its descendants.
+     * @param {any} node
+     */
+    addTree(node) {
+        if (!node) return;
+        this.add(node);
+        if (Array.isArray(node.children)) {
+            for (const child of node.children) this.addTree(child);
+        }
+    }
+
+    /**
+     * Removes a node and its descendants from the index.
+     * @param {any} node
+     */
+    removeTree(node) {
+        if (!node) return;
+        this.remove(node);
+        if (Array.isArray(node.children)) {
+            for (const child of node.children) this.removeTree(child);
+        }
+    }
+
+    /**
+     * @param {any} node
+     */
+    add(node) {
+        if (!node || typeof node !== 'object' || this.all.has(node)) return;
+        this.all.add(node);
+        node._scene = this.scene;
+        for (const tag of SceneIndex._list(node.tags)) SceneIndex._put(this.byTag, tag, node);
+        for (const group of SceneIndex._list(node.groups)) SceneIndex._put(this.byGroup, group, node);
+        const type = node.constructor?.name;
+        if (type) SceneIndex._put(this.byType, type, node);
+    }
+
+    /**
+     * @param {any} node
+     */
+    remove(node) {
+        if (!node || !this.all.has(node)) return;
+        this.all.delete(node);
+        if (node._scene === this.scene) node._scene = null;
+        for (const tag of SceneIndex._list(node.tags)) SceneIndex._take(this.byTag, tag, node);
+        for (const group of SceneIndex._list(node.groups)) SceneIndex._take(this.byGroup, group, node);
+        const type = node.constructor?.name;
+        if (type) SceneIndex._take(this.byType, type, node);
+    }
+
+    /**
+     * Rebuilds one node's entries (after editing its tags/groups arrays directly).
+     * @param {any} node
+     */
+    reindex(node) {
+        if (!node || !this.all.has(node)) return;
+        for (const map of [this.byTag, this.byGroup]) {
+            for (const [key, set] of map) {
+                if (set.delete(node) && set.size === 0) map.delete(key);
+            }
+        }
+        for (const tag of SceneIndex._list(node.tags)) SceneIndex._put(this.byTag, tag, node);
+        for (const group of SceneIndex._list(node.groups)) SceneIndex._put(this.byGroup, group, node);
+    }
+
+    /**
+     * Matches nodes against every given criterion. Uses the most selective index, then filters.
+     * @param {{
+     *   tag?: string,
+     *   group?: string,
+     *   type?: string | Function,
+     *   category?: string,
+     *   name?: string,
+     *   filter?: (node: any) => boolean,
+     * }} [query]
+     * @returns {any[]}
+     */
+    query(query = {}) {
+        const { tag, group, type, category, name, filter } = query;
+
+        /** @type {Set<any>[]} */
+        const candidates = [];
+        if (tag !== undefined) candidates.push(this.byTag.get(tag) || new Set());
+        if (group !== undefined) candidates.push(this.byGroup.get(group) || new Set());
+        if (typeof type === 'string') candidates.push(this.byType.get(type) || new Set());
+
+        let source = this.all;
+        for (const set of candidates) {
+            if (set.size < source.size) source = set;
+        }
+
+        const out = [];
+        for (const node of source) {
+            if (tag !== undefined && !SceneIndex._list(node.tags).includes(tag)) continue;
+            if (group !== undefined && !SceneIndex._list(node.groups).includes(group)) continue;
+            if (typeof type === 'string' && node.constructor?.name !== type) continue;
+            if (typeof type === 'function' && !(node instanceof type)) continue;
+            if (category !== undefined && node.category !== category) continue;
+            if (name !== undefined && node.name !== name) continue;
+            if (filter && !filter(node)) continue;
+            out.push(node);
+        }
+        return out;
+    }
+
+    clear() {
+        for (const node of this.all) {
+            if (node._scene === this.scene) node._scene = null;
+        }
+        this.all.clear();
+        this.byTag.clear();
+        this.byGroup.clear();
+        this.byType.clear();
+    }
+
+    /**
+     * Adds/removes a tag or group on a node and updates the index of the scene it belongs to.
+     * @param {any} node
+     * @param {'tags' | 'groups'} kind
+     * @param {string} value
+     * @param {boolean} present
+     * @returns {boolean} True if the node changed.
+     */
+    static setMembership(node, kind, value, present) {
+        if (!node || !value) return false;
+        if (!Array.isArray(node[kind])) node[kind] = [];
+        const list = node[kind];
+        const idx = list.indexOf(value);
+        if (present === (idx >= 0)) return false;
+
+        if (present) list.push(value);
+        else list.splice(idx, 1);
+
+        const index = node._scene?._index;
+        if (index && index.all.has(node)) {
+            const map = kind === 'tags' ? index.byTag : index.byGroup;
+            if (present) SceneIndex._put(map, value, node);
+            else SceneIndex._take(map, value, node);
+        }
+        return true;
+    }
+
+    /**
+     * Parses `"enemy, flying"` into `['enemy', 'flying']`.
+     * @param {string | null | undefined} str
+     * @returns {string[]}
+     */
+    static parseList(str) {
+        return String(str || '').split(',').map((s) => s.trim()).filter(Boolean);
+    }
+
+    /** @param {any} v @returns {string[]} */
+    static _list(v) {
+        return Array.isArray(v) ? v : [];
+    }
+
+    /** @param {Map<string, Set<any>>} map @param {string} key @param {any} node */
+    static _put(map, key, node) {
+        let set = map.get(key);
+        if (!set) {
+            set = new Set();
+            map.set(key, set);
+        }
+        set.add(node);
+    }
+
+    /** @param {Map<string, Set<any>>} map @param {string} key @param {any} node */
+    static _take(map, key, node) {
+        const set = map.get(key);
+        if (!set) return;
+        set.delete(node);
+        if (set.size === 0) map.delete(key);
+    }
+}
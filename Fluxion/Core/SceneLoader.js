@@ -5,17 +5,45 @@ import Audio from './Audio.js';
 import Camera from './Camera.js';
 import Camera3D from './Camera3D.js';
 import ClickableArea from './ClickableArea.js';
+import Node2D from './Node2D.js';
 import Text from './Text.js';
 import MeshNode from './MeshNode.js';
 import Material from './Material.js';
 import Skybox from './Skybox.js';
 import { DirectionalLight, PointLight, SpotLight } from './Lights.js';
 import { loadGLTF } from './GLTFLoader.js';
+import { RigidBody, BodyType, BoxShape, CircleShape, PolygonShape } from './Physic.js';
+import Behaviour, { BehaviourRegistry } from './Behaviour.js';
+import SceneIndex from './SceneIndex.js';
+import Signals from './Signals.js';
+import AnimationPlayer from './AnimationPlayer.js';
+import AnimationClip from './AnimationClip.js';
+import AnimationController from './AnimationController.js';
+import SpriteAtlas from './SpriteAtlas.js';
+import TileMap from './TileMap.js';
+import TileSet from './TileSet.js';
+import TiledLoader from './TiledLoader.js';
+import ParticleEmitter2D, { parseCurve, parseGradient } from './ParticleEmitter2D.js';
+import ParticleEmitter3D from './ParticleEmitter3D.js';
 
 /**
  * Utility class for loading scenes from XML files.
  */
 export default class SceneLoader {
+    /** @type {Map<string, Promise<Element | null>>} Parsed prefab roots by absolute URL. */
+    static _prefabCache = new Map();
+    /** Renderer of the last load(), used by instantiate() when none is given. */
+    static _lastRenderer = null;
+
+    /** Node attributes tracked for prefab instances, so editor changes become overrides. */
+    static PREFAB_TRACKED_ATTRIBUTES = [
+        ['name', 'name'], ['x', 'x'], ['y', 'y'], ['rotation', 'rotation'],
+        ['scaleX', 'scaleX'], ['scaleY', 'scaleY'], ['skewX', 'skewX'], ['skewY', 'skewY'],
+        ['width', 'width'], ['height', 'height'], ['layer', 'layer'], ['active', 'Active'],
+    ];
+
+    /** Attributes holding asset paths (see _resolveAssetAttribute). */
+    static ASSET_PATH_ATTRIBUTES = ['imageSrc', 'src', 'image', 'atlas', 'controller', 'clips', 'frames'];
 
         /**
          * Apply XML Material override attributes onto an already-created Material.
@@ -114,9 +142,17 @@ export default class SceneLoader {
             if (!sceneNode) throw new Error("Invalid scene file: No <Scene> tag found.");
 
             const scene = new Scene();
+            SceneLoader._lastRenderer = renderer || SceneLoader._lastRenderer;
             if (sceneNode.hasAttribute("name")) {
                 scene.name = sceneNode.getAttribute("name");
             }
+            if (sceneNode.getAttribute("processWhilePaused") === "true") {
+                scene.processWhilePaused = true;
+            }
+            if (sceneNode.hasAttribute("renderOrder")) {
+                const order = parseFloat(sceneNode.getAttribute("renderOrder"));
+                if (Number.isFinite(order)) scene.renderOrder = order;
+            }
 
             // When reusing a renderer across scene loads, ensure environment defaults
             // don't leak from a previous scene if this scene doesn't declare a <Skybox>.
@@ -179,6 +215,29 @@ export default class SceneLoader {
 
             // Pass 1: register named mesh resources (top-level <Mesh ... />) and materials
             for (const child of children) {
+                // Physics world settings: <Physics gravity="0,980" iterations="8" />
+                // Handled before objects so bodies are added to a configured world.
+                if (child.tagName === 'Physics') {
+                    const gravityAttr = child.getAttribute('gravity');
+                    const gravity = gravityAttr ? this._parseVec2(gravityAttr) : [0, 980];
+                    const iterAttr = child.getAttribute('iterations') || child.getAttribute('velocityIterations');
+                    const world = scene.enablePhysics({
+                        gravity: { x: gravity[0], y: gravity[1] },
+                        velocityIterations: iterAttr !== null ? (parseInt(iterAttr) | 0) : undefined,
+                    });
+                    if (child.getAttribute('enabled') === 'false') world.enabled = false;
+
+                    // Preserve declaration for editor round-tripping.
+                    // @ts-ignore - editor-only metadata
+                    scene._physicsXml = {
+                        __xmlTag: 'Physics',
+                        gravity: gravityAttr || '',
+                        iterations: iterAttr || '',
+                        enabled: child.getAttribute('enabled') || '',
+                    };
+                    continue;
+                }
+
                 if (child.tagName === 'Mesh') {
                     const name = child.getAttribute('name') || '';
                     const type = child.getAttribute('type') || child.getAttribute('source') || child.getAttribute('mesh') || '';
@@ -463,6 +522,7 @@ export default class SceneLoader {
                 if (child.tagName === 'Mesh') continue;
                 if (child.tagName === 'Material') continue;
                 if (child.tagName === 'Font') continue;
+                if (child.tagName === 'Physics') continue;
 
                 // Handle Skybox separately (needs renderer reference)
                 if (child.tagName === 'Skybox') {
@@ -527,95 +587,17 @@ export default class SceneLoader {
 
                 // Resolve named mesh resources onto mesh nodes.
                 if (obj instanceof MeshNode) {
-                    const def = scene.getMeshDefinition(obj.source);
-                    if (def) {
-                        // Check if this is a GLTF promise that needs to be awaited
-                        if (def.type === 'gltf' && def.promise) {
-                            try {
-                                const gltfResult = await def.promise;
-                                // After promise resolves, the mesh should be registered with the XAML name
-                                // Re-fetch the definition to get the actual mesh
-                                const resolvedDef = scene.getMeshDefinition(obj.source);
-                                if (resolvedDef && resolvedDef.type === 'gltf' && resolvedDef.mesh) {
-                                    console.log(`GLTF: Resolved mesh "${obj.source}" for MeshNode "${obj.name}"`, resolvedDef);
-                                    obj.setMeshDefinition(resolvedDef);
-                                } else if (resolvedDef && resolvedDef.type === 'gltf-group' && Array.isArray(resolvedDef.parts)) {
-                                    console.log(`GLTF: Resolved grouped mesh "${obj.source}" for MeshNode "${obj.name}"`, resolvedDef);
-                                    // Expand to children MeshNodes (one per primitive)
-                                    await SceneLoader._expandGltfGroupMeshNode(obj, resolvedDef, scene);
-                                } else if (gltfResult && gltfResult.meshes && gltfResult.meshes.size > 0) {
-                                    // Fallback: use first mesh from GLTF
-                                    const gltfMesh = Array.from(gltfResult.meshes.values())[0];
-                                    console.log(`GLTF: Using fallback mesh for MeshNode "${obj.name}"`, gltfMesh);
-                                    obj.setMeshDefinition({ type: 'gltf', mesh: gltfMesh });
-                                } else {
-                                    console.warn(`GLTF: No mesh found for "${obj.source}" after promise resolved`);
-                                }
-                            } catch (e) {
-                                console.warn('Failed to resolve GLTF mesh', obj.source, e);
-                            }
-                        } else if (def.type === 'gltf' && def.mesh) {
-                            // GLTF mesh already loaded
-                            console.log(`GLTF: Using already-loaded mesh for MeshNode "${obj.name}"`, def);
-                            obj.setMeshDefinition(def);
-                        } else if (def.type === 'gltf-group' && Array.isArray(def.parts)) {
-                            console.log(`GLTF: Using already-loaded grouped mesh for MeshNode "${obj.name}"`, def);
-                            await SceneLoader._expandGltfGroupMeshNode(obj, def, scene);
-                        } else {
-                            obj.setMeshDefinition(def);
-                        }
-                    } else {
-                        // Built-in primitives (Cube/Sphere/etc.) are not registered as meshDefinitions.
-                        // Avoid warning in that case.
-                        const src = String(obj.source || '');
-                        const prim = src.toLowerCase();
-                        const isPrimitive = prim === 'cube' || prim === 'box' || prim === 'sphere' || prim === 'plane' || prim === 'quad' || prim === 'triangle' || prim === 'cone' || prim === 'capsule' || prim === 'coloredcube';
-                        if (!isPrimitive) {
-                            console.warn(`MeshNode "${obj.name}": No mesh definition found for source "${obj.source}"`);
-                        }
-                    }
-
-                    // If the mesh definition provides a default material and the node didn't specify one,
-                    // auto-apply it (keeps GLTF imports from rendering pure white).
-                    if (!obj.material && obj.meshDefinition && obj.meshDefinition.type === 'gltf' && obj.meshDefinition.material) {
-                        const hint = obj.meshDefinition.material;
-                        const mdef = (typeof hint === 'string') ? scene.getMaterialDefinition(hint) : hint;
-                        if (mdef) {
-                            if (typeof mdef.then === 'function') {
-                                try {
-                                    const mat = await mdef;
-                                    if (mat) obj.setMaterial(mat);
-                                } catch (e) {
-                                    console.warn('Failed to resolve GLTF default material', hint, e);
-                                }
-                            } else {
-                                obj.setMaterial(mdef);
-                            }
-                        }
-                    }
-
-                    // Resolve material reference if present
-                    if (obj.material) {
-                        const mdef = scene.getMaterialDefinition(obj.material);
-                        if (mdef) {
-                            // mdef may be a promise
-                            if (typeof mdef.then === 'function') {
-                                try {
-                                    const mat = await mdef;
-                                    if (mat) obj.setMaterial(mat);
-                                } catch (e) {
-                                    console.warn('Failed to resolve material', obj.material, e);
-                                }
-                            } else {
-                                obj.setMaterial(mdef);
-                            }
-                        }
-                    }
+                    await SceneLoader._resolveMeshNode(obj, scene);
                 }
 
                 scene.add(obj);
             }
 
+            // Signal wiring needs every node in place (targets may be declared later in the file).
+            for (const root of [...scene.objects, ...scene.cameras, ...scene.cameras3D, ...scene.lights, ...scene.audio]) {
+                SceneLoader._wireSignals(root, scene);
+            }
+
             return scene;
         } catch (error) {
             console.error("SceneLoader Error:", error);
@@ -623,6 +605,99 @@ export default class SceneLoader {
         }
     }
 
+    /**
+     * Resolves a MeshNode's `source` and `material` names against the scene's registered
+     * mesh/material definitions (awaiting glTF loads when needed).
+     * @param {MeshNode} obj
+     * @param {Scene} scene
+     */
+    static async _resolveMeshNode(obj, scene) {
+        const def = scene.getMeshDefinition(obj.source);
+        if (def) {
+            // Check if this is a GLTF promise that needs to be awaited
+            if (def.type === 'gltf' && def.promise) {
+                try {
+                    const gltfResult = await def.promise;
+                    // After promise resolves, the mesh should be registered with the XAML name
+                    // Re-fetch the definition to get the actual mesh
+                    const resolvedDef = scene.getMeshDefinition(obj.source);
+                    if (resolvedDef && resolvedDef.type === 'gltf' && resolvedDef.mesh) {
+                        console.log(`GLTF: Resolved mesh "${obj.source}" for MeshNode "${obj.name}"`, resolvedDef);
+                        obj.setMeshDefinition(resolvedDef);
+                    } else if (resolvedDef && resolvedDef.type === 'gltf-group' && Array.isArray(resolvedDef.parts)) {
+                        console.log(`GLTF: Resolved grouped mesh "${obj.source}" for MeshNode "${obj.name}"`, resolvedDef);
+                        // Expand to children MeshNodes (one per primitive)
+                        await SceneLoader._expandGltfGroupMeshNode(obj, resolvedDef, scene);
+                    } else if (gltfResult && gltfResult.meshes && gltfResult.meshes.size > 0) {
+                        // Fallback: use first mesh from GLTF
+                        const gltfMesh = Array.from(gltfResult.meshes.values())[0];
+                        console.log(`GLTF: Using fallback mesh for MeshNode "${obj.name}"`, gltfMesh);
+                        obj.setMeshDefinition({ type: 'gltf', mesh: gltfMesh });
+                    } else {
+                        console.warn(`GLTF: No mesh found for "${obj.source}" after promise resolved`);
+                    }
+                } catch (e) {
+                    console.warn('Failed to resolve GLTF mesh', obj.source, e);
+                }
+            } else if (def.type === 'gltf' && def.mesh) {
+                // GLTF mesh already loaded
+                console.log(`GLTF: Using already-loaded mesh for MeshNode "${obj.name}"`, def);
+                obj.setMeshDefinition(def);
+            } else if (def.type === 'gltf-group' && Array.isArray(def.parts)) {
+                console.log(`GLTF: Using already-loaded grouped mesh for MeshNode "${obj.name}"`, def);
+                await SceneLoader._expandGltfGroupMeshNode(obj, def, scene);
+            } else {
+                obj.setMeshDefinition(def);
+            }
+        } else {
+            // Built-in primitives (Cube/Sphere/etc.) are not registered as meshDefinitions.
+            // Avoid warning in that case.
+            const src = String(obj.source || '');
+            const prim = src.toLowerCase();
+            const isPrimitive = prim === 'cube' || prim === 'box' || prim === 'sphere' || prim === 'plane' || prim === 'quad' || prim === 'triangle' || prim === 'cone' || prim === 'capsule' || prim === 'coloredcube';
+            if (!isPrimitive) {
+                console.warn(`MeshNode "${obj.name}": No mesh definition found for source "${obj.source}"`);
+            }
+        }
+
+        // If the mesh definition provides a default material and the node didn't specify one,
+        // auto-apply it (keeps GLTF imports from rendering pure white).
+        if (!obj.material && obj.meshDefinition && obj.meshDefinition.type === 'gltf' && obj.meshDefinition.material) {
+            const hint = obj.meshDefinition.material;
+            const mdef = (typeof hint === 'string') ? scene.getMaterialDefinition(hint) : hint;
+            if (mdef) {
+                if (typeof mdef.then === 'function') {
+                    try {
+                        const mat = await mdef;
+                        if (mat) obj.setMaterial(mat);
+                    } catch (e) {
+                        console.warn('Failed to resolve GLTF default material', hint, e);
+                    }
+                } else {
+                    obj.setMaterial(mdef);
+                }
+            }
+        }
+
+        // Resolve material reference if present
+        if (obj.material) {
+            const mdef = scene.getMaterialDefinition(obj.material);
+            if (mdef) {
+                // mdef may be a promise
+                if (typeof mdef.then === 'function') {
+                    try {
+                        const mat = await mdef;
+                        if (mat) obj.setMaterial(mat);
+                    } catch (e) {
+                        console.warn('Failed to resolve material', obj.material, e);
+                    }
+                } else {
+                    obj.setMaterial(mdef);
+                }
+            }
+        }
+    }
+
     /**
      * Expand a GLTF grouped mesh definition (multiple primitives/parts) into child MeshNodes.
      * Each part keeps its own material hint unless the parent MeshNode specifies an override material.
@@ -661,6 +736,9 @@ export default class SceneLoader {
 
         // Children do not inherit transforms in Fluxion's current MeshNode implementation,
         // so we copy transforms onto each child.
+        // Animated parts share the parent's skeleton so one playAnimation() drives every primitive.
+        /** @type {import('./Skeleton.js').default | null} */
+        let sharedSkeleton = null;
         for (let i = 0; i < def.parts.length; i++) {
             const part = def.parts[i];
             if (!part || !part.mesh) continue;
@@ -682,6 +760,13 @@ export default class SceneLoader {
 
             child.source = parent.source;
             child.setMeshDefinition({ type: 'gltf', mesh: part.mesh, material: part.material || '__gltf_default__' });
+            if (child.skeleton) {
+                if (!sharedSkeleton) {
+                    sharedSkeleton = child.skeleton;
+                    parent.setSkeleton(sharedSkeleton);
+                }
+                if (child.skeleton.data === sharedSkeleton.data) child.setSkeleton(sharedSkeleton, false);
+            }
 
             // Preserve original authoring hint name for editor round-tripping.
             const hintName = child.meshDefinition?.material;
@@ -812,6 +897,957 @@ export default class SceneLoader {
         return params;
     }
 
+    /**
+     * Physics component tags attach to their parent node instead of becoming scene objects.
+     * @param {string} tagName
+     * @returns {boolean}
+     */
+    static _isPhysicsTag(tagName) {
+        return tagName === 'RigidBody' || tagName === 'BoxCollider' || tagName === 'CircleCollider' || tagName === 'PolygonCollider';
+    }
+
+    /**
+     * Builds a RigidBody from <RigidBody>/<BoxCollider>/<CircleCollider>/<PolygonCollider>
+     * children of `node` and attaches it to `obj`. Colliders without a <RigidBody> create an
+     * implicit static body. The body is placed at the node's world transform and added to the
+     * scene's world by Scene.add once the node tree is assembled. Box and circle
+     * colliders without an explicit size follow the node's width/height (`shape.autoSize`).
+     *
+     * Example:
+     *   <Sprite name="Crate" x="100" y="0" width="64" height="64" imageSrc="crate.png">
+     *       <RigidBody type="dynamic" mass="2" />
+     *       <BoxCollider friction="0.6" restitution="0.1" collisionLayer="2" collisionMask="0xFFFF" />
+     *   </Sprite>
+     *
+     * @param {Element} node
+     * @param {any} obj
+     * @returns {RigidBody|null}
+     */
+    static _parsePhysicsComponents(node, obj) {
+        const comps = Array.from(node.children).filter((c) => SceneLoader._isPhysicsTag(c.tagName));
+        if (comps.length === 0) return null;
+
+        /** @param {Element} el @param {string} name */
+        const num = (el, name) => {
+            const v = el?.getAttribute(name);
+            if (v === null || v === undefined || v === '') return undefined;
+            const n = parseFloat(v);
+            return Number.isFinite(n) ? n : undefined;
+        };
+        /** @param {Element} el @param {string} name */
+        const bits = (el, name) => {
+            const v = el?.getAttribute(name);
+            if (v === null || v === undefined || v === '') return undefined;
+            const n = parseInt(String(v).trim());
+            return Number.isFinite(n) ? n : undefined;
+        };
+        /** @param {Element} el @param {string} name */
+        const bool = (el, name) => {
+            const v = el?.getAttribute(name);
+            if (v === null || v === undefined) return undefined;
+            return String(v).trim().toLowerCase() === 'true';
+        };
+
+        const bodyNode = comps.find((c) => c.tagName === 'RigidBody') || null;
+        const typeAttr = String(bodyNode?.getAttribute('type') || '').trim().toLowerCase();
+        const type = bodyNode
+            ? (Object.values(BodyType).includes(typeAttr) ? typeAttr : BodyType.Dynamic)
+            : BodyType.Static;
+
+        const body = new RigidBody({
+            type,
+            mass: num(bodyNode, 'mass'),
+            linearDamping: num(bodyNode, 'linearDamping'),
+            angularDamping: num(bodyNode, 'angularDamping'),
+            gravityScale: num(bodyNode, 'gravityScale'),
+            fixedRotation: bool(bodyNode, 'fixedRotation'),
+        });
+        // Editor round-trip: colliders without an explicit <RigidBody> tag.
+        body.implicit = !bodyNode;
+
+        /** @param {Element} el */
+        const colliderOptions = (el) => {
+            // <RigidBody> attributes act as defaults for its colliders.
+            const pick = (fn, name) => {
+                const v = fn(el, name);
+                return v !== undefined ? v : fn(bodyNode, name);
+            };
+            return {
+                density: pick(num, 'density'),
+                friction: pick(num, 'friction'),
+                restitution: pick(num, 'restitution'),
+                isTrigger: pick(bool, 'isTrigger'),
+                collisionLayer: pick(bits, 'collisionLayer'),
+                collisionMask: pick(bits, 'collisionMask'),
+            };
+        };
+
+        const nodeW = Number(obj?.width) || 0;
+        const nodeH = Number(obj?.height) || 0;
+
+        for (const el of comps) {
+            const offsetX = num(el, 'offsetX') ?? 0;
+            const offsetY = num(el, 'offsetY') ?? 0;
+            const opts = colliderOptions(el);
+
+            if (el.tagName === 'BoxCollider') {
+                const w = num(el, 'width');
+                const h = num(el, 'height');
+                const shape = new BoxShape(w ?? nodeW, h ?? nodeH, offsetX, offsetY, opts);
+                // Size follows the node when not authored explicitly (see RigidBody.syncFromNode).
+                shape.autoSize = (w === undefined && h === undefined);
+                body.addShape(shape);
+            } else if (el.tagName === 'CircleCollider') {
+                const r = num(el, 'radius');
+                const shape = new CircleShape(r ?? Math.min(nodeW, nodeH) * 0.5, offsetX, offsetY, opts);
+                shape.autoSize = (r === undefined);
+                body.addShape(shape);
+            } else if (el.tagName === 'PolygonCollider') {
+                // points="x,y x,y x,y" (local to the node center)
+                const pts = String(el.getAttribute('points') || '')
+                    .trim()
+                    .split(/\s+/)
+                    .map((pair) => pair.split(',').map((v) => parseFloat(v)))
+                    .filter((p) => p.length >= 2 && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+                    .map((p) => ({ x: p[0] + offsetX, y: p[1] + offsetY }));
+                if (pts.length < 3) {
+                    console.warn(`PolygonCollider on "${obj?.name || ''}" needs at least 3 points.`);
+                    continue;
+                }
+                body.addShape(new PolygonShape(pts, opts));
+            }
+        }
+
+        body.attach(obj);
+        return body;
+    }
+
+    /**
+     * Builds a TileMap from its <TileSet> and <TileLayer> children. Layer data is `base64`
+     * (little-endian uint32 tile values, optionally `zlib`/`gzip` compressed) or `csv`;
+     * values are tile gids ORed with the TileMap.FLIP_* flags.
+     *
+     * Example:
+     *   <TileMap name="Level" x="0" y="0" columns="40" rows="30" tileWidth="16" tileHeight="16" orientation="orthogonal">
+     *       <TileSet name="terrain" image="Tiles/terrain.png" tileWidth="16" tileHeight="16" margin="1" spacing="2" firstGid="1" />
+     *       <TileLayer name="Ground" encoding="base64">AQAAAAEAAAACAAAA...</TileLayer>
+     *       <TileLayer name="Decor" encoding="csv" opacity="0.8">0,0,5,...</TileLayer>
+     *   </TileMap>
+     *
+     * @param {Element} node
+     * @param {Object} renderer
+     * @param {string} baseUrl
+     * @returns {Promise<TileMap>}
+     */
+    static async _parseTileMap(node, renderer, baseUrl) {
+        const num = (el, name, def) => {
+            const v = parseFloat(el.getAttribute(name) ?? '');
+            return Number.isFinite(v) ? v : def;
+        };
+
+        const tileWidth = num(node, "tileWidth", 16);
+        const tileHeight = num(node, "tileHeight", 16);
+        const map = new TileMap(renderer, num(node, "columns", 0), num(node, "rows", 0), tileWidth, tileHeight, node.getAttribute("orientation") || 'orthogonal');
+        map.chunkSize = Math.max(1, num(node, "chunkSize", map.chunkSize) | 0);
+
+        for (const el of Array.from(node.children)) {
+            if (el.tagName === "TileSet") {
+                const imageRaw = el.getAttribute("image") || '';
+                const tileset = new TileSet(SceneLoader._resolveSceneResourceUrl(imageRaw, baseUrl), num(el, "tileWidth", tileWidth), num(el, "tileHeight", tileHeight), {
+                    name: el.getAttribute("name") || '',
+                    margin: num(el, "margin", 0),
+                    spacing: num(el, "spacing", 0),
+                    columns: num(el, "columns", 0),
+                    tileCount: num(el, "tileCount", 0),
+                    offsetX: num(el, "offsetX", 0),
+                    offsetY: num(el, "offsetY", 0)
+                });
+                // Keep the authored path for editor round-tripping.
+                tileset.imageSource = imageRaw;
+                map.addTileSet(tileset, num(el, "firstGid", undefined));
+            } else if (el.tagName === "TileLayer") {
+                const name = el.getAttribute("name") || '';
+                let data = null;
+                const text = (el.textContent || '').trim();
+                if (text) {
+                    try {
+                        data = await TileMap.decodeTiles(text, el.getAttribute("encoding") || 'base64', el.getAttribute("compression") || '');
+                    } catch (e) {
+                        console.warn(`SceneLoader: TileLayer '${name}' data could not be decoded:`, e);
+                    }
+                }
+                const layer = map.addLayer(name, data);
+                layer.visible = el.getAttribute("visible") !== "false";
+                layer.opacity = num(el, "opacity", 1);
+                layer.offsetX = num(el, "offsetX", 0);
+                layer.offsetY = num(el, "offsetY", 0);
+            }
+        }
+        return map;
+    }
+
+    /**
+     * Builds a ParticleEmitter2D. Ranges are "min,max" or a single value; angles are radians.
+     * Curves are "t:value" lists and colorOverLife is a "t:#RRGGBBAA" list (see ParticleEmitter2D).
+     *
+     * Example:
+     *   <ParticleEmitter2D name="Sparks" x="200" y="300" imageSrc="Particles/spark.png" maxParticles="500"
+     *       emissionRate="40" shape="circle" shapeRadius="8" direction="-1.5708" spread="0.6"
+     *       lifetime="0.5,1.2" speed="80,160" gravity="0,200" damping="0.5" startScale="0.5,1"
+     *       colorOverLife="0:#ffee88ff, 1:#ff330000" scaleOverLife="0:1, 1:0.2" blendMode="additive">
+     *       <Burst time="0" count="30" cycles="2" interval="0.25" />
+     *   </ParticleEmitter2D>
+     *
+     * @param {Element} node
+     * @param {Object} renderer
+     * @param {string} baseUrl
+     * @returns {ParticleEmitter2D}
+     */
+    static _parseParticleEmitter2D(node, renderer, baseUrl) {
+        const num = (name, def) => {
+            const v = parseFloat(node.getAttribute(name) ?? '');
+            return Number.isFinite(v) ? v : def;
+        };
+        const range = (name, def) => SceneLoader._parseRangeAttr(node, name, def);
+
+        const srcRaw = node.getAttribute("imageSrc") || '';
+        const emitter = new ParticleEmitter2D(renderer, SceneLoader._resolveSceneResourceUrl(srcRaw, baseUrl), num("x", 0), num("y", 0));
+        emitter.name = node.getAttribute("name") || "ParticleEmitter2D";
+        emitter.rotation = num("rotation", 0);
+        emitter.width = num("width", 0);
+        emitter.height = num("height", 0);
+        emitter.maxParticles = Math.max(0, num("maxParticles", emitter.maxParticles) | 0);
+
+        emitter.emissionRate = num("emissionRate", emitter.emissionRate);
+        emitter.duration = num("duration", emitter.duration);
+        if (node.hasAttribute("looping")) emitter.looping = node.getAttribute("looping") !== "false";
+        if (node.hasAttribute("emitting")) emitter.emitting = node.getAttribute("emitting") !== "false";
+
+        const shape = node.getAttribute("shape");
+        if (shape) {
+            if (['point', 'circle', 'rect', 'edge'].includes(shape)) emitter.shape = shape;
+            else console.warn(`SceneLoader: unknown ParticleEmitter2D shape '${shape}'.`);
+        }
+        emitter.shapeRadius = num("shapeRadius", 0);
+        emitter.shapeWidth = num("shapeWidth", 0);
+        emitter.shapeHeight = num("shapeHeight", 0);
+        emitter.emitFromEdge = node.getAttribute("emitFromEdge") === "true";
+        emitter.direction = num("direction", emitter.direction);
+        emitter.spread = num("spread", 0);
+
+        emitter.lifetime = range("lifetime", emitter.lifetime);
+        emitter.speed = range("speed", emitter.speed);
+        emitter.damping = range("damping", emitter.damping);
+        emitter.gravityScale = range("gravityScale", emitter.gravityScale);
+        emitter.startScale = range("startScale", emitter.startScale);
+        emitter.startRotation = range("startRotation", emitter.startRotation);
+        emitter.angularVelocity = range("angularVelocity", emitter.angularVelocity);
+        const gravity = range("gravity", null);
+        if (gravity) emitter.gravity = { x: gravity[0], y: gravity[1] };
+
+        emitter.particleWidth = num("particleWidth", 0);
+        emitter.particleHeight = num("particleHeight", 0);
+        emitter.frameWidth = num("frameWidth", 0);
+        emitter.frameHeight = num("frameHeight", 0);
+        emitter.frameCount = Math.max(0, num("frameCount", 0) | 0);
+        emitter.frameRate = num("frameRate", 0);
+        emitter.randomStartFrame = node.getAttribute("randomStartFrame") === "true";
+
+        if (node.hasAttribute("color")) {
+            const c = SceneLoader._parseColor(node.getAttribute("color"));
+            emitter.color = [c[0] * 255, c[1] * 255, c[2] * 255, (c[3] ?? 1) * 255];
+        }
+        if (node.hasAttribute("colorOverLife")) emitter.colorOverLife = parseGradient(node.getAttribute("colorOverLife"));
+        if (node.hasAttribute("scaleOverLife")) emitter.scaleOverLife = parseCurve(node.getAttribute("scaleOverLife"));
+        if (node.hasAttribute("rotationOverLife")) emitter.rotationOverLife = parseCurve(node.getAttribute("rotationOverLife"));
+        emitter.localSpace = node.getAttribute("localSpace") === "true";
+        if (node.getAttribute("blendMode") === "additive") emitter.blendMode = 'additive';
+
+        SceneLoader._parseBursts(node, emitter);
+        return emitter;
+    }
+
+    /**
+     * Builds a ParticleEmitter3D. Ranges and curves use the ParticleEmitter2D formats; vectors are "x,y,z";
+     * `mesh` names the primitive used by renderMode="mesh" (Cube, Sphere, Cone, Quad, Triangle).
+     *
+     * Example:
+     *   <ParticleEmitter3D name="Fire" x="0" y="0.2" z="0" imageSrc="Particles/flame.png" maxParticles="400"
+     *       emissionRate="60" shape="disc" shapeRadius="0.3" direction="0,1,0" spread="0.4"
+     *       lifetime="0.6,1.1" speed="1,2" gravity="0,1.5,0" startSize="0.3,0.6"
+     *       colorOverLife="0:#ffcc66ff, 1:#ff200000" scaleOverLife="0:0.6, 1:1.4"
+     *       renderMode="billboard" frameColumns="4" frameRows="4" blendMode="additive" softParticles="true">
+     *       <Burst time="0" count="20" />
+     *   </ParticleEmitter3D>
+     *
+     * @param {Element} node
+     * @param {Object} renderer
+     * @param {string} baseUrl
+     * @returns {ParticleEmitter3D}
+     */
+    static _parseParticleEmitter3D(node, renderer, baseUrl) {
+        const num = (name, def) => {
+            const v = parseFloat(node.getAttribute(name) ?? '');
+            return Number.isFinite(v) ? v : def;
+        };
+        const range = (name, def) => SceneLoader._parseRangeAttr(node, name, def);
+        const vec3 = (name, def) => {
+            const raw = node.getAttribute(name);
+            if (raw === null) return def;
+            const v = raw.split(',').map((s) => parseFloat(s));
+            if (v.length !== 3 || !v.every(Number.isFinite)) {
+                console.warn(`SceneLoader: invalid ${name} vector "${raw}" on <${node.tagName}>.`);
+                return def;
+            }
+            return v;
+        };
+        const choice = (name, options, def) => {
+            const v = node.getAttribute(name);
+            if (!v) return def;
+            if (options.includes(v)) return v;
+            console.warn(`SceneLoader: unknown ParticleEmitter3D ${name} '${v}'.`);
+            return def;
+        };
+
+        const srcRaw = node.getAttribute("imageSrc") || '';
+        const emitter = new ParticleEmitter3D(renderer, SceneLoader._resolveSceneResourceUrl(srcRaw, baseUrl));
+        emitter.name = node.getAttribute("name") || "ParticleEmitter3D";
+        emitter.setPosition(num("x", 0), num("y", 0), num("z", 0));
+        emitter.setRotation(num("rotX", 0), num("rotY", 0), num("rotZ", 0));
+        emitter.setScale(num("scaleX", 1), num("scaleY", 1), num("scaleZ", 1));
+        emitter.maxParticles = Math.max(1, num("maxParticles", emitter.maxParticles) | 0);
+        emitter.simulation = choice("simulation", ['auto', 'cpu'], emitter.simulation);
+
+        emitter.emissionRate = num("emissionRate", emitter.emissionRate);
+        emitter.duration = num("duration", emitter.duration);
+        if (node.hasAttribute("looping")) emitter.looping = node.getAttribute("looping") !== "false";
+        if (node.hasAttribute("emitting")) emitter.emitting = node.getAttribute("emitting") !== "false";
+
+        emitter.shape = choice("shape", ['point', 'sphere', 'box', 'disc'], emitter.shape);
+        emitter.shapeRadius = num("shapeRadius", 0);
+        emitter.shapeSize = vec3("shapeSize", emitter.shapeSize);
+        emitter.emitFromEdge = node.getAttribute("emitFromEdge") === "true";
+        emitter.direction = vec3("direction", emitter.direction);
+        emitter.spread = num("spread", 0);
+
+        emitter.lifetime = range("lifetime", emitter.lifetime);
+        emitter.speed = range("speed", emitter.speed);
+        emitter.damping = range("damping", emitter.damping);
+        emitter.gravityScale = range("gravityScale", emitter.gravityScale);
+        emitter.startSize = range("startSize", emitter.startSize);
+        emitter.startRotation = range("startRotation", emitter.startRotation);
+        emitter.angularVelocity = range("angularVelocity", emitter.angularVelocity);
+        emitter.gravity = vec3("gravity", emitter.gravity);
+        emitter.localSpace = node.getAttribute("localSpace") === "true";
+
+        if (node.hasAttribute("color")) {
+            const c = SceneLoader._parseColor(node.getAttribute("color"));
+            emitter.color = [c[0], c[1], c[2], c[3] ?? 1];
+        }
+        if (node.hasAttribute("colorOverLife")) emitter.colorOverLife = parseGradient(node.getAttribute("colorOverLife"));
+        if (node.hasAttribute("scaleOverLife")) emitter.scaleOverLife = parseCurve(node.getAttribute("scaleOverLife"));
+        emitter.renderMode = choice("renderMode", ['billboard', 'stretched', 'mesh'], emitter.renderMode);
+        emitter.stretch = num("stretch", emitter.stretch);
+        emitter.meshSource = node.getAttribute("mesh") || emitter.meshSource;
+        emitter.frameColumns = Math.max(1, num("frameColumns", 1) | 0);
+        emitter.frameRows = Math.max(1, num("frameRows", 1) | 0);
+        emitter.blendMode = choice("blendMode", ['alpha', 'additive'], emitter.blendMode);
+        emitter.softParticles = node.getAttribute("softParticles") === "true";
+        emitter.softDistance = num("softDistance", emitter.softDistance);
+
+        SceneLoader._parseBursts(node, emitter);
+        return emitter;
+    }
+
+    /**
+     * Reads a "min,max" (or single value) range attribute of a particle emitter.
+     * @param {Element} node
+     * @param {string} name
+     * @param {any} def - Returned when the attribute is missing or invalid.
+     * @returns {number[]|any}
+     */
+    static _parseRangeAttr(node, name, def) {
+        const raw = node.getAttribute(name);
+        if (raw === null) return def;
+        const v = raw.split(',').map((s) => parseFloat(s));
+        if (v.length === 0 || v.length > 2 || !v.every(Number.isFinite)) {
+            console.warn(`SceneLoader: invalid ${name} range "${raw}" on <${node.tagName}>.`);
+            return def;
+        }
+        return [v[0], v.length > 1 ? v[1] : v[0]];
+    }
+
+    /**
+     * Appends the <Burst> children of a particle emitter element to `emitter.bursts`.
+     * @param {Element} node
+     * @param {{ name: string, bursts: Array<Object> }} emitter
+     */
+    static _parseBursts(node, emitter) {
+        for (const el of Array.from(node.children)) {
+            if (el.tagName !== "Burst") continue;
+            const count = parseInt(el.getAttribute("count") || '', 10);
+            if (!Number.isFinite(count)) {
+                console.warn(`SceneLoader: <Burst> on '${emitter.name}' needs a count.`);
+                continue;
+            }
+            emitter.bursts.push({
+                time: parseFloat(el.getAttribute("time") || '0') || 0,
+                count,
+                cycles: Math.max(1, parseInt(el.getAttribute("cycles") || '1', 10) || 1),
+                interval: parseFloat(el.getAttribute("interval") || '0') || 0
+            });
+        }
+    }
+
+    /**
+     * Reads per-frame durations (seconds) and frame events of an AnimatedSprite <Animation>.
+     *
+     * Example:
+     *   <Animation name="walk" frames="0,1,2,3" speed="8" durations="0.1,0.1,0.2,0.1">
+     *       <Event frame="1" name="footstep" />
+     *       <Event frame="3" name="footstep" data="right" />
+     *   </Animation>
+     *
+     * @param {Element} animNode
+     * @param {import('./AnimatedSprite.js').default} sprite
+     * @param {string} name
+     */
+    static _parseSpriteAnimationTiming(animNode, sprite, name) {
+        const durationsStr = animNode.getAttribute("durations");
+        if (durationsStr) {
+            sprite.setFrameDurations(name, durationsStr.split(',').map((v) => {
+                const d = parseFloat(v);
+                return Number.isFinite(d) && d > 0 ? d : null;
+            }));
+        }
+
+        for (const el of Array.from(animNode.children)) {
+            if (el.tagName !== 'Event') continue;
+            const evName = el.getAttribute('name');
+            const frame = parseInt(el.getAttribute('frame') || '', 10);
+            if (!evName || !Number.isFinite(frame)) {
+                console.warn(`SceneLoader: <Event> in animation '${name}' needs a name and a frame.`);
+                continue;
+            }
+            const data = el.getAttribute('data');
+            sprite.addFrameEvent(name, frame, evName, data !== null ? AnimationClip.parseValue(data) : undefined);
+        }
+    }
+
+    /**
+     * Attaches an AnimationController to an AnimatedSprite or MeshNode, from a `controller`
+     * file attribute or an inline <AnimationController> child (the inline one wins).
+     *
+     * Example:
+     *   <AnimatedSprite name="Hero" ... controller="Anims/hero.controller.json" />
+     *
+     * @param {Element} node
+     * @param {any} obj
+     * @param {Object} renderer
+     * @param {string} baseUrl
+     */
+    static async _parseAnimationController(node, obj, renderer, baseUrl) {
+        let controller = null;
+        const inline = Array.from(node.children).find((c) => c.tagName === 'AnimationController');
+        if (inline) {
+            controller = AnimationController.parseXml(inline);
+        } else {
+            const srcRaw = node.getAttribute('controller');
+            if (!srcRaw) return;
+            // Keep the authored path for editor round-tripping.
+            obj.controllerSource = srcRaw;
+            const p = AnimationController.load(SceneLoader._resolveSceneResourceUrl(srcRaw, baseUrl));
+            renderer?.trackAssetPromise?.(p);
+            controller = await p;
+        }
+        if (controller) obj.setAnimationController(controller);
+    }
+
+    /**
+     * Attaches <Behaviour type="..."> children of `node` to `obj`, resolved through BehaviourRegistry.
+     * Other attributes become properties, typed by the class's declared `properties`
+     * (undeclared attributes stay strings).
+     *
+     * Example:
+     *   <Sprite name="Player" x="0" y="0" width="32" height="32" imageSrc="player.png">
+     *       <Behaviour type="PlayerController" speed="5" />
+     *   </Sprite>
+     *
+     * @param {Element} node
+     * @param {any} obj
+     */
+    static _parseBehaviours(node, obj) {
+        for (const el of Array.from(node.children)) {
+            if (el.tagName !== 'Behaviour') continue;
+            const type = String(el.getAttribute('type') || '').trim();
+            if (!type) {
+                console.warn('SceneLoader: <Behaviour> without a type attribute was ignored.');
+                continue;
+            }
+
+            const cls = BehaviourRegistry.get(type);
+            const declared = cls ? Behaviour.getProperties(cls) : {};
+            /** @type {Record<string, any>} */
+            const props = {};
+            for (const attr of Array.from(el.attributes)) {
+                if (attr.name === 'type' || attr.name === 'enabled') continue;
+                props[attr.name] = SceneLoader._parseBehaviourValue(attr.value, declared[attr.name]);
+            }
+
+            const behaviour = BehaviourRegistry.create(type, props);
+            // Attribute names as authored, so editor saves keep undeclared ones too.
+            behaviour._xmlAttributes = Object.keys(props);
+            if (el.getAttribute('enabled') === 'false') behaviour.enabled = false;
+            Behaviour.add(obj, behaviour);
+        }
+    }
+
+    /**
+     * @param {string} raw
+     * @param {import('./Behaviour.js').BehaviourProperty | undefined} decl
+     * @returns {any}
+     */
+    static _parseBehaviourValue(raw, decl) {
+        switch (decl?.type) {
+            case 'number': {
+                const n = parseFloat(raw);
+                return Number.isFinite(n) ? n : decl.default;
+            }
+            case 'boolean':
+                return String(raw).trim().toLowerCase() === 'true';
+            case 'vec2': {
+                const [x, y] = String(raw).split(',').map((s) => parseFloat(s));
+                return [Number.isFinite(x) ? x : 0, Number.isFinite(y) ? y : 0];
+            }
+            default:
+                return raw;
+        }
+    }
+
+    /**
+     * Reads <Connect> children: signal wiring from this node to a method on another node.
+     * They are connected by _wireSignals once the whole scene (or prefab) exists.
+     *
+     * Example (a button calling PlayerController.jump on the "Player" node):
+     *   <Sprite name="JumpButton" ...>
+     *       <ClickableArea />
+     *       <Connect signal="click" target="Player" behaviour="PlayerController" method="jump" />
+     *   </Sprite>
+     *
+     * `target` is a scene path ("UI/Score"), or relative to this node when it starts with
+     * "." or ".." ("./Label", "../Door"); omitted means this node. Without `behaviour`, the
+     * first behaviour on the target defining `method` is used, else a method of the node itself.
+     * @param {Element} node
+     * @param {any} obj
+     */
+    static _parseConnections(node, obj) {
+        for (const el of Array.from(node.children)) {
+            if (el.tagName !== 'Connect') continue;
+            const signal = (el.getAttribute('signal') || '').trim();
+            const method = (el.getAttribute('method') || '').trim();
+            if (!signal || !method) {
+                console.warn('SceneLoader: <Connect> needs both signal and method attributes.');
+                continue;
+            }
+            if (!Array.isArray(obj.connections)) obj.connections = [];
+            obj.connections.push({
+                signal,
+                method,
+                target: (el.getAttribute('target') || '').trim(),
+                behaviour: (el.getAttribute('behaviour') || '').trim(),
+                once: el.getAttribute('once') === 'true',
+            });
+        }
+    }
+
+    /**
+     * Connects the XML signal wiring (`connections`) of a node and its descendants.
+     * @param {any} node
+     * @param {Scene | null} scene - Used for absolute target paths.
+     */
+    static _wireSignals(node, scene) {
+        if (!node) return;
+        if (Array.isArray(node.connections) && !node._connectionsWired) {
+            node._connectionsWired = true;
+            for (const c of node.connections) {
+                const target = SceneLoader._resolveSignalTarget(node, c.target, scene);
+                if (!target) {
+                    console.warn(`SceneLoader: <Connect signal="${c.signal}"> target "${c.target}" not found.`);
+                    continue;
+                }
+                // The method is looked up per call, so behaviours added later still receive it.
+                const handler = (payload, event) => {
+                    const receiver = c.behaviour
+                        ? Behaviour.get(target, c.behaviour)
+                        : (Array.isArray(target.behaviours) ? target.behaviours.find((b) => typeof b[c.method] === 'function') : null) || target;
+                    if (!receiver || typeof receiver[c.method] !== 'function') {
+                        console.warn(`Signal '${c.signal}': no method '${c.method}' on target "${c.target || target.name}".`);
+                        return;
+                    }
+                    receiver[c.method](payload, event);
+                };
+                Signals.connect(node, c.signal, handler, { owner: target, once: c.once });
+            }
+        }
+        if (Array.isArray(node.children)) {
+            for (const child of node.children) SceneLoader._wireSignals(child, scene);
+        }
+    }
+
+    /**
+     * @param {any} from
+     * @param {string} path
+     * @param {Scene | null} scene
+     * @returns {any | null}
+     */
+    static _resolveSignalTarget(from, path, scene) {
+        const p = String(path || '').trim();
+        if (!p || p === '.') return from;
+        if (p.startsWith('.')) {
+            let node = from;
+            for (const part of p.split('/')) {
+                if (!node) return null;
+                if (part === '' || part === '.') continue;
+                if (part === '..') node = node.parent || null;
+                else node = (Array.isArray(node.children) ? node.children.find((c) => c && c.name === part) : null) || null;
+            }
+            return node;
+        }
+        return scene ? scene.getNode(p) : null;
+    }
+
+    /**
+     * Spawns a prefab at runtime.
+     *
+     *   const enemy = await SceneLoader.instantiate('prefabs/Enemy.xml', scene, { overrides: { x: 200, name: 'Enemy2' } });
+     *
+     * @param {string} url - Prefab file URL (relative to the page).
+     * @param {Scene | any} [parent=null] - Scene to add the node to, or a node to add it as a child of.
+     * @param {{
+     *   renderer?: any,
+     *   scene?: Scene,
+     *   overrides?: Record<string, string | number | boolean>,
+     * }} [options] - `scene` registers physics bodies / resolves meshes when `parent` is a node.
+     * @returns {Promise<any | null>} The instantiated root node, or null if the prefab failed to load.
+     */
+    static async instantiate(url, parent = null, options = {}) {
+        const renderer = options.renderer || parent?.renderer || SceneLoader._lastRenderer;
+        const scene = (parent instanceof Scene) ? parent : (options.scene || null);
+
+        let absUrl = url;
+        try {
+            const base = (typeof document !== 'undefined' && document.baseURI) ? document.baseURI : window.location.href;
+            absUrl = new URL(url, base).toString();
+        } catch {}
+
+        const el = new DOMParser().parseFromString('<Instance />', 'text/xml').documentElement;
+        el.setAttribute('source', absUrl);
+        for (const [k, v] of Object.entries(options.overrides || {})) {
+            el.setAttribute(k, String(v));
+        }
+
+        const obj = await SceneLoader._parseInstance(el, renderer, absUrl);
+        if (!obj) return null;
+        // Runtime spawns are not editor references.
+        delete obj.prefab;
+
+        if (scene && obj instanceof MeshNode) {
+            await SceneLoader._resolveMeshNode(obj, scene);
+        }
+
+        if (parent instanceof Scene) {
+            if (obj.isLight) parent.addLight(obj);
+            else if (obj instanceof Audio) parent.addAudio(obj);
+            else parent.add(obj);
+        } else if (parent && typeof parent.addChild === 'function') {
+            parent.addChild(obj);
+        }
+        SceneLoader._wireSignals(obj, scene);
+        return obj;
+    }
+
+    /**
+     * Drops cached prefab files (e.g. after editing a prefab on disk).
+     * @param {string} [url] - Absolute URL of one prefab; clears all when omitted.
+     */
+    static clearPrefabCache(url) {
+        if (url) SceneLoader._prefabCache.delete(url);
+        else SceneLoader._prefabCache.clear();
+    }
+
+    /**
+     * Loads a prefab file: an XML fragment whose root is either `<Prefab>` wrapping one node,
+     * or the node element itself. Cached per URL.
+     * @param {string} url - Absolute URL.
+     * @returns {Promise<Element | null>}
+     */
+    static _loadPrefabTemplate(url) {
+        let p = SceneLoader._prefabCache.get(url);
+        if (p) return p;
+
+        p = (async () => {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`Failed to fetch prefab file: ${url}`);
+                const doc = new DOMParser().parseFromString(await response.text(), 'text/xml');
+                if (doc.querySelector('parsererror')) throw new Error(`Invalid prefab XML: ${url}`);
+
+                let root = doc.documentElement;
+                if (root && root.tagName === 'Prefab') {
+                    const nodes = Array.from(root.children);
+                    if (nodes.length !== 1) {
+                        console.warn(`SceneLoader: prefab ${url} should contain exactly one root node; using the first.`);
+                    }
+                    root = nodes[0] || null;
+                }
+                if (!root) throw new Error(`Prefab has no root node: ${url}`);
+                return root;
+            } catch (e) {
+                console.error('SceneLoader: failed to load prefab', e);
+                SceneLoader._prefabCache.delete(url);
+                return null;
+            }
+        })();
+        SceneLoader._prefabCache.set(url, p);
+        return p;
+    }
+
+    /**
+     * Instantiates `<Instance source="prefabs/Enemy.xml" x="..." name="..." />`.
+     *
+     * - Attributes other than `source` override the prefab root's attributes.
+     * - `<Override node="Gun/Muzzle" attr="..." />` children override a descendant, addressed
+     *   by a `/`-separated path of `name`s below the prefab root.
+     * - Any other children (components, extra child nodes) are appended to the prefab root.
+     *
+     * Asset paths inside the prefab resolve relative to the prefab file; paths written on the
+     * <Instance> itself (attributes, overrides, extra children) resolve relative to the scene.
+     * The created node keeps `prefab` metadata so the editor can save it back as a reference.
+     * Tiled maps (`.tmx`/`.tmj`) go through _parseTiledInstance.
+     *
+     * @param {Element} node
+     * @param {Object} renderer
+     * @param {string} baseUrl
+     * @returns {Promise<any | null>}
+     */
+    static async _parseInstance(node, renderer, baseUrl) {
+        const sourceRaw = (node.getAttribute('source') || node.getAttribute('src') || '').trim();
+        if (!sourceRaw) {
+            console.warn('SceneLoader: <Instance> without a source attribute was ignored.');
+            return null;
+        }
+        const url = SceneLoader._resolveSceneResourceUrl(sourceRaw, baseUrl);
+        if (TiledLoader.isTiledMap(url)) {
+            return SceneLoader._parseTiledInstance(node, renderer, baseUrl, url, sourceRaw);
+        }
+
+        // Prefabs may nest; the chain of prefab URLs rides on the cloned roots.
+        /** @type {string[]} */
+        let chain = [];
+        for (let el = /** @type {any} */ (node); el; el = el.parentElement) {
+            if (Array.isArray(el.__prefabChain)) {
+                chain = el.__prefabChain;
+                break;
+            }
+        }
+        if (chain.includes(url)) {
+            console.warn(`SceneLoader: prefab ${url} instances itself; skipping the recursive <Instance>.`);
+            return null;
+        }
+
+        const template = await SceneLoader._loadPrefabTemplate(url);
+        if (!template) return null;
+
+        const root = /** @type {any} */ (template.cloneNode(true));
+        root.__prefabChain = [...chain, url];
+
+        /** @type {Record<string, string>} */
+        const overrides = {};
+        for (const attr of Array.from(node.attributes)) {
+            if (attr.name === 'source' || attr.name === 'src') continue;
+            overrides[attr.name] = attr.value;
+            root.setAttribute(attr.name, SceneLoader._resolveAssetAttribute(root.tagName, attr.name, attr.value, baseUrl));
+        }
+
+        /** @type {string[]} */
+        const childXml = [];
+        for (const child of Array.from(node.children)) {
+            if (typeof XMLSerializer !== 'undefined') childXml.push(new XMLSerializer().serializeToString(child));
+
+            if (child.tagName === 'Override') {
+                const path = child.getAttribute('node') || '';
+                const target = SceneLoader._findPrefabElement(root, path);
+                if (!target) {
+                    console.warn(`SceneLoader: <Override node="${path}"> matches nothing in prefab ${url}.`);
+                    continue;
+                }
+                for (const attr of Array.from(child.attributes)) {
+                    if (attr.name === 'node') continue;
+                    target.setAttribute(attr.name, SceneLoader._resolveAssetAttribute(target.tagName, attr.name, attr.value, baseUrl));
+                }
+                continue;
+            }
+            const extra = /** @type {Element} */ (child.cloneNode(true));
+            SceneLoader._resolveAssetPaths(extra, baseUrl);
+            root.appendChild(extra);
+        }
+
+        let prefabBase = baseUrl;
+        try { prefabBase = new URL('.', url).toString(); } catch {}
+        const obj = await SceneLoader.parseObject(root, renderer, prefabBase);
+        if (!obj) return null;
+
+        /** @type {Record<string, any>} */
+        const baseline = {};
+        for (const [key] of SceneLoader.PREFAB_TRACKED_ATTRIBUTES) baseline[key] = obj[key];
+        obj.prefab = { source: sourceRaw, overrides, childXml, baseline };
+        return obj;
+    }
+
+    /**
+     * Makes an asset path attribute absolute against `baseUrl`, so it survives being parsed
+     * as part of a prefab from another folder. `frames` (file lists only) and `clips` are
+     * comma-separated; `source` counts only on <Instance> (MeshNode `source` names a mesh).
+     * @param {string} tagName
+     * @param {string} name
+     * @param {string} value
+     * @param {string} baseUrl
+     * @returns {string}
+     */
+    static _resolveAssetAttribute(tagName, name, value, baseUrl) {
+        const isInstanceSource = tagName === 'Instance' && (name === 'source' || name === 'src');
+        if (!isInstanceSource && !SceneLoader.ASSET_PATH_ATTRIBUTES.includes(name)) return value;
+        if (name === 'frames' || name === 'clips') {
+            if (name === 'frames' && !/[^0-9,\s]/.test(value)) return value;
+            return value.split(',')
+                .map((p) => p.trim())
+                .filter(Boolean)
+                .map((p) => SceneLoader._resolveSceneResourceUrl(p, baseUrl))
+                .join(',');
+        }
+        return SceneLoader._resolveSceneResourceUrl(value, baseUrl);
+    }
+
+    /**
+     * Applies _resolveAssetAttribute to an element and its descendants.
+     * @param {Element} el
+     * @param {string} baseUrl
+     */
+    static _resolveAssetPaths(el, baseUrl) {
+        for (const attr of Array.from(el.attributes)) {
+            const v = SceneLoader._resolveAssetAttribute(el.tagName, attr.name, attr.value, baseUrl);
+            if (v !== attr.value) el.setAttribute(attr.name, v);
+        }
+        for (const child of Array.from(el.children)) SceneLoader._resolveAssetPaths(child, baseUrl);
+    }
+
+    /**
+     * Instantiates a Tiled map: `<Instance source="Maps/level1.tmj" x="64" />`.
+     *
+     * Tracked attributes (name, x, y, rotation, scale, ...) override the map root;
+     * `<Override node="Objects/Door" x="..." />` overrides them on a node addressed by a
+     * `/`-separated path of names. Components and extra child nodes attach to the map root.
+     *
+     * @param {Element} node
+     * @param {Object} renderer
+     * @param {string} baseUrl
+     * @param {string} url - Absolute map URL.
+     * @param {string} sourceRaw - Authored source path (kept for the editor).
+     * @returns {Promise<any | null>}
+     */
+    static async _parseTiledInstance(node, renderer, baseUrl, url, sourceRaw) {
+        const obj = await TiledLoader.load(url, renderer);
+        if (!obj) return null;
+
+        /** @type {Record<string, any>} */
+        const baseline = {};
+        for (const [key] of SceneLoader.PREFAB_TRACKED_ATTRIBUTES) baseline[key] = obj[key];
+
+        /** @type {Record<string, string>} */
+        const overrides = {};
+        for (const attr of Array.from(node.attributes)) {
+            if (attr.name === 'source' || attr.name === 'src') continue;
+            overrides[attr.name] = attr.value;
+        }
+        SceneLoader._applyTrackedAttributes(obj, overrides);
+
+        /** @type {string[]} */
+        const childXml = [];
+        for (const child of Array.from(node.children)) {
+            if (typeof XMLSerializer !== 'undefined') childXml.push(new XMLSerializer().serializeToString(child));
+            if (child.tagName !== 'Override') continue;
+
+            const path = child.getAttribute('node') || '';
+            let target = obj;
+            for (const part of path.split('/').map((p) => p.trim()).filter(Boolean)) {
+                target = (target?.children || []).find((c) => c.name === part) || null;
+            }
+            if (!target || target === obj) {
+                console.warn(`SceneLoader: <Override node="${path}"> matches nothing in map ${url}.`);
+                continue;
+            }
+            /** @type {Record<string, string>} */
+            const values = {};
+            for (const attr of Array.from(child.attributes)) {
+                if (attr.name !== 'node') values[attr.name] = attr.value;
+            }
+            SceneLoader._applyTrackedAttributes(target, values);
+        }
+
+        SceneLoader._parsePhysicsComponents(node, obj);
+        SceneLoader._parseBehaviours(node, obj);
+        SceneLoader._parseConnections(node, obj);
+        for (const child of Array.from(node.children)) {
+            if (child.tagName === 'Override' || child.tagName === 'Behaviour' || child.tagName === 'Connect') continue;
+            if (SceneLoader._isPhysicsTag(child.tagName)) continue;
+            const childObj = await SceneLoader.parseObject(child, renderer, baseUrl);
+            if (childObj) obj.addChild(childObj);
+        }
+
+        // Tile collision bodies were placed before the overrides moved the map.
+        TiledLoader.syncBodies(obj);
+        obj.prefab = { source: sourceRaw, overrides, childXml, baseline };
+        return obj;
+    }
+
+    /**
+     * Sets PREFAB_TRACKED_ATTRIBUTES on a node from attribute strings.
+     * @param {any} obj
+     * @param {Record<string, string>} values - Attribute name to value.
+     */
+    static _applyTrackedAttributes(obj, values) {
+        for (const [key, attr] of SceneLoader.PREFAB_TRACKED_ATTRIBUTES) {
+            const v = values[attr];
+            if (v === undefined) continue;
+            if (key === 'name') {
+                obj.name = v;
+            } else if (key === 'active') {
+                obj.active = v !== 'false';
+            } else {
+                const n = parseFloat(v);
+                if (Number.isFinite(n)) obj[key] = n;
+            }
+        }
+    }
+
+    /**
+     * Finds a descendant element by a `/`-separated path of `name` attributes.
+     * @param {Element} root
+     * @param {string} path
+     * @returns {Element | null}
+     */
+    static _findPrefabElement(root, path) {
+        const parts = String(path || '').split('/').map((p) => p.trim()).filter(Boolean);
+        if (parts.length === 0) return null;
+        let current = root;
+        for (const part of parts) {
+            const next = Array.from(current.children).find((c) => c.getAttribute('name') === part);
+            if (!next) return null;
+            current = next;
+        }
+        return current;
+    }
+
     /**
      * Parses an XML node into a game object.
      * @param {Element} node - The XML element.
@@ -824,6 +1860,10 @@ export default class SceneLoader {
         const baseUrl = arguments.length >= 3 ? arguments[2] : '';
         const tagName = node.tagName;
         let obj = null;
+
+        if (tagName === "Instance") {
+            return SceneLoader._parseInstance(node, renderer, baseUrl);
+        }
         
         // Helper to get attributes
         const getFloat = (name, def = 0) => {
@@ -860,10 +1900,23 @@ export default class SceneLoader {
         else if (tagName === "AnimatedSprite") {
             const srcRaw = getString("imageSrc");
             const src = SceneLoader._resolveSceneResourceUrl(srcRaw, baseUrl);
+
+            // Optional Aseprite/TexturePacker atlas: creates all of its animations and supplies
+            // the image and default size unless imageSrc/width/height are given.
+            //   <AnimatedSprite name="Hero" atlas="Sprites/hero.json" x="0" y="0" />
+            const atlasRaw = getString("atlas");
+            let atlas = null;
+            if (atlasRaw) {
+                const p = SpriteAtlas.load(SceneLoader._resolveSceneResourceUrl(atlasRaw, baseUrl));
+                renderer?.trackAssetPromise?.(p);
+                atlas = await p;
+            }
+            const firstFrame = atlas?.frames?.[0];
+
             const x = getFloat("x");
             const y = getFloat("y");
-            const w = getFloat("width", 1);
-            const h = getFloat("height", 1);
+            const w = getFloat("width", firstFrame ? firstFrame.sourceW : 1);
+            const h = getFloat("height", firstFrame ? firstFrame.sourceH : 1);
             const rotation = getFloat("rotation", 0);
             const fw = getFloat("frameWidth");
             const fh = getFloat("frameHeight");
@@ -873,8 +1926,13 @@ export default class SceneLoader {
             sprite.rotation = rotation;
             // Preserve XML attribute for editor tooling / debugging.
             sprite.imageSrc = src;
+            if (atlasRaw) {
+                // Keep the authored path for editor round-tripping.
+                sprite.atlasSource = atlasRaw;
+                sprite.setAtlas(atlas);
+            }
             
-            let firstAnimName = null;
+            let firstAnimName = atlas?.animations?.keys().next().value ?? null;
             let hasAutoplay = false;
 
             // Parse animations
@@ -884,6 +1942,19 @@ export default class SceneLoader {
                     const framesStr = animNode.getAttribute("frames"); // "0,1,2"
                     const fps = parseFloat(animNode.getAttribute("speed") || "10");
                     const loop = animNode.getAttribute("loop") !== "false";
+
+                    // Without frames, an <Animation> adjusts one that came from the atlas.
+                    const existing = !framesStr && name ? sprite.animations.get(name) : null;
+                    if (existing) {
+                        if (animNode.hasAttribute("loop")) existing.loop = loop;
+                        SceneLoader._parseSpriteAnimationTiming(animNode, sprite, name);
+                        if (animNode.getAttribute("autoplay") === "true") {
+                            existing.autoplay = true;
+                            sprite.play(name);
+                            hasAutoplay = true;
+                        }
+                        continue;
+                    }
                     
                     if (name && framesStr) {
                         let frames;
@@ -901,6 +1972,7 @@ export default class SceneLoader {
 
                         const autoplay = animNode.getAttribute("autoplay") === "true";
                         sprite.addAnimation(name, frames, fps, loop);
+                        SceneLoader._parseSpriteAnimationTiming(animNode, sprite, name);
                         // Preserve autoplay flag for editor round-tripping.
                         try {
                             const a = sprite.animations.get(name);
@@ -922,10 +1994,29 @@ export default class SceneLoader {
             if (!hasAutoplay && firstAnimName) {
                 sprite.play(firstAnimName);
             }
+
+            await SceneLoader._parseAnimationController(node, sprite, renderer, baseUrl);
             
             obj = sprite;
         }
 
+        else if (tagName === "TileMap") {
+            const map = await SceneLoader._parseTileMap(node, renderer, baseUrl);
+            map.name = getString("name", "TileMap");
+            map.x = getFloat("x");
+            map.y = getFloat("y");
+            map.rotation = getFloat("rotation", 0);
+            obj = map;
+        }
+
+        else if (tagName === "ParticleEmitter2D") {
+            obj = SceneLoader._parseParticleEmitter2D(node, renderer, baseUrl);
+        }
+
+        else if (tagName === "ParticleEmitter3D") {
+            obj = SceneLoader._parseParticleEmitter3D(node, renderer, baseUrl);
+        }
+
         else if (tagName === "ClickableArea") {
             const area = new ClickableArea(renderer);
             area.name = getString("name", "ClickableArea");
@@ -1009,6 +2100,34 @@ export default class SceneLoader {
             obj = audio;
         }
 
+        else if (tagName === "AnimationPlayer") {
+            const player = new AnimationPlayer();
+            player.name = getString("name", "AnimationPlayer");
+            player.rootPath = getString("root");
+            player.autoplay = getString("autoplay");
+            player.speed = getFloat("speed", 1);
+
+            // Clip files: clips="a.json, b.xml" and/or <Clip src="..." /> children.
+            const sources = getString("clips").split(',').map((s) => s.trim()).filter(Boolean);
+            for (const child of Array.from(node.children)) {
+                if (child.tagName === "Clip" && child.getAttribute("src")) sources.push(child.getAttribute("src"));
+            }
+            // Keep the authored paths for editor round-tripping.
+            player.clipSources = sources;
+            for (const srcRaw of sources) {
+                const p = player.loadClips(SceneLoader._resolveSceneResourceUrl(srcRaw, baseUrl));
+                renderer?.trackAssetPromise?.(p);
+                await p;
+            }
+
+            // Inline <AnimationClip> children.
+            for (const child of Array.from(node.children)) {
+                if (child.tagName === "AnimationClip") player.addClip(AnimationClip.parseXml(child));
+            }
+
+            obj = player;
+        }
+
         else if (tagName === "Camera") {
             const x = getFloat("x", 0);
             const y = getFloat("y", 0);
@@ -1074,6 +2193,8 @@ export default class SceneLoader {
             n.material = getString('material', getString('mat', ''));
             // Preserve original authoring name even if the loader later resolves to a Material instance.
             n.materialName = n.material;
+            // Skeletal clip to loop once the skinned glTF mesh is resolved.
+            n.animation = getString('animation', '');
 
             if (node.hasAttribute('color')) {
                 n.color = this._parseColor(node.getAttribute('color'));
@@ -1085,6 +2206,8 @@ export default class SceneLoader {
                 n.meshDefinition = { type: n.source, color: n.color, params };
             }
 
+            await SceneLoader._parseAnimationController(node, n, renderer, baseUrl);
+
             obj = n;
         }
 
@@ -1216,6 +2339,37 @@ export default class SceneLoader {
                 obj.active = activeAttr !== "false";
             }
 
+            // Query metadata: tags="enemy,flying" groups="enemies" (indexed by Scene.findAll/getGroup).
+            if (node.hasAttribute("tags")) obj.tags = SceneIndex.parseList(node.getAttribute("tags"));
+            if (node.hasAttribute("groups")) obj.groups = SceneIndex.parseList(node.getAttribute("groups"));
+
+            const pauseAttr = node.getAttribute("processWhilePaused");
+            if (pauseAttr !== null && 'processWhilePaused' in obj) {
+                obj.processWhilePaused = pauseAttr === "true";
+            }
+
+            // 2D scale/skew (skew in radians, like rotation). Applied around the node's center.
+            if (obj instanceof Node2D) {
+                if (node.hasAttribute("scale")) obj.setScale(getFloat("scale", 1));
+                if (node.hasAttribute("scaleX")) obj.scaleX = getFloat("scaleX", 1);
+                if (node.hasAttribute("scaleY")) obj.scaleY = getFloat("scaleY", 1);
+                if (node.hasAttribute("skewX")) obj.skewX = getFloat("skewX", 0);
+                if (node.hasAttribute("skewY")) obj.skewY = getFloat("skewY", 0);
+            }
+
+            // Nine-slice insets in source pixels: "all", "horizontal,vertical" or "left,top,right,bottom".
+            //   <Sprite imageSrc="UI/panel.png" width="300" height="120" nineSlice="12,8,12,8" nineSliceCenter="tile" />
+            if (obj instanceof Sprite && node.hasAttribute("nineSlice")) {
+                const v = String(node.getAttribute("nineSlice")).split(/[\s,]+/).filter(Boolean).map(Number);
+                if (v.length === 1 && Number.isFinite(v[0])) obj.setNineSlice(v[0]);
+                else if (v.length === 2 && v.every(Number.isFinite)) obj.setNineSlice(v[0], v[1], v[0], v[1]);
+                else if (v.length === 4 && v.every(Number.isFinite)) obj.setNineSlice(v[0], v[1], v[2], v[3]);
+                else if (v.length > 0) console.warn(`SceneLoader: invalid nineSlice "${node.getAttribute("nineSlice")}" on '${obj.name}'.`);
+            }
+            if (obj instanceof Sprite && node.getAttribute("nineSliceCenter") === "tile") {
+                obj.nineSliceCenter = 'tile';
+            }
+
             const followCameraAttr = node.getAttribute("followCamera");
             if (followCameraAttr !== null && obj.hasOwnProperty('followCamera')) {
                 obj.followCamera = followCameraAttr === "true";
@@ -1227,10 +2381,23 @@ export default class SceneLoader {
             }
         }
 
+        // Physics components (<RigidBody>, <BoxCollider>, ...) and <Behaviour> attach to this node.
+        if (obj) {
+            SceneLoader._parsePhysicsComponents(node, obj);
+            SceneLoader._parseBehaviours(node, obj);
+            SceneLoader._parseConnections(node, obj);
+        }
+
         // Handle children
         if (obj && obj.addChild) {
              for (const childNode of node.children) {
                  if (childNode.tagName === "Animation") continue;
+                 if (SceneLoader._isPhysicsTag(childNode.tagName)) continue;
+                 if (childNode.tagName === "Behaviour" || childNode.tagName === "Connect") continue;
+                 if (childNode.tagName === "Clip" || childNode.tagName === "AnimationClip") continue;
+                 if (childNode.tagName === "AnimationController") continue;
+                 if (childNode.tagName === "TileSet" || childNode.tagName === "TileLayer") continue;
+                 if (childNode.tagName === "Burst") continue;
                  const childObj = await this.parseObject(childNode, renderer, baseUrl);
                  if (childObj) {
                      obj.addChild(childObj);
@@ -0,0 +1,618 @@
+import Scene from './Scene.js';
+import SceneLoader from './SceneLoader.js';
+import Camera from './Camera.js';
+
+/**
+ * @typedef {Object} SceneStackEntry
+ * @property {Scene} scene
+ * @property {string|null} url - Source URL when loaded through the manager.
+ * @property {boolean} pauseBelow - When true (default for overlays), scenes below stop updating.
+ * @property {number} alpha - 2D opacity used while an overlay fades in/out.
+ * @property {boolean} [persistent] - Additive scenes only: survive change() (e.g. a HUD).
+ */
+
+/**
+ * Owns the active scene stack: loading, changing, overlays (push/pop), preloading and transitions.
+ *
+ * The Engine creates one instance and injects it as `game.sceneManager`. It keeps
+ * `game.currentScene` pointing at the top of the stack, and it is the single place where
+ * scene audio (stop/autoplay), `disposeOnSceneChange` and the `onEnter`/`onExit` hooks run.
+ * Games that still assign `game.currentScene` directly get the same bookkeeping.
+ *
+ * Besides the stack, additive scenes (HUD, streamed level chunks, debug overlays) can be
+ * loaded with add() and unloaded with remove(). They are updated with the base scene and
+ * drawn together with it through Scene.drawComposite (merged lights, ordered by
+ * `scene.renderOrder` then layer); overlays pushed on the stack draw above them.
+ *
+ * Usage:
+ *   update(dt) { this.sceneManager.update(dt); }
+ *   draw(renderer) { this.sceneManager.draw(renderer); }
+ *   this.sceneManager.change('./level2.xml', { transition: 'fade' });
+ */
+export default class SceneManager {
+    /**
+     * Creates an instance of SceneManager.
+     * @param {Object} renderer - The renderer used to load and draw scenes.
+     * @param {Object|null} [game=null] - Game object whose `currentScene` is kept in sync.
+     */
+    constructor(renderer, game = null) {
+        this.renderer = renderer;
+        this.game = game;
+
+        /** @type {SceneStackEntry[]} */
+        this.stack = [];
+        /** @type {SceneStackEntry[]} Additive scenes drawn/updated alongside the base scene. */
+        this.additive = [];
+
+        /** @type {Map<string, Promise<Scene>>} */
+        this._preloaded = new Map();
+        /** Serializes change/push/pop so they never interleave. */
+        this._queue = Promise.resolve();
+        this._pendingOps = 0;
+
+        // Active transition state
+        this._animations = [];
+        this._fadeAlpha = 0;
+        this._fadeColor = [0, 0, 0];
+        /** @type {SceneStackEntry[] | null} */
+        this._crossfadeFrom = null;
+        this._crossfadeAlpha = 0;
+
+        this._lastKnownScene = null;
+        this._screenCamera = new Camera();
+        this._whiteTexture = null;
+    }
+
+    /**
+     * The scene on top of the stack (or null).
+     * @returns {Scene|null}
+     */
+    get current() {
+        const top = this.stack[this.stack.length - 1];
+        return top ? top.scene : null;
+    }
+
+    /**
+     * All active scenes: the stack (bottom to top) followed by additive scenes.
+     * @returns {Scene[]}
+     */
+    get scenes() {
+        return [...this.stack, ...this.additive].map(e => e.scene);
+    }
+
+    /**
+     * Finds an active scene (stack or additive) by name.
+     * @param {string} name
+     * @returns {Scene|null}
+     */
+    getScene(name) {
+        for (const e of [...this.stack, ...this.additive]) {
+            if (e.scene && e.scene.name === name) return e.scene;
+        }
+        return null;
+    }
+
+    /**
+     * True while a change/push/pop (including its transition) is in progress.
+     * @returns {boolean}
+     */
+    get isTransitioning() {
+        return this._pendingOps > 0 || this._animations.length > 0;
+    }
+
+    /**
+     * Loads a scene without activating it. Uses a preloaded scene when available.
+     * @param {string} url
+     * @returns {Promise<Scene>}
+     */
+    load(url) {
+        const key = String(url);
+        const pending = this._preloaded.get(key);
+        if (pending) {
+            // Preloaded scenes are handed out once; they belong to the caller from here.
+            this._preloaded.delete(key);
+            return pending;
+        }
+        return SceneLoader.load(key, this.renderer);
+    }
+
+    /**
+     * Starts loading a scene in the background so a later load/change is instant.
+     * @param {string} url
+     * @returns {Promise<Scene>}
+     */
+    preload(url) {
+        const key = String(url);
+        const existing = this._preloaded.get(key);
+        if (existing) return existing;
+
+        const p = SceneLoader.load(key, this.renderer);
+        p.catch((e) => {
+            console.warn(`SceneManager: failed to preload "${key}"`, e);
+            if (this._preloaded.get(key) === p) this._preloaded.delete(key);
+        });
+        this._preloaded.set(key, p);
+        return p;
+    }
+
+    /**
+     * Whether a URL has been preloaded (or is still preloading) and not yet consumed.
+     * @param {string} url
+     * @returns {boolean}
+     */
+    isPreloaded(url) {
+        return this._preloaded.has(String(url));
+    }
+
+    /**
+     * Disposes preloaded scenes that were never used.
+     */
+    clearPreloaded() {
+        for (const p of this._preloaded.values()) {
+            p.then((scene) => scene?.dispose?.()).catch(() => {});
+        }
+        this._preloaded.clear();
+    }
+
+    /**
+     * Replaces the whole stack with a scene.
+     * @param {string|Scene} target - Scene URL or an already loaded Scene.
+     * @param {{ transition?: 'none'|'fade'|'crossfade', duration?: number, color?: number[], onLoaded?: (scene: Scene) => void }} [options]
+     *   `onLoaded` runs once the scene is loaded, before it enters (set hooks/flags there).
+     * @returns {Promise<Scene|null>} Resolves after the transition finishes.
+     */
+    change(target, options = {}) {
+        return this._enqueue(() => this._change(target, options || {}));
+    }
+
+    /**
+     * Pushes an overlay scene (pause menu, dialog) on top of the current one.
+     * @param {string|Scene} target
+     * @param {{ pauseBelow?: boolean, transition?: 'none'|'fade', duration?: number, onLoaded?: (scene: Scene) => void }} [options]
+     * @returns {Promise<Scene|null>}
+     */
+    push(target, options = {}) {
+        return this._enqueue(() => this._push(target, options || {}));
+    }
+
+    /**
+     * Removes the top overlay scene.
+     * @param {{ transition?: 'none'|'fade', duration?: number }} [options]
+     * @returns {Promise<Scene|null>} The removed scene.
+     */
+    pop(options = {}) {
+        return this._enqueue(() => this._pop(options || {}));
+    }
+
+    /**
+     * Loads a scene additively: it stays active next to the current one until remove().
+     * @param {string|Scene} target
+     * @param {{ renderOrder?: number, persistent?: boolean, onLoaded?: (scene: Scene) => void }} [options]
+     *   `persistent` keeps the scene across change() (HUD); otherwise change() unloads it.
+     * @returns {Promise<Scene|null>}
+     */
+    async add(target, options = {}) {
+        const opts = options || {};
+        let scene = null;
+        try {
+            scene = await this._resolveTarget(target);
+        } catch (e) {
+            console.error('SceneManager: failed to load additive scene', target, e);
+        }
+        if (!scene) return null;
+
+        if (opts.renderOrder !== undefined && Number.isFinite(Number(opts.renderOrder))) {
+            scene.renderOrder = Number(opts.renderOrder);
+        }
+        if (typeof opts.onLoaded === 'function') opts.onLoaded(scene);
+
+        const entry = this._makeEntry(scene, (typeof target === 'string') ? target : null, false);
+        entry.persistent = !!opts.persistent;
+        this.additive.push(entry);
+        this._enter(scene);
+        return scene;
+    }
+
+    /**
+     * Unloads an additive scene.
+     * @param {Scene|string} sceneOrKey - The scene, its URL or its name.
+     * @param {{ dispose?: boolean }} [options] - dispose defaults to true.
+     * @returns {Scene|null} The removed scene.
+     */
+    remove(sceneOrKey, options = {}) {
+        const idx = this.additive.findIndex(e => e.scene === sceneOrKey || e.url === sceneOrKey || e.scene?.name === sceneOrKey);
+        if (idx < 0) {
+            console.warn('SceneManager.remove(): scene is not loaded additively:', sceneOrKey);
+            return null;
+        }
+        const [entry] = this.additive.splice(idx, 1);
+        this._exit(entry.scene, (options || {}).dispose !== false);
+        return entry.scene;
+    }
+
+    /**
+     * Updates the top scene, and the scenes below it while overlays allow it.
+     * Additive scenes update whenever the base scene does.
+     * @param {number} dt
+     */
+    update(dt) {
+        if (this._forEachActive((scene) => scene.update(dt))) {
+            for (const entry of this.additive) entry.scene.update(dt);
+        }
+    }
+
+    /**
+     * Fixed-step counterpart of update().
+     * @param {number} dt
+     */
+    fixedUpdate(dt) {
+        const tick = (scene) => {
+            if (typeof scene.fixedUpdate === 'function') scene.fixedUpdate(dt);
+        };
+        if (this._forEachActive(tick)) {
+            for (const entry of this.additive) tick(entry.scene);
+        }
+    }
+
+    /**
+     * Interpolates fixed-step physics in every active scene.
+     * @param {number} alpha
+     */
+    interpolate(alpha) {
+        for (const entry of [...this.stack, ...this.additive]) {
+            if (typeof entry.scene.interpolate === 'function') entry.scene.interpolate(alpha);
+        }
+    }
+
+    /**
+     * Draws the stack bottom to top, then any transition effect.
+     * @param {Object} [renderer]
+     */
+    draw(renderer) {
+        const r = renderer || this.renderer;
+        if (!r) return;
+        const baseCamera = r.activeCamera || this.game?.camera || null;
+
+        // Base scene and additive scenes share one composited pass.
+        const group = this.stack.length > 0 ? [this.stack[0], ...this.additive] : this.additive;
+        if (group.length > 0) {
+            Scene.drawComposite(r, group, baseCamera);
+        }
+
+        // Overlays pushed on the stack draw above everything else.
+        for (let i = 1; i < this.stack.length; i++) {
+            const entry = this.stack[i];
+            this._drawScene(r, entry.scene, entry.alpha, baseCamera, false);
+        }
+
+        // Crossfade: the outgoing scenes (2D only) are blended over the incoming ones.
+        if (this._crossfadeFrom && this._crossfadeAlpha > 0) {
+            for (const entry of this._crossfadeFrom) {
+                this._drawScene(r, entry.scene, entry.alpha * this._crossfadeAlpha, baseCamera, true);
+            }
+        }
+
+        if (this._fadeAlpha > 0) {
+            this._drawFadeOverlay(r);
+        }
+
+        if (baseCamera && r.activeCamera !== baseCamera && typeof r.applyTransform === 'function') {
+            r.applyTransform(baseCamera);
+        }
+    }
+
+    /**
+     * Advances transitions on real time (so they also run while the engine is paused).
+     * Called by Engine once per frame.
+     * @param {number} dt - Unscaled frame delta in seconds.
+     */
+    tick(dt) {
+        if (this._animations.length === 0) return;
+        const step = Number(dt) || 0;
+        const running = this._animations;
+        this._animations = [];
+        for (const anim of running) {
+            anim.elapsed += step;
+            const t = Math.min(1, anim.elapsed / anim.duration);
+            anim.apply(t);
+            if (t >= 1) anim.resolve();
+            else this._animations.push(anim);
+        }
+    }
+
+    /**
+     * Picks up scenes assigned directly to `game.currentScene` (legacy flow) and runs the
+     * usual exit/enter bookkeeping for them. Called by Engine once per frame.
+     */
+    syncWithGame() {
+        const game = this.game;
+        if (!game) return;
+        const assigned = game.currentScene || null;
+        if (!assigned || assigned === this._lastKnownScene) return;
+
+        this._lastKnownScene = assigned;
+        if (assigned === this.current) return;
+
+        const outgoing = this.stack;
+        this.stack = [this._makeEntry(assigned, null, true)];
+        this._exitAll(outgoing, assigned);
+        this._unloadTransientAdditive();
+        this._enter(assigned);
+    }
+
+    _enqueue(op) {
+        this._pendingOps++;
+        const run = this._queue.then(op).finally(() => {
+            this._pendingOps--;
+        });
+        // Keep the chain alive even if one operation fails.
+        this._queue = run.catch(() => {});
+        return run;
+    }
+
+    async _change(target, options) {
+        const type = SceneManager._normalizeTransition(options.transition);
+        const duration = SceneManager._duration(options.duration, type === 'fade' ? 0.5 : 0.4);
+        const hasCurrent = this.stack.length > 0;
+        const loading = this._resolveTarget(target);
+        // Avoid an unhandled rejection while the fade-out is still running.
+        loading.catch(() => {});
+
+        if (type === 'fade' && hasCurrent) {
+            this._fadeColor = SceneManager._normalizeColor(options.color);
+            await this._animate(duration * 0.5, (t) => { this._fadeAlpha = t; });
+        }
+
+        let scene = null;
+        try {
+            scene = await loading;
+            if (scene && typeof options.onLoaded === 'function') options.onLoaded(scene);
+        } catch (e) {
+            console.error('SceneManager: failed to load scene', target, e);
+        }
+
+        if (!scene) {
+            if (this._fadeAlpha > 0) await this._animate(duration * 0.5, (t) => { this._fadeAlpha = 1 - t; });
+            return null;
+        }
+
+        const outgoing = this.stack;
+        const url = (typeof target === 'string') ? target : null;
+        this.stack = [this._makeEntry(scene, url, true)];
+
+        if (type === 'crossfade' && hasCurrent) {
+            this._syncGame();
+            this._enter(scene);
+            this._crossfadeFrom = outgoing;
+            this._crossfadeAlpha = 1;
+            await this._animate(duration, (t) => { this._crossfadeAlpha = 1 - t; });
+            this._crossfadeFrom = null;
+            this._exitAll(outgoing, scene);
+            this._unloadTransientAdditive();
+        } else {
+            this._exitAll(outgoing, scene);
+            this._unloadTransientAdditive();
+            this._syncGame();
+            this._enter(scene);
+        }
+
+        if (type === 'fade' && this._fadeAlpha > 0) {
+            await this._animate(duration * 0.5, (t) => { this._fadeAlpha = 1 - t; });
+        }
+        this._fadeAlpha = 0;
+        return scene;
+    }
+
+    async _push(target, options) {
+        const type = SceneManager._normalizeTransition(options.transition);
+        let scene = null;
+        try {
+            scene = await this._resolveTarget(target);
+            if (scene && typeof options.onLoaded === 'function') options.onLoaded(scene);
+        } catch (e) {
+            console.error('SceneManager: failed to load overlay scene', target, e);
+        }
+        if (!scene) return null;
+
+        const entry = this._makeEntry(scene, (typeof target === 'string') ? target : null, options.pauseBelow !== false);
+        entry.alpha = (type === 'none') ? 1 : 0;
+        this.stack.push(entry);
+        this._syncGame();
+        this._enter(scene);
+
+        if (type !== 'none') {
+            await this._animate(SceneManager._duration(options.duration, 0.25), (t) => { entry.alpha = t; });
+        }
+        return scene;
+    }
+
+    async _pop(options) {
+        if (this.stack.length <= 1) {
+            console.warn('SceneManager.pop(): no overlay scene to pop.');
+            return null;
+        }
+        const type = SceneManager._normalizeTransition(options.transition);
+        const entry = this.stack[this.stack.length - 1];
+
+        if (type !== 'none') {
+            await this._animate(SceneManager._duration(options.duration, 0.25), (t) => { entry.alpha = 1 - t; });
+        }
+
+        const idx = this.stack.indexOf(entry);
+        if (idx >= 0) this.stack.splice(idx, 1);
+        this._syncGame();
+        this._exit(entry.scene);
+        return entry.scene;
+    }
+
+    /**
+     * @param {string|Scene} target
+     * @returns {Promise<Scene>}
+     */
+    _resolveTarget(target) {
+        if (typeof target === 'string') return this.load(target);
+        if (target && typeof target === 'object') return Promise.resolve(target);
+        return Promise.reject(new Error('SceneManager: expected a scene URL or Scene instance.'));
+    }
+
+    _makeEntry(scene, url, pauseBelow) {
+        return { scene, url, pauseBelow: !!pauseBelow, alpha: 1 };
+    }
+
+    _syncGame() {
+        const top = this.current;
+        this._lastKnownScene = top;
+        if (this.game) this.game.currentScene = top;
+    }
+
+    _animate(duration, apply) {
+        if (!(duration > 0)) {
+            apply(1);
+            return Promise.resolve();
+        }
+        apply(0);
+        return new Promise((resolve) => {
+            this._animations.push({ elapsed: 0, duration, apply, resolve });
+        });
+    }
+
+    _enter(scene) {
+        if (!scene) return;
+        if (typeof scene.playAutoplayAudio === 'function') {
+            scene.playAutoplayAudio();
+        }
+        if (typeof scene.onEnter === 'function') {
+            try {
+                scene.onEnter(scene, this);
+            } catch (e) {
+                console.error('Scene onEnter failed:', e);
+            }
+        }
+    }
+
+    /**
+     * Runs `fn` on the top scene and the scenes below it while overlays allow it.
+     * @param {(scene: Scene) => void} fn
+     * @returns {boolean} Whether the base scene was reached (or the stack is empty).
+     */
+    _forEachActive(fn) {
+        for (let i = this.stack.length - 1; i >= 0; i--) {
+            const entry = this.stack[i];
+            fn(entry.scene);
+            if (i === 0) return true;
+            if (entry.pauseBelow) return false;
+        }
+        return true;
+    }
+
+    /** Unloads additive scenes that are not marked persistent (they belong to the old level). */
+    _unloadTransientAdditive() {
+        const keep = [];
+        for (const entry of this.additive) {
+            if (entry.persistent) keep.push(entry);
+            else this._exit(entry.scene, true);
+        }
+        this.additive = keep;
+    }
+
+    /**
+     * @param {Scene} scene
+     * @param {boolean} [forceDispose=false] - Dispose even without disposeOnSceneChange (unload).
+     */
+    _exit(scene, forceDispose = false) {
+        if (!scene) return;
+        if (typeof scene.onExit === 'function') {
+            try {
+                scene.onExit(scene, this);
+            } catch (e) {
+                console.error('Scene onExit failed:', e);
+            }
+        }
+        if (typeof scene.stopAudio === 'function') {
+            scene.stopAudio();
+        }
+        // Optional: dispose scene resources (textures, etc.)
+        if ((forceDispose || scene.disposeOnSceneChange) && typeof scene.dispose === 'function') {
+            scene.dispose();
+        }
+    }
+
+    /**
+     * Exits the given entries top-down, skipping a scene that stays active.
+     * @param {SceneStackEntry[]} entries
+     * @param {Scene|null} keep
+     */
+    _exitAll(entries, keep) {
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const s = entries[i].scene;
+            if (s && s !== keep) this._exit(s);
+        }
+    }
+
+    _drawScene(r, scene, alpha, baseCamera, skip3D) {
+        if (!scene || alpha <= 0 || typeof scene.draw !== 'function') return;
+
+        const cam = scene.camera || baseCamera;
+        if (cam && r.activeCamera !== cam && typeof r.applyTransform === 'function') {
+            r.applyTransform(cam);
+        }
+
+        const prevAlpha = (typeof r.globalAlpha === 'number') ? r.globalAlpha : 1;
+        r.globalAlpha = prevAlpha * alpha;
+
+        const prev3D = (skip3D && r.isRenderLayerEnabled) ? r.isRenderLayerEnabled(0) : null;
+        if (prev3D !== null) r.setRenderLayerEnabled(0, false);
+
+        scene.draw(r);
+
+        if (prev3D !== null) r.setRenderLayerEnabled(0, prev3D);
+        r.globalAlpha = prevAlpha;
+    }
+
+    _drawFadeOverlay(r) {
+        const tex = this._getWhiteTexture(r);
+        if (!tex || typeof r.drawQuad !== 'function') return;
+
+        if (typeof r.applyTransform === 'function') r.applyTransform(this._screenCamera);
+        const [cr, cg, cb] = this._fadeColor;
+        const w = r.targetWidth || 1920;
+        const h = r.targetHeight || 1080;
+        r.drawQuad(tex, 0, 0, w, h, [cr, cg, cb, Math.round(255 * Math.min(1, this._fadeAlpha))]);
+    }
+
+    _getWhiteTexture(r) {
+        if (this._whiteTexture) return this._whiteTexture;
+        if (!r || !r.isReady || typeof r.createTexture !== 'function') return null;
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = 1;
+            canvas.height = 1;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = 'white';
+            ctx.fillRect(0, 0, 1, 1);
+            this._whiteTexture = r.createTexture(canvas);
+        } catch (e) {
+            console.warn('SceneManager: failed to create fade texture:', e);
+        }
+        return this._whiteTexture;
+    }
+
+    static _normalizeTransition(t) {
+        const v = String(t || 'none').toLowerCase();
+        if (v === 'fade' || v === 'crossfade') return v;
+        if (v !== 'none') console.warn(`SceneManager: unknown transition "${t}", using "none".`);
+        return 'none';
+    }
+
+    static _duration(v, fallback) {
+        const n = Number(v);
+        return (Number.isFinite(n) && n >= 0) ? n : fallback;
+    }
+
+    static _normalizeColor(c) {
+        if (Array.isArray(c) && c.length >= 3) {
+            return [Number(c[0]) || 0, Number(c[1]) || 0, Number(c[2]) || 0];
+        }
+        return [0, 0, 0];
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * @template [T=any]
+ * @typedef {{
+ *   name: string,
+ *   target: any,
+ *   currentTarget: any,
+ *   stopped: boolean,
+ *   stopPropagation: () => void,
+ * }} SignalEvent
+ */
+
+/**
+ * @template [T=any]
+ * @typedef {(payload: T, event: SignalEvent<T>) => void} SignalListener
+ */
+
+/**
+ * Named signals on scene nodes (Node2D and MeshNode expose these as on/once/off/emit).
+ *
+ *   enemy.on('died', (score, e) => hud.addScore(score));
+ *   enemy.emit('died', 100);
+ *   button.emit('click', null, { bubbles: true }); // also reaches the button's parents
+ *
+ * Listeners get `(payload, event)`; `event.target` is the emitting node, `event.currentTarget`
+ * the node being notified while bubbling, and `event.stopPropagation()` stops the bubbling.
+ * Connections are dropped when the emitting node is disposed, and when the optional `owner`
+ * (usually the listening node) is disposed.
+ */
+export default class Signals {
+    /**
+     * @param {any} node - Emitting node.
+     * @param {string} name
+     * @param {SignalListener} fn
+     * @param {{ once?: boolean, owner?: any }} [options]
+     * @returns {() => void} Disconnects this listener.
+     */
+    static connect(node, name, fn, options = {}) {
+        if (!node || !name || typeof fn !== 'function') return () => {};
+        const owner = options.owner || null;
+
+        if (!node._signals) node._signals = new Map();
+        let list = node._signals.get(name);
+        if (!list) {
+            list = [];
+            node._signals.set(name, list);
+        }
+        const conn = { node, name, fn, once: !!options.once, owner, removed: false };
+        list.push(conn);
+
+        if (owner && owner !== node && typeof owner === 'object') {
+            if (!owner._signalLinks) owner._signalLinks = new Set();
+            owner._signalLinks.add(conn);
+        }
+        return () => Signals._drop(conn);
+    }
+
+    /**
+     * Removes listeners of a signal: one function, or all of them when `fn` is omitted.
+     * @param {any} node
+     * @param {string} name
+     * @param {SignalListener} [fn]
+     */
+    static disconnect(node, name, fn) {
+        const list = node?._signals?.get(name);
+        if (!list) return;
+        for (const conn of list.slice()) {
+            if (!fn || conn.fn === fn) Signals._drop(conn);
+        }
+    }
+
+    /**
+     * Calls the signal's listeners on `node` (and, when bubbling, on each parent in turn).
+     * @param {any} node
+     * @param {string} name
+     * @param {any} [payload]
+     * @param {{ bubbles?: boolean }} [options]
+     * @returns {boolean} True if at least one listener ran.
+     */
+    static emit(node, name, payload, options = {}) {
+        if (!node || !name) return false;
+        /** @type {SignalEvent} */
+        const event = {
+            name,
+            target: node,
+            currentTarget: node,
+            stopped: false,
+            stopPropagation() { this.stopped = true; },
+        };
+
+        let handled = false;
+        for (let n = node; n; n = options.bubbles ? n.parent : null) {
+            const list = n._signals?.get(name);
+            if (list && list.length > 0) {
+                event.currentTarget = n;
+                // Copy: listeners may connect/disconnect while running.
+                for (const conn of list.slice()) {
+                    if (conn.removed) continue;
+                    if (conn.once) Signals._drop(conn);
+                    handled = true;
+                    try {
+                        conn.fn(payload, event);
+                    } catch (e) {
+                        console.error(`Signal '${name}' listener failed:`, e);
+                    }
+                }
+            }
+            if (event.stopped) break;
+        }
+        return handled;
+    }
+
+    /**
+     * @param {any} node
+     * @param {string} name
+     * @returns {boolean}
+     */
+    static hasListeners(node, name) {
+        const list = node?._signals?.get(name);
+        return !!list && list.length > 0;
+    }
+
+    /**
+     * Drops every connection on `node` (as emitter) and every connection it owns as a listener.
+     * @param {any} node
+     */
+    static disconnectAll(node) {
+        if (!node) return;
+        if (node._signals) {
+            for (const list of Array.from(node._signals.values())) {
+                for (const conn of list.slice()) Signals._drop(conn);
+            }
+        }
+        if (node._signalLinks) {
+            for (const conn of Array.from(node._signalLinks)) Signals._drop(conn);
+        }
+    }
+
+    /** @param {any} conn */
+    static _drop(conn) {
+        if (conn.removed) return;
+        conn.removed = true;
+        const signals = conn.node._signals;
+        const list = signals?.get(conn.name);
+        if (list) {
+            const idx = list.indexOf(conn);
+            if (idx >= 0) list.splice(idx, 1);
+            if (list.length === 0) signals.delete(conn.name);
+        }
+        if (conn.owner && conn.owner._signalLinks) conn.owner._signalLinks.delete(conn);
+    }
+}
@@ -0,0 +1,637 @@
+/**
+ * Skeletal and morph target animation for glTF meshes.
+ *
+ * GLTFLoader shares one SkeletonData per glTF skin (node hierarchy with its rest pose, joint
+ * list, inverse bind matrices and the file's clips); meshes animated only through morph
+ * weights get one without joints. Every animated MeshNode plays clips on its own Skeleton,
+ * which produces the joint matrices and morph weights the renderer uploads.
+ *
+ *   hero.playAnimation('Idle');
+ *   hero.crossFadeAnimation('Run', 0.25);
+ *   hero.playAnimation('Jump', { loop: false, fade: 0.1 });
+ */
+
+/** Joint matrices uploaded per draw (rows of the renderer's joint texture). */
+export const MAX_SKIN_JOINTS = 64;
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   parent: number,
+ *   translation: number[],
+ *   rotation: number[],
+ *   scale: number[],
+ * }} SkeletonNode
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   nodes: SkeletonNode[],
+ *   joints: number[],
+ *   inverseBindMatrices: Float32Array,
+ *   clips: SkeletonClip[],
+ * }} SkeletonData
+ */
+
+/**
+ * @typedef {{
+ *   node: number,
+ *   path: 'translation'|'rotation'|'scale'|'weights',
+ *   interpolation: 'LINEAR'|'STEP'|'CUBICSPLINE',
+ *   times: Float32Array,
+ *   values: Float32Array,
+ *   size?: number,
+ * }} SkeletonChannel
+ */
+
+/**
+ * @typedef {{
+ *   clip: SkeletonClip,
+ *   time: number,
+ *   speed: number,
+ *   loop: boolean,
+ *   weight: number,
+ *   targetWeight: number,
+ *   fadeRate: number,
+ *   finished: boolean,
+ * }} SkeletonState
+ */
+
+const PATH_SIZE = { translation: 3, rotation: 4, scale: 3 };
+
+/**
+ * One glTF animation: keyframed TRS and morph weight channels targeting nodes by index.
+ */
+export class SkeletonClip {
+  /**
+   * @param {string} name
+   * @param {SkeletonChannel[]} channels
+   */
+  constructor(name, channels = []) {
+    this.name = name;
+    /** @type {SkeletonChannel[]} */
+    this.channels = channels;
+    this.duration = 0;
+    for (const ch of channels) {
+      const last = ch.times.length > 0 ? ch.times[ch.times.length - 1] : 0;
+      if (last > this.duration) this.duration = last;
+    }
+  }
+
+  /**
+   * Samples a channel at `time` (clamped to its keys) into `out`.
+   * @param {SkeletonChannel} ch
+   * @param {number} time
+   * @param {Float32Array|number[]} out
+   * @param {number} [offset]
+   */
+  static sample(ch, time, out, offset = 0) {
+    // Weight channels carry one value per morph target.
+    const size = ch.size || PATH_SIZE[ch.path] || 3;
+    const isRotation = ch.path === 'rotation';
+    const times = ch.times;
+    const values = ch.values;
+    const count = times.length;
+    const cubic = ch.interpolation === 'CUBICSPLINE';
+    // Cubic keys store [inTangent, value, outTangent].
+    const stride = cubic ? size * 3 : size;
+    const valueAt = cubic ? size : 0;
+
+    if (count === 0) return;
+    if (count === 1 || time <= times[0]) {
+      for (let c = 0; c < size; c++) out[offset + c] = values[valueAt + c];
+      return;
+    }
+    if (time >= times[count - 1]) {
+      const base = (count - 1) * stride + valueAt;
+      for (let c = 0; c < size; c++) out[offset + c] = values[base + c];
+      return;
+    }
+
+    let lo = 0;
+    let hi = count - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= time) lo = mid;
+      else hi = mid;
+    }
+
+    const t0 = times[lo];
+    const span = times[hi] - t0;
+    const u = span > 0 ? (time - t0) / span : 0;
+    const a = lo * stride;
+    const b = hi * stride;
+
+    if (ch.interpolation === 'STEP') {
+      for (let c = 0; c < size; c++) out[offset + c] = values[a + c];
+      return;
+    }
+
+    if (cubic) {
+      const u2 = u * u;
+      const u3 = u2 * u;
+      const h00 = 2 * u3 - 3 * u2 + 1;
+      const h10 = u3 - 2 * u2 + u;
+      const h01 = -2 * u3 + 3 * u2;
+      const h11 = u3 - u2;
+      for (let c = 0; c < size; c++) {
+        const p0 = values[a + size + c];
+        const m0 = values[a + size * 2 + c] * span;
+        const p1 = values[b + size + c];
+        const m1 = values[b + c] * span;
+        out[offset + c] = h00 * p0 + h10 * m0 + h01 * p1 + h11 * m1;
+      }
+      if (isRotation) normalizeQuat(out, offset);
+      return;
+    }
+
+    if (isRotation) {
+      slerp(values, a, values, b, u, out, offset);
+      return;
+    }
+    for (let c = 0; c < size; c++) {
+      const va = values[a + c];
+      out[offset + c] = va + (values[b + c] - va) * u;
+    }
+  }
+}
+
+/**
+ * Per-instance pose and clip playback for one SkeletonData.
+ */
+export default class Skeleton {
+  /**
+   * @param {SkeletonData} data
+   * @param {{ node: number, count: number, weights?: ArrayLike<number> } | null} [morph] - glTF node
+   *   whose `weights` channels drive the mesh's morph targets.
+   */
+  constructor(data, morph = null) {
+    this.data = data;
+
+    this.morphNode = morph ? morph.node : -1;
+    this.morphCount = morph ? Math.max(0, morph.count | 0) : 0;
+    /** Morph weights when no clip drives them (MeshNode.setMorphWeight writes here). */
+    this.baseMorphWeights = new Float32Array(this.morphCount);
+    if (morph?.weights) this.baseMorphWeights.set(Array.from(morph.weights).slice(0, this.morphCount));
+    /** Blended morph weights while clips play. */
+    this.morphWeights = Float32Array.from(this.baseMorphWeights);
+
+    const n = data.nodes.length;
+    // Current local pose, flat per node.
+    this.translations = new Float32Array(n * 3);
+    this.rotations = new Float32Array(n * 4);
+    this.scales = new Float32Array(n * 3);
+
+    this.jointCount = Math.min(data.joints.length, MAX_SKIN_JOINTS);
+    if (data.joints.length > MAX_SKIN_JOINTS) {
+      console.warn(`Skeleton "${data.name}": ${data.joints.length} joints, only the first ${MAX_SKIN_JOINTS} are skinned.`);
+    }
+    /** Column-major joint matrices (jointWorld * inverseBind), uploaded to u_jointTexture. */
+    this.jointMatrices = new Float32Array(this.jointCount * 16);
+
+    /** Global animation speed multiplier. */
+    this.speed = 1;
+    /** @type {((clipName: string) => void) | null} Called when a non-looping clip reaches its end. */
+    this.onFinished = null;
+
+    /** @type {SkeletonState[]} */
+    this._states = [];
+    /** @type {SkeletonState | null} */
+    this._current = null;
+
+    this._world = new Float32Array(n * 16);
+    this._local = new Float32Array(16);
+    this._order = Skeleton._topologicalOrder(data.nodes);
+    // Blend accumulators (weight per node and path).
+    this._accT = new Float32Array(n * 3);
+    this._accR = new Float32Array(n * 4);
+    this._accS = new Float32Array(n * 3);
+    this._wT = new Float32Array(n);
+    this._wR = new Float32Array(n);
+    this._wS = new Float32Array(n);
+    this._accW = new Float32Array(this.morphCount);
+    this._sample = new Float32Array(Math.max(4, this.morphCount));
+
+    this.resetPose();
+  }
+
+  /** @returns {string[]} */
+  get clipNames() {
+    return this.data.clips.map((c) => c.name);
+  }
+
+  /** True while any clip (playing, holding or fading out) contributes to the pose. */
+  get isAnimating() {
+    return this._states.length > 0;
+  }
+
+  /** @returns {string|null} */
+  get currentClip() {
+    return this._current ? this._current.clip.name : null;
+  }
+
+  /** @returns {number} */
+  get currentTime() {
+    return this._current ? this._current.time : 0;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {SkeletonClip|null}
+   */
+  getClip(name) {
+    return this.data.clips.find((c) => c.name === name) || null;
+  }
+
+  /**
+   * Plays a clip by name. With `fade` > 0 the clips already playing fade out while this
+   * one fades in; otherwise it replaces them immediately.
+   * @param {string} name
+   * @param {{ loop?: boolean, speed?: number, fade?: number, time?: number }} [options]
+   * @returns {boolean}
+   */
+  play(name, options = {}) {
+    const clip = this.getClip(name);
+    if (!clip) {
+      console.warn(`Skeleton "${this.data.name}": no animation named "${name}".`);
+      return false;
+    }
+    const fade = Math.max(0, Number(options.fade) || 0);
+
+    /** @type {SkeletonState} */
+    const state = {
+      clip,
+      time: Math.max(0, Number(options.time) || 0),
+      speed: Number.isFinite(options.speed) ? Number(options.speed) : 1,
+      loop: options.loop !== undefined ? !!options.loop : true,
+      weight: fade > 0 ? 0 : 1,
+      targetWeight: 1,
+      fadeRate: fade > 0 ? 1 / fade : Infinity,
+      finished: false,
+    };
+
+    if (fade > 0) {
+      for (const s of this._states) {
+        s.targetWeight = 0;
+        s.fadeRate = 1 / fade;
+      }
+      this._states.push(state);
+    } else {
+      this._states = [state];
+    }
+    this._current = state;
+    this._evaluate();
+    return true;
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} duration - Seconds.
+   * @param {{ loop?: boolean, speed?: number, time?: number }} [options]
+   * @returns {boolean}
+   */
+  crossFade(name, duration, options = {}) {
+    return this.play(name, { ...options, fade: duration });
+  }
+
+  /**
+   * Stops playback, fading back to the rest pose over `fade` seconds.
+   * @param {number} [fade]
+   */
+  stop(fade = 0) {
+    const f = Math.max(0, Number(fade) || 0);
+    if (f > 0) {
+      for (const s of this._states) {
+        s.targetWeight = 0;
+        s.fadeRate = 1 / f;
+      }
+    } else {
+      this._states = [];
+    }
+    this._current = null;
+    this._evaluate();
+  }
+
+  /**
+   * @param {string} [name] - Any clip when omitted.
+   * @returns {boolean}
+   */
+  isPlaying(name) {
+    const s = this._current;
+    if (!s || s.finished) return false;
+    return name === undefined || s.clip.name === name;
+  }
+
+  /** Restores the rest pose without touching playback. */
+  resetPose() {
+    const nodes = this.data.nodes;
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+      this.translations.set(node.translation, i * 3);
+      this.rotations.set(node.rotation, i * 4);
+      this.scales.set(node.scale, i * 3);
+    }
+    this._computeMatrices();
+  }
+
+  /**
+   * Advances playback and recomputes the joint matrices.
+   * @param {number} dt - Seconds.
+   */
+  update(dt) {
+    if (this._states.length === 0) return;
+    const step = (Number(dt) || 0) * this.speed;
+    /** @type {SkeletonState[]} */
+    const finished = [];
+
+    for (const s of this._states) {
+      if (s.weight !== s.targetWeight) {
+        if (s.fadeRate === Infinity) {
+          s.weight = s.targetWeight;
+        } else {
+          const delta = s.fadeRate * Math.abs(dt);
+          s.weight = s.weight < s.targetWeight
+            ? Math.min(s.targetWeight, s.weight + delta)
+            : Math.max(s.targetWeight, s.weight - delta);
+        }
+      }
+      if (s.finished) continue;
+
+      const duration = s.clip.duration;
+      s.time += step * s.speed;
+      if (duration <= 0) {
+        s.time = 0;
+      } else if (s.loop) {
+        s.time = ((s.time % duration) + duration) % duration;
+      } else if (s.time >= duration || s.time <= 0) {
+        s.time = Math.min(duration, Math.max(0, s.time));
+        s.finished = true;
+        finished.push(s);
+      }
+    }
+
+    this._states = this._states.filter((s) => s.weight > 0 || s.targetWeight > 0);
+    if (this._current && !this._states.includes(this._current)) this._current = null;
+    this._evaluate();
+
+    if (typeof this.onFinished === 'function') {
+      for (const s of finished) {
+        if (s === this._current) this.onFinished(s.clip.name);
+      }
+    }
+  }
+
+  /** Samples and blends the playing clips into the local pose, then rebuilds the matrices. */
+  _evaluate() {
+    const nodes = this.data.nodes;
+    const n = nodes.length;
+    const accT = this._accT, accR = this._accR, accS = this._accS;
+    const wT = this._wT, wR = this._wR, wS = this._wS;
+    const accW = this._accW;
+    const v = this._sample;
+    accT.fill(0); accR.fill(0); accS.fill(0);
+    wT.fill(0); wR.fill(0); wS.fill(0);
+    accW.fill(0);
+    let wW = 0;
+
+    for (const s of this._states) {
+      const w = s.weight;
+      if (w <= 0) continue;
+      for (const ch of s.clip.channels) {
+        const i = ch.node;
+        if (i < 0 || i >= n) continue;
+        if (ch.path === 'weights') {
+          if (i !== this.morphNode || this.morphCount === 0) continue;
+          SkeletonClip.sample(ch, s.time, v, 0);
+          const m = Math.min(this.morphCount, ch.size || 0);
+          for (let c = 0; c < m; c++) accW[c] += v[c] * w;
+          wW += w;
+          continue;
+        }
+        SkeletonClip.sample(ch, s.time, v, 0);
+        if (ch.path === 'translation') {
+          accT[i * 3] += v[0] * w; accT[i * 3 + 1] += v[1] * w; accT[i * 3 + 2] += v[2] * w;
+          wT[i] += w;
+        } else if (ch.path === 'scale') {
+          accS[i * 3] += v[0] * w; accS[i * 3 + 1] += v[1] * w; accS[i * 3 + 2] += v[2] * w;
+          wS[i] += w;
+        } else if (ch.path === 'rotation') {
+          // Keep quaternions in one hemisphere so the weighted sum doesn't cancel out.
+          const o = i * 4;
+          const sign = (wR[i] > 0 && accR[o] * v[0] + accR[o + 1] * v[1] + accR[o + 2] * v[2] + accR[o + 3] * v[3] < 0) ? -w : w;
+          accR[o] += v[0] * sign; accR[o + 1] += v[1] * sign; accR[o + 2] += v[2] * sign; accR[o + 3] += v[3] * sign;
+          wR[i] += w;
+        }
+      }
+    }
+
+    // Channels with less than full weight blend toward the rest pose.
+    for (let i = 0; i < n; i++) {
+      const node = nodes[i];
+      Skeleton._resolve(this.translations, i * 3, accT, wT[i], node.translation, 3);
+      Skeleton._resolve(this.scales, i * 3, accS, wS[i], node.scale, 3);
+
+      const o = i * 4;
+      const w = wR[i];
+      if (w <= 0) {
+        this.rotations.set(node.rotation, o);
+        continue;
+      }
+      if (w < 1) {
+        const r = node.rotation;
+        const rest = 1 - w;
+        const sign = (accR[o] * r[0] + accR[o + 1] * r[1] + accR[o + 2] * r[2] + accR[o + 3] * r[3] < 0) ? -rest : rest;
+        for (let c = 0; c < 4; c++) accR[o + c] += r[c] * sign;
+      }
+      for (let c = 0; c < 4; c++) this.rotations[o + c] = accR[o + c];
+      normalizeQuat(this.rotations, o);
+    }
+    if (this.morphCount > 0) Skeleton._resolve(this.morphWeights, 0, accW, wW, this.baseMorphWeights, this.morphCount);
+
+    this._computeMatrices();
+  }
+
+  /**
+   * @param {Float32Array} out
+   * @param {number} o
+   * @param {Float32Array} acc
+   * @param {number} w
+   * @param {ArrayLike<number>} rest
+   * @param {number} size
+   */
+  static _resolve(out, o, acc, w, rest, size) {
+    if (w <= 0) {
+      for (let c = 0; c < size; c++) out[o + c] = rest[c];
+    } else if (w < 1) {
+      for (let c = 0; c < size; c++) out[o + c] = acc[o + c] + rest[c] * (1 - w);
+    } else {
+      for (let c = 0; c < size; c++) out[o + c] = acc[o + c] / w;
+    }
+  }
+
+  _computeMatrices() {
+    const nodes = this.data.nodes;
+    const world = this._world;
+    const local = this._local;
+
+    for (const i of this._order) {
+      composeTRS(this.translations, i * 3, this.rotations, i * 4, this.scales, i * 3, local);
+      const parent = nodes[i].parent;
+      if (parent >= 0) {
+        multiplyInto(world, parent * 16, local, 0, world, i * 16);
+      } else {
+        world.set(local, i * 16);
+      }
+    }
+
+    const joints = this.data.joints;
+    const ibm = this.data.inverseBindMatrices;
+    for (let j = 0; j < this.jointCount; j++) {
+      const node = joints[j];
+      if (node < 0 || node >= nodes.length) {
+        identityInto(this.jointMatrices, j * 16);
+        continue;
+      }
+      if (ibm && ibm.length >= (j + 1) * 16) {
+        multiplyInto(world, node * 16, ibm, j * 16, this.jointMatrices, j * 16);
+      } else {
+        this.jointMatrices.set(world.subarray(node * 16, node * 16 + 16), j * 16);
+      }
+    }
+  }
+
+  /**
+   * Parents before children (glTF doesn't guarantee node order).
+   * @param {SkeletonNode[]} nodes
+   * @returns {number[]}
+   */
+  static _topologicalOrder(nodes) {
+    /** @type {number[][]} */
+    const children = nodes.map(() => []);
+    /** @type {number[]} */
+    const roots = [];
+    nodes.forEach((node, i) => {
+      if (node.parent >= 0 && node.parent < nodes.length) children[node.parent].push(i);
+      else roots.push(i);
+    });
+    /** @type {number[]} */
+    const order = [];
+    const stack = roots.reverse();
+    while (stack.length > 0) {
+      const i = /** @type {number} */ (stack.pop());
+      order.push(i);
+      for (let c = children[i].length - 1; c >= 0; c--) stack.push(children[i][c]);
+    }
+    return order;
+  }
+}
+
+/**
+ * @param {ArrayLike<number> & { [i: number]: number }} q
+ * @param {number} o
+ */
+function normalizeQuat(q, o) {
+  const len = Math.hypot(q[o], q[o + 1], q[o + 2], q[o + 3]);
+  if (len > 1e-8) {
+    q[o] /= len; q[o + 1] /= len; q[o + 2] /= len; q[o + 3] /= len;
+  } else {
+    q[o] = 0; q[o + 1] = 0; q[o + 2] = 0; q[o + 3] = 1;
+  }
+}
+
+/**
+ * Shortest-path quaternion slerp, [x, y, z, w] layout.
+ * @param {ArrayLike<number>} a
+ * @param {number} ao
+ * @param {ArrayLike<number>} b
+ * @param {number} bo
+ * @param {number} t
+ * @param {Float32Array|number[]} out
+ * @param {number} oo
+ */
+function slerp(a, ao, b, bo, t, out, oo) {
+  const ax = a[ao], ay = a[ao + 1], az = a[ao + 2], aw = a[ao + 3];
+  let bx = b[bo], by = b[bo + 1], bz = b[bo + 2], bw = b[bo + 3];
+  let cos = ax * bx + ay * by + az * bz + aw * bw;
+  if (cos < 0) {
+    cos = -cos;
+    bx = -bx; by = -by; bz = -bz; bw = -bw;
+  }
+  let s0 = 1 - t;
+  let s1 = t;
+  if (cos < 0.9995) {
+    const omega = Math.acos(cos);
+    const sin = Math.sin(omega);
+    s0 = Math.sin((1 - t) * omega) / sin;
+    s1 = Math.sin(t * omega) / sin;
+  }
+  out[oo] = ax * s0 + bx * s1;
+  out[oo + 1] = ay * s0 + by * s1;
+  out[oo + 2] = az * s0 + bz * s1;
+  out[oo + 3] = aw * s0 + bw * s1;
+  normalizeQuat(out, oo);
+}
+
+/**
+ * Column-major T * R(quat) * S.
+ * @param {Float32Array} t
+ * @param {number} to
+ * @param {Float32Array} r
+ * @param {number} ro
+ * @param {Float32Array} s
+ * @param {number} so
+ * @param {Float32Array} out
+ */
+function composeTRS(t, to, r, ro, s, so, out) {
+  const x = r[ro], y = r[ro + 1], z = r[ro + 2], w = r[ro + 3];
+  const sx = s[so], sy = s[so + 1], sz = s[so + 2];
+  const x2 = x + x, y2 = y + y, z2 = z + z;
+  const xx = x * x2, xy = x * y2, xz = x * z2;
+  const yy = y * y2, yz = y * z2, zz = z * z2;
+  const wx = w * x2, wy = w * y2, wz = w * z2;
+
+  out[0] = (1 - (yy + zz)) * sx;
+  out[1] = (xy + wz) * sx;
+  out[2] = (xz - wy) * sx;
+  out[3] = 0;
+  out[4] = (xy - wz) * sy;
+  out[5] = (1 - (xx + zz)) * sy;
+  out[6] = (yz + wx) * sy;
+  out[7] = 0;
+  out[8] = (xz + wy) * sz;
+  out[9] = (yz - wx) * sz;
+  out[10] = (1 - (xx + yy)) * sz;
+  out[11] = 0;
+  out[12] = t[to];
+  out[13] = t[to + 1];
+  out[14] = t[to + 2];
+  out[15] = 1;
+}
+
+/**
+ * out = a * b on column-major matrices stored at offsets (out may alias neither input block).
+ * @param {Float32Array} a
+ * @param {number} ao
+ * @param {Float32Array} b
+ * @param {number} bo
+ * @param {Float32Array} out
+ * @param {number} oo
+ */
+function multiplyInto(a, ao, b, bo, out, oo) {
+  for (let col = 0; col < 4; col++) {
+    const b0 = b[bo + col * 4], b1 = b[bo + col * 4 + 1], b2 = b[bo + col * 4 + 2], b3 = b[bo + col * 4 + 3];
+    for (let row = 0; row < 4; row++) {
+      out[oo + col * 4 + row] = a[ao + row] * b0 + a[ao + 4 + row] * b1 + a[ao + 8 + row] * b2 + a[ao + 12 + row] * b3;
+    }
+  }
+}
+
+/**
+ * @param {Float32Array} out
+ * @param {number} o
+ */
+function identityInto(out, o) {
+  out.fill(0, o, o + 16);
+  out[o] = 1; out[o + 5] = 1; out[o + 10] = 1; out[o + 15] = 1;
+}
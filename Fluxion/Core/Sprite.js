@@ -1,7 +1,11 @@
+import Node2D from './Node2D.js';
+import Transform from './Transform.js';
+
 /**
  * Represents a 2D sprite object that can be rendered on the screen.
+ * Children are positioned relative to the sprite (see Node2D).
  */
-export default class Sprite {
+export default class Sprite extends Node2D {
     /**
      * Creates an instance of Sprite.
      * @param {Object} renderer - The renderer instance.
@@ -15,6 +19,8 @@ export default class Sprite {
      * @param {boolean} [useSpriteSheet=true] - Whether to treat the image as a sprite sheet.
      */
     constructor(renderer, imageSrc, x=1, y=1, width=1, height=1, frameWidth = 0, frameHeight = 0, useSpriteSheet = true) {
+        super();
+
         /** @type {'2D'|'3D'} */
         this.type = '2D';
         /** @type {string} */
@@ -37,6 +43,10 @@ export default class Sprite {
         this.animationSpeed = 100;
         this.lastFrameTime = 0;
         this.animation = null;
+        // Animation clock in ms, advanced by update(dt) so it follows game time (pause/timeScale).
+        this.animationTime = 0;
+        // Keep updating on real time while the engine is paused (UI, pause menus).
+        this.processWhilePaused = false;
  
         // Color properties
         this.transparency = 255;
@@ -49,6 +59,15 @@ export default class Sprite {
         this.layer = 0;
         this.children = [];
 
+        /**
+         * Nine-slice insets in source pixels, or null to stretch the whole image. Corners keep
+         * their pixel size, edges stretch along their length and the center fills the rest.
+         * @type {{left: number, top: number, right: number, bottom: number} | null}
+         */
+        this.nineSlice = null;
+        /** @type {'stretch'|'tile'} How the nine-slice center fills its area. */
+        this.nineSliceCenter = 'stretch';
+
         this._disposed = false;
         this.textureKey = null;
         
@@ -60,42 +79,6 @@ export default class Sprite {
         this.loadTexture(imageSrc);
     }
 
-    /**
-     * Sets the rendering layer of the sprite.
-     * @param {number} layer - The layer index.
-     */
-    setLayer(layer) {
-        if (this.layer !== layer) {
-            this.layer = layer;
-            if (this.parent) {
-                this.parent._childrenDirty = true;
-            }
-        }
-    }
-
-    /**
-     * Adds a child object to this sprite.
-     * @param {Object} child - The child object to add.
-     */
-    addChild(child) {
-        child.parent = this;
-        this.children.push(child);
-        this._childrenDirty = true;
-    }
-
-    /**
-     * Removes a child object from this sprite.
-     * @param {Object} child - The child object to remove.
-     */
-    removeChild(child) {
-        const index = this.children.indexOf(child);
-        if (index > -1) {
-            this.children.splice(index, 1);
-            child.parent = null;
-            this._childrenDirty = true;
-        }
-    }
-
     /**
      * Updates the sprite and its children.
      * @param {number} dt - The delta time since the last frame.
@@ -104,6 +87,8 @@ export default class Sprite {
     update(dt, camera) {
         if (!this.active) return;
 
+        this.animationTime += (Number(dt) || 0) * 1000;
+
         // Handle camera following
         if (this.followCamera && camera) {
             this.x = camera.x + this.baseX;
@@ -224,6 +209,7 @@ export default class Sprite {
     dispose() {
         if (this._disposed) return;
         this._disposed = true;
+        this.disconnectAll();
 
         // Dispose children first.
         if (this.children && this.children.length > 0) {
@@ -243,7 +229,9 @@ export default class Sprite {
     draw() {
         if (!this.active || !this.visible || !this.texture) return;
 
-        const currentTime = Date.now();
+        const currentTime = this.animationTime;
+        // World-space quad (parent transform, scale and skew applied).
+        const q = this.getWorldQuad();
         
         if (this.useSpriteSheet && this.texture) {
             if (this.animation && this.isAnimating) {
@@ -252,9 +240,11 @@ export default class Sprite {
                     this.currentFrame = (this.currentFrame + 1) % this.animation.frames.length;
                 }
                 const frame = this.animation.frames[this.currentFrame];
-                this.renderer.drawQuad(this.texture, this.x, this.y, this.width, this.height, frame.x, frame.y, frame.width, frame.height, this.color, this.rotation);
-            } else {
-                this.renderer.drawQuad(this.texture, this.x, this.y, this.width, this.height, 0, 0, this.frameWidth, this.frameHeight, this.color, this.rotation);
+                if (!this.nineSlice || !this._drawNineSlice(frame.x, frame.y, frame.width, frame.height)) {
+                    this.renderer.drawQuad(this.texture, q.x, q.y, q.width, q.height, frame.x, frame.y, frame.width, frame.height, this.color, q.rotation, q.shear);
+                }
+            } else if (!this.nineSlice || !this._drawNineSlice(0, 0, this.frameWidth, this.frameHeight)) {
+                this.renderer.drawQuad(this.texture, q.x, q.y, q.width, q.height, 0, 0, this.frameWidth, this.frameHeight, this.color, q.rotation, q.shear);
             }
         } else if (!this.useSpriteSheet) {
             // Handle multi-image animations (AnimatedSprite with image array)
@@ -275,12 +265,12 @@ export default class Sprite {
                         this.texture = frameTexture; // Cache for this frame
                     }
                     if (frameTexture) {
-                        this.renderer.drawQuad(frameTexture, this.x, this.y, this.width, this.height, this.color, this.rotation);
+                        this.renderer.drawQuad(frameTexture, q.x, q.y, q.width, q.height, this.color, q.rotation, q.shear);
                     }
                 }
             } else if (this.texture) {
                 // Direct texture (used by Text class and other non-sprite-sheet sprites)
-                this.renderer.drawQuad(this.texture, this.x, this.y, this.width, this.height, this.color, this.rotation);
+                this.renderer.drawQuad(this.texture, q.x, q.y, q.width, q.height, this.color, q.rotation, q.shear);
             }
         }
 
@@ -304,11 +294,109 @@ export default class Sprite {
         }
     }
 
+    /**
+     * Sets the nine-slice insets (source pixels); call with no arguments to turn it off.
+     *
+     *   panel.setNineSlice(12);            // same inset on every side
+     *   button.setNineSlice(8, 6, 8, 10);  // left, top, right, bottom
+     *
+     * @param {number} [left]
+     * @param {number} [top=left]
+     * @param {number} [right=left]
+     * @param {number} [bottom=top]
+     */
+    setNineSlice(left, top = left, right = left, bottom = top) {
+        if (left === undefined || left === null) {
+            this.nineSlice = null;
+            return;
+        }
+        this.nineSlice = { left, top, right, bottom };
+    }
+
+    /**
+     * Draws a source rectangle of the texture as nine patches covering width x height. All
+     * patches share the texture, so they batch into the same instanced draw. Insets shrink
+     * proportionally when the sprite is smaller than its borders.
+     * @param {number} srcX
+     * @param {number} srcY
+     * @param {number} srcW - 0 uses the texture width.
+     * @param {number} srcH - 0 uses the texture height.
+     * @param {boolean} [flipX=false]
+     * @param {boolean} [flipY=false]
+     * @returns {boolean} False when the texture size is not known yet.
+     * @protected
+     */
+    _drawNineSlice(srcX, srcY, srcW, srcH, flipX = false, flipY = false) {
+        if (!srcW || !srcH) {
+            const dims = this.renderer?._textureDimensions?.get(this.texture);
+            if (!dims) return false;
+            srcW = srcW || dims.width;
+            srcH = srcH || dims.height;
+        }
+        const s = this.nineSlice;
+        const inset = (v, max) => Math.max(0, Math.min(max, Number(v) || 0));
+        const l = inset(s.left, srcW), r = inset(s.right, srcW - l);
+        const t = inset(s.top, srcH), b = inset(s.bottom, srcH - t);
+        const w = this.width, h = this.height;
+        if (!(w > 0 && h > 0)) return true;
+
+        // Source lines, then destination lines (mirrored sides swap their insets).
+        const us = [srcX, srcX + l, srcX + srcW - r, srcX + srcW];
+        const vs = [srcY, srcY + t, srcY + srcH - b, srcY + srcH];
+        const kx = l + r > w ? w / (l + r) : 1;
+        const ky = t + b > h ? h / (t + b) : 1;
+        const dl = (flipX ? r : l) * kx, dr = (flipX ? l : r) * kx;
+        const dt = (flipY ? b : t) * ky, db = (flipY ? t : b) * ky;
+        const xs = [0, dl, w - dr, w];
+        const ys = [0, dt, h - db, h];
+
+        const m = this.getWorldMatrix();
+        for (let j = 0; j < 3; j++) {
+            const dh = ys[j + 1] - ys[j];
+            // A negative source size samples the patch mirrored.
+            const sy = flipY ? vs[3 - j] : vs[j];
+            const sh = flipY ? vs[2 - j] - vs[3 - j] : vs[j + 1] - vs[j];
+            if (dh <= 0 || sh === 0) continue;
+            for (let i = 0; i < 3; i++) {
+                const dw = xs[i + 1] - xs[i];
+                const sx = flipX ? us[3 - i] : us[i];
+                const sw = flipX ? us[2 - i] - us[3 - i] : us[i + 1] - us[i];
+                if (dw <= 0 || sw === 0) continue;
+                if (i === 1 && j === 1 && this.nineSliceCenter === 'tile') {
+                    // Whole source-sized tiles from the top-left; the last row/column is cut.
+                    for (let ty = 0; ty < dh; ty += Math.abs(sh)) {
+                        const ph = Math.min(Math.abs(sh), dh - ty);
+                        for (let tx = 0; tx < dw; tx += Math.abs(sw)) {
+                            const pw = Math.min(Math.abs(sw), dw - tx);
+                            this._drawSlicePatch(m, xs[1] + tx, ys[1] + ty, pw, ph, sx, sy, Math.sign(sw) * pw, Math.sign(sh) * ph);
+                        }
+                    }
+                } else {
+                    this._drawSlicePatch(m, xs[i], ys[j], dw, dh, sx, sy, sw, sh);
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Draws a local rectangle of this node with a source rectangle of the texture.
+     * @private
+     */
+    _drawSlicePatch(m, lx, ly, w, h, sx, sy, sw, sh) {
+        const tm = this._sliceMatrix || (this._sliceMatrix = Transform.identity());
+        tm[0] = m[0]; tm[1] = m[1]; tm[2] = m[2]; tm[3] = m[3];
+        tm[4] = m[0] * lx + m[2] * ly + m[4];
+        tm[5] = m[1] * lx + m[3] * ly + m[5];
+        const q = Transform.toQuad(tm, w, h, this._sliceQuad || (this._sliceQuad = { x: 0, y: 0, width: 0, height: 0, rotation: 0, shear: 0 }));
+        this.renderer.drawQuad(this.texture, q.x, q.y, q.width, q.height, sx, sy, sw, sh, this.color, q.rotation, q.shear);
+    }
+
     startAnimation(animationName) {
         if (this.animation && this.animation.name === animationName) {
             this.isAnimating = true;
             this.currentFrame = 0;
-            this.lastFrameTime = Date.now();
+            this.lastFrameTime = this.animationTime;
         }
     }
 
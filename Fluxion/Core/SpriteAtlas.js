@@ -0,0 +1,187 @@
+/**
+ * A spritesheet atlas loaded from an Aseprite JSON export or a TexturePacker JSON atlas
+ * (hash or array form). Frames keep their trim, rotation and pivot data so AnimatedSprite
+ * can draw them at the original (untrimmed) size.
+ *
+ * Aseprite frame tags become animations (with per-frame durations and the tag direction);
+ * TexturePacker atlases use their `animations` map when present, otherwise frames are
+ * grouped by name with the trailing frame number removed ("walk_01.png" -> "walk").
+ */
+export default class SpriteAtlas {
+    constructor() {
+        /** @type {string} Resolved URL of the atlas image. */
+        this.image = '';
+        /** @type {string} URL the atlas was loaded from. */
+        this.source = '';
+        /** @type {'aseprite'|'texturepacker'} */
+        this.format = 'texturepacker';
+        /**
+         * Frames in file order.
+         * @type {Array<{name: string, x: number, y: number, w: number, h: number, rotated: boolean, trimX: number, trimY: number, trimW: number, trimH: number, sourceW: number, sourceH: number, pivotX: number, pivotY: number, duration?: number}>}
+         */
+        this.frames = [];
+        /** @type {Map<string, {frames: Object[], fps: number, loop: boolean}>} */
+        this.animations = new Map();
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    getFrame(name) {
+        return this.frames.find((f) => f.name === name) || null;
+    }
+
+    /**
+     * Builds an atlas from parsed JSON.
+     * @param {any} json
+     * @param {string} [url=''] - Atlas URL, used to resolve `meta.image`.
+     * @returns {SpriteAtlas}
+     */
+    static parse(json, url = '') {
+        if (!json || typeof json !== 'object' || !json.frames) throw new Error('missing "frames"');
+
+        const atlas = new SpriteAtlas();
+        const meta = json.meta || {};
+        atlas.source = url;
+        atlas.format = (Array.isArray(meta.frameTags) || /aseprite/i.test(String(meta.app || ''))) ? 'aseprite' : 'texturepacker';
+        if (meta.image) atlas.image = SpriteAtlas._resolve(String(meta.image), url);
+
+        const entries = Array.isArray(json.frames)
+            ? json.frames.map((f, i) => [f.filename ?? f.name ?? String(i), f])
+            : Object.entries(json.frames);
+        atlas.frames = entries.map(([name, f]) => SpriteAtlas._parseFrame(name, f));
+
+        if (atlas.format === 'aseprite') SpriteAtlas._buildAsepriteAnimations(atlas, meta.frameTags || []);
+        else SpriteAtlas._buildTexturePackerAnimations(atlas, json.animations);
+        return atlas;
+    }
+
+    /**
+     * Fetches and parses an atlas. Returns null (with a warning) on failure.
+     * @param {string} url
+     * @returns {Promise<SpriteAtlas|null>}
+     */
+    static async load(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return SpriteAtlas.parse(await response.json(), url);
+        } catch (e) {
+            console.warn(`SpriteAtlas: failed to load '${url}':`, e);
+            return null;
+        }
+    }
+
+    /** @private */
+    static _parseFrame(name, f) {
+        const r = f.frame || f;
+        const rotated = !!f.rotated;
+        // TexturePacker lists the unrotated size; a rotated frame occupies h x w in the image.
+        const w = Number(r.w) || 0;
+        const h = Number(r.h) || 0;
+        const src = f.spriteSourceSize || { x: 0, y: 0, w, h };
+        const size = f.sourceSize || { w: src.w, h: src.h };
+        const frame = {
+            name: String(name),
+            x: Number(r.x) || 0,
+            y: Number(r.y) || 0,
+            w,
+            h,
+            rotated,
+            trimX: Number(src.x) || 0,
+            trimY: Number(src.y) || 0,
+            trimW: Number(src.w) || w,
+            trimH: Number(src.h) || h,
+            sourceW: Number(size.w) || w,
+            sourceH: Number(size.h) || h,
+            pivotX: f.pivot ? Number(f.pivot.x) : 0.5,
+            pivotY: f.pivot ? Number(f.pivot.y) : 0.5
+        };
+        // Aseprite durations are in milliseconds.
+        if (Number.isFinite(f.duration)) frame.duration = f.duration / 1000;
+        return frame;
+    }
+
+    /** @private */
+    static _buildAsepriteAnimations(atlas, tags) {
+        const frames = atlas.frames;
+        if (frames.length === 0) return;
+
+        if (tags.length === 0) {
+            atlas.animations.set('default', SpriteAtlas._makeAnimation(frames, true));
+            return;
+        }
+
+        for (const tag of tags) {
+            const from = Math.max(0, Math.min(frames.length - 1, tag.from | 0));
+            const to = Math.max(from, Math.min(frames.length - 1, tag.to | 0));
+            const forward = frames.slice(from, to + 1);
+            const backward = forward.slice().reverse();
+
+            let seq;
+            switch (tag.direction) {
+                case 'reverse': seq = backward; break;
+                // Ping-pong does not repeat the end frames when it turns around.
+                case 'pingpong': seq = forward.concat(backward.slice(1, -1)); break;
+                case 'pingpong_reverse': seq = backward.concat(forward.slice(1, -1)); break;
+                default: seq = forward;
+            }
+
+            // A tag repeat count plays the sequence that many times and stops.
+            const repeat = parseInt(tag.repeat, 10);
+            let loop = true;
+            if (repeat > 0) {
+                seq = Array.from({ length: repeat }, () => seq).flat();
+                loop = false;
+            }
+            atlas.animations.set(String(tag.name), SpriteAtlas._makeAnimation(seq, loop));
+        }
+    }
+
+    /** @private */
+    static _buildTexturePackerAnimations(atlas, named) {
+        if (named && typeof named === 'object') {
+            for (const [name, list] of Object.entries(named)) {
+                if (!Array.isArray(list)) continue;
+                const seq = list.map((n) => atlas.getFrame(n)).filter(Boolean);
+                if (seq.length > 0) atlas.animations.set(name, SpriteAtlas._makeAnimation(seq, true));
+            }
+            if (atlas.animations.size > 0) return;
+        }
+
+        /** @type {Map<string, Array<{n: number, frame: Object}>>} */
+        const groups = new Map();
+        for (const frame of atlas.frames) {
+            const stem = frame.name.replace(/\.[a-z0-9]+$/i, '');
+            const m = /^(.*?)[\s_\-.]*(\d+)$/.exec(stem);
+            const key = m && m[1] ? m[1] : stem;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ n: m ? parseInt(m[2], 10) : 0, frame });
+        }
+        for (const [name, list] of groups) {
+            list.sort((a, b) => a.n - b.n);
+            atlas.animations.set(name, SpriteAtlas._makeAnimation(list.map((e) => e.frame), true));
+        }
+    }
+
+    /**
+     * Per-frame durations drive playback; fps is their average so speed scaling still works.
+     * @private
+     */
+    static _makeAnimation(frames, loop) {
+        const timed = frames.filter((f) => f.duration > 0);
+        const avg = timed.length > 0 ? timed.reduce((s, f) => s + f.duration, 0) / timed.length : 0;
+        return { frames, fps: avg > 0 ? 1 / avg : 10, loop };
+    }
+
+    /** @private */
+    static _resolve(path, base) {
+        if (/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(path)) return path;
+        try {
+            return new URL(path, base || (typeof window !== 'undefined' ? window.location.href : undefined)).href;
+        } catch {
+            return path;
+        }
+    }
+}
@@ -173,6 +173,7 @@ export default class Text extends Sprite {
     dispose() {
         if (this._disposed) return;
         this._disposed = true;
+        this.disconnectAll();
 
         // Dispose children if any.
         if (this.children && this.children.length > 0) {
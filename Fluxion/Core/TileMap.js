@@ -0,0 +1,696 @@
+import Node2D from './Node2D.js';
+import Transform from './Transform.js';
+import { RigidBody, BoxShape, CircleShape, PolygonShape } from './Physic.js';
+
+/**
+ * One grid of tile values in a TileMap. A value is a tile gid (0 = empty) ORed with the
+ * TileMap.FLIP_* flags, the same layout Tiled uses.
+ */
+export class TileMapLayer {
+    /**
+     * @param {string} name
+     * @param {number} columns
+     * @param {number} rows
+     */
+    constructor(name, columns, rows) {
+        this.name = name;
+        this.columns = columns;
+        this.rows = rows;
+        /** @type {Uint32Array} Row-major tile values. */
+        this.data = new Uint32Array(columns * rows);
+        this.visible = true;
+        /** 0..1, multiplied with the map's color alpha. */
+        this.opacity = 1;
+        /** Pixel offset of the whole layer. */
+        this.offsetX = 0;
+        this.offsetY = 0;
+        /** @type {Map<number, Object>} Baked chunks by chunk index. */
+        this._chunks = new Map();
+    }
+}
+
+/**
+ * A grid of tiles drawn from one or more TileSets, with any number of layers, for
+ * orthogonal or isometric (diamond) maps.
+ *
+ * Tiles are baked per chunk (chunkSize x chunkSize cells) into quad batches that go to
+ * Renderer.drawQuadBatch, so a static map costs one buffer copy per visible chunk and
+ * chunks outside the camera are skipped. A chunk is rebuilt only when one of its tiles,
+ * the node transform, the tint or the layer opacity changes.
+ *
+ * Tile images larger than a cell are bottom-aligned to it (as in Tiled). Tiles are drawn
+ * row by row inside a chunk; very tall isometric tiles may overlap a neighbouring chunk
+ * in the wrong order.
+ *
+ * Example:
+ *   const map = new TileMap(renderer, 40, 30, 16, 16);
+ *   const terrain = map.addTileSet(new TileSet('Tiles/terrain.png', 16, 16));
+ *   map.addLayer('Ground');
+ *   map.setTile('Ground', 3, 4, terrain.firstGid + 5, TileMap.FLIP_H);
+ */
+export default class TileMap extends Node2D {
+    /** Tile value flag: mirrored horizontally. */
+    static FLIP_H = 0x80000000;
+    /** Tile value flag: mirrored vertically. */
+    static FLIP_V = 0x40000000;
+    /** Tile value flag: mirrored along the diagonal (with FLIP_H: rotated 90 degrees clockwise). */
+    static FLIP_D = 0x20000000;
+    /** Mask that strips the flags from a tile value. */
+    static GID_MASK = 0x1fffffff;
+
+    /**
+     * @param {Object} renderer - The renderer instance.
+     * @param {number} [columns=0] - Cells per row.
+     * @param {number} [rows=0] - Rows of cells.
+     * @param {number} [tileWidth=16] - Cell width in pixels.
+     * @param {number} [tileHeight=16] - Cell height in pixels.
+     * @param {'orthogonal'|'isometric'} [orientation='orthogonal']
+     */
+    constructor(renderer, columns = 0, rows = 0, tileWidth = 16, tileHeight = 16, orientation = 'orthogonal') {
+        super();
+
+        /** @type {'2D'|'3D'} */
+        this.type = '2D';
+        /** @type {string} */
+        this.category = 'visual';
+        this.name = 'TileMap';
+
+        this.renderer = renderer;
+        this.orientation = orientation === 'isometric' ? 'isometric' : 'orthogonal';
+        this.columns = Math.max(0, columns | 0);
+        this.rows = Math.max(0, rows | 0);
+        this.tileWidth = tileWidth;
+        this.tileHeight = tileHeight;
+        /** Cells per chunk side. */
+        this.chunkSize = 16;
+
+        /** @type {import('./TileSet.js').default[]} Sorted by firstGid. */
+        this.tilesets = [];
+        /** @type {TileMapLayer[]} Drawn in order. */
+        this.layers = [];
+
+        this.transparency = 255;
+        this.color = [255, 255, 255, 255];
+        this.visible = true;
+        this.active = true;
+        this.processWhilePaused = false;
+
+        this._disposed = false;
+        this._updateSize();
+    }
+
+    /**
+     * Adds a tileset and starts loading its image. Without `firstGid` it continues after the
+     * last tileset (which then needs a known tileCount).
+     * @param {import('./TileSet.js').default} tileset
+     * @param {number} [firstGid]
+     * @returns {import('./TileSet.js').default}
+     */
+    addTileSet(tileset, firstGid) {
+        if (Number.isFinite(firstGid) && firstGid > 0) {
+            tileset.firstGid = firstGid;
+        } else if (!(tileset.firstGid > 0)) {
+            const last = this.tilesets[this.tilesets.length - 1];
+            if (last && !(last.tileCount > 0)) {
+                console.warn(`TileMap '${this.name}': tileset '${last.name || last.image}' has no tileCount yet; pass firstGid to addTileSet.`);
+            }
+            tileset.firstGid = last ? last.firstGid + Math.max(1, last.tileCount) : 1;
+        }
+        this.tilesets.push(tileset);
+        this.tilesets.sort((a, b) => a.firstGid - b.firstGid);
+
+        // Chunks baked before the texture arrived are missing these tiles.
+        tileset.load(this.renderer).then((ok) => {
+            if (ok && !this._disposed) this.invalidate();
+        });
+        this.invalidate();
+        return tileset;
+    }
+
+    /**
+     * @param {number} gid - Tile value (flags are ignored).
+     * @returns {import('./TileSet.js').default|null}
+     */
+    getTileSetForGid(gid) {
+        const id = gid & TileMap.GID_MASK;
+        if (id === 0) return null;
+        let found = null;
+        for (const ts of this.tilesets) {
+            if (ts.firstGid > id) break;
+            found = ts;
+        }
+        return found;
+    }
+
+    /**
+     * Adds a layer on top of the existing ones.
+     * @param {string} [name]
+     * @param {ArrayLike<number>|null} [data] - Row-major tile values (columns * rows).
+     * @returns {TileMapLayer}
+     */
+    addLayer(name, data = null) {
+        const layer = new TileMapLayer(name || `Layer ${this.layers.length + 1}`, this.columns, this.rows);
+        if (data) {
+            if (data.length !== layer.data.length) {
+                console.warn(`TileMap '${this.name}': layer '${layer.name}' has ${data.length} tiles, expected ${layer.data.length}.`);
+            }
+            layer.data.set(Array.prototype.slice.call(data, 0, layer.data.length));
+        }
+        this.layers.push(layer);
+        return layer;
+    }
+
+    /**
+     * Changes the grid size, keeping the tiles that still fit.
+     * @param {number} columns
+     * @param {number} rows
+     */
+    resize(columns, rows) {
+        columns = Math.max(0, columns | 0);
+        rows = Math.max(0, rows | 0);
+        for (const l of this.layers) {
+            const data = new Uint32Array(columns * rows);
+            const w = Math.min(columns, l.columns);
+            for (let row = 0; row < Math.min(rows, l.rows); row++) {
+                data.set(l.data.subarray(row * l.columns, row * l.columns + w), row * columns);
+            }
+            l.data = data;
+            l.columns = columns;
+            l.rows = rows;
+        }
+        this.columns = columns;
+        this.rows = rows;
+        this._updateSize();
+        this.invalidate();
+    }
+
+    /**
+     * @param {string|number} layer - Name or index.
+     * @returns {TileMapLayer|null}
+     */
+    getLayer(layer) {
+        if (typeof layer === 'number') return this.layers[layer] || null;
+        return this.layers.find((l) => l.name === layer) || null;
+    }
+
+    /**
+     * @param {string|number} layer - Name or index.
+     * @returns {boolean}
+     */
+    removeLayer(layer) {
+        const l = this.getLayer(layer);
+        if (!l) return false;
+        this.layers.splice(this.layers.indexOf(l), 1);
+        return true;
+    }
+
+    /**
+     * Sets one cell. Out-of-range cells are ignored.
+     * @param {string|number} layer - Name or index.
+     * @param {number} col
+     * @param {number} row
+     * @param {number} gid - Tile gid (0 clears the cell); may already include flags.
+     * @param {number} [flags=0] - TileMap.FLIP_* flags.
+     */
+    setTile(layer, col, row, gid, flags = 0) {
+        const l = this.getLayer(layer);
+        if (!l || col < 0 || row < 0 || col >= l.columns || row >= l.rows) return;
+        const value = gid ? ((gid | flags) >>> 0) : 0;
+        const index = row * l.columns + col;
+        if (l.data[index] === value) return;
+        l.data[index] = value;
+        const chunk = l._chunks.get(this._chunkIndex(Math.floor(col / this.chunkSize), Math.floor(row / this.chunkSize)));
+        if (chunk) chunk.dirty = true;
+    }
+
+    /**
+     * @param {string|number} layer
+     * @param {number} col
+     * @param {number} row
+     * @returns {number} Tile gid without flags (0 = empty or out of range).
+     */
+    getTile(layer, col, row) {
+        return this._getValue(layer, col, row) & TileMap.GID_MASK;
+    }
+
+    /**
+     * @param {string|number} layer
+     * @param {number} col
+     * @param {number} row
+     * @returns {number} TileMap.FLIP_* flags of the cell.
+     */
+    getTileFlags(layer, col, row) {
+        return (this._getValue(layer, col, row) & ~TileMap.GID_MASK) >>> 0;
+    }
+
+    /**
+     * Sets every cell of a layer.
+     * @param {string|number} layer
+     * @param {number} gid
+     */
+    fill(layer, gid) {
+        const l = this.getLayer(layer);
+        if (!l) return;
+        l.data.fill(gid >>> 0);
+        l._chunks.clear();
+    }
+
+    /**
+     * Forces every chunk to be rebuilt (after editing layer.data directly or changing tilesets).
+     */
+    invalidate() {
+        for (const l of this.layers) l._chunks.clear();
+    }
+
+    /**
+     * Local position of a cell's center.
+     * @param {number} col
+     * @param {number} row
+     * @returns {{x: number, y: number}}
+     */
+    mapToLocal(col, row) {
+        const tw = this.tileWidth, th = this.tileHeight;
+        if (this.orientation === 'isometric') {
+            return { x: this._isoOriginX() + (col - row) * tw * 0.5, y: (col + row + 1) * th * 0.5 };
+        }
+        return { x: (col + 0.5) * tw, y: (row + 0.5) * th };
+    }
+
+    /**
+     * Cell under a local position (may be outside the map).
+     * @param {number} x
+     * @param {number} y
+     * @returns {{col: number, row: number}}
+     */
+    localToMap(x, y) {
+        const tw = this.tileWidth, th = this.tileHeight;
+        if (this.orientation === 'isometric') {
+            const dx = (x - this._isoOriginX()) / tw;
+            const dy = y / th;
+            return { col: Math.floor(dy + dx), row: Math.floor(dy - dx) };
+        }
+        return { col: Math.floor(x / tw), row: Math.floor(y / th) };
+    }
+
+    /**
+     * World position of a cell's center.
+     * @param {number} col
+     * @param {number} row
+     * @returns {{x: number, y: number}}
+     */
+    mapToWorld(col, row) {
+        const p = this.mapToLocal(col, row);
+        return this.localToWorld(p.x, p.y);
+    }
+
+    /**
+     * Cell under a world position. Returns null for zero-scale maps.
+     * @param {number} x
+     * @param {number} y
+     * @returns {{col: number, row: number} | null}
+     */
+    worldToMap(x, y) {
+        const p = this.worldToLocal(x, y);
+        return p ? this.localToMap(p.x, p.y) : null;
+    }
+
+    /**
+     * Sets the transparency (alpha) of the whole map.
+     * @param {number} alpha - The alpha value (0-255).
+     */
+    setTransparency(alpha) {
+        this.transparency = Math.max(0, Math.min(255, alpha));
+        this.color[3] = this.transparency;
+    }
+
+    /**
+     * Builds a static RigidBody from the collision shapes of the placed tiles (TileSet.tiles
+     * `shapes`, e.g. from Tiled's collision editor) and attaches it to this map. Tile flips
+     * are applied to the shapes; polygons are treated as convex. Orthogonal maps only.
+     *
+     * Example:
+     *   const body = map.buildCollisionBody({ layers: ['Walls'], friction: 0.8 });
+     *   if (body) scene.enablePhysics().addBody(body);
+     *
+     * @param {{layers?: Array<string|number>, density?: number, friction?: number, restitution?: number, isTrigger?: boolean, collisionLayer?: number, collisionMask?: number}} [options]
+     * @returns {RigidBody|null} Null when no placed tile has shapes.
+     */
+    buildCollisionBody(options = {}) {
+        if (this.orientation === 'isometric') {
+            console.warn(`TileMap '${this.name}': collision shapes are only built for orthogonal maps.`);
+            return null;
+        }
+        const layers = Array.isArray(options.layers)
+            ? options.layers.map((l) => this.getLayer(l)).filter(Boolean)
+            : this.layers;
+        const tw = this.tileWidth, th = this.tileHeight;
+        const hw = this.width * 0.5, hh = this.height * 0.5;
+        const shapes = [];
+
+        for (const layer of layers) {
+            for (let row = 0; row < layer.rows; row++) {
+                for (let c = 0; c < layer.columns; c++) {
+                    const value = layer.data[row * layer.columns + c];
+                    if (!value) continue;
+                    const gid = value & TileMap.GID_MASK;
+                    const ts = this.getTileSetForGid(gid);
+                    const tile = ts?.tiles.get(gid - ts.firstGid);
+                    if (!tile || !Array.isArray(tile.shapes) || tile.shapes.length === 0) continue;
+
+                    // Tile image size and center (relative to the body center), as drawn.
+                    const w = ts.tileWidth, h = ts.tileHeight;
+                    const cx = c * tw + w * 0.5 + ts.offsetX + layer.offsetX - hw;
+                    const cy = (row + 1) * th - h * 0.5 + ts.offsetY + layer.offsetY - hh;
+                    for (const shape of tile.shapes) {
+                        const s = this._tileShape(shape, value, w, h, cx, cy, options);
+                        if (s) shapes.push(s);
+                    }
+                }
+            }
+        }
+        if (shapes.length === 0) return null;
+
+        const body = new RigidBody({ type: 'static', shapes });
+        body.attach(this);
+        return body;
+    }
+
+    /**
+     * Updates children.
+     * @param {number} dt
+     * @param {Object} camera
+     */
+    update(dt, camera) {
+        if (!this.active) return;
+        for (const child of this.children) {
+            if (child.update) child.update(dt, camera);
+        }
+    }
+
+    draw() {
+        if (!this.active || !this.visible || !this.renderer) return;
+
+        const m = this.getWorldMatrix();
+        const view = this._getViewBounds();
+        const cs = Math.max(1, this.chunkSize | 0);
+        const chunkCols = Math.ceil(this.columns / cs);
+        const chunkRows = Math.ceil(this.rows / cs);
+
+        for (const layer of this.layers) {
+            if (!layer.visible || layer.opacity <= 0) continue;
+            const key = this._bakeKey(m, layer);
+
+            for (let cy = 0; cy < chunkRows; cy++) {
+                for (let cx = 0; cx < chunkCols; cx++) {
+                    const index = this._chunkIndex(cx, cy);
+                    let chunk = layer._chunks.get(index);
+                    if (!chunk || chunk.dirty || !TileMap._sameKey(chunk.key, key)) {
+                        chunk = this._bakeChunk(layer, cx, cy, m, key);
+                        layer._chunks.set(index, chunk);
+                    }
+                    if (chunk.runs.length === 0) continue;
+                    if (view && (chunk.maxX < view.minX || chunk.minX > view.maxX || chunk.maxY < view.minY || chunk.minY > view.maxY)) continue;
+                    for (const run of chunk.runs) {
+                        if (run.tileset.texture) this.renderer.drawQuadBatch(run.tileset.texture, run.data, run.count);
+                    }
+                }
+            }
+        }
+
+        if (this.children.length === 0) return;
+        if (!this._sortedChildren || this._childrenDirty) {
+            this._sortedChildren = [...this.children].sort((a, b) => {
+                const layerA = a.layer !== undefined ? a.layer : 0;
+                const layerB = b.layer !== undefined ? b.layer : 0;
+                return layerA - layerB;
+            });
+            this._childrenDirty = false;
+        }
+        for (const child of this._sortedChildren) {
+            if (child.draw) child.draw(this.renderer);
+        }
+    }
+
+    /**
+     * Releases the tilesets' textures and the children.
+     */
+    dispose() {
+        if (this._disposed) return;
+        this._disposed = true;
+        this.disconnectAll();
+        for (const child of this.children) {
+            if (child && typeof child.dispose === 'function') child.dispose();
+        }
+        for (const ts of this.tilesets) ts.dispose();
+        this.invalidate();
+    }
+
+    /**
+     * Encodes tile values as base64 of little-endian uint32s (Tiled's base64 encoding).
+     * @param {ArrayLike<number>} data
+     * @returns {string}
+     */
+    static encodeTiles(data) {
+        const bytes = new Uint8Array(data.length * 4);
+        const dv = new DataView(bytes.buffer);
+        for (let i = 0; i < data.length; i++) dv.setUint32(i * 4, data[i] >>> 0, true);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes tile data written as `csv` or `base64` (optionally `zlib`/`gzip` compressed).
+     * @param {string} text
+     * @param {string} [encoding='base64']
+     * @param {string} [compression='']
+     * @returns {Promise<Uint32Array>}
+     */
+    static async decodeTiles(text, encoding = 'base64', compression = '') {
+        if (encoding === 'csv') {
+            const values = String(text).split(',').map((s) => s.trim()).filter(Boolean);
+            return Uint32Array.from(values, (s) => Number(s) >>> 0);
+        }
+        if (encoding !== 'base64') throw new Error(`unsupported tile encoding '${encoding}'`);
+
+        const binary = atob(String(text).replace(/\s+/g, ''));
+        let bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+
+        if (compression) {
+            const format = compression === 'zlib' ? 'deflate' : compression;
+            if (format !== 'deflate' && format !== 'gzip') throw new Error(`unsupported tile compression '${compression}'`);
+            if (typeof DecompressionStream === 'undefined') throw new Error('DecompressionStream is not available');
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const out = new Uint32Array(Math.floor(bytes.byteLength / 4));
+        for (let i = 0; i < out.length; i++) out[i] = dv.getUint32(i * 4, true);
+        return out;
+    }
+
+    /**
+     * One collision shape of a tile, placed in body space. Tiled applies the diagonal flip
+     * first (swap x/y), then the horizontal and vertical mirrors, all about the tile center.
+     */
+    _tileShape(shape, value, w, h, cx, cy, opts) {
+        const flipD = (value & TileMap.FLIP_D) !== 0;
+        const flipH = (value & TileMap.FLIP_H) !== 0;
+        const flipV = (value & TileMap.FLIP_V) !== 0;
+        const place = (px, py) => {
+            let x = px - w * 0.5, y = py - h * 0.5;
+            if (flipD) { const t = x; x = y; y = t; }
+            if (flipH) x = -x;
+            if (flipV) y = -y;
+            return { x: cx + x, y: cy + y };
+        };
+
+        const sx = Number(shape.x) || 0, sy = Number(shape.y) || 0;
+        const sw = Number(shape.width) || 0, sh = Number(shape.height) || 0;
+        try {
+            if (shape.type === 'rectangle' || shape.type === 'ellipse') {
+                if (sw <= 0 || sh <= 0) return null;
+                const a = place(sx, sy), b = place(sx + sw, sy + sh);
+                const x0 = Math.min(a.x, b.x), y0 = Math.min(a.y, b.y);
+                const bw = Math.abs(b.x - a.x), bh = Math.abs(b.y - a.y);
+                if (shape.type === 'rectangle') return new BoxShape(bw, bh, x0 + bw * 0.5, y0 + bh * 0.5, opts);
+                if (Math.abs(bw - bh) < 0.5) return new CircleShape((bw + bh) * 0.25, x0 + bw * 0.5, y0 + bh * 0.5, opts);
+                const pts = [];
+                for (let i = 0; i < 12; i++) {
+                    const t = (i / 12) * Math.PI * 2;
+                    pts.push({ x: x0 + bw * 0.5 * (1 + Math.cos(t)), y: y0 + bh * 0.5 * (1 + Math.sin(t)) });
+                }
+                return new PolygonShape(pts, opts);
+            }
+            if (shape.type === 'polygon' && Array.isArray(shape.points)) {
+                return new PolygonShape(shape.points.map((p) => place(sx + p.x, sy + p.y)), opts);
+            }
+        } catch (e) {
+            console.warn(`TileMap '${this.name}': skipped an invalid tile collision shape:`, e);
+        }
+        return null;
+    }
+
+    _updateSize() {
+        if (this.orientation === 'isometric') {
+            const n = this.columns + this.rows;
+            this.width = n * this.tileWidth * 0.5;
+            this.height = n * this.tileHeight * 0.5;
+        } else {
+            this.width = this.columns * this.tileWidth;
+            this.height = this.rows * this.tileHeight;
+        }
+    }
+
+    _isoOriginX() {
+        return this.rows * this.tileWidth * 0.5;
+    }
+
+    _chunkIndex(cx, cy) {
+        return cy * 65536 + cx;
+    }
+
+    _getValue(layer, col, row) {
+        const l = this.getLayer(layer);
+        if (!l || col < 0 || row < 0 || col >= l.columns || row >= l.rows) return 0;
+        return l.data[row * l.columns + col];
+    }
+
+    /**
+     * Everything a baked chunk depends on besides its tiles.
+     */
+    _bakeKey(m, layer) {
+        const c = this.color;
+        return [
+            m[0], m[1], m[2], m[3], m[4], m[5],
+            c[0], c[1], c[2], c[3],
+            layer.opacity, layer.offsetX, layer.offsetY,
+            this.tileWidth, this.tileHeight, this.columns, this.rows
+        ];
+    }
+
+    static _sameKey(a, b) {
+        if (!a || a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+        return true;
+    }
+
+    /**
+     * World-space AABB seen by the renderer's active 2D camera, or null (draw everything).
+     */
+    _getViewBounds() {
+        const cam = this.renderer.activeCamera;
+        const w = this.renderer.targetWidth;
+        const h = this.renderer.targetHeight;
+        if (!cam || !(cam.zoom > 0) || !(w > 0) || !(h > 0)) return null;
+
+        // Inverse of the sprite vertex shader's camera transform (see Renderer.screenToWorld).
+        const cos = Math.cos(cam.rotation || 0);
+        const sin = Math.sin(cam.rotation || 0);
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const [sx, sy] of [[0, 0], [w, 0], [w, h], [0, h]]) {
+            const vx = sx / cam.zoom, vy = sy / cam.zoom;
+            const x = vx * cos + vy * sin + cam.x;
+            const y = -vx * sin + vy * cos + cam.y;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+        return { minX, minY, maxX, maxY };
+    }
+
+    /**
+     * Builds the quad runs (consecutive tiles sharing a tileset) and world bounds of a chunk.
+     */
+    _bakeChunk(layer, cx, cy, m, key) {
+        const cs = Math.max(1, this.chunkSize | 0);
+        const c0 = cx * cs, r0 = cy * cs;
+        const c1 = Math.min(c0 + cs, layer.columns), r1 = Math.min(r0 + cs, layer.rows);
+        const tw = this.tileWidth, th = this.tileHeight;
+        const iso = this.orientation === 'isometric';
+        const originX = this._isoOriginX();
+
+        const col = this.color;
+        const r = col[0] / 255, g = col[1] / 255, b = col[2] / 255;
+        const a = (col[3] / 255) * Math.max(0, Math.min(1, layer.opacity));
+
+        const q = { x: 0, y: 0, width: 0, height: 0, rotation: 0, shear: 0 };
+        const tm = Transform.identity();
+        const runs = [];
+        let run = null;
+        let values = [];
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (let row = r0; row < r1; row++) {
+            for (let c = c0; c < c1; c++) {
+                const value = layer.data[row * layer.columns + c];
+                if (!value) continue;
+                const gid = value & TileMap.GID_MASK;
+                const ts = this.getTileSetForGid(gid);
+                if (!ts || !ts.isLoaded) continue;
+                const rect = ts.getTileRect(gid - ts.firstGid);
+                if (!rect) continue;
+
+                // Local top-left of the tile image, bottom-aligned to the cell.
+                let lx, ly;
+                if (iso) {
+                    lx = originX + (c - row) * tw * 0.5 - rect.w * 0.5;
+                    ly = (c + row) * th * 0.5 + th - rect.h;
+                } else {
+                    lx = c * tw;
+                    ly = (row + 1) * th - rect.h;
+                }
+                lx += ts.offsetX + layer.offsetX;
+                ly += ts.offsetY + layer.offsetY;
+
+                tm[0] = m[0]; tm[1] = m[1]; tm[2] = m[2]; tm[3] = m[3];
+                tm[4] = m[0] * lx + m[2] * ly + m[4];
+                tm[5] = m[1] * lx + m[3] * ly + m[5];
+                Transform.toQuad(tm, rect.w, rect.h, q);
+
+                let u0 = rect.x / ts.imageWidth, u1 = (rect.x + rect.w) / ts.imageWidth;
+                let v0 = rect.y / ts.imageHeight, v1 = (rect.y + rect.h) / ts.imageHeight;
+                let rotation = q.rotation, shear = q.shear;
+                const flipH = (value & TileMap.FLIP_H) !== 0;
+                const flipV = (value & TileMap.FLIP_V) !== 0;
+                let mirrorU = flipH, mirrorV = flipV;
+                if (value & TileMap.FLIP_D) {
+                    // Diagonal flip = quarter turn clockwise followed by a local mirror;
+                    // H/V flips applied after it move onto the other axis.
+                    rotation += Math.PI / 2;
+                    shear = 0;
+                    mirrorU = flipV;
+                    mirrorV = !flipH;
+                }
+                if (mirrorU) { const t = u0; u0 = u1; u1 = t; }
+                if (mirrorV) { const t = v0; v0 = v1; v1 = t; }
+
+                if (!run || run.tileset !== ts) {
+                    if (run) run.data = Float32Array.from(values);
+                    run = { tileset: ts, data: null, count: 0 };
+                    runs.push(run);
+                    values = [];
+                }
+                // Renderer.drawQuadBatch layout (QUAD_BATCH_FLOATS per quad).
+                values.push(q.x, q.y, q.width, q.height, u0, v0, u1, v1, r, g, b, a, rotation, shear);
+                run.count++;
+
+                // Bounds of the rotated quad (a circle around its center is enough for culling).
+                const ccx = q.x + q.width * 0.5, ccy = q.y + q.height * 0.5;
+                const rad = 0.5 * Math.hypot(q.width, q.height) * (1 + Math.abs(shear));
+                if (ccx - rad < minX) minX = ccx - rad;
+                if (ccx + rad > maxX) maxX = ccx + rad;
+                if (ccy - rad < minY) minY = ccy - rad;
+                if (ccy + rad > maxY) maxY = ccy + rad;
+            }
+        }
+        if (run) run.data = Float32Array.from(values);
+
+        return { runs, key, dirty: false, minX, minY, maxX, maxY };
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Tiles cut from one spritesheet image on a regular grid. Tiles are numbered left to right,
+ * top to bottom from 0 ("local ids"); a TileMap gives each tileset a `firstGid` so tile
+ * values from several tilesets can share one layer.
+ *
+ * Example:
+ *   const terrain = new TileSet('Tiles/terrain.png', 16, 16, { margin: 1, spacing: 2 });
+ *   map.addTileSet(terrain);
+ */
+export default class TileSet {
+    /**
+     * @param {string} image - Spritesheet URL.
+     * @param {number} [tileWidth=16]
+     * @param {number} [tileHeight=16]
+     * @param {{name?: string, margin?: number, spacing?: number, columns?: number, tileCount?: number, offsetX?: number, offsetY?: number}} [options]
+     */
+    constructor(image, tileWidth = 16, tileHeight = 16, options = {}) {
+        this.name = options.name || '';
+        this.image = image || '';
+        this.tileWidth = tileWidth;
+        this.tileHeight = tileHeight;
+        /** Pixels around the tile grid. */
+        this.margin = options.margin || 0;
+        /** Pixels between tiles. */
+        this.spacing = options.spacing || 0;
+        /** Columns in the image; 0 derives it from the image width once loaded. */
+        this._columns = options.columns || 0;
+        /** Number of tiles; 0 derives it from the image size once loaded. */
+        this._tileCount = options.tileCount || 0;
+        /** Drawing offset of every tile, in pixels. */
+        this.offsetX = options.offsetX || 0;
+        this.offsetY = options.offsetY || 0;
+        /** First tile value (gid) of this tileset in a TileMap; assigned by TileMap.addTileSet. */
+        this.firstGid = 0;
+        /**
+         * Optional per-tile data by local id (filled by TiledLoader). `shapes` are collision
+         * shapes in pixels relative to the tile image's top-left corner; `animation` frames
+         * use local ids and durations in seconds.
+         * @type {Map<number, {type?: string, properties?: Object, shapes?: Array<{type: 'rectangle'|'ellipse'|'polygon', x: number, y: number, width?: number, height?: number, points?: Array<{x: number, y: number}>}>, animation?: Array<{tileId: number, duration: number}>}>}
+         */
+        this.tiles = new Map();
+
+        this.texture = null;
+        this.textureKey = null;
+        this.imageWidth = 0;
+        this.imageHeight = 0;
+        this._renderer = null;
+        /** Number of load() calls not yet matched by dispose(); a tileset may be shared by several maps. */
+        this._users = 0;
+        this._loadPromise = null;
+    }
+
+    get columns() {
+        if (this._columns > 0) return this._columns;
+        if (this.imageWidth <= 0) return 0;
+        return Math.max(1, Math.floor((this.imageWidth - 2 * this.margin + this.spacing) / (this.tileWidth + this.spacing)));
+    }
+    set columns(v) { this._columns = Math.max(0, v | 0); }
+
+    get tileCount() {
+        if (this._tileCount > 0) return this._tileCount;
+        if (this.imageHeight <= 0) return 0;
+        const rows = Math.max(1, Math.floor((this.imageHeight - 2 * this.margin + this.spacing) / (this.tileHeight + this.spacing)));
+        return rows * this.columns;
+    }
+    set tileCount(v) { this._tileCount = Math.max(0, v | 0); }
+
+    /** Whether the texture is ready to draw. */
+    get isLoaded() {
+        return !!this.texture && this.imageWidth > 0;
+    }
+
+    /**
+     * Source rectangle of a tile in the image.
+     * @param {number} localId
+     * @returns {{x: number, y: number, w: number, h: number} | null}
+     */
+    getTileRect(localId) {
+        const cols = this.columns;
+        if (cols <= 0 || localId < 0) return null;
+        const count = this.tileCount;
+        if (count > 0 && localId >= count) return null;
+        const col = localId % cols;
+        const row = Math.floor(localId / cols);
+        return {
+            x: this.margin + col * (this.tileWidth + this.spacing),
+            y: this.margin + row * (this.tileHeight + this.spacing),
+            w: this.tileWidth,
+            h: this.tileHeight
+        };
+    }
+
+    /**
+     * Data of one tile, or null.
+     * @param {number} localId
+     * @returns {Object|null}
+     */
+    getTileData(localId) {
+        return this.tiles.get(localId) || null;
+    }
+
+    /**
+     * Loads (or acquires from the renderer cache) the spritesheet texture. Every call must be
+     * matched by one dispose(); the texture is released by the last one.
+     * @param {Object} renderer
+     * @returns {Promise<boolean>}
+     */
+    load(renderer) {
+        if (!renderer || !this.image) return Promise.resolve(false);
+        this._users++;
+        if (!this._loadPromise) this._loadPromise = this._load(renderer);
+        return this._loadPromise;
+    }
+
+    /** @private */
+    _load(renderer) {
+        this._renderer = renderer;
+        const src = this.image;
+        this.textureKey = src;
+
+        if (renderer.hasCachedTexture?.(src)) {
+            this.texture = renderer.acquireTexture?.(src) || renderer.getCachedTexture(src);
+            const dims = renderer._textureDimensions?.get(this.texture);
+            if (dims) {
+                this.imageWidth = dims.width;
+                this.imageHeight = dims.height;
+            }
+            return Promise.resolve(true);
+        }
+
+        const img = new Image();
+        const loadPromise = new Promise((resolve) => {
+            img.onload = () => {
+                if (this.textureKey !== src) {
+                    resolve(false);
+                    return;
+                }
+                this.imageWidth = img.naturalWidth || img.width;
+                this.imageHeight = img.naturalHeight || img.height;
+                this.texture = renderer.createAndAcquireTexture?.(img, src) || renderer.createTexture(img, src);
+                resolve(true);
+            };
+            img.onerror = () => {
+                console.warn(`TileSet: failed to load image '${src}'.`);
+                resolve(false);
+            };
+        });
+
+        renderer.trackAssetPromise?.(loadPromise);
+        img.src = src;
+        return loadPromise;
+    }
+
+    /**
+     * Releases one load() reference; the texture is released when no user is left.
+     */
+    dispose() {
+        if (this._users > 1) {
+            this._users--;
+            return;
+        }
+        this._users = 0;
+        this._loadPromise = null;
+        if (this.textureKey && this._renderer?.releaseTexture && this.texture) {
+            this._renderer.releaseTexture(this.textureKey);
+        }
+        this.texture = null;
+        this.textureKey = null;
+    }
+}
@@ -0,0 +1,731 @@
+import Node2D from './Node2D.js';
+import Sprite from './Sprite.js';
+import AnimatedSprite from './AnimatedSprite.js';
+import TileMap from './TileMap.js';
+import TileSet from './TileSet.js';
+
+/**
+ * Node created by TiledLoader for the map root, object and group layers and shape objects
+ * (rectangles, ellipses, points, polygons, polylines, text). It draws nothing itself; its
+ * children are updated and drawn in Tiled's layer order.
+ */
+export class TiledNode extends Node2D {
+    /**
+     * @param {Object} renderer
+     * @param {string} [name='']
+     */
+    constructor(renderer, name = '') {
+        super();
+
+        /** @type {'2D'|'3D'} */
+        this.type = '2D';
+        this.name = name;
+        this.renderer = renderer;
+        this.visible = true;
+        this.active = true;
+        this.processWhilePaused = false;
+
+        /** Tiled custom properties, converted to JS values. */
+        this.properties = {};
+        /** Tiled object id (0 for layers and the map root). */
+        this.tiledId = 0;
+        /** Tiled object type/class ('' for layers). */
+        this.objectType = '';
+        /** @type {''|'rectangle'|'ellipse'|'point'|'polygon'|'polyline'|'text'} Shape of an object node. */
+        this.shape = '';
+        /** @type {Array<{x: number, y: number}>|null} Polygon/polyline points relative to the node's top-left. */
+        this.points = null;
+        /** Text of a text object. */
+        this.text = '';
+
+        this._disposed = false;
+    }
+
+    /**
+     * Updates children.
+     * @param {number} dt
+     * @param {Object} camera
+     */
+    update(dt, camera) {
+        if (!this.active) return;
+        for (const child of this.children) {
+            if (child.update) child.update(dt, camera);
+        }
+    }
+
+    draw() {
+        if (!this.active || !this.visible || this.children.length === 0) return;
+        if (!this._sortedChildren || this._childrenDirty) {
+            this._sortedChildren = [...this.children].sort((a, b) => {
+                const layerA = a.layer !== undefined ? a.layer : 0;
+                const layerB = b.layer !== undefined ? b.layer : 0;
+                return layerA - layerB;
+            });
+            this._childrenDirty = false;
+        }
+        for (const child of this._sortedChildren) {
+            if (child.draw) child.draw(this.renderer);
+        }
+    }
+
+    /**
+     * Disposes the children.
+     */
+    dispose() {
+        if (this._disposed) return;
+        this._disposed = true;
+        this.disconnectAll();
+        for (const child of this.children) {
+            if (child && typeof child.dispose === 'function') child.dispose();
+        }
+    }
+}
+
+/** Tile object anchor per Tiled `objectalignment` (fraction of the size left/up of the object position). */
+const OBJECT_ALIGNMENT = {
+    topleft: [0, 0], top: [0.5, 0], topright: [1, 0],
+    left: [0, 0.5], center: [0.5, 0.5], right: [1, 0.5],
+    bottomleft: [0, 1], bottom: [0.5, 1], bottomright: [1, 1],
+};
+
+/**
+ * Loads maps made with the Tiled editor (https://www.mapeditor.org): `.tmj`/`.json` (JSON)
+ * and `.tmx` (XML), with inline or external (`.tsj`/`.tsx`) tilesets.
+ *
+ * The map becomes a TiledNode tree in layer order:
+ * - tile layers -> one TileMap each, sharing the map's TileSets. Collision shapes drawn in
+ *   the tileset's collision editor become a static RigidBody on the layer, unless the layer
+ *   has a custom property `collision` set to false;
+ * - object layers and group layers -> TiledNode containers; objects become TiledNodes
+ *   (shape objects) or AnimatedSprites (tile objects, playing the tile's animation), named
+ *   after the object, with the object type as a group;
+ * - image layers -> Sprites.
+ *
+ * Custom properties are kept on each node's `properties` (and on TileSet.tiles for tiles).
+ * Layer parallax, object templates and tile animations inside tile layers are not supported.
+ * On isometric maps, object positions are converted but object shapes are not.
+ *
+ * From code (Scene.add also adds the tile collision bodies to the scene's physics world):
+ *   const level = await TiledLoader.load('Maps/level1.tmj', renderer);
+ *   scene.add(level);
+ *   const spawn = scene.findFirst({ name: 'Spawn' });
+ *   const coins = scene.getGroup('Coin'); // objects of type "Coin"
+ *
+ * From a scene file (overrides and components work as for prefabs):
+ *   <Instance source="Maps/level1.tmj" x="0" y="0" />
+ */
+export default class TiledLoader {
+    /**
+     * Whether a URL looks like a Tiled map (.tmx/.tmj).
+     * @param {string} url
+     * @returns {boolean}
+     */
+    static isTiledMap(url) {
+        return /\.(tmx|tmj)([?#].*)?$/i.test(String(url || '').trim());
+    }
+
+    /**
+     * Fetches and builds a map. Returns null (with a warning) on failure.
+     * @param {string} url
+     * @param {Object} renderer
+     * @returns {Promise<TiledNode|null>}
+     */
+    static async load(url, renderer) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const text = await response.text();
+            const map = TiledLoader._isXml(url, text) ? TiledLoader.parseTmx(text) : JSON.parse(text);
+            const root = await TiledLoader.build(map, url, renderer);
+            root.name = String(url).split(/[?#]/)[0].split('/').pop().replace(/\.[^.]+$/, '') || 'TiledMap';
+            return root;
+        } catch (e) {
+            console.warn(`TiledLoader: failed to load '${url}':`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Builds the node tree from a map in Tiled's JSON format (see parseTmx for XML).
+     * @param {any} map
+     * @param {string} url - Map URL, used to resolve tileset and image paths.
+     * @param {Object} renderer
+     * @returns {Promise<TiledNode>}
+     */
+    static async build(map, url, renderer) {
+        if (!map || typeof map !== 'object' || !Array.isArray(map.layers)) throw new Error('missing "layers"');
+        if (map.orientation && map.orientation !== 'orthogonal' && map.orientation !== 'isometric') {
+            console.warn(`TiledLoader: '${map.orientation}' maps are drawn as orthogonal.`);
+        }
+
+        const ctx = {
+            renderer,
+            url,
+            orientation: map.orientation === 'isometric' ? 'isometric' : 'orthogonal',
+            tileWidth: Number(map.tilewidth) || 16,
+            tileHeight: Number(map.tileheight) || 16,
+            columns: Number(map.width) || 0,
+            rows: Number(map.height) || 0,
+            /** @type {TileSet[]} */
+            tilesets: [],
+            /** @type {TileMap[]} */
+            collisionMaps: [],
+        };
+
+        for (const ref of map.tilesets || []) {
+            const ts = await TiledLoader._loadTileSet(ref, url);
+            if (ts) ctx.tilesets.push(ts);
+        }
+        ctx.tilesets.sort((a, b) => a.firstGid - b.firstGid);
+
+        const root = new TiledNode(renderer, 'TiledMap');
+        root.properties = TiledLoader._properties(map.properties, url);
+        root.tilesets = ctx.tilesets;
+        root.orientation = ctx.orientation;
+        if (ctx.orientation === 'isometric') {
+            root.width = (ctx.columns + ctx.rows) * ctx.tileWidth * 0.5;
+            root.height = (ctx.columns + ctx.rows) * ctx.tileHeight * 0.5;
+        } else {
+            root.width = ctx.columns * ctx.tileWidth;
+            root.height = ctx.rows * ctx.tileHeight;
+        }
+
+        await TiledLoader._buildLayers(map.layers, root, ctx);
+
+        // Bodies are placed from world transforms, so build them once the tree is assembled.
+        for (const tileMap of ctx.collisionMaps) tileMap.buildCollisionBody();
+        return root;
+    }
+
+    /**
+     * Re-places the physics bodies in a loaded map after it was moved or rotated.
+     * @param {any} node
+     */
+    static syncBodies(node) {
+        if (!node) return;
+        if (node.body && typeof node.body.syncFromNode === 'function') node.body.syncFromNode();
+        for (const child of node.children || []) TiledLoader.syncBodies(child);
+    }
+
+    /**
+     * Converts a TMX (or TSX) document into the structure of Tiled's JSON format.
+     * @param {string} text
+     * @returns {any}
+     */
+    static parseTmx(text) {
+        const doc = new DOMParser().parseFromString(text, 'text/xml');
+        if (doc.querySelector('parsererror')) throw new Error('invalid XML');
+        const el = doc.documentElement;
+        if (el.tagName === 'tileset') return TiledLoader._tsxToJson(el);
+        if (el.tagName !== 'map') throw new Error(`unexpected root <${el.tagName}>`);
+
+        return {
+            orientation: el.getAttribute('orientation') || 'orthogonal',
+            width: TiledLoader._num(el, 'width'),
+            height: TiledLoader._num(el, 'height'),
+            tilewidth: TiledLoader._num(el, 'tilewidth'),
+            tileheight: TiledLoader._num(el, 'tileheight'),
+            infinite: el.getAttribute('infinite') === '1',
+            properties: TiledLoader._xmlProperties(el),
+            tilesets: TiledLoader._children(el, 'tileset').map((t) => t.hasAttribute('source')
+                ? { firstgid: TiledLoader._num(t, 'firstgid', 1), source: t.getAttribute('source') }
+                : TiledLoader._tsxToJson(t)),
+            layers: TiledLoader._xmlLayers(el),
+        };
+    }
+
+    /** @private */
+    static _isXml(url, text) {
+        return /\.(tmx|tsx)([?#].*)?$/i.test(url) || String(text).trimStart().startsWith('<');
+    }
+
+    /** @private */
+    static _children(el, tag) {
+        return Array.from(el.children).filter((c) => c.tagName === tag);
+    }
+
+    /** @private */
+    static _num(el, name, def = 0) {
+        const v = parseFloat(el?.getAttribute(name) ?? '');
+        return Number.isFinite(v) ? v : def;
+    }
+
+    /** @private */
+    static _xmlLayers(parent) {
+        const num = TiledLoader._num;
+        const layers = [];
+        for (const el of Array.from(parent.children)) {
+            const layer = {
+                name: el.getAttribute('name') || '',
+                visible: el.getAttribute('visible') !== '0',
+                opacity: num(el, 'opacity', 1),
+                offsetx: num(el, 'offsetx'),
+                offsety: num(el, 'offsety'),
+                tintcolor: el.getAttribute('tintcolor') || undefined,
+                properties: TiledLoader._xmlProperties(el),
+            };
+            if (el.tagName === 'layer') {
+                layer.type = 'tilelayer';
+                layer.width = num(el, 'width');
+                layer.height = num(el, 'height');
+                const data = TiledLoader._children(el, 'data')[0];
+                if (data) {
+                    layer.encoding = data.getAttribute('encoding') || '';
+                    layer.compression = data.getAttribute('compression') || '';
+                    const chunks = TiledLoader._children(data, 'chunk');
+                    if (chunks.length > 0) {
+                        layer.chunks = chunks.map((c) => ({
+                            x: num(c, 'x'), y: num(c, 'y'), width: num(c, 'width'), height: num(c, 'height'),
+                            data: TiledLoader._xmlTileData(c, layer.encoding),
+                        }));
+                    } else {
+                        layer.data = TiledLoader._xmlTileData(data, layer.encoding);
+                    }
+                }
+            } else if (el.tagName === 'objectgroup') {
+                layer.type = 'objectgroup';
+                layer.objects = TiledLoader._children(el, 'object').map((o) => TiledLoader._xmlObject(o));
+            } else if (el.tagName === 'imagelayer') {
+                layer.type = 'imagelayer';
+                const img = TiledLoader._children(el, 'image')[0];
+                layer.image = img?.getAttribute('source') || '';
+                layer.imagewidth = num(img, 'width');
+                layer.imageheight = num(img, 'height');
+            } else if (el.tagName === 'group') {
+                layer.type = 'group';
+                layer.layers = TiledLoader._xmlLayers(el);
+            } else {
+                continue;
+            }
+            layers.push(layer);
+        }
+        return layers;
+    }
+
+    /** @private */
+    static _xmlTileData(el, encoding) {
+        if (encoding) return el.textContent || '';
+        // Unencoded: one <tile gid="..."/> per cell.
+        return TiledLoader._children(el, 'tile').map((t) => Number(t.getAttribute('gid')) || 0);
+    }
+
+    /** @private */
+    static _xmlObject(el) {
+        const num = TiledLoader._num;
+        const points = (p) => String(p?.getAttribute('points') || '').trim().split(/\s+/).filter(Boolean).map((pair) => {
+            const [x, y] = pair.split(',').map(Number);
+            return { x: x || 0, y: y || 0 };
+        });
+        const o = {
+            id: num(el, 'id'),
+            name: el.getAttribute('name') || '',
+            type: el.getAttribute('type') || el.getAttribute('class') || '',
+            x: num(el, 'x'),
+            y: num(el, 'y'),
+            width: num(el, 'width'),
+            height: num(el, 'height'),
+            rotation: num(el, 'rotation'),
+            visible: el.getAttribute('visible') !== '0',
+            properties: TiledLoader._xmlProperties(el),
+        };
+        if (el.hasAttribute('gid')) o.gid = Number(el.getAttribute('gid')) || 0;
+        if (el.hasAttribute('template')) o.template = el.getAttribute('template');
+        for (const c of Array.from(el.children)) {
+            if (c.tagName === 'ellipse') o.ellipse = true;
+            else if (c.tagName === 'point') o.point = true;
+            else if (c.tagName === 'polygon') o.polygon = points(c);
+            else if (c.tagName === 'polyline') o.polyline = points(c);
+            else if (c.tagName === 'text') o.text = { text: c.textContent || '' };
+        }
+        return o;
+    }
+
+    /** @private */
+    static _xmlProperties(el) {
+        const props = TiledLoader._children(el, 'properties')[0];
+        if (!props) return [];
+        return TiledLoader._children(props, 'property').map((p) => {
+            const type = p.getAttribute('type') || 'string';
+            // Class properties nest their members; multi-line strings use the text content.
+            let value = p.hasAttribute('value') ? p.getAttribute('value') : (p.textContent || '');
+            if (type === 'class') value = TiledLoader._properties(TiledLoader._xmlProperties(p));
+            return { name: p.getAttribute('name') || '', type, value };
+        });
+    }
+
+    /** @private */
+    static _tsxToJson(el) {
+        const num = TiledLoader._num;
+        const img = TiledLoader._children(el, 'image')[0];
+        const offset = TiledLoader._children(el, 'tileoffset')[0];
+        return {
+            firstgid: num(el, 'firstgid', 1),
+            name: el.getAttribute('name') || '',
+            tilewidth: num(el, 'tilewidth'),
+            tileheight: num(el, 'tileheight'),
+            spacing: num(el, 'spacing'),
+            margin: num(el, 'margin'),
+            tilecount: num(el, 'tilecount'),
+            columns: num(el, 'columns'),
+            objectalignment: el.getAttribute('objectalignment') || undefined,
+            tileoffset: offset ? { x: num(offset, 'x'), y: num(offset, 'y') } : undefined,
+            image: img?.getAttribute('source') || '',
+            imagewidth: num(img, 'width'),
+            imageheight: num(img, 'height'),
+            properties: TiledLoader._xmlProperties(el),
+            tiles: TiledLoader._children(el, 'tile').map((t) => {
+                const tileImg = TiledLoader._children(t, 'image')[0];
+                const group = TiledLoader._children(t, 'objectgroup')[0];
+                const anim = TiledLoader._children(t, 'animation')[0];
+                return {
+                    id: num(t, 'id'),
+                    type: t.getAttribute('type') || t.getAttribute('class') || '',
+                    properties: TiledLoader._xmlProperties(t),
+                    image: tileImg?.getAttribute('source') || undefined,
+                    objectgroup: group ? { objects: TiledLoader._children(group, 'object').map((o) => TiledLoader._xmlObject(o)) } : undefined,
+                    animation: anim ? TiledLoader._children(anim, 'frame').map((f) => ({ tileid: num(f, 'tileid'), duration: num(f, 'duration') })) : undefined,
+                };
+            }),
+        };
+    }
+
+    /**
+     * Converts Tiled's property list into a plain object.
+     * @private
+     */
+    static _properties(list, baseUrl = '') {
+        const out = {};
+        if (!Array.isArray(list)) return out;
+        for (const p of list) {
+            if (!p || !p.name) continue;
+            let v = p.value;
+            switch (p.type) {
+                case 'int': v = parseInt(v, 10) || 0; break;
+                case 'float': v = parseFloat(v) || 0; break;
+                case 'bool': v = v === true || v === 'true'; break;
+                case 'object': v = Number(v) || 0; break;
+                case 'file': v = v ? TiledLoader._resolve(String(v), baseUrl) : ''; break;
+                case 'class': v = (v && typeof v === 'object' && !Array.isArray(v)) ? v : {}; break;
+                default: v = v === undefined || v === null ? '' : String(v);
+            }
+            out[p.name] = v;
+        }
+        return out;
+    }
+
+    /** @private */
+    static async _loadTileSet(ref, mapUrl) {
+        const firstGid = Number(ref.firstgid) || 1;
+        let data = ref;
+        let baseUrl = mapUrl;
+        if (ref.source) {
+            baseUrl = TiledLoader._resolve(String(ref.source), mapUrl);
+            try {
+                const response = await fetch(baseUrl);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const text = await response.text();
+                data = TiledLoader._isXml(baseUrl, text) ? TiledLoader.parseTmx(text) : JSON.parse(text);
+            } catch (e) {
+                console.warn(`TiledLoader: failed to load tileset '${baseUrl}':`, e);
+                return null;
+            }
+        }
+
+        const ts = new TileSet(data.image ? TiledLoader._resolve(String(data.image), baseUrl) : '', Number(data.tilewidth) || 16, Number(data.tileheight) || 16, {
+            name: data.name || '',
+            margin: Number(data.margin) || 0,
+            spacing: Number(data.spacing) || 0,
+            columns: Number(data.columns) || 0,
+            tileCount: Number(data.tilecount) || 0,
+            offsetX: Number(data.tileoffset?.x) || 0,
+            offsetY: Number(data.tileoffset?.y) || 0
+        });
+        ts.firstGid = firstGid;
+        ts.properties = TiledLoader._properties(data.properties, baseUrl);
+        ts.objectAlignment = data.objectalignment || '';
+        if (!data.image) {
+            console.warn(`TiledLoader: tileset '${ts.name}' is an image collection; its tiles are only drawn as tile objects.`);
+        }
+
+        for (const tile of data.tiles || []) {
+            const id = Number(tile.id) || 0;
+            const entry = {};
+            const type = tile.type || tile.class;
+            if (type) entry.type = String(type);
+            if (tile.properties) entry.properties = TiledLoader._properties(tile.properties, baseUrl);
+            if (tile.image) entry.image = TiledLoader._resolve(String(tile.image), baseUrl);
+            const shapes = (tile.objectgroup?.objects || []).map((o) => TiledLoader._collisionShape(o)).filter(Boolean);
+            if (shapes.length > 0) entry.shapes = shapes;
+            if (Array.isArray(tile.animation) && tile.animation.length > 0) {
+                entry.animation = tile.animation.map((f) => ({ tileId: Number(f.tileid) || 0, duration: (Number(f.duration) || 100) / 1000 }));
+            }
+            ts.tiles.set(id, entry);
+        }
+        return ts;
+    }
+
+    /** @private */
+    static _collisionShape(o) {
+        const base = { x: Number(o.x) || 0, y: Number(o.y) || 0 };
+        if (o.point || o.polyline) return null;
+        if (Array.isArray(o.polygon)) return { type: 'polygon', ...base, points: o.polygon.map((p) => ({ x: Number(p.x) || 0, y: Number(p.y) || 0 })) };
+        return { type: o.ellipse ? 'ellipse' : 'rectangle', ...base, width: Number(o.width) || 0, height: Number(o.height) || 0 };
+    }
+
+    /** @private */
+    static async _buildLayers(layers, parent, ctx) {
+        for (const layer of layers || []) {
+            let node = null;
+            switch (layer.type) {
+                case 'tilelayer': node = await TiledLoader._tileLayer(layer, ctx); break;
+                case 'objectgroup': node = await TiledLoader._objectLayer(layer, ctx); break;
+                case 'imagelayer': node = await TiledLoader._imageLayer(layer, ctx); break;
+                case 'group':
+                    node = new TiledNode(ctx.renderer, layer.name || 'Group');
+                    await TiledLoader._buildLayers(layer.layers, node, ctx);
+                    break;
+                default:
+                    console.warn(`TiledLoader: layer type '${layer.type}' is not supported.`);
+            }
+            if (!node) continue;
+
+            node.name = layer.name || node.name;
+            node.x += Number(layer.offsetx) || 0;
+            node.y += Number(layer.offsety) || 0;
+            if (layer.visible === false) node.visible = false;
+            node.properties = TiledLoader._properties(layer.properties, ctx.url);
+            parent.addChild(node);
+        }
+    }
+
+    /** @private */
+    static async _tileLayer(layer, ctx) {
+        let columns = Number(layer.width) || ctx.columns;
+        let rows = Number(layer.height) || ctx.rows;
+        let data = null;
+        let startX = 0, startY = 0;
+
+        try {
+            if (Array.isArray(layer.chunks)) {
+                // Infinite map: copy the chunks into one grid covering all of them.
+                let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+                for (const c of layer.chunks) {
+                    minX = Math.min(minX, c.x); minY = Math.min(minY, c.y);
+                    maxX = Math.max(maxX, c.x + c.width); maxY = Math.max(maxY, c.y + c.height);
+                }
+                if (layer.chunks.length === 0) { minX = minY = maxX = maxY = 0; }
+                startX = minX; startY = minY;
+                columns = maxX - minX;
+                rows = maxY - minY;
+                data = new Uint32Array(columns * rows);
+                for (const c of layer.chunks) {
+                    const values = await TiledLoader._decodeData(c.data, layer.encoding, layer.compression);
+                    for (let r = 0; r < c.height; r++) {
+                        for (let col = 0; col < c.width; col++) {
+                            data[(c.y - minY + r) * columns + (c.x - minX + col)] = values[r * c.width + col] || 0;
+                        }
+                    }
+                }
+            } else if (layer.data !== undefined) {
+                data = await TiledLoader._decodeData(layer.data, layer.encoding, layer.compression);
+            }
+        } catch (e) {
+            console.warn(`TiledLoader: tile layer '${layer.name}' data could not be decoded:`, e);
+        }
+
+        const map = new TileMap(ctx.renderer, columns, rows, ctx.tileWidth, ctx.tileHeight, ctx.orientation);
+        for (const ts of ctx.tilesets) map.addTileSet(ts, ts.firstGid);
+        const tileLayer = map.addLayer(layer.name || 'Layer', data && data.length === columns * rows ? data : null);
+        tileLayer.opacity = layer.opacity ?? 1;
+        TiledLoader._applyTint(map, layer.tintcolor);
+
+        if (startX !== 0 || startY !== 0) {
+            if (ctx.orientation === 'isometric') {
+                console.warn(`TiledLoader: infinite isometric layer '${layer.name}' may be offset.`);
+            } else {
+                map.x = startX * ctx.tileWidth;
+                map.y = startY * ctx.tileHeight;
+            }
+        }
+
+        const hasShapes = ctx.tilesets.some((ts) => Array.from(ts.tiles.values()).some((t) => t.shapes));
+        if (hasShapes && TiledLoader._properties(layer.properties).collision !== false) {
+            ctx.collisionMaps.push(map);
+        }
+        return map;
+    }
+
+    /** @private */
+    static async _decodeData(data, encoding, compression) {
+        if (Array.isArray(data)) return Uint32Array.from(data, (v) => Number(v) >>> 0);
+        return TileMap.decodeTiles(String(data || '').trim(), encoding || 'base64', compression || '');
+    }
+
+    /** @private */
+    static async _objectLayer(layer, ctx) {
+        const group = new TiledNode(ctx.renderer, layer.name || 'Objects');
+        const opacity = layer.opacity ?? 1;
+        let warnedTemplate = false;
+        for (const o of layer.objects || []) {
+            if (o.template && !warnedTemplate) {
+                console.warn(`TiledLoader: object templates are not supported (layer '${layer.name}').`);
+                warnedTemplate = true;
+            }
+            const node = o.gid ? TiledLoader._tileObject(o, ctx) : TiledLoader._shapeObject(o, ctx);
+            if (!node) continue;
+            node.name = o.name || o.type || o.class || `Object ${o.id}`;
+            node.tiledId = Number(o.id) || 0;
+            node.objectType = String(o.type || o.class || '');
+            node.properties = TiledLoader._properties(o.properties, ctx.url);
+            if (node.objectType) node.addToGroup(node.objectType);
+            if (o.visible === false) node.visible = false;
+            if (opacity < 1 && typeof node.setTransparency === 'function') node.setTransparency(255 * opacity);
+            group.addChild(node);
+        }
+        return group;
+    }
+
+    /** @private */
+    static _shapeObject(o, ctx) {
+        const node = new TiledNode(ctx.renderer);
+        let left = 0, top = 0;
+        let w = Number(o.width) || 0, h = Number(o.height) || 0;
+
+        if (o.point) {
+            node.shape = 'point';
+            w = h = 0;
+        } else if (Array.isArray(o.polygon) || Array.isArray(o.polyline)) {
+            node.shape = o.polygon ? 'polygon' : 'polyline';
+            const pts = (o.polygon || o.polyline).map((p) => ({ x: Number(p.x) || 0, y: Number(p.y) || 0 }));
+            left = Math.min(...pts.map((p) => p.x));
+            top = Math.min(...pts.map((p) => p.y));
+            w = Math.max(...pts.map((p) => p.x)) - left;
+            h = Math.max(...pts.map((p) => p.y)) - top;
+            node.points = pts.map((p) => ({ x: p.x - left, y: p.y - top }));
+        } else if (o.ellipse) {
+            node.shape = 'ellipse';
+        } else if (o.text) {
+            node.shape = 'text';
+            node.text = String(o.text.text ?? '');
+        } else {
+            node.shape = 'rectangle';
+        }
+
+        TiledLoader._placeObject(node, o, w, h, left, top, ctx);
+        return node;
+    }
+
+    /** @private */
+    static _tileObject(o, ctx) {
+        const value = Number(o.gid) >>> 0;
+        const gid = value & TileMap.GID_MASK;
+        const ts = [...ctx.tilesets].reverse().find((t) => gid >= t.firstGid) || null;
+        if (!ts) {
+            console.warn(`TiledLoader: object ${o.id} uses unknown tile ${gid}.`);
+            return null;
+        }
+        const localId = gid - ts.firstGid;
+        const tile = ts.tiles.get(localId);
+        const image = tile?.image || ts.image;
+        const rect = tile?.image ? null : ts.getTileRect(localId);
+        const w = Number(o.width) || rect?.w || ts.tileWidth;
+        const h = Number(o.height) || rect?.h || ts.tileHeight;
+
+        const sprite = new AnimatedSprite(ctx.renderer, image, 0, 0, w, h);
+        if (rect) {
+            // Tiled tile animations use local ids of the same tileset.
+            const frames = tile?.animation
+                ? tile.animation.map((f) => ({ ...ts.getTileRect(f.tileId), duration: f.duration })).filter((f) => f.w > 0)
+                : [rect];
+            const timed = frames.filter((f) => f.duration > 0);
+            const avg = timed.length > 0 ? timed.reduce((s, f) => s + f.duration, 0) / timed.length : 0;
+            sprite.addAnimation('default', frames, avg > 0 ? 1 / avg : 10, true);
+            sprite.play('default');
+        }
+        sprite.flipX = (value & TileMap.FLIP_H) !== 0;
+        sprite.flipY = (value & TileMap.FLIP_V) !== 0;
+
+        // Tile objects are anchored at their bottom-left (bottom-center on isometric maps).
+        const align = OBJECT_ALIGNMENT[ts.objectAlignment] || (ctx.orientation === 'isometric' ? OBJECT_ALIGNMENT.bottom : OBJECT_ALIGNMENT.bottomleft);
+        TiledLoader._placeObject(sprite, o, w, h, -align[0] * w, -align[1] * h, ctx);
+        return sprite;
+    }
+
+    /**
+     * Tiled rotates an object (clockwise degrees) around its position; Fluxion nodes rotate
+     * around their center. `left`/`top` is the box's top-left relative to the position.
+     * @private
+     */
+    static _placeObject(node, o, w, h, left, top, ctx) {
+        let px = Number(o.x) || 0, py = Number(o.y) || 0;
+        if (ctx.orientation === 'isometric') {
+            // Isometric object coordinates are measured along the tile axes, in tile-height units.
+            const col = px / ctx.tileHeight, row = py / ctx.tileHeight;
+            px = ctx.rows * ctx.tileWidth * 0.5 + (col - row) * ctx.tileWidth * 0.5;
+            py = (col + row) * ctx.tileHeight * 0.5;
+        }
+        const rotation = (Number(o.rotation) || 0) * Math.PI / 180;
+        const cos = Math.cos(rotation), sin = Math.sin(rotation);
+        const ox = left + w * 0.5, oy = top + h * 0.5;
+        node.width = w;
+        node.height = h;
+        node.x = px + ox * cos - oy * sin - w * 0.5;
+        node.y = py + ox * sin + oy * cos - h * 0.5;
+        node.rotation = rotation;
+    }
+
+    /** @private */
+    static async _imageLayer(layer, ctx) {
+        if (!layer.image) return new TiledNode(ctx.renderer, layer.name || 'Image');
+        const url = TiledLoader._resolve(String(layer.image), ctx.url);
+        let w = Number(layer.imagewidth) || 0, h = Number(layer.imageheight) || 0;
+        if (!(w > 0 && h > 0)) {
+            const size = await TiledLoader._imageSize(url, ctx.renderer);
+            w = size.width;
+            h = size.height;
+        }
+        const sprite = new Sprite(ctx.renderer, url, 0, 0, w || 1, h || 1);
+        const opacity = layer.opacity ?? 1;
+        if (opacity < 1) sprite.setTransparency(255 * opacity);
+        TiledLoader._applyTint(sprite, layer.tintcolor);
+        return sprite;
+    }
+
+    /** @private */
+    static _imageSize(url, renderer) {
+        const img = new Image();
+        const p = new Promise((resolve) => {
+            img.onload = () => resolve({ width: img.naturalWidth || img.width, height: img.naturalHeight || img.height });
+            img.onerror = () => {
+                console.warn(`TiledLoader: failed to load image '${url}'.`);
+                resolve({ width: 0, height: 0 });
+            };
+        });
+        renderer?.trackAssetPromise?.(p);
+        img.src = url;
+        return p;
+    }
+
+    /**
+     * Applies a Tiled tint color (#RRGGBB or #AARRGGBB) to a node's color.
+     * @private
+     */
+    static _applyTint(node, tint) {
+        const m = /^#?([0-9a-f]{2})?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(tint || ''));
+        if (!m || !Array.isArray(node.color)) return;
+        node.color[0] = parseInt(m[2], 16);
+        node.color[1] = parseInt(m[3], 16);
+        node.color[2] = parseInt(m[4], 16);
+        if (m[1]) node.color[3] = Math.round(node.color[3] * parseInt(m[1], 16) / 255);
+    }
+
+    /** @private */
+    static _resolve(path, base) {
+        if (/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(path)) return path;
+        try {
+            return new URL(path, base || (typeof window !== 'undefined' ? window.location.href : undefined)).href;
+        } catch {
+            return path;
+        }
+    }
+}
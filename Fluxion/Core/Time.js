@@ -0,0 +1,46 @@
+/**
+ * Frame timing shared by the engine loop and scene nodes.
+ * Engine writes these values once per frame; everything else only reads them.
+ *
+ * - `deltaTime` is scaled by `timeScale` and is 0 while paused.
+ * - `unscaledDeltaTime` is the real (capped) frame time, for UI that keeps animating while paused.
+ */
+export default class Time {
+    /** Multiplier applied to game time (1 = normal, 0.5 = slow motion). */
+    static timeScale = 1;
+    /** True while the engine is paused. */
+    static paused = false;
+    /** Scaled seconds since the last frame (0 while paused). */
+    static deltaTime = 0;
+    /** Real seconds since the last frame. */
+    static unscaledDeltaTime = 0;
+    /** Scaled seconds since start. */
+    static time = 0;
+    /** Real seconds since start. */
+    static unscaledTime = 0;
+    /** Frames rendered since start. */
+    static frame = 0;
+    /** Engine fixed tick length in seconds (0 = fixed stepping off). */
+    static fixedTimestep = 0;
+
+    /**
+     * Returns the delta a node should advance by this frame.
+     * Nodes (or scenes) with `processWhilePaused = true` ignore pause and time scale.
+     * @param {Object|null} node
+     * @param {number} dt - The scaled delta passed down by the caller.
+     * @returns {number}
+     */
+    static deltaFor(node, dt) {
+        if (node && node.processWhilePaused) return Time.unscaledDeltaTime;
+        return dt;
+    }
+
+    /**
+     * Whether a node should skip its update this frame because the game is paused.
+     * @param {Object|null} node
+     * @returns {boolean}
+     */
+    static isFrozen(node) {
+        return Time.paused && !(node && node.processWhilePaused);
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * @typedef {{
+ *   cancel: () => void,
+ *   readonly cancelled: boolean,
+ *   readonly remaining: number,
+ * }} TimerHandle
+ */
+
+/**
+ * Delays and repeating callbacks on the game clock (see `scene.timers`, `engine.wait`).
+ *
+ * Unlike setTimeout they advance with the delta passed to `update(dt)`, so they follow
+ * time scale, stop while the game is paused and die with their owner: a scene cancels
+ * its timers in Scene.dispose.
+ *
+ *   scene.timers.after(2, () => door.open());
+ *   const h = scene.timers.every(0.5, () => spawnEnemy());
+ *   h.cancel();
+ *
+ *   async function intro(engine) {
+ *       title.visible = true;
+ *       await engine.wait(1.5);
+ *       title.visible = false;
+ *   }
+ *
+ * Cancelled waits never resolve, so an async sequence awaiting them simply stops.
+ */
+export default class Timers {
+    constructor() {
+        /** @type {Array<{ fn: Function, remaining: number, interval: number, repeat: boolean, cancelled: boolean, handle: TimerHandle }>} */
+        this._timers = [];
+        /** @type {Array<(dt: number) => void>} */
+        this._frameWaiters = [];
+    }
+
+    /**
+     * Number of pending timers.
+     * @returns {number}
+     */
+    get count() {
+        return this._timers.length;
+    }
+
+    /**
+     * Calls `fn` once after `seconds` of game time.
+     * @param {number} seconds
+     * @param {() => void} fn
+     * @returns {TimerHandle}
+     */
+    after(seconds, fn) {
+        return this._schedule(fn, seconds, 0, false);
+    }
+
+    /**
+     * Calls `fn` every `seconds` of game time until cancelled (0 = every update).
+     * `fn` receives the handle, so it can cancel itself.
+     * @param {number} seconds
+     * @param {(handle: TimerHandle) => void} fn
+     * @returns {TimerHandle}
+     */
+    every(seconds, fn) {
+        const interval = Math.max(0, Number(seconds) || 0);
+        return this._schedule(fn, interval, interval, true);
+    }
+
+    /**
+     * Resolves after `seconds` of game time.
+     * @param {number} seconds
+     * @returns {Promise<void>}
+     */
+    wait(seconds) {
+        return new Promise((resolve) => {
+            this.after(seconds, () => resolve());
+        });
+    }
+
+    /**
+     * Resolves on the next update, with that update's delta.
+     * @returns {Promise<number>}
+     */
+    nextFrame() {
+        return new Promise((resolve) => {
+            this._frameWaiters.push(resolve);
+        });
+    }
+
+    /**
+     * Advances all timers.
+     * @param {number} dt - Seconds.
+     */
+    update(dt) {
+        if (this._frameWaiters.length > 0) {
+            // Swap first: waiters added by the resumed code belong to the next update.
+            const waiters = this._frameWaiters;
+            this._frameWaiters = [];
+            for (const resolve of waiters) resolve(dt);
+        }
+
+        if (this._timers.length === 0) return;
+        for (const t of this._timers.slice()) {
+            if (t.cancelled) continue;
+            t.remaining -= dt;
+            while (!t.cancelled && t.remaining <= 0) {
+                try {
+                    t.fn(t.handle);
+                } catch (e) {
+                    console.error('Timer callback failed:', e);
+                }
+                if (!t.repeat) {
+                    t.cancelled = true;
+                } else if (t.interval <= 0) {
+                    t.remaining = 0;
+                    break;
+                } else {
+                    t.remaining += t.interval;
+                }
+            }
+        }
+        this._timers = this._timers.filter((t) => !t.cancelled);
+    }
+
+    /**
+     * Cancels every timer and pending wait/nextFrame.
+     */
+    cancelAll() {
+        for (const t of this._timers) t.cancelled = true;
+        this._timers.length = 0;
+        this._frameWaiters.length = 0;
+    }
+
+    /**
+     * @param {Function} fn
+     * @param {number} delay
+     * @param {number} interval
+     * @param {boolean} repeat
+     * @returns {TimerHandle}
+     */
+    _schedule(fn, delay, interval, repeat) {
+        const t = {
+            fn,
+            remaining: Math.max(0, Number(delay) || 0),
+            interval,
+            repeat,
+            cancelled: false,
+            /** @type {TimerHandle | null} */
+            handle: null,
+        };
+        t.handle = {
+            cancel: () => { t.cancelled = true; },
+            get cancelled() { return t.cancelled; },
+            get remaining() { return Math.max(0, t.remaining); },
+        };
+        if (typeof fn !== 'function') {
+            t.cancelled = true;
+            return t.handle;
+        }
+        this._timers.push(t);
+        return t.handle;
+    }
+}
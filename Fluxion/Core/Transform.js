@@ -1,15 +1,25 @@
 import { Vector2 } from "./Math.js";
 
+/**
+ * Local 2D transform: position, rotation (radians), scale and skew (radians).
+ *
+ * Matrices are 2D affine arrays `[a, b, c, d, tx, ty]` mapping (x, y) to
+ * (a*x + c*y + tx, b*x + d*y + ty), the same layout as CanvasRenderingContext2D.
+ */
 export default class Transform {
-    constructor(position = new Vector2(0, 0), scale = new Vector2(1, 1)) {
+    constructor(position = new Vector2(0, 0), scale = new Vector2(1, 1), rotation = 0, skew = new Vector2(0, 0)) {
         this.position = position;
         this.scale = scale;
+        this.rotation = rotation;
+        this.skew = skew;
     }
 
     copy() {
         return new Transform(
             new Vector2(this.position.x, this.position.y),
-            new Vector2(this.scale.x, this.scale.y)
+            new Vector2(this.scale.x, this.scale.y),
+            this.rotation,
+            new Vector2(this.skew.x, this.skew.y)
         );
     }
 
@@ -18,6 +28,11 @@ export default class Transform {
         target.position.y = this.position.y;
         target.scale.x = this.scale.x;
         target.scale.y = this.scale.y;
+        target.rotation = this.rotation;
+        if (target.skew) {
+            target.skew.x = this.skew.x;
+            target.skew.y = this.skew.y;
+        }
     }
 
     equals(obj) {
@@ -27,7 +42,146 @@ export default class Transform {
             this.position.x === obj.position.x &&
             this.position.y === obj.position.y &&
             this.scale.x === obj.scale.x &&
-            this.scale.y === obj.scale.y
+            this.scale.y === obj.scale.y &&
+            this.rotation === obj.rotation &&
+            this.skew.x === obj.skew.x &&
+            this.skew.y === obj.skew.y
         );
     }
+
+    /**
+     * True when there is no scale or skew (only position and rotation).
+     * @returns {boolean}
+     */
+    isTranslationRotationOnly() {
+        return this.scale.x === 1 && this.scale.y === 1 && this.skew.x === 0 && this.skew.y === 0;
+    }
+
+    /**
+     * Builds the local matrix. Rotation, skew and scale are applied around the pivot
+     * (in local units, e.g. a sprite's center), then the result is moved by position.
+     * @param {number[]} [out]
+     * @param {number} [pivotX=0]
+     * @param {number} [pivotY=0]
+     * @returns {number[]}
+     */
+    toMatrix(out = Transform.identity(), pivotX = 0, pivotY = 0) {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const tanX = Math.tan(this.skew.x);
+        const tanY = Math.tan(this.skew.y);
+        const sx = this.scale.x;
+        const sy = this.scale.y;
+
+        // L = R * K * S, with K = [[1, tanX], [tanY, 1]]
+        const k00 = sx, k01 = tanX * sy;
+        const k10 = tanY * sx, k11 = sy;
+        const a = cos * k00 - sin * k10;
+        const b = sin * k00 + cos * k10;
+        const c = cos * k01 - sin * k11;
+        const d = sin * k01 + cos * k11;
+
+        out[0] = a;
+        out[1] = b;
+        out[2] = c;
+        out[3] = d;
+        // Translate so the pivot stays fixed, then move by position.
+        out[4] = this.position.x + pivotX - (a * pivotX + c * pivotY);
+        out[5] = this.position.y + pivotY - (b * pivotX + d * pivotY);
+        return out;
+    }
+
+    /**
+     * @returns {number[]} A new identity matrix.
+     */
+    static identity() {
+        return [1, 0, 0, 1, 0, 0];
+    }
+
+    /**
+     * out = m1 * m2 (apply m2 first, then m1). `out` may alias either input.
+     * @param {number[]} out
+     * @param {number[]} m1
+     * @param {number[]} m2
+     * @returns {number[]}
+     */
+    static multiply(out, m1, m2) {
+        const a = m1[0] * m2[0] + m1[2] * m2[1];
+        const b = m1[1] * m2[0] + m1[3] * m2[1];
+        const c = m1[0] * m2[2] + m1[2] * m2[3];
+        const d = m1[1] * m2[2] + m1[3] * m2[3];
+        const tx = m1[0] * m2[4] + m1[2] * m2[5] + m1[4];
+        const ty = m1[1] * m2[4] + m1[3] * m2[5] + m1[5];
+        out[0] = a; out[1] = b; out[2] = c; out[3] = d; out[4] = tx; out[5] = ty;
+        return out;
+    }
+
+    /**
+     * Inverts an affine matrix. Returns null if it is singular.
+     * @param {number[]} out
+     * @param {number[]} m
+     * @returns {number[] | null}
+     */
+    static invert(out, m) {
+        const det = m[0] * m[3] - m[1] * m[2];
+        if (!det) return null;
+        const inv = 1 / det;
+        const a = m[3] * inv;
+        const b = -m[1] * inv;
+        const c = -m[2] * inv;
+        const d = m[0] * inv;
+        const tx = -(a * m[4] + c * m[5]);
+        const ty = -(b * m[4] + d * m[5]);
+        out[0] = a; out[1] = b; out[2] = c; out[3] = d; out[4] = tx; out[5] = ty;
+        return out;
+    }
+
+    /**
+     * Transforms a point.
+     * @param {number[]} m
+     * @param {number} x
+     * @param {number} y
+     * @param {{x:number, y:number}} [out]
+     * @returns {{x:number, y:number}}
+     */
+    static apply(m, x, y, out = { x: 0, y: 0 }) {
+        const px = m[0] * x + m[2] * y + m[4];
+        const py = m[1] * x + m[3] * y + m[5];
+        out.x = px;
+        out.y = py;
+        return out;
+    }
+
+    /**
+     * Decomposes a matrix applied to a w*h rectangle into the parameters Renderer.drawQuad takes:
+     * top-left of the unrotated quad, size (may be negative for mirroring), rotation around the
+     * center and an x-shear factor.
+     * @param {number[]} m
+     * @param {number} w
+     * @param {number} h
+     * @param {{x:number, y:number, width:number, height:number, rotation:number, shear:number}} [out]
+     */
+    static toQuad(m, w, h, out = { x: 0, y: 0, width: 0, height: 0, rotation: 0, shear: 0 }) {
+        // Edge vectors of the transformed rectangle and its center.
+        const ux = m[0] * w, uy = m[1] * w;
+        const vx = m[2] * h, vy = m[3] * h;
+        const cx = m[0] * w * 0.5 + m[2] * h * 0.5 + m[4];
+        const cy = m[1] * w * 0.5 + m[3] * h * 0.5 + m[5];
+
+        const width = Math.hypot(ux, uy);
+        const rotation = width > 0 ? Math.atan2(uy, ux) : 0;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        // v expressed in the rotated frame: x part is shear, y part is the height.
+        const vxr = vx * cos + vy * sin;
+        const height = -vx * sin + vy * cos;
+
+        out.width = width;
+        out.height = height;
+        out.rotation = rotation;
+        out.shear = height !== 0 ? vxr / height : 0;
+        out.x = cx - width * 0.5;
+        out.y = cy - height * 0.5;
+        return out;
+    }
 }
@@ -0,0 +1,792 @@
+import Time from './Time.js';
+
+/**
+ * Easing curves: map linear progress 0..1 to eased progress (may overshoot for Back/Elastic).
+ * Referenced by name in tweens: `'easeOutBack'`, `'easeInOutSine'`...
+ * @type {Record<string, (t: number) => number>}
+ */
+export const Easing = Object.freeze((() => {
+    const c1 = 1.70158;
+    const c2 = c1 * 1.525;
+    const c3 = c1 + 1;
+    const c4 = (2 * Math.PI) / 3;
+    const c5 = (2 * Math.PI) / 4.5;
+
+    const bounceOut = (t) => {
+        const n1 = 7.5625;
+        const d1 = 2.75;
+        if (t < 1 / d1) return n1 * t * t;
+        if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+        if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+        return n1 * (t -= 2.625 / d1) * t + 0.984375;
+    };
+
+    return {
+        linear: (t) => t,
+
+        easeInQuad: (t) => t * t,
+        easeOutQuad: (t) => 1 - (1 - t) * (1 - t),
+        easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+
+        easeInCubic: (t) => t * t * t,
+        easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+        easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+
+        easeInQuart: (t) => t * t * t * t,
+        easeOutQuart: (t) => 1 - Math.pow(1 - t, 4),
+        easeInOutQuart: (t) => (t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2),
+
+        easeInQuint: (t) => t * t * t * t * t,
+        easeOutQuint: (t) => 1 - Math.pow(1 - t, 5),
+        easeInOutQuint: (t) => (t < 0.5 ? 16 * t * t * t * t * t : 1 - Math.pow(-2 * t + 2, 5) / 2),
+
+        easeInSine: (t) => 1 - Math.cos((t * Math.PI) / 2),
+        easeOutSine: (t) => Math.sin((t * Math.PI) / 2),
+        easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+
+        easeInExpo: (t) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+        easeOutExpo: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+        easeInOutExpo: (t) => {
+            if (t === 0 || t === 1) return t;
+            return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+        },
+
+        easeInCirc: (t) => 1 - Math.sqrt(1 - t * t),
+        easeOutCirc: (t) => Math.sqrt(1 - Math.pow(t - 1, 2)),
+        easeInOutCirc: (t) => (t < 0.5
+            ? (1 - Math.sqrt(1 - Math.pow(2 * t, 2))) / 2
+            : (Math.sqrt(1 - Math.pow(-2 * t + 2, 2)) + 1) / 2),
+
+        easeInBack: (t) => c3 * t * t * t - c1 * t * t,
+        easeOutBack: (t) => 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2),
+        easeInOutBack: (t) => (t < 0.5
+            ? (Math.pow(2 * t, 2) * ((c2 + 1) * 2 * t - c2)) / 2
+            : (Math.pow(2 * t - 2, 2) * ((c2 + 1) * (t * 2 - 2) + c2) + 2) / 2),
+
+        easeInElastic: (t) => {
+            if (t === 0 || t === 1) return t;
+            return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * c4);
+        },
+        easeOutElastic: (t) => {
+            if (t === 0 || t === 1) return t;
+            return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
+        },
+        easeInOutElastic: (t) => {
+            if (t === 0 || t === 1) return t;
+            return t < 0.5
+                ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c5)) / 2
+                : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c5)) / 2 + 1;
+        },
+
+        easeInBounce: (t) => 1 - bounceOut(1 - t),
+        easeOutBounce: bounceOut,
+        easeInOutBounce: (t) => (t < 0.5 ? (1 - bounceOut(1 - 2 * t)) / 2 : (1 + bounceOut(2 * t - 1)) / 2),
+    };
+})());
+
+/**
+ * @typedef {{
+ *   delay?: number,
+ *   repeat?: number,
+ *   yoyo?: boolean,
+ *   timeScale?: number,
+ *   processWhilePaused?: boolean,
+ *   from?: Record<string, any>,
+ *   onStart?: (tween: Tween) => void,
+ *   onUpdate?: (tween: Tween) => void,
+ *   onRepeat?: (tween: Tween, cycle: number) => void,
+ *   onComplete?: (tween: Tween) => void,
+ * }} TweenOptions
+ * `repeat` is the number of extra cycles (-1 = forever); `yoyo` plays every other cycle backwards.
+ * `from` overrides the start values (default: the values when the tween starts).
+ */
+
+/**
+ * Properties that go through a setter instead of a field (Sprite tint and transparency).
+ * @type {Record<string, { test: (t: any) => boolean, get: (t: any) => any, set: (t: any, v: any) => void }>}
+ */
+const SPECIAL_PROPERTIES = {
+    // 0..1, like the XML `opacity` attribute.
+    opacity: {
+        test: (t) => typeof t.setTransparency === 'function',
+        get: (t) => t.getTransparency() / 255,
+        set: (t, v) => t.setTransparency(v * 255),
+    },
+    transparency: {
+        test: (t) => typeof t.setTransparency === 'function',
+        get: (t) => t.getTransparency(),
+        set: (t, v) => t.setTransparency(v),
+    },
+    // [r, g, b] or [r, g, b, a], 0..255.
+    color: {
+        test: (t) => typeof t.setColor === 'function' && typeof t.getColor === 'function',
+        get: (t) => {
+            const c = t.getColor();
+            return [c.red, c.green, c.blue, c.transparency];
+        },
+        set: (t, v) => {
+            t.setColor(v[0], v[1], v[2]);
+            if (v.length > 3 && typeof t.setTransparency === 'function') t.setTransparency(v[3]);
+        },
+    },
+};
+
+const VECTOR_KEYS = ['x', 'y', 'z', 'w'];
+
+/**
+ * Animates values over game time.
+ *
+ *   Tween.to(sprite, { x: 100, opacity: 0 }, 0.5, 'easeOutBack');
+ *   Tween.to(camera3D, { position: [0, 5, 10] }, 2, 'easeInOutSine');
+ *   Tween.to(mesh.material, { baseColorFactor: [1, 0, 0, 1], metallicFactor: 0 }, 1);
+ *   await Tween.sequence([
+ *       Tween.to(door, { y: -64 }, 0.4),
+ *       0.25,                               // pause
+ *       () => door.emit('opened'),          // callback
+ *       Tween.parallel([Tween.to(a, { x: 0 }, 1), Tween.to(b, { x: 0 }, 1)]),
+ *   ], { repeat: 1, yoyo: true });
+ *
+ * Values can be numbers, arrays (colors, material factors; written in place) or x/y/z objects
+ * such as Vector3 (also written in place; an `[x, y, z]` array is accepted as the end value).
+ * Sprites additionally accept `opacity` (0..1), `transparency` and `color` ([r, g, b(, a)]).
+ *
+ * Tweens created through the factories start right away and are advanced by Engine.loop with
+ * game time: they follow `engine.timeScale` and stop while paused, unless `processWhilePaused`
+ * is set (then they run on unscaled time). Passing a tween to sequence/parallel hands its
+ * playback to the group. A tween is awaitable: it resolves when it completes (killed tweens
+ * never resolve). Scene.dispose kills the tweens of the scene's nodes.
+ *
+ * This base class is also the plain delay used between sequence steps.
+ */
+export default class Tween {
+    /** @type {Tween[]} Playing top-level tweens. */
+    static _active = [];
+
+    /**
+     * @param {number} [duration=0] - Seconds per cycle.
+     * @param {TweenOptions} [options]
+     */
+    constructor(duration = 0, options = {}) {
+        this.duration = Math.max(0, Number(duration) || 0);
+        this.delay = Math.max(0, Number(options.delay) || 0);
+        const repeat = Number(options.repeat) || 0;
+        this.repeat = repeat < 0 ? Infinity : Math.floor(repeat);
+        this.yoyo = !!options.yoyo;
+        this.timeScale = Number.isFinite(options.timeScale) ? Math.max(0, options.timeScale) : 1;
+        this.processWhilePaused = !!options.processWhilePaused;
+
+        this.onStart = options.onStart || null;
+        this.onUpdate = options.onUpdate || null;
+        this.onRepeat = options.onRepeat || null;
+        this.onComplete = options.onComplete || null;
+
+        /** Seconds played, including the delay. */
+        this.elapsed = 0;
+        /** @type {Tween | null} Group that drives this tween. */
+        this.parent = null;
+        this._playing = false;
+        this._paused = false;
+        this._killed = false;
+        this._entered = false;
+        this._completed = false;
+        this._cycle = -1;
+        this._lastLocal = NaN;
+        /** @type {Promise<void> | null} */
+        this._promise = null;
+        /** @type {(() => void) | null} */
+        this._resolve = null;
+    }
+
+    /**
+     * Delay + every cycle (Infinity when repeating forever).
+     * @returns {number}
+     */
+    get totalDuration() {
+        return this.delay + this.duration * (this.repeat + 1);
+    }
+
+    /**
+     * Progress through the whole tween, 0..1.
+     * @returns {number}
+     */
+    get progress() {
+        const total = this.totalDuration;
+        if (!Number.isFinite(total)) return 0;
+        return total > 0 ? Math.min(1, this.elapsed / total) : (this._completed ? 1 : 0);
+    }
+
+    /** @returns {boolean} */
+    get isPlaying() {
+        return this._playing && !this._paused && !this._completed && !this._killed;
+    }
+
+    /** @returns {boolean} */
+    get isComplete() {
+        return this._completed;
+    }
+
+    /**
+     * Resolves when the tween completes (with no value: a tween is itself thenable).
+     * @returns {Promise<void>}
+     */
+    get finished() {
+        if (!this._promise) {
+            this._promise = new Promise((resolve) => { this._resolve = resolve; });
+            if (this._completed) this._resolve();
+        }
+        return this._promise;
+    }
+
+    /**
+     * Makes tweens awaitable (`await Tween.to(...)`).
+     * @param {() => any} [onFulfilled]
+     * @param {(e: any) => any} [onRejected]
+     * @returns {Promise<any>}
+     */
+    then(onFulfilled, onRejected) {
+        return this.finished.then(onFulfilled, onRejected);
+    }
+
+    /**
+     * Starts (or restarts after kill) playback on the engine clock.
+     * @returns {this}
+     */
+    play() {
+        if (this.parent) {
+            console.warn('Tween: cannot play a tween owned by a sequence/parallel group; play the group instead.');
+            return this;
+        }
+        this._killed = false;
+        this._paused = false;
+        if (this._completed) return this;
+        this._playing = true;
+        if (!Tween._active.includes(this)) Tween._active.push(this);
+        return this;
+    }
+
+    /** @returns {this} */
+    pause() {
+        this._paused = true;
+        return this;
+    }
+
+    /** @returns {this} */
+    resume() {
+        this._paused = false;
+        return this;
+    }
+
+    /**
+     * Stops the tween where it is.
+     * @param {boolean} [complete=false] - Jump to the end first (fires onComplete, resolves).
+     */
+    kill(complete = false) {
+        if (complete && !this._completed && Number.isFinite(this.totalDuration)) {
+            this.elapsed = this.totalDuration;
+            this._seekTotal(this.elapsed);
+        }
+        this._killed = true;
+        this._playing = false;
+        Tween._remove(this);
+    }
+
+    /**
+     * Jumps to a time (seconds, delay included) and applies the values there.
+     * @param {number} time
+     * @returns {this}
+     */
+    seek(time) {
+        this.elapsed = Math.max(0, Number(time) || 0);
+        this._seekTotal(this.elapsed);
+        return this;
+    }
+
+    /**
+     * Whether this tween (or one of its children) animates `target`.
+     * @param {any} target
+     * @returns {boolean}
+     */
+    hasTarget(target) {
+        return false;
+    }
+
+    /**
+     * Applies the state at time `t` within one cycle (0..duration). Overridden by subclasses.
+     * @param {number} t
+     */
+    _seek(t) {}
+
+    /** Called when a repeating tween starts a new cycle (groups re-arm their children). */
+    _rearm() {}
+
+    /**
+     * Applies the state at `t` seconds from the start (delay included), firing callbacks.
+     * @param {number} t
+     */
+    _seekTotal(t) {
+        const total = this.totalDuration;
+        t = Math.max(0, Math.min(t, total));
+        // Accumulated frame deltas rarely add up exactly.
+        if (total - t < 1e-6) t = total;
+
+        if (t < this.delay) {
+            // Before the start (reached again when a yoyo group plays backwards).
+            if (this._entered) this._seekLocal(0);
+            return;
+        }
+        if (!this._entered) {
+            this._entered = true;
+            Tween._call(this.onStart, this);
+        }
+
+        const d = this.duration;
+        const local = t - this.delay;
+        let cycle = 0;
+        let ct = d;
+        if (d > 0) {
+            cycle = Math.floor(local / d);
+            ct = local - cycle * d;
+            if (cycle > this.repeat) {
+                cycle = this.repeat;
+                ct = d;
+            }
+        }
+        if (this._cycle >= 0 && cycle > this._cycle) {
+            // Backward yoyo cycles replay the children in reverse; only forward ones start over.
+            if (!this.yoyo || cycle % 2 === 0) this._rearm();
+            Tween._call(this.onRepeat, this, cycle);
+        }
+        this._cycle = cycle;
+
+        this._seekLocal(this.yoyo && cycle % 2 === 1 ? d - ct : ct);
+
+        if (t >= total && !this._completed) {
+            this._completed = true;
+            Tween._call(this.onComplete, this);
+            if (this._resolve) this._resolve();
+        }
+    }
+
+    /** @param {number} t */
+    _seekLocal(t) {
+        if (t === this._lastLocal) return;
+        this._lastLocal = t;
+        this._seek(t);
+        Tween._call(this.onUpdate, this);
+    }
+
+    /** Lets a repeating parent group replay this tween (callbacks and completion fire again). */
+    _reset() {
+        this._entered = false;
+        this._completed = false;
+        this._cycle = -1;
+        this._lastLocal = NaN;
+    }
+
+    /**
+     * Hands playback to a group.
+     * @param {Tween} parent
+     */
+    _adopt(parent) {
+        Tween._remove(this);
+        this._playing = false;
+        this.parent = parent;
+    }
+
+    // --- Factories ---
+
+    /**
+     * Tweens properties of `target` to the given values and starts playing.
+     * @param {any} target
+     * @param {Record<string, any>} props - End values.
+     * @param {number} duration - Seconds.
+     * @param {string | ((t: number) => number)} [easing='linear'] - Easing name or function.
+     * @param {TweenOptions} [options]
+     * @returns {PropertyTween}
+     */
+    static to(target, props, duration, easing = 'linear', options = {}) {
+        return new PropertyTween(target, props, duration, easing, options).play();
+    }
+
+    /**
+     * Plays steps one after another. Steps are tweens, numbers (pauses in seconds) or functions (callbacks).
+     * @param {Array<Tween | number | Function>} steps
+     * @param {TweenOptions} [options]
+     * @returns {TweenSequence}
+     */
+    static sequence(steps, options = {}) {
+        return new TweenSequence(steps, options).play();
+    }
+
+    /**
+     * Plays steps together; completes when the longest one does.
+     * @param {Array<Tween | number | Function>} steps
+     * @param {TweenOptions} [options]
+     * @returns {TweenParallel}
+     */
+    static parallel(steps, options = {}) {
+        return new TweenParallel(steps, options).play();
+    }
+
+    /**
+     * A pause, for sequences (a bare number does the same).
+     * @param {number} seconds
+     * @returns {Tween}
+     */
+    static wait(seconds) {
+        return new Tween(seconds);
+    }
+
+    /**
+     * A callback step, for sequences (a bare function does the same).
+     * @param {(tween: Tween) => void} fn
+     * @returns {Tween}
+     */
+    static call(fn) {
+        return new Tween(0, { onComplete: fn });
+    }
+
+    /**
+     * Resolves an easing name or function (unknown names fall back to linear).
+     * @param {string | ((t: number) => number) | null | undefined} easing
+     * @returns {(t: number) => number}
+     */
+    static getEasing(easing) {
+        if (typeof easing === 'function') return easing;
+        if (!easing) return Easing.linear;
+        const fn = Easing[easing];
+        if (!fn) {
+            console.warn(`Tween: unknown easing '${easing}', using linear.`);
+            return Easing.linear;
+        }
+        return fn;
+    }
+
+    // --- Playback (driven by Engine.loop) ---
+
+    /**
+     * Advances every playing tween. While the game is paused only `processWhilePaused` tweens run.
+     * @param {number} dt - Game delta (scaled).
+     */
+    static update(dt) {
+        if (Tween._active.length === 0) return;
+        // Copy: callbacks may start or kill tweens.
+        for (const tween of Tween._active.slice()) {
+            if (tween._killed || tween._paused) continue;
+            if (Time.paused && !tween.processWhilePaused) continue;
+            const step = tween.processWhilePaused ? Time.unscaledDeltaTime : dt;
+            tween.elapsed += step * tween.timeScale;
+            tween._seekTotal(tween.elapsed);
+            if (tween._completed) {
+                tween._playing = false;
+                Tween._remove(tween);
+            }
+        }
+    }
+
+    /**
+     * Kills every playing tween animating `target`.
+     * @param {any} target
+     * @param {boolean} [complete=false]
+     */
+    static killTweensOf(target, complete = false) {
+        if (!target || Tween._active.length === 0) return;
+        for (const tween of Tween._active.slice()) {
+            if (tween.hasTarget(target)) tween.kill(complete);
+        }
+    }
+
+    /**
+     * Kills every playing tween.
+     */
+    static killAll() {
+        for (const tween of Tween._active.slice()) tween.kill();
+        Tween._active.length = 0;
+    }
+
+    /** @param {Tween} tween */
+    static _remove(tween) {
+        const idx = Tween._active.indexOf(tween);
+        if (idx >= 0) Tween._active.splice(idx, 1);
+    }
+
+    /**
+     * @param {Function | null} fn
+     * @param {...any} args
+     */
+    static _call(fn, ...args) {
+        if (!fn) return;
+        try {
+            fn(...args);
+        } catch (e) {
+            console.error('Tween callback failed:', e);
+        }
+    }
+
+    /**
+     * @param {Tween | number | Function} step
+     * @returns {Tween | null}
+     */
+    static _toStep(step) {
+        if (step instanceof Tween) return step;
+        if (typeof step === 'number') return Tween.wait(step);
+        if (typeof step === 'function') return Tween.call(step);
+        console.warn('Tween: ignoring invalid sequence step', step);
+        return null;
+    }
+}
+
+/**
+ * Interpolates properties of one target (see Tween.to).
+ */
+export class PropertyTween extends Tween {
+    /**
+     * @param {any} target
+     * @param {Record<string, any>} props
+     * @param {number} duration
+     * @param {string | ((t: number) => number)} [easing='linear']
+     * @param {TweenOptions} [options]
+     */
+    constructor(target, props, duration, easing = 'linear', options = {}) {
+        super(duration, options);
+        this.target = target;
+        this.props = props || {};
+        this.easing = Tween.getEasing(easing);
+        /** @type {Record<string, any> | null} */
+        this.from = options.from || null;
+        /** @type {Array<{ key: string, start: any, end: any, kind: 'number' | 'array' | 'vector' }> | null} */
+        this._tracks = null;
+    }
+
+    /**
+     * @param {any} target
+     * @returns {boolean}
+     */
+    hasTarget(target) {
+        return this.target === target;
+    }
+
+    /** @param {number} t */
+    _seek(t) {
+        if (!this.target) return;
+        if (!this._tracks) this._tracks = this._capture();
+        const k = this.easing(this.duration > 0 ? t / this.duration : 1);
+
+        for (const track of this._tracks) {
+            const { key, start, end, kind } = track;
+            let value;
+            if (kind === 'number') {
+                value = start + (end - start) * k;
+            } else if (kind === 'array') {
+                value = start.slice(0, end.length);
+                for (let i = 0; i < end.length; i++) value[i] = start[i] + (end[i] - start[i]) * k;
+            } else {
+                value = PropertyTween.getValue(this.target, key);
+                for (const c of Object.keys(end)) value[c] = start[c] + (end[c] - start[c]) * k;
+            }
+            PropertyTween.setValue(this.target, key, value);
+        }
+        if ('_dirty' in this.target) this.target._dirty = true;
+    }
+
+    /**
+     * Reads start values (from `options.from` or the target) and shapes them like the end values.
+     */
+    _capture() {
+        const tracks = [];
+        for (const key of Object.keys(this.props)) {
+            let end = this.props[key];
+            const hasFrom = !!this.from && Object.prototype.hasOwnProperty.call(this.from, key);
+            let start = hasFrom ? this.from[key] : PropertyTween.getValue(this.target, key);
+            if (start === undefined || start === null) {
+                console.warn(`Tween: '${key}' is not set on the target; skipping.`);
+                continue;
+            }
+
+            if (typeof start === 'number' || typeof end === 'number') {
+                if (typeof start !== 'number' || typeof end !== 'number') {
+                    console.warn(`Tween: '${key}' mixes a number with a non-number; skipping.`);
+                    continue;
+                }
+                tracks.push({ key, start, end, kind: 'number' });
+            } else if (Array.isArray(start) || ArrayBuffer.isView(start)) {
+                const s = Array.from(start);
+                const e = Array.from(Array.isArray(end) || ArrayBuffer.isView(end) ? end : []).slice(0, s.length);
+                tracks.push({ key, start: s, end: e, kind: 'array' });
+            } else if (typeof start === 'object') {
+                // Vector-like: end as {x, y, z} or [x, y, z].
+                const e = {};
+                const s = {};
+                const source = Array.isArray(end)
+                    ? Object.fromEntries(end.map((v, i) => [VECTOR_KEYS[i], v]))
+                    : (end || {});
+                for (const c of Object.keys(source)) {
+                    if (typeof start[c] !== 'number' || typeof source[c] !== 'number') continue;
+                    s[c] = start[c];
+                    e[c] = source[c];
+                }
+                tracks.push({ key, start: s, end: e, kind: 'vector' });
+            } else {
+                console.warn(`Tween: cannot tween '${key}' (${typeof start}); skipping.`);
+            }
+        }
+        return tracks;
+    }
+
+    /**
+     * @param {any} target
+     * @param {string} key
+     */
+    static _special(target, key) {
+        const special = SPECIAL_PROPERTIES[key];
+        return special && special.test(target) ? special : null;
+    }
+
+    /**
+     * Reads a property, going through the Sprite accessors for `opacity`, `transparency` and `color`.
+     * @param {any} target
+     * @param {string} key
+     * @returns {any}
+     */
+    static getValue(target, key) {
+        const special = PropertyTween._special(target, key);
+        return special ? special.get(target) : target[key];
+    }
+
+    /**
+     * Writes a property like getValue reads it. Array values are copied into an existing array
+     * (material factors) or x/y/z object (Vector3) instead of replacing it.
+     * @param {any} target
+     * @param {string} key
+     * @param {any} value
+     */
+    static setValue(target, key, value) {
+        const special = PropertyTween._special(target, key);
+        if (special) {
+            special.set(target, value);
+            return;
+        }
+        const cur = target[key];
+        if (cur === value) return;
+        if (Array.isArray(value) && cur && typeof cur === 'object') {
+            if (Array.isArray(cur) || ArrayBuffer.isView(cur)) {
+                for (let i = 0; i < value.length && i < cur.length; i++) cur[i] = value[i];
+                return;
+            }
+            for (let i = 0; i < value.length && i < VECTOR_KEYS.length; i++) {
+                if (typeof cur[VECTOR_KEYS[i]] === 'number') cur[VECTOR_KEYS[i]] = value[i];
+            }
+            return;
+        }
+        target[key] = value;
+    }
+}
+
+/**
+ * Base for tween groups: owns child tweens and seeks them from its own clock.
+ */
+class TweenGroup extends Tween {
+    /**
+     * @param {Array<Tween | number | Function>} steps
+     * @param {TweenOptions} [options]
+     */
+    constructor(steps, options = {}) {
+        super(0, options);
+        /** @type {Tween[]} */
+        this.children = [];
+        for (const step of steps || []) {
+            const child = Tween._toStep(step);
+            if (!child) continue;
+            child._adopt(this);
+            this.children.push(child);
+        }
+    }
+
+    /**
+     * @param {any} target
+     * @returns {boolean}
+     */
+    hasTarget(target) {
+        return this.children.some((c) => c.hasTarget(target));
+    }
+
+    _rearm() {
+        for (const child of this.children) {
+            child._reset();
+            child._rearm();
+        }
+    }
+}
+
+/**
+ * Children played one after another (see Tween.sequence).
+ */
+export class TweenSequence extends TweenGroup {
+    /**
+     * @param {Array<Tween | number | Function>} steps
+     * @param {TweenOptions} [options]
+     */
+    constructor(steps, options = {}) {
+        super(steps, options);
+        /** @type {number[]} Start time of each child. */
+        this._starts = [];
+        let time = 0;
+        for (const child of this.children) {
+            this._starts.push(time);
+            time += child.totalDuration;
+        }
+        this.duration = time;
+    }
+
+    /** @param {number} t */
+    _seek(t) {
+        const children = this.children;
+        let active = -1;
+        // Finished children first, in order, so later ones win on shared properties.
+        for (let i = 0; i < children.length; i++) {
+            if (t < this._starts[i] + children[i].totalDuration) {
+                active = i;
+                break;
+            }
+            children[i]._seekTotal(children[i].totalDuration);
+        }
+        if (active < 0) return;
+        // Children played before but not reached now (yoyo going backwards) return to their start.
+        for (let i = children.length - 1; i > active; i--) {
+            if (children[i]._entered) children[i]._seekTotal(0);
+        }
+        children[active]._seekTotal(t - this._starts[active]);
+    }
+}
+
+/**
+ * Children played together (see Tween.parallel).
+ */
+export class TweenParallel extends TweenGroup {
+    /**
+     * @param {Array<Tween | number | Function>} steps
+     * @param {TweenOptions} [options]
+     */
+    constructor(steps, options = {}) {
+        super(steps, options);
+        this.duration = this.children.reduce((max, c) => Math.max(max, c.totalDuration), 0);
+    }
+
+    /** @param {number} t */
+    _seek(t) {
+        for (const child of this.children) child._seekTotal(Math.min(t, child.totalDuration));
+    }
+}
+
+/**
+ * Shorthand for Tween.to.
+ * @param {any} target
+ * @param {Record<string, any>} props
+ * @param {number} duration
+ * @param {string | ((t: number) => number)} [easing='linear']
+ * @param {TweenOptions} [options]
+ * @returns {PropertyTween}
+ */
+export function tween(target, props, duration, easing = 'linear', options = {}) {
+    return Tween.to(target, props, duration, easing, options);
+}
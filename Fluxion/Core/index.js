@@ -7,20 +7,36 @@
 // Core Engine
 export { default as Engine } from './Engine.js';
 export { default as SplashScreen } from './SplashScreen.js';
+export { default as Time } from './Time.js';
+export { default as Timers } from './Timers.js';
+export { default as Tween, Easing, PropertyTween, TweenSequence, TweenParallel, tween } from './Tween.js';
 
 // Rendering
-export { default as Renderer } from './Renderer.js';
+export { default as Renderer, QUAD_BATCH_FLOATS, PARTICLE_STATE_FLOATS } from './Renderer.js';
 export { default as Camera } from './Camera.js';
 export { default as Camera3D } from './Camera3D.js';
 export { default as Window } from './Window.js';
 
 // Sprites and Animation
+export { default as Node2D } from './Node2D.js';
 export { default as Sprite } from './Sprite.js';
 export { default as AnimatedSprite } from './AnimatedSprite.js';
+export { default as SpriteAtlas } from './SpriteAtlas.js';
+export { default as TileMap, TileMapLayer } from './TileMap.js';
+export { default as TileSet } from './TileSet.js';
+export { default as TiledLoader, TiledNode } from './TiledLoader.js';
+export { default as ParticleEmitter2D, sampleCurve, sampleGradient, parseCurve, parseGradient, advanceEmission } from './ParticleEmitter2D.js';
+export { default as AnimationClip } from './AnimationClip.js';
+export { default as AnimationPlayer } from './AnimationPlayer.js';
+export { default as AnimationController, AnimationStateMachine } from './AnimationController.js';
 
 // Scene Management
 export { default as Scene } from './Scene.js';
 export { default as SceneLoader } from './SceneLoader.js';
+export { default as SceneManager } from './SceneManager.js';
+export { default as SceneIndex } from './SceneIndex.js';
+export { default as Behaviour, BehaviourRegistry } from './Behaviour.js';
+export { default as Signals } from './Signals.js';
 export { default as Project } from './Project.js';
 // Note: Layers.js doesn't have a default export - it's currently empty
 
@@ -35,18 +51,21 @@ export { default as Math } from './Math.js';
 export { Vector2, Matrix3, AABB } from './Math.js';
 
 // 3D groundwork
-export { default as Mesh } from './Mesh.js';
+export { default as Mesh, MAX_MORPH_TARGETS } from './Mesh.js';
 export { default as MeshNode } from './MeshNode.js';
+export { default as ParticleEmitter3D } from './ParticleEmitter3D.js';
+export { default as Skeleton, SkeletonClip, MAX_SKIN_JOINTS } from './Skeleton.js';
 export { Vector3, Mat4 } from './Math3D.js';
 export { default as Material } from './Material.js';
 export { default as Skybox } from './Skybox.js';
 export { LightType, DirectionalLight, PointLight, SpotLight } from './Lights.js';
-export { loadGLTF, convertGLTFToFluxion } from './GLTFLoader.js';
+export { loadGLTF, convertGLTFToFluxion, parseGLB } from './GLTFLoader.js';
 
 // Text Rendering
 export { default as Text } from './Text.js';
 
-// Note: Physic.js is not yet implemented
+// Physics (2D rigid bodies)
+export { default as Physic, PhysicsWorld, RigidBody, BodyType, ShapeType, CircleShape, PolygonShape, BoxShape } from './Physic.js';
 
 // Audio (Optional - can be in extras if preferred)
 export { default as Audio } from './Audio.js';
@@ -7,8 +7,61 @@ layout(location = 0) in vec3 a_position;
 uniform mat4 u_model;
 uniform mat4 u_viewProj;
 
+// GPU skinning (glTF JOINTS_0 / WEIGHTS_0, see Skeleton.js). Joint matrices live in a float
+// texture (one row of 4 column texels per joint) rather than uniforms, which would exceed the
+// 256 vertex uniform vectors WebGL2 guarantees.
+layout(location = 5) in vec4 a_joints;
+layout(location = 6) in vec4 a_weights;
+uniform bool u_skinned;
+uniform highp sampler2D u_jointTexture;
+
+mat4 jointMatrix(float joint) {
+  int j = int(joint);
+  return mat4(
+    texelFetch(u_jointTexture, ivec2(0, j), 0),
+    texelFetch(u_jointTexture, ivec2(1, j), 0),
+    texelFetch(u_jointTexture, ivec2(2, j), 0),
+    texelFetch(u_jointTexture, ivec2(3, j), 0));
+}
+
+mat4 skinMatrix() {
+  return a_weights.x * jointMatrix(a_joints.x)
+       + a_weights.y * jointMatrix(a_joints.y)
+       + a_weights.z * jointMatrix(a_joints.z)
+       + a_weights.w * jointMatrix(a_joints.w);
+}
+
+// Morph targets (glTF blend shapes, see Mesh.setMorphTargets). Deltas live in u_morphTargets,
+// u_morphStride texels per vertex and u_morphSlots per target (position, then optional normal;
+// tangent deltas are stored but unused since normal mapping uses derivatives).
+// Weights pack 4 per vec4: 16 uniform vectors, which together with the matrices keeps the
+// vertex stage far below the 256 WebGL2 guarantees (joint matrices are in u_jointTexture).
+#define MAX_MORPH_TARGETS 64
+uniform int u_morphTargetCount;
+uniform int u_morphStride;
+uniform int u_morphSlots;
+uniform int u_morphNormalSlot;
+uniform vec4 u_morphWeights[MAX_MORPH_TARGETS / 4];
+uniform highp sampler2D u_morphTargets;
+
+vec3 morphDelta(int target, int slot) {
+  int width = textureSize(u_morphTargets, 0).x;
+  int i = gl_VertexID * u_morphStride + target * u_morphSlots + slot;
+  return texelFetch(u_morphTargets, ivec2(i % width, i / width), 0).xyz;
+}
+
+float morphWeight(int target) {
+  return u_morphWeights[target / 4][target % 4];
+}
+
 void main() {
-  vec4 world = u_model * vec4(a_position, 1.0);
+  vec4 position = vec4(a_position, 1.0);
+  for (int t = 0; t < u_morphTargetCount; t++) {
+    float w = morphWeight(t);
+    if (w != 0.0) position.xyz += w * morphDelta(t, 0);
+  }
+  if (u_skinned) position = skinMatrix() * position;
+  vec4 world = u_model * position;
   gl_Position = u_viewProj * world;
 }
 
@@ -0,0 +1,75 @@
+#version 300 es
+precision highp float;
+
+in vec2 v_uv;
+in vec4 v_color;
+in vec3 v_normal;
+in vec4 v_clip;
+
+uniform sampler2D u_texture;
+uniform bool u_hasTexture;
+uniform int u_renderMode;    // 0 = billboard, 1 = velocity-stretched, 2 = mesh
+uniform vec3 u_lightDir;     // Surface -> main directional light (mesh particles).
+uniform bool u_additive;
+
+// Soft particles: fade where the particle gets close to the opaque scene (depth prepass).
+uniform bool u_softParticles;
+uniform sampler2D u_sceneDepthTex;
+uniform vec4 u_sceneViewportUv;
+uniform vec2 u_nearFar;
+uniform float u_softDistance;
+
+out vec4 outColor;
+
+// Correct sRGB EOTF/OETF (piecewise)
+vec3 srgbToLinear(vec3 c) {
+  vec3 lo = c / 12.92;
+  vec3 hi = pow((c + 0.055) / 1.055, vec3(2.4));
+  return mix(lo, hi, step(vec3(0.04045), c));
+}
+
+vec3 linearToSrgb(vec3 c) {
+  c = max(c, vec3(0.0));
+  vec3 lo = c * 12.92;
+  vec3 hi = 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055;
+  return mix(lo, hi, step(vec3(0.0031308), c));
+}
+
+float linearDepth(float d) {
+  float z = d * 2.0 - 1.0;
+  return 2.0 * u_nearFar.x * u_nearFar.y / (u_nearFar.y + u_nearFar.x - z * (u_nearFar.y - u_nearFar.x));
+}
+
+void main() {
+  // Textures are uploaded premultiplied (UNPACK_PREMULTIPLY_ALPHA_WEBGL).
+  vec4 tex;
+  if (u_hasTexture) {
+    tex = texture(u_texture, v_uv);
+  } else if (u_renderMode == 2) {
+    tex = vec4(1.0);
+  } else {
+    // Untextured sprites are soft round dots.
+    float a = 1.0 - smoothstep(0.0, 1.0, length(v_uv - 0.5) * 2.0);
+    tex = vec4(a);
+  }
+
+  float alpha = tex.a * v_color.a;
+  vec3 rgb = tex.a > 0.0 ? tex.rgb / tex.a : vec3(0.0);
+  vec3 linear = srgbToLinear(rgb) * v_color.rgb;
+  if (u_renderMode == 2) {
+    linear *= 0.35 + 0.65 * max(dot(normalize(v_normal), u_lightDir), 0.0);
+  }
+
+  if (u_softParticles) {
+    vec3 ndc = v_clip.xyz / v_clip.w;
+    vec2 depthUv = u_sceneViewportUv.xy + (ndc.xy * 0.5 + 0.5) * u_sceneViewportUv.zw;
+    float sceneDepth = linearDepth(texture(u_sceneDepthTex, depthUv).r);
+    float particleDepth = linearDepth(ndc.z * 0.5 + 0.5);
+    alpha *= clamp((sceneDepth - particleDepth) / max(u_softDistance, 1e-4), 0.0, 1.0);
+  }
+
+  if (alpha < 0.002) discard;
+
+  // Premultiplied output for blendFunc(ONE, ONE_MINUS_SRC_ALPHA); alpha 0 makes it additive.
+  outColor = vec4(linearToSrgb(linear) * alpha, u_additive ? 0.0 : alpha);
+}
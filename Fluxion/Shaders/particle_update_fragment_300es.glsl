@@ -0,0 +1,9 @@
+#version 300 es
+precision mediump float;
+
+// Unused: the particle update pass runs with RASTERIZER_DISCARD, but a program needs a fragment stage.
+out vec4 outColor;
+
+void main() {
+  outColor = vec4(0.0);
+}
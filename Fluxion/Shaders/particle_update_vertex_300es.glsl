@@ -0,0 +1,37 @@
+#version 300 es
+precision highp float;
+
+// One ParticleEmitter3D particle per vertex, captured with transform feedback into the other
+// state buffer. Layout matches PARTICLE_STATE_FLOATS in Renderer.js.
+layout(location = 0) in vec3 a_position;
+layout(location = 1) in vec3 a_velocity;
+layout(location = 2) in vec4 a_life;   // age, lifetime, rotation, angular velocity
+layout(location = 3) in vec4 a_extra;  // size, seed, damping, gravity scale
+
+uniform float u_dt;
+uniform vec3 u_gravity;
+
+out vec3 v_position;
+out vec3 v_velocity;
+out vec4 v_life;
+out vec4 v_extra;
+
+void main() {
+  v_position = a_position;
+  v_velocity = a_velocity;
+  v_life = a_life;
+  v_extra = a_extra;
+
+  // Dead (or never spawned) slots are copied unchanged.
+  if (a_life.y > 0.0 && a_life.x < a_life.y) {
+    vec3 vel = a_velocity + u_gravity * a_extra.w * u_dt;
+    vel *= exp(-a_extra.z * u_dt);
+    v_velocity = vel;
+    v_position = a_position + vel * u_dt;
+    v_life.x = a_life.x + u_dt;
+    v_life.z = a_life.z + a_life.w * u_dt;
+  }
+
+  // Rasterization is disabled during the update pass.
+  gl_Position = vec4(0.0);
+}
@@ -0,0 +1,105 @@
+#version 300 es
+precision highp float;
+
+// Per particle (instanced), same layout as the simulation state.
+layout(location = 0) in vec3 a_position;
+layout(location = 1) in vec3 a_velocity;
+layout(location = 2) in vec4 a_life;   // age, lifetime, rotation, angular velocity
+layout(location = 3) in vec4 a_extra;  // size, seed, damping, gravity scale
+
+// Per vertex: a unit quad corner (xy in -0.5..0.5) or a mesh vertex (Mesh.js layout).
+layout(location = 4) in vec3 a_vertex;
+layout(location = 5) in vec3 a_normal;
+layout(location = 6) in vec2 a_uv;
+
+#define LUT_SIZE 16
+
+uniform mat4 u_viewProj;
+uniform mat4 u_model;        // Emitter transform for local-space particles, identity otherwise.
+uniform vec3 u_cameraPos;
+uniform vec3 u_cameraRight;
+uniform vec3 u_cameraUp;
+uniform int u_renderMode;    // 0 = billboard, 1 = velocity-stretched, 2 = mesh
+uniform float u_stretch;     // Extra length per unit of speed (velocity-stretched).
+uniform vec4 u_tint;
+uniform vec4 u_colorLut[LUT_SIZE];   // colorOverLife sampled at t = i / (LUT_SIZE - 1)
+uniform float u_scaleLut[LUT_SIZE];  // scaleOverLife
+uniform vec2 u_frameGrid;    // Flipbook columns, rows (1, 1 = whole texture).
+
+out vec2 v_uv;
+out vec4 v_color;
+out vec3 v_normal;
+out vec4 v_clip;
+
+vec4 sampleColor(float t) {
+  float x = clamp(t, 0.0, 1.0) * float(LUT_SIZE - 1);
+  int i = int(floor(x));
+  int j = min(i + 1, LUT_SIZE - 1);
+  return mix(u_colorLut[i], u_colorLut[j], x - float(i));
+}
+
+float sampleScale(float t) {
+  float x = clamp(t, 0.0, 1.0) * float(LUT_SIZE - 1);
+  int i = int(floor(x));
+  int j = min(i + 1, LUT_SIZE - 1);
+  return mix(u_scaleLut[i], u_scaleLut[j], x - float(i));
+}
+
+// Rodrigues rotation of v around a unit axis.
+vec3 rotateAxis(vec3 v, vec3 axis, float a) {
+  float c = cos(a);
+  float s = sin(a);
+  return v * c + cross(axis, v) * s + axis * dot(axis, v) * (1.0 - c);
+}
+
+void main() {
+  float age = a_life.x;
+  float life = a_life.y;
+  if (life <= 0.0 || age >= life) {
+    // Dead slot: move every vertex outside the clip volume.
+    v_uv = vec2(0.0);
+    v_color = vec4(0.0);
+    v_normal = vec3(0.0, 0.0, 1.0);
+    v_clip = vec4(0.0, 0.0, 2.0, 1.0);
+    gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+    return;
+  }
+
+  float t = age / life;
+  v_color = sampleColor(t) * u_tint;
+  float size = a_extra.x * sampleScale(t);
+  vec3 center = (u_model * vec4(a_position, 1.0)).xyz;
+  mat3 basis = mat3(u_model);
+  vec3 world;
+  v_normal = vec3(0.0, 0.0, 1.0);
+
+  if (u_renderMode == 2) {
+    // Tumble around a per-particle axis derived from the seed.
+    vec3 axis = normalize(vec3(sin(a_extra.y * 12.9898), cos(a_extra.y * 78.233), sin(a_extra.y * 37.719)) + vec3(1e-3));
+    world = center + basis * rotateAxis(a_vertex * size, axis, a_life.z);
+    v_normal = normalize(basis * rotateAxis(a_normal, axis, a_life.z));
+  } else if (u_renderMode == 1) {
+    vec3 vel = basis * a_velocity;
+    float speed = length(vel);
+    vec3 dir = speed > 1e-4 ? vel / speed : u_cameraUp;
+    vec3 side = cross(dir, normalize(u_cameraPos - center));
+    float sideLen = length(side);
+    side = sideLen > 1e-4 ? side / sideLen : u_cameraRight;
+    world = center + side * (a_vertex.x * size) + dir * (a_vertex.y * size * (1.0 + speed * u_stretch));
+  } else {
+    float c = cos(a_life.z);
+    float s = sin(a_life.z);
+    vec2 p = vec2(a_vertex.x * c - a_vertex.y * s, a_vertex.x * s + a_vertex.y * c) * size;
+    world = center + u_cameraRight * p.x + u_cameraUp * p.y;
+  }
+
+  // Flipbook frames are spread over the particle's life.
+  float frames = u_frameGrid.x * u_frameGrid.y;
+  float frame = min(floor(t * frames), frames - 1.0);
+  vec2 cell = vec2(mod(frame, u_frameGrid.x), floor(frame / u_frameGrid.x));
+  v_uv = (cell + a_uv) / u_frameGrid;
+
+  vec4 clip = u_viewProj * vec4(world, 1.0);
+  v_clip = clip;
+  gl_Position = clip;
+}
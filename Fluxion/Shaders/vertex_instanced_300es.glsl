@@ -11,6 +11,7 @@ in vec2 a_i_size;
 in vec4 a_i_uv;      // (u0, v0, u1, v1)
 in vec4 a_i_color;
 in float a_i_rot;
+in float a_i_shear;  // x offset per unit of local y (skew)
 
 uniform vec2 u_cameraPosition;
 uniform float u_cameraZoom;
@@ -24,9 +25,10 @@ void main() {
   v_color = a_i_color;
   v_texcoord = mix(a_i_uv.xy, a_i_uv.zw, a_texcoord);
 
-  // Object rotation around sprite center, then camera transform.
+  // Object shear + rotation around sprite center, then camera transform.
   vec2 center = a_i_pos + (a_i_size * 0.5);
   vec2 local = (a_position - vec2(0.5)) * a_i_size;
+  local.x += a_i_shear * local.y;
   float cosO = cos(a_i_rot);
   float sinO = sin(a_i_rot);
   vec2 rotatedLocal = vec2(
@@ -8,7 +8,7 @@
 
 // Advanced Features (can be imported separately)
 export { default as PostProcessing } from './Core/PostProcessing.js';
-// Note: Physic is not yet implemented
+export { default as Physic } from './Core/Physic.js';
 export { default as Audio } from './Core/Audio.js';
 
 // You can add more extras here as your engine grows
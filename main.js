@@ -681,6 +681,30 @@ if (!gotTheLock) {
     }
   });
 
+  // Write a binary image file under the workspace root (dev only), e.g. textures extracted from a .glb.
+  // payload: { relativePath: string, base64: string }
+  ipcMain.handle('write-project-binary-file', async (_event, payload) => {
+    try {
+      if (app.isPackaged) {
+        return { ok: false, error: 'App is packaged; writing to project directory is disabled.' };
+      }
+
+      const rel = String(payload?.relativePath ?? '').replace(/^\/+/, '');
+      if (!rel) return { ok: false, error: 'No file path provided.' };
+
+      if (!/\.(png|jpe?g|webp)$/i.test(rel)) return { ok: false, error: 'Only .png, .jpg and .webp files are supported.' };
+
+      const abs = resolveWorkspaceRelPath(rel);
+      if (!abs) return { ok: false, error: 'Refusing to write outside workspace root.' };
+
+      await fs.promises.mkdir(path.dirname(abs), { recursive: true });
+      await fs.promises.writeFile(abs, Buffer.from(String(payload?.base64 ?? ''), 'base64'));
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: String(err && err.message ? err.message : err) };
+    }
+  });
+
   // Switch the workspace root used by list-project-dir and fluxion://workspace/ loading.
   ipcMain.handle('set-workspace-root', async (event, absolutePath) => {
     try {
@@ -30,6 +30,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   readProjectTextFile: (relativePath) => ipcRenderer.invoke('read-project-text-file', relativePath),
   readProjectBinaryFile: (relativePath) => ipcRenderer.invoke('read-project-binary-file', relativePath),
   writeProjectTextFile: (relativePath, content) => ipcRenderer.invoke('write-project-text-file', { relativePath, content }),
+  writeProjectBinaryFile: (relativePath, base64) => ipcRenderer.invoke('write-project-binary-file', { relativePath, base64 }),
 
   // Import external OS files into the project workspace (editor workflow)
   // payload: { files: string[], destDirRelativePath: string }